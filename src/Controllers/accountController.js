@@ -0,0 +1,404 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as accountService from '../services/accountService.js';
+import { sharedAccessSql } from '../services/householdService.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { addDays, today } from '../utils/recurrence.js';
+import { getBaseCurrency } from '../services/currencyService.js';
+
+// Initialize database on module load
+accountService.initDatabase();
+
+const { ACCOUNT_TYPES } = accountService;
+
+// Granularities accepted by the balance history endpoint, with the default window for each
+const HISTORY_INTERVALS = { day: 30, week: 182, month: 365 };
+
+// Most periods a single balance history request may return
+const MAX_HISTORY_PERIODS = 400;
+
+/**
+ * Validate the editable fields of an account
+ * @param {Object} account - { name, type, currency, opening_balance }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAccount({ name, type, currency, opening_balance }) {
+  if (!name || !String(name).trim()) return 'Please provide an account name';
+  if (!ACCOUNT_TYPES.includes(type)) return `type must be one of: ${ACCOUNT_TYPES.join(', ')}`;
+  if (!normalizeCurrency(currency)) return 'Currency must be a three-letter ISO code such as "INR"';
+  if (isNaN(Number(opening_balance))) return 'opening_balance must be a number';
+  return null;
+}
+
+/**
+ * Get the user's accounts with current balances and a total in the base currency
+ * Accounts other members have shared with the user's households are listed apart and left out of the total
+ * Query: includeArchived=true to list archived accounts too
+ * @route GET /api/accounts
+ */
+export const getAccounts = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const currency = await getBaseCurrency(uuid);
+
+    const includeArchived = req.query.includeArchived === 'true';
+    const [data, shared] = await Promise.all([
+      accountService.getAccountsWithBalances(uuid, currency, { includeArchived }),
+      accountService.getAccountsWithBalances(uuid, currency, { includeArchived, shared: true })
+    ]);
+
+    // Accounts without a rate to the base currency are left out of the total and counted instead
+    const total = data
+      .filter(account => account.base_balance !== null)
+      .reduce((sum, account) => sum + account.base_balance, 0);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Accounts retrieved successfully',
+      count: data.length,
+      totals: {
+        currency,
+        balance: Math.round(total * 100) / 100,
+        unconvertedCount: data.filter(account => account.base_balance === null).length
+      },
+      data,
+      shared
+    });
+  } catch (error) {
+    console.error('Error retrieving accounts:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve accounts'
+    });
+  }
+};
+
+/**
+ * Get one account with its current balance, whether it is the user's or shared with their household
+ * @route GET /api/accounts/:id
+ */
+export const getAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const currency = await getBaseCurrency(uuid);
+
+    let [account] = await accountService.getAccountsWithBalances(uuid, currency, { id });
+    if (!account) {
+      [account] = await accountService.getAccountsWithBalances(uuid, currency, { id, shared: true });
+    }
+
+    if (!account) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Account retrieved successfully',
+      data: account
+    });
+  } catch (error) {
+    console.error('Error retrieving account:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve account'
+    });
+  }
+};
+
+/**
+ * Create an account
+ * Body: name, type (bank, card, cash, wallet or loan), currency (defaults to the base currency),
+ * opening_balance (negative for money owed), is_default
+ * @route POST /api/accounts
+ */
+export const createAccount = async (req, res) => {
+  let client;
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { name, type = 'bank', opening_balance = 0, is_default = false } = req.body;
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : await getBaseCurrency(uuid);
+
+    const validationError = validateAccount({ name, type, currency, opening_balance });
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // The existing default is created first so it stays the only default unless replaced below
+    await accountService.getDefaultAccount(client, uuid);
+    if (is_default === true) {
+      await client.query('UPDATE accounts SET is_default = FALSE WHERE uuid = $1 AND is_default', [uuid]);
+    }
+
+    const { rows } = await client.query(`
+      INSERT INTO accounts (uuid, name, type, currency, opening_balance, is_default)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (uuid, name) DO NOTHING
+      RETURNING *
+    `, [uuid, String(name).trim(), type, currency, opening_balance, is_default === true]);
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'An account with this name already exists'
+      });
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Account created successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error creating account:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create account'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Update an account
+ * Body: any of name, type, currency, opening_balance, is_archived, is_default (true only)
+ * @route PUT /api/accounts/:id
+ */
+export const updateAccount = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const { rows: existingRows } = await client.query(
+      'SELECT * FROM accounts WHERE id = $1 AND uuid = $2 FOR UPDATE',
+      [id, uuid]
+    );
+    const existing = existingRows[0];
+
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Account not found or not authorized to update'
+      });
+    }
+
+    const pick = field => (req.body[field] !== undefined ? req.body[field] : existing[field]);
+    const next = {
+      name: String(pick('name')).trim(),
+      type: pick('type'),
+      currency: normalizeCurrency(pick('currency')),
+      opening_balance: pick('opening_balance'),
+      is_archived: pick('is_archived') === true,
+      is_default: pick('is_default') === true
+    };
+
+    const validationError = validateAccount(next);
+    if (validationError) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // There is always exactly one default account, and it must stay open for new transactions
+    if (existing.is_default && !next.is_default) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Make another account the default instead'
+      });
+    }
+    if (next.is_default && next.is_archived) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'The default account cannot be archived'
+      });
+    }
+
+    if (next.is_default && !existing.is_default) {
+      await client.query('UPDATE accounts SET is_default = FALSE WHERE uuid = $1 AND is_default', [uuid]);
+    }
+
+    const { rows } = await client.query(`
+      UPDATE accounts
+      SET name = $1, type = $2, currency = $3, opening_balance = $4, is_archived = $5, is_default = $6,
+          updated_at = NOW()
+      WHERE id = $7 AND uuid = $8
+      RETURNING *
+    `, [next.name, next.type, next.currency, next.opening_balance, next.is_archived, next.is_default, id, uuid]);
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Account updated successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'An account with this name already exists'
+      });
+    }
+    console.error('Error updating account:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update account'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Delete an account that has no transactions; accounts with history should be archived instead
+ * @route DELETE /api/accounts/:id
+ */
+export const deleteAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows: existing } = await pool.query(`
+      SELECT a.is_default,
+        EXISTS (SELECT 1 FROM transactions WHERE account_id = a.id OR to_account_id = a.id) AS in_use
+      FROM accounts a
+      WHERE a.id = $1 AND a.uuid = $2
+    `, [id, uuid]);
+
+    if (existing.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Account not found or not authorized to delete'
+      });
+    }
+
+    if (existing[0].is_default) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'The default account cannot be deleted; make another account the default first'
+      });
+    }
+
+    if (existing[0].in_use) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'Account has transactions (including any in the trash); archive it instead'
+      });
+    }
+
+    const { rows } = await pool.query(
+      'DELETE FROM accounts WHERE id = $1 AND uuid = $2 RETURNING *',
+      [id, uuid]
+    );
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    // A transaction was booked against the account between the check and the delete
+    if (error.code === '23503') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'Account has transactions (including any in the trash); archive it instead'
+      });
+    }
+    console.error('Error deleting account:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete account'
+    });
+  }
+};
+
+/**
+ * Get an account's closing balance for each day, week or month in a range; this also works for accounts
+ * shared with the user's households
+ * Query: interval (day, week or month; default month), from, to (YYYY-MM-DD; default a window ending today)
+ * @route GET /api/accounts/:id/history
+ */
+export const getAccountBalanceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { interval = 'month' } = req.query;
+
+    if (!HISTORY_INTERVALS[interval]) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`
+      });
+    }
+
+    const to = req.query.to || today();
+    const from = req.query.from || addDays(to, -HISTORY_INTERVALS[interval]);
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(from) || !datePattern.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to)) || from > to) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'from and to must be YYYY-MM-DD dates with from on or before to'
+      });
+    }
+
+    const periodDays = { day: 1, week: 7, month: 28 }[interval];
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 / periodDays > MAX_HISTORY_PERIODS) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Range is too long; at most ${MAX_HISTORY_PERIODS} periods can be returned`
+      });
+    }
+
+    const { rows } = await pool.query(`SELECT a.* FROM accounts a WHERE a.id = $1 AND ${sharedAccessSql('a', '$2')}`, [id, uuid]);
+    const account = rows[0];
+
+    if (!account) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const data = await accountService.getBalanceHistory(account, { from, to, interval });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Balance history retrieved successfully',
+      account: { id: account.id, name: account.name, currency: account.currency },
+      interval,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error retrieving balance history:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve balance history'
+    });
+  }
+};
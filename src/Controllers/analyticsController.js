@@ -0,0 +1,222 @@
+import { StatusCodes } from 'http-status-codes';
+import * as analyticsService from '../services/analyticsService.js';
+import { getBaseCurrency } from '../services/currencyService.js';
+import { parseTagList } from '../utils/tags.js';
+import {
+  ANALYTICS_INTERVALS,
+  MAX_SERIES_BUCKETS,
+  resolveRange,
+  previousRange,
+  lastYearRange,
+  daysInRange,
+  changeBetween
+} from '../utils/analytics.js';
+
+// Entries in each top list unless ?limit= says otherwise
+const DEFAULT_TOP_LIMIT = 5;
+const MAX_TOP_LIMIT = 50;
+
+// Rough bucket length in days, to keep series within MAX_SERIES_BUCKETS before querying
+const INTERVAL_DAYS = { day: 1, week: 7, month: 28, year: 365 };
+
+/**
+ * Read the date range and filters shared by every analytics endpoint
+ * Query: from, to (inclusive YYYY-MM-DD, default the current month so far), accountId, tags
+ * @param {Object} query - Express req.query
+ * @returns {Object} { range, filters } or { error }
+ */
+function parseAnalyticsQuery(query) {
+  const range = resolveRange(query);
+  if (range.error) return { error: range.error };
+
+  const { accountId } = query;
+  if (accountId !== undefined && !/^\d+$/.test(accountId)) {
+    return { error: 'accountId must be an account id' };
+  }
+
+  const { tags, error } = parseTagList(query.tags || []);
+  if (error) return { error };
+
+  return { range, filters: { accountId: accountId || null, tags } };
+}
+
+/**
+ * Income, expense and net totals for a date range, with savings rate and average daily spend
+ * @route GET /api/analytics/summary
+ */
+export const getAnalyticsSummary = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { range, filters, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const currency = await getBaseCurrency(uuid);
+    const totals = await analyticsService.getPeriodTotals(uuid, range, filters, currency);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Analytics summary retrieved successfully',
+      data: { currency, ...totals }
+    });
+  } catch (error) {
+    console.error('Error retrieving analytics summary:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve analytics summary'
+    });
+  }
+};
+
+/**
+ * Income, expense and net time series for a date range
+ * Query: interval (day, week, month or year; default month) plus the shared range and filters
+ * @route GET /api/analytics/cashflow
+ */
+export const getCashFlow = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { interval = 'month' } = req.query;
+    const { range, filters, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`
+      });
+    }
+
+    if (daysInRange(range.from, range.to) / INTERVAL_DAYS[interval] > MAX_SERIES_BUCKETS) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Range is too long for a ${interval} series; use a shorter range or a longer interval`
+      });
+    }
+
+    const currency = await getBaseCurrency(uuid);
+    const [series, totals] = await Promise.all([
+      analyticsService.getCashFlowSeries(uuid, range, interval, filters, currency),
+      analyticsService.getPeriodTotals(uuid, range, filters, currency)
+    ]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Cash flow retrieved successfully',
+      count: series.length,
+      data: { currency, interval, from: range.from, to: range.to, series, totals }
+    });
+  } catch (error) {
+    console.error('Error retrieving cash flow:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve cash flow'
+    });
+  }
+};
+
+/**
+ * Compare a date range with the one just before it and the same dates last year
+ * @route GET /api/analytics/comparison
+ */
+export const getComparison = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { range, filters, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const currency = await getBaseCurrency(uuid);
+    const [current, previous, lastYear] = await Promise.all([
+      analyticsService.getPeriodTotals(uuid, range, filters, currency),
+      analyticsService.getPeriodTotals(uuid, previousRange(range), filters, currency),
+      analyticsService.getPeriodTotals(uuid, lastYearRange(range), filters, currency)
+    ]);
+
+    const changes = against => ({
+      income: changeBetween(current.income, against.income),
+      expense: changeBetween(current.expense, against.expense),
+      net: changeBetween(current.net, against.net),
+      averageDailySpend: changeBetween(current.averageDailySpend, against.averageDailySpend)
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Period comparison retrieved successfully',
+      data: {
+        currency,
+        current,
+        previous,
+        lastYear,
+        change: {
+          previous: changes(previous),
+          lastYear: changes(lastYear)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing periods:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to compare periods'
+    });
+  }
+};
+
+/**
+ * The merchants and expense categories the most was spent on in a date range
+ * Query: limit (default 5, at most 50) plus the shared range and filters
+ * @route GET /api/analytics/top
+ */
+export const getTopSpending = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { range, filters, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_TOP_LIMIT;
+    if (isNaN(limit) || limit < 1) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    const currency = await getBaseCurrency(uuid);
+    const top = Math.min(limit, MAX_TOP_LIMIT);
+    const [merchants, categories] = await Promise.all([
+      analyticsService.getTopMerchants(uuid, range, filters, currency, top),
+      analyticsService.getTopCategories(uuid, range, filters, top)
+    ]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Top spending retrieved successfully',
+      data: { currency, from: range.from, to: range.to, merchants, categories }
+    });
+  } catch (error) {
+    console.error('Error retrieving top spending:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve top spending'
+    });
+  }
+};
@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as attachmentService from '../services/attachmentService.js';
+import { getStorage } from '../services/attachmentStorage.js';
+import { ALLOWED_CONTENT_TYPES, detectContentType, sanitizeFileName } from '../utils/attachments.js';
+
+// Initialize database on module load
+attachmentService.initDatabase();
+
+// Columns returned to clients; storage details stay on the server
+const ATTACHMENT_COLUMNS = `
+  a.id, a.transaction_id, a.file_name, a.content_type, a.size_bytes::int AS size_bytes,
+  a.validated_file_id, a.created_at
+`;
+
+/**
+ * Check that a transaction exists and belongs to the user
+ * @param {Object} db - pool or a connected client
+ * @param {string} id - Transaction id from the route
+ * @param {string} uuid - User UUID
+ * @returns {boolean} Whether the user owns the transaction
+ */
+async function ownsTransaction(db, id, uuid) {
+  const { rows } = await db.query('SELECT id FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL', [id, uuid]);
+  return rows.length > 0;
+}
+
+/**
+ * Get the attachments of a transaction and the user's storage usage
+ * @route GET /api/transactions/:id/attachments
+ */
+export const getAttachments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    if (!await ownsTransaction(pool, id, uuid)) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized'
+      });
+    }
+
+    // Linked n8n documents carry what the flow found out about them
+    const [{ rows }, used] = await Promise.all([
+      pool.query(`
+        SELECT ${ATTACHMENT_COLUMNS},
+          CASE WHEN vf.id IS NULL THEN NULL ELSE json_build_object(
+            'platform', vf.platform, 'summary', vf.summary,
+            'confidence', vf.confidence, 'validated', vf.validated
+          ) END AS document
+        FROM attachments a
+        LEFT JOIN validated_files vf ON vf.id = a.validated_file_id
+        WHERE a.transaction_id = $1 AND a.uuid = $2
+        ORDER BY a.created_at ASC, a.id ASC
+      `, [id, uuid]),
+      attachmentService.getUsage(pool, uuid)
+    ]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Attachments retrieved successfully',
+      count: rows.length,
+      usage: {
+        usedBytes: used,
+        quotaBytes: attachmentService.ATTACHMENT_QUOTA_BYTES
+      },
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving attachments:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve attachments'
+    });
+  }
+};
+
+/**
+ * Upload a receipt or document to a transaction
+ * Multipart body: file (PDF, JPEG, PNG, WebP or HEIC)
+ * @route POST /api/transactions/:id/attachments
+ */
+export const uploadAttachment = async (req, res) => {
+  let client;
+  let stored = null;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    if (!req.file) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please upload a file in the "file" field'
+      });
+    }
+
+    // The declared type is ignored; the file has to look like one of the allowed formats
+    const contentType = detectContentType(req.file.buffer);
+    if (!contentType) {
+      return res.status(StatusCodes.UNSUPPORTED_MEDIA_TYPE).json({
+        success: false,
+        message: `Only ${Object.keys(ALLOWED_CONTENT_TYPES).join(', ')} files can be attached`
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // One upload per user at a time, so concurrent uploads cannot overshoot the quota together
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`attachments:${uuid}`]);
+
+    if (!await ownsTransaction(client, id, uuid)) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized'
+      });
+    }
+
+    const used = await attachmentService.getUsage(client, uuid);
+    if (used + req.file.size > attachmentService.ATTACHMENT_QUOTA_BYTES) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.REQUEST_TOO_LONG).json({
+        success: false,
+        message: 'This upload would exceed your attachment storage quota',
+        usage: {
+          usedBytes: used,
+          quotaBytes: attachmentService.ATTACHMENT_QUOTA_BYTES
+        }
+      });
+    }
+
+    const storage = getStorage();
+    const key = `${uuid}/${crypto.randomUUID()}.${ALLOWED_CONTENT_TYPES[contentType]}`;
+    await storage.put(key, req.file.buffer, contentType);
+    stored = { backend: storage.name, key };
+
+    const { rows } = await client.query(`
+      INSERT INTO attachments AS a (uuid, transaction_id, file_name, content_type, size_bytes, storage_backend, storage_key)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${ATTACHMENT_COLUMNS}
+    `, [uuid, id, sanitizeFileName(req.file.originalname, contentType), contentType, req.file.size, storage.name, key]);
+
+    await client.query('COMMIT');
+    stored = null;
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    // Nothing references the file if its row was not saved
+    if (stored) {
+      await getStorage(stored.backend).delete(stored.key).catch(() => {});
+    }
+    console.error('Error uploading attachment:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to upload attachment'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Link a document found by the n8n flow to a transaction
+ * Body: validatedFileId
+ * @route POST /api/transactions/:id/attachments/link
+ */
+export const linkDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { validatedFileId } = req.body;
+
+    if (!Number.isInteger(Number(validatedFileId)) || Number(validatedFileId) <= 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide the validatedFileId of an n8n document'
+      });
+    }
+
+    if (!await ownsTransaction(pool, id, uuid)) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized'
+      });
+    }
+
+    const { rows: documents } = await pool.query(
+      'SELECT * FROM validated_files WHERE id = $1 AND uuid = $2',
+      [validatedFileId, uuid]
+    );
+
+    if (documents.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Document not found or not authorized'
+      });
+    }
+
+    const { rows } = await pool.query(`
+      INSERT INTO attachments AS a (uuid, transaction_id, file_name, validated_file_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (transaction_id, validated_file_id) DO NOTHING
+      RETURNING ${ATTACHMENT_COLUMNS}
+    `, [uuid, id, documents[0].file_name || `document-${documents[0].id}`, documents[0].id]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'This document is already linked to the transaction'
+      });
+    }
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Document linked successfully',
+      data: {
+        ...rows[0],
+        document: {
+          platform: documents[0].platform,
+          summary: documents[0].summary,
+          confidence: documents[0].confidence,
+          validated: documents[0].validated
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error linking document:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to link document'
+    });
+  }
+};
+
+/**
+ * Download an uploaded attachment
+ * @route GET /api/transactions/:id/attachments/:attachmentId
+ */
+export const downloadAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(
+      'SELECT * FROM attachments WHERE id = $1 AND transaction_id = $2 AND uuid = $3',
+      [attachmentId, id, uuid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Attachment not found or not authorized'
+      });
+    }
+
+    const attachment = rows[0];
+    if (!attachment.storage_key) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'This is a linked document; its file stays with the platform it was found on'
+      });
+    }
+
+    const stream = await getStorage(attachment.storage_backend).get(attachment.storage_key);
+    if (!stream) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'The stored file for this attachment is missing'
+      });
+    }
+
+    res.status(StatusCodes.OK);
+    res.setHeader('Content-Type', attachment.content_type);
+    res.setHeader('Content-Length', attachment.size_bytes);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // Stop reading from storage if the client goes away mid-download
+    res.on('close', () => stream.destroy());
+    stream.on('error', error => {
+      console.error('Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to download attachment'
+    });
+  }
+};
+
+/**
+ * Delete an attachment (an uploaded file is removed from storage as well)
+ * @route DELETE /api/transactions/:id/attachments/:attachmentId
+ */
+export const deleteAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(`
+      DELETE FROM attachments a
+      WHERE a.id = $1 AND a.transaction_id = $2 AND a.uuid = $3
+      RETURNING ${ATTACHMENT_COLUMNS}
+    `, [attachmentId, id, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Attachment not found or not authorized to delete'
+      });
+    }
+
+    // The stored file was queued for removal by the delete; clear it now rather than on the next run
+    attachmentService.purgeDeletedAttachments();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete attachment'
+    });
+  }
+};
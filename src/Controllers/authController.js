@@ -1,7 +1,10 @@
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import pool from '../database/db.js';
+import * as sessionService from '../services/sessionService.js';
+
+// Initialize database on module load
+sessionService.initDatabase();
 
 const authController = {
   // Register a new user
@@ -32,16 +35,17 @@ const authController = {
         [userUuid, username, email, hashedPassword]
       );
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { uuid: newUser.rows[0].uuid },
-        process.env.JWT_SECRET,
-        { expiresIn: '1h' }
+      // Sign the new user in on this device
+      const { token, refreshToken, expiresIn } = await sessionService.createSession(
+        newUser.rows[0].uuid,
+        sessionService.deviceFromRequest(req)
       );
 
       res.status(201).json({
         message: 'User registered successfully',
         token,
+        refreshToken,
+        expiresIn,
         user: {
           uuid: newUser.rows[0].uuid,
           username: newUser.rows[0].username,
@@ -76,16 +80,17 @@ const authController = {
         return res.status(401).json({ message: 'Invalid credentials' });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { uuid: user.rows[0].uuid },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
+      // Start a session for this device
+      const { token, refreshToken, expiresIn } = await sessionService.createSession(
+        user.rows[0].uuid,
+        sessionService.deviceFromRequest(req)
       );
 
       res.status(200).json({
         message: 'Login successful',
         token,
+        refreshToken,
+        expiresIn,
         user: {
           uuid: user.rows[0].uuid,
           username: user.rows[0].username,
@@ -117,6 +122,97 @@ const authController = {
       console.error('Get profile error:', error);
       res.status(500).json({ message: 'Server error' });
     }
+  },
+
+  // Trade a refresh token for a new access token and refresh token; the old refresh token stops working
+  refresh: async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({ message: 'Please provide refreshToken' });
+      }
+
+      const result = await sessionService.rotateRefreshToken(refreshToken, sessionService.deviceFromRequest(req));
+
+      if (result.error) {
+        return res.status(401).json({ message: result.error });
+      }
+
+      res.status(200).json({
+        message: 'Token refreshed successfully',
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      });
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+
+  // Log out of the current session
+  logout: async (req, res) => {
+    try {
+      await sessionService.revokeSessions(req.user.uuid, { sessionId: req.user.sid });
+
+      res.status(200).json({ message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+
+  // Log out of every session, on all devices
+  logoutAll: async (req, res) => {
+    try {
+      const revoked = await sessionService.revokeSessions(req.user.uuid, { reason: 'logout_all' });
+
+      res.status(200).json({
+        message: 'Logged out of all devices',
+        count: revoked.length
+      });
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+
+  // List the sessions that are signed in, marking the one making the request
+  getSessions: async (req, res) => {
+    try {
+      const sessions = await sessionService.getActiveSessions(req.user.uuid);
+
+      res.status(200).json({
+        count: sessions.length,
+        sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+
+  // Sign out one session, such as a lost phone
+  revokeSession: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!/^[0-9a-f-]{36}$/i.test(id)) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+
+      const revoked = await sessionService.revokeSessions(req.user.uuid, { sessionId: id, reason: 'revoked' });
+
+      if (revoked.length === 0) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+
+      res.status(200).json({ message: 'Session revoked successfully' });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
   }
 };
 
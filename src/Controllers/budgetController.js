@@ -0,0 +1,272 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as budgetService from '../services/budgetService.js';
+import { getTaxonomy, resolveCategory } from '../services/categoryService.js';
+import { getBaseCurrency } from '../services/currencyService.js';
+import { sharedAccessSql } from '../services/householdService.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { today, isValidDay } from '../utils/recurrence.js';
+import { periodStart, validateBudget } from '../utils/budgets.js';
+import { EDITOR_ROLES } from '../utils/households.js';
+
+// Initialize database on module load
+budgetService.initDatabase();
+
+const { BUDGET_COLUMNS } = budgetService;
+
+// Most threshold events returned at once
+const MAX_EVENTS = 200;
+
+/**
+ * Get the user's budgets, and the budgets shared with their households, with spent, remaining, percent
+ * used and projected spend for the period containing a day
+ * Query: date (YYYY-MM-DD, defaults to today)
+ * @route GET /api/budgets
+ */
+export const getBudgets = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { date = today() } = req.query;
+
+    if (!isValidDay(date)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const budgets = await budgetService.getBudgetStatuses(uuid, date);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Budgets retrieved successfully',
+      count: budgets.length,
+      date,
+      data: budgets
+    });
+  } catch (error) {
+    console.error('Error retrieving budgets:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve budgets'
+    });
+  }
+};
+
+/**
+ * Create a budget for an expense category; subcategories count towards it
+ * Body: category, period (monthly or weekly, default monthly), amount, rollover (default false),
+ * start_date (defaults to today; snapped back to the start of its period), currency (defaults to the base currency)
+ * @route POST /api/budgets
+ */
+export const createBudget = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { category, period = 'monthly', amount, rollover = false, start_date = today(), currency } = req.body;
+
+    if (!category) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide category and amount'
+      });
+    }
+
+    const budgetError = validateBudget({ period, amount, rollover, start_date });
+    if (budgetError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: budgetError
+      });
+    }
+
+    if (currency && !normalizeCurrency(currency)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Currency must be a three-letter ISO code such as "INR"'
+      });
+    }
+
+    const match = resolveCategory(await getTaxonomy(uuid), category, 'Expense');
+    if (!match) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Unknown expense category: ${category}`
+      });
+    }
+
+    const code = normalizeCurrency(currency) || await getBaseCurrency(uuid);
+
+    const { rows } = await pool.query(`
+      INSERT INTO budgets (uuid, category_id, period, amount, currency, rollover, start_date)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (uuid, category_id, period) DO NOTHING
+      RETURNING id
+    `, [uuid, match.id, period, amount, code, rollover, periodStart(period, start_date)]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: `A ${period} budget for ${match.name} already exists`
+      });
+    }
+
+    const [budget] = await budgetService.getBudgetStatuses(uuid, today(), rows[0].id);
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: budget
+    });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create budget'
+    });
+  }
+};
+
+/**
+ * Update a budget's amount, rollover or start date
+ * The category and period stay fixed; create another budget to track something else. Owners and members
+ * of a household the budget is shared with can update it too
+ * @route PUT /api/budgets/:id
+ */
+export const updateBudget = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows: existing } = await pool.query(
+      `SELECT ${BUDGET_COLUMNS} FROM budgets b WHERE id = $1 AND ${sharedAccessSql('b', '$2', EDITOR_ROLES)}`,
+      [id, uuid]
+    );
+    if (existing.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Budget not found or not authorized to update'
+      });
+    }
+
+    const next = {
+      period: existing[0].period,
+      amount: req.body.amount ?? existing[0].amount,
+      rollover: req.body.rollover ?? existing[0].rollover,
+      start_date: req.body.start_date ?? existing[0].start_date
+    };
+    const budgetError = validateBudget(next);
+    if (budgetError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: budgetError
+      });
+    }
+
+    await pool.query(`
+      UPDATE budgets
+      SET amount = $1, rollover = $2, start_date = $3, updated_at = NOW()
+      WHERE id = $4 AND uuid = $5
+    `, [next.amount, next.rollover, periodStart(next.period, next.start_date), existing[0].id, existing[0].uuid]);
+
+    const [budget] = await budgetService.getBudgetStatuses(uuid, today(), existing[0].id);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: budget
+    });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update budget'
+    });
+  }
+};
+
+/**
+ * Delete a budget and its threshold events; only the budget's owner can delete it
+ * @route DELETE /api/budgets/:id
+ */
+export const deleteBudget = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(
+      `DELETE FROM budgets WHERE id = $1 AND uuid = $2 RETURNING ${BUDGET_COLUMNS}`,
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Budget not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Budget deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete budget'
+    });
+  }
+};
+
+/**
+ * Get the budget thresholds (80% and 100%) crossed on the user's budgets and the budgets shared with
+ * their households, newest first
+ * Query: budget_id, limit (default 50, at most 200)
+ * @route GET /api/budgets/events
+ */
+export const getBudgetEvents = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { budget_id } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+
+    if (isNaN(limit) || limit < 1) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    if (budget_id !== undefined && !/^\d+$/.test(budget_id)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'budget_id must be a budget id'
+      });
+    }
+
+    const { rows } = await pool.query(`
+      SELECT e.id, e.budget_id, c.name AS category, b.period, e.period_start::text AS period_start,
+        e.threshold, e.spent, e.limit_amount, e.currency, e.transaction_id, e.created_at
+      FROM budget_events e
+      JOIN budgets b ON b.id = e.budget_id
+      LEFT JOIN categories c ON c.id = b.category_id
+      WHERE ${sharedAccessSql('b', '$1')} AND ($2::int IS NULL OR e.budget_id = $2)
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT $3
+    `, [uuid, budget_id || null, Math.min(limit, MAX_EVENTS)]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Budget events retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving budget events:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve budget events'
+    });
+  }
+};
@@ -0,0 +1,317 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as categoryService from '../services/categoryService.js';
+import { TRANSACTION_TYPES } from '../utils/transactionFilters.js';
+
+// Initialize database on module load
+categoryService.initDatabase();
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Get the category taxonomy visible to the user (system defaults plus their own)
+ * Query: kind (Income or Expense), flat=true for an unnested list
+ * @route GET /api/categories
+ */
+export const getCategories = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { kind, flat } = req.query;
+
+    if (kind && !TRANSACTION_TYPES.includes(kind)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'kind must be either "Income" or "Expense"'
+      });
+    }
+
+    const taxonomy = await categoryService.getTaxonomy(uuid);
+    const categories = kind ? taxonomy.filter(category => category.kind === kind) : taxonomy;
+    const data = flat === 'true' ? categories : categoryService.buildCategoryTree(categories);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Categories retrieved successfully',
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error retrieving categories:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve categories'
+    });
+  }
+};
+
+/**
+ * Create a user category, optionally as a subcategory of an existing one
+ * @route POST /api/categories
+ */
+export const createCategory = async (req, res) => {
+  try {
+    const { name, parent_id, icon, color } = req.body;
+    let { kind = 'Expense' } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    if (!name || !name.trim()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a category name'
+      });
+    }
+
+    if (color && !COLOR_PATTERN.test(color)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'color must be a hex colour such as #FF8800'
+      });
+    }
+
+    const taxonomy = await categoryService.getTaxonomy(uuid);
+
+    // Subcategories take their kind from the parent and only nest one level deep
+    if (parent_id) {
+      const parent = taxonomy.find(category => category.id === Number(parent_id));
+      if (!parent) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+      if (parent.parent_id) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: 'Subcategories cannot have their own subcategories'
+        });
+      }
+      kind = parent.kind;
+    } else if (!TRANSACTION_TYPES.includes(kind)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'kind must be either "Income" or "Expense"'
+      });
+    }
+
+    if (categoryService.isCategoryNameTaken(taxonomy, name)) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    const query = `
+      INSERT INTO categories (uuid, name, parent_id, kind, icon, color)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const values = [uuid, name.trim(), parent_id || null, kind, icon || null, color || null];
+    const { rows } = await pool.query(query, values);
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Category created successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create category'
+    });
+  }
+};
+
+/**
+ * Update a user category; a rename is carried over to transactions, split lines and rules using it
+ * @route PUT /api/categories/:id
+ */
+export const updateCategory = async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const { id } = req.params;
+    const { name, icon, color } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    // System categories have uuid NULL and cannot be changed by users
+    const verifyQuery = 'SELECT * FROM categories WHERE id = $1 AND uuid = $2';
+    const verifyResult = await client.query(verifyQuery, [id, uuid]);
+
+    if (verifyResult.rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Category not found or not authorized to update'
+      });
+    }
+
+    const existing = verifyResult.rows[0];
+
+    if (color && !COLOR_PATTERN.test(color)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'color must be a hex colour such as #FF8800'
+      });
+    }
+
+    const nextName = name && name.trim() ? name.trim() : existing.name;
+    if (nextName !== existing.name) {
+      const taxonomy = await categoryService.getTaxonomy(uuid);
+      if (categoryService.isCategoryNameTaken(taxonomy, nextName, existing.id)) {
+        return res.status(StatusCodes.CONFLICT).json({
+          success: false,
+          message: 'A category with this name already exists'
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(`
+      UPDATE categories
+      SET name = $1, icon = $2, color = $3, updated_at = NOW()
+      WHERE id = $4 AND uuid = $5
+      RETURNING *
+    `, [
+      nextName,
+      icon !== undefined ? icon : existing.icon,
+      color !== undefined ? color : existing.color,
+      id,
+      uuid
+    ]);
+
+    if (nextName !== existing.name) {
+      await client.query(
+        'UPDATE transactions SET category = $1 WHERE uuid = $2 AND category = $3',
+        [nextName, uuid, existing.name]
+      );
+      await client.query(
+        'UPDATE transaction_splits SET category = $1 WHERE uuid = $2 AND category = $3',
+        [nextName, uuid, existing.name]
+      );
+      await client.query(
+        'UPDATE category_rules SET category = $1, updated_at = NOW() WHERE uuid = $2 AND category = $3',
+        [nextName, uuid, existing.name]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error updating category:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update category'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Delete a user category
+ * Its transactions and split lines move to the parent category, or back to uncategorised for a top-level one
+ * @route DELETE /api/categories/:id
+ */
+export const deleteCategory = async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const verifyQuery = 'SELECT * FROM categories WHERE id = $1 AND uuid = $2';
+    const verifyResult = await client.query(verifyQuery, [id, uuid]);
+
+    if (verifyResult.rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Category not found or not authorized to delete'
+      });
+    }
+
+    const category = verifyResult.rows[0];
+
+    const { rows: children } = await client.query(
+      'SELECT id FROM categories WHERE parent_id = $1',
+      [id]
+    );
+    if (children.length > 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'Delete or move the subcategories of this category first'
+      });
+    }
+
+    const { rows: rules } = await client.query(
+      'SELECT id, name FROM category_rules WHERE uuid = $1 AND category = $2',
+      [uuid, category.name]
+    );
+    if (rules.length > 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'This category is used by categorisation rules',
+        rules
+      });
+    }
+
+    const { rows: budgets } = await client.query(
+      'SELECT id, period, amount FROM budgets WHERE category_id = $1',
+      [id]
+    );
+    if (budgets.length > 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'This category has budgets; delete them first',
+        budgets
+      });
+    }
+
+    let parentName = null;
+    if (category.parent_id) {
+      const { rows: parents } = await client.query('SELECT name FROM categories WHERE id = $1', [category.parent_id]);
+      parentName = parents[0]?.name || null;
+    }
+
+    await client.query('BEGIN');
+
+    const { rowCount } = await client.query(`
+      UPDATE transactions
+      SET category = $1, category_source = CASE WHEN $1::text IS NULL THEN NULL ELSE category_source END
+      WHERE uuid = $2 AND category = $3
+    `, [parentName, uuid, category.name]);
+    await client.query(
+      'UPDATE transaction_splits SET category = $1 WHERE uuid = $2 AND category = $3',
+      [parentName, uuid, category.name]
+    );
+
+    await client.query('DELETE FROM categories WHERE id = $1 AND uuid = $2', [id, uuid]);
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: {
+        ...category,
+        reassignedTransactions: rowCount,
+        reassignedTo: parentName
+      }
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error deleting category:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete category'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
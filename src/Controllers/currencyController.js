@@ -0,0 +1,271 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as currencyService from '../services/currencyService.js';
+import { normalizeCurrency, parseRatesFile, RATE_FILE_FORMATS } from '../utils/currency.js';
+
+// Initialize database on module load
+currencyService.initDatabase();
+
+// Most rates returned by one listing
+const MAX_RATES = 500;
+
+/**
+ * Get the user's base currency
+ * @route GET /api/currency/base
+ */
+export const getBaseCurrency = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const currency = await currencyService.getBaseCurrency(uuid);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Base currency retrieved successfully',
+      data: { currency }
+    });
+  } catch (error) {
+    console.error('Error retrieving base currency:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve base currency'
+    });
+  }
+};
+
+/**
+ * Change the user's base currency
+ * Stored amounts keep their own currency; totals are converted to the new base from now on
+ * @route PUT /api/currency/base
+ */
+export const updateBaseCurrency = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const currency = normalizeCurrency(req.body.currency);
+
+    if (!currency) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'currency must be a three-letter ISO code such as "INR"'
+      });
+    }
+
+    const { rows } = await pool.query(
+      'UPDATE users SET base_currency = $1 WHERE uuid = $2 RETURNING base_currency',
+      [currency, uuid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Base currency updated successfully',
+      data: { currency: rows[0].base_currency }
+    });
+  } catch (error) {
+    console.error('Error updating base currency:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update base currency'
+    });
+  }
+};
+
+/**
+ * List exchange rates visible to the user (shared plus their own)
+ * Query: base, quote, from, to
+ * @route GET /api/currency/rates
+ */
+export const getExchangeRates = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { base, quote, from, to } = req.query;
+
+    const conditions = ['(uuid IS NULL OR uuid = $1)'];
+    const values = [uuid];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (base) addCondition('base_currency = ?', normalizeCurrency(base));
+    if (quote) addCondition('quote_currency = ?', normalizeCurrency(quote));
+    if (from) addCondition('rate_date >= ?::date', from);
+    if (to) addCondition('rate_date <= ?::date', to);
+
+    const query = `
+      SELECT id, uuid IS NULL AS shared, rate_date::text AS rate_date, base_currency, quote_currency, rate
+      FROM exchange_rates
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rate_date DESC, base_currency, quote_currency
+      LIMIT ${MAX_RATES}
+    `;
+    const { rows } = await pool.query(query, values);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Exchange rates retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving exchange rates:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve exchange rates'
+    });
+  }
+};
+
+/**
+ * Load exchange rates from an uploaded CSV or JSON file, or from a JSON body
+ * Multipart: file (format from the extension or a "format" field); JSON: { rates: [...] }
+ * Rates uploaded here only apply to the uploading user and override shared rates
+ * @route POST /api/currency/rates/import
+ */
+export const importExchangeRates = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    let parsed;
+    if (req.file) {
+      const format = (req.body.format || req.file.originalname.split('.').pop()).toLowerCase();
+      if (!RATE_FILE_FORMATS.includes(format)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: `format must be one of: ${RATE_FILE_FORMATS.join(', ')}`
+        });
+      }
+      try {
+        parsed = parseRatesFile(req.file.buffer.toString('utf8'), format);
+      } catch (parseError) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: `Could not read rates file: ${parseError.message}`
+        });
+      }
+    } else if (Array.isArray(req.body?.rates)) {
+      parsed = parseRatesFile(JSON.stringify(req.body.rates), 'json');
+    } else {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please upload a rates file in the "file" field or send a rates array'
+      });
+    }
+
+    const { rates, invalidRates } = parsed;
+    if (rates.length === 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'No valid exchange rates to load',
+        invalidRates
+      });
+    }
+
+    const savedCount = await currencyService.upsertRates(uuid, rates);
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: `Loaded ${savedCount} exchange rates`,
+      successCount: savedCount,
+      failedCount: invalidRates.length,
+      invalidRates: invalidRates.length > 0 ? invalidRates : undefined
+    });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to import exchange rates'
+    });
+  }
+};
+
+/**
+ * Delete one of the user's own exchange rates
+ * @route DELETE /api/currency/rates/:id
+ */
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(
+      'DELETE FROM exchange_rates WHERE id = $1 AND uuid = $2 RETURNING *',
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Exchange rate not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Exchange rate deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete exchange rate'
+    });
+  }
+};
+
+/**
+ * Convert an amount between currencies with the stored rates
+ * Query: amount, from, to (defaults to the base currency), date (defaults to today)
+ * @route GET /api/currency/convert
+ */
+export const convertAmount = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const amount = Number(req.query.amount);
+    const from = normalizeCurrency(req.query.from);
+    const to = normalizeCurrency(req.query.to) || await currencyService.getBaseCurrency(uuid);
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    if (!Number.isFinite(amount) || !from || isNaN(Date.parse(date))) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a numeric amount, a "from" currency and an optional valid date'
+      });
+    }
+
+    const { rows } = await pool.query('SELECT fx_rate($1, $2, $3, $4::date) AS rate', [uuid, from, to, date]);
+    const rate = rows[0].rate === null ? null : parseFloat(rows[0].rate);
+
+    if (rate === null) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: `No exchange rate available from ${from} to ${to}`
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Amount converted successfully',
+      data: {
+        amount,
+        from,
+        to,
+        date,
+        rate,
+        converted: Math.round(amount * rate * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Error converting amount:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to convert amount'
+    });
+  }
+};
@@ -0,0 +1,194 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import { duplicateMatchKey } from '../utils/duplicates.js';
+import { actorFromRequest, getSnapshot, recordRevision } from '../services/historyService.js';
+import { toTransactionResponse } from '../services/transactionService.js';
+
+// Ways a group of likely duplicates can be resolved
+const RESOLVE_ACTIONS = ['merge', 'delete', 'ignore'];
+
+/**
+ * Find groups of stored transactions that look like the same payment
+ * Rows match on date, amount, type and normalised title, whatever their source
+ * @route GET /api/transactions/duplicates
+ */
+export const getDuplicateTransactions = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    // Narrow down in SQL first; titles are then compared after normalisation
+    const query = `
+      SELECT * FROM (
+        SELECT t.*, COUNT(*) OVER (PARTITION BY created_at::date, amount, type) AS same_day_count
+        FROM transactions t
+        WHERE uuid = $1 AND deleted_at IS NULL
+      ) candidates
+      WHERE same_day_count > 1
+      ORDER BY created_at ASC, id ASC
+    `;
+    const { rows } = await pool.query(query, [uuid]);
+
+    const groups = new Map();
+    rows.forEach(({ same_day_count, ...transaction }) => {
+      const key = duplicateMatchKey(transaction);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(toTransactionResponse(transaction));
+    });
+
+    // A group the user already marked as not duplicated only comes back when a new copy arrives
+    const data = [...groups.values()]
+      .filter(group => group.length > 1 && group.some(transaction => !transaction.duplicate_ignored))
+      .map(group => {
+        const original = group.find(transaction => !transaction.is_duplicate) || group[0];
+        return {
+          suggestedKeepId: original.id,
+          duplicateIds: group.filter(transaction => transaction.id !== original.id).map(transaction => transaction.id),
+          transactions: group
+        };
+      });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Found ${data.length} groups of likely duplicates`,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error finding duplicate transactions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to find duplicate transactions'
+    });
+  }
+};
+
+/**
+ * Resolve a group of likely duplicates
+ * Body: keepId, duplicateIds, action
+ *   merge  - copy missing description and category onto keepId, then move the duplicates to the trash
+ *   delete - move the duplicates to the trash as they are
+ *   ignore - keep every row and stop reporting them as duplicates
+ * @route POST /api/transactions/duplicates/resolve
+ */
+export const resolveDuplicateTransactions = async (req, res) => {
+  let client;
+  try {
+    const { keepId, duplicateIds, action = 'merge' } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    if (!RESOLVE_ACTIONS.includes(action)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `action must be one of: ${RESOLVE_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (!keepId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide keepId and an array of duplicateIds'
+      });
+    }
+
+    const removeIds = [...new Set(duplicateIds.map(Number))].filter(id => id !== Number(keepId));
+    const allIds = [Number(keepId), ...removeIds];
+
+    client = await pool.connect();
+
+    // Verify every transaction belongs to user
+    const { rows } = await client.query(
+      'SELECT * FROM transactions WHERE uuid = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL ORDER BY id ASC',
+      [uuid, allIds]
+    );
+
+    if (rows.length !== allIds.length) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized to update'
+      });
+    }
+
+    const keep = rows.find(row => row.id === Number(keepId));
+    const removed = rows.filter(row => row.id !== keep.id);
+
+    await client.query('BEGIN');
+
+    if (action === 'ignore') {
+      await client.query(`
+        UPDATE transactions
+        SET duplicate_ignored = TRUE, is_duplicate = FALSE, duplicate_of = NULL
+        WHERE uuid = $1 AND id = ANY($2::int[])
+      `, [uuid, allIds]);
+    } else {
+      // Merging keeps the first description and category found among the copies
+      const donor = field => (action === 'merge' ? removed.find(row => row[field]) : null);
+      const categoryDonor = keep.category ? null : donor('category');
+      const actor = actorFromRequest(req);
+      const before = await getSnapshot(client, 'transaction', keep.id);
+
+      const { rows: updated } = await client.query(`
+        UPDATE transactions
+        SET description = $1, category = $2, category_source = $3, is_duplicate = FALSE, duplicate_of = NULL
+        WHERE id = $4 AND uuid = $5
+        RETURNING *
+      `, [
+        keep.description || donor('description')?.description || null,
+        categoryDonor ? categoryDonor.category : keep.category,
+        categoryDonor ? categoryDonor.category_source : keep.category_source,
+        keep.id,
+        uuid
+      ]);
+      Object.assign(keep, updated[0]);
+      await recordRevision(client, { entityType: 'transaction', entityId: keep.id, uuid, action: 'updated', before, actor });
+
+      // Occurrences posted by a recurring series now point at the surviving row
+      await client.query(
+        'UPDATE recurring_occurrences SET transaction_id = $1 WHERE transaction_id = ANY($2::bigint[])',
+        [keep.id, removeIds]
+      );
+      // Receipts follow the surviving row too; a document linked to several copies is kept once
+      await client.query(
+        'UPDATE attachments SET transaction_id = $1 WHERE transaction_id = ANY($2::int[]) AND storage_key IS NOT NULL',
+        [keep.id, removeIds]
+      );
+      await client.query(`
+        INSERT INTO attachments (uuid, transaction_id, file_name, validated_file_id, created_at)
+        SELECT uuid, $1, file_name, validated_file_id, created_at
+        FROM attachments WHERE transaction_id = ANY($2::int[]) AND validated_file_id IS NOT NULL
+        ON CONFLICT (transaction_id, validated_file_id) DO NOTHING
+      `, [keep.id, removeIds]);
+      // Removed copies go to the trash like any other deleted transaction
+      await client.query(
+        'UPDATE transactions SET deleted_at = NOW() WHERE uuid = $1 AND id = ANY($2::int[])',
+        [uuid, removeIds]
+      );
+      for (const removedId of removeIds) {
+        const snapshot = await getSnapshot(client, 'transaction', removedId);
+        await recordRevision(client, { entityType: 'transaction', entityId: removedId, uuid, action: 'deleted', before: snapshot, actor });
+      }
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: action === 'ignore'
+        ? `Marked ${allIds.length} transactions as not duplicated`
+        : `Removed ${removeIds.length} duplicate transactions`,
+      data: {
+        action,
+        kept: toTransactionResponse(keep),
+        removedIds: action === 'ignore' ? [] : removeIds
+      }
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error resolving duplicate transactions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to resolve duplicate transactions'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
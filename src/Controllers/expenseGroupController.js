@@ -0,0 +1,723 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as expenseGroupService from '../services/expenseGroupService.js';
+import { actorFromRequest, recordRevision } from '../services/historyService.js';
+import { evaluateBudgetThresholds } from '../services/budgetService.js';
+import { getBaseCurrency } from '../services/currencyService.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { splitExpense } from '../utils/expenseGroups.js';
+import { today, isValidDay } from '../utils/recurrence.js';
+
+// Initialize database on module load
+expenseGroupService.initDatabase();
+
+/**
+ * Find one of the user's expense groups
+ * @param {string} uuid - User UUID
+ * @param {string} id - Group id
+ * @returns {Object|null} Group row from expenseGroupService.getGroups
+ */
+async function findGroup(uuid, id) {
+  const [group] = await expenseGroupService.getGroups(uuid, id);
+  return group || null;
+}
+
+/**
+ * Look up registered users by email
+ * @param {Array} emails - Email addresses
+ * @returns {Object} { users: [{ uuid, email }] } or { error } naming the first unknown email
+ */
+async function findUsersByEmail(emails) {
+  const { rows } = await pool.query(
+    'SELECT uuid, email FROM users WHERE LOWER(email) = ANY($1::text[])',
+    [emails.map(email => String(email).trim().toLowerCase())]
+  );
+  const unknown = emails.find(email => !rows.some(row => row.email.toLowerCase() === String(email).trim().toLowerCase()));
+  return unknown ? { error: `No registered user has the email ${unknown}` } : { users: rows };
+}
+
+/**
+ * Get the expense groups the user belongs to with their members
+ * @route GET /api/groups
+ */
+export const getGroups = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const groups = await expenseGroupService.getGroups(uuid);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Expense groups retrieved successfully',
+      count: groups.length,
+      data: groups
+    });
+  } catch (error) {
+    console.error('Error retrieving expense groups:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve expense groups'
+    });
+  }
+};
+
+/**
+ * Get one group with each member's balance, who owes whom and the payments that settle everyone up
+ * @route GET /api/groups/:id
+ */
+export const getGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Expense group retrieved successfully',
+      data: { ...group, ...(await expenseGroupService.getGroupBalances(pool, group)) }
+    });
+  } catch (error) {
+    console.error('Error retrieving expense group:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve expense group'
+    });
+  }
+};
+
+/**
+ * Create an expense group with the user in it
+ * Body: name, currency (defaults to the base currency), members (emails of registered users to add)
+ * @route POST /api/groups
+ */
+export const createGroup = async (req, res) => {
+  let client;
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { name, members = [] } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a group name'
+      });
+    }
+    if (!Array.isArray(members)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'members must be an array of emails'
+      });
+    }
+
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : await getBaseCurrency(uuid);
+    if (!currency) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Currency must be a three-letter ISO code such as "INR"'
+      });
+    }
+
+    const { users, error } = await findUsersByEmail(members);
+    if (error) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: error
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'INSERT INTO expense_groups (name, currency, created_by) VALUES ($1, $2, $3) RETURNING id',
+      [String(name).trim(), currency, uuid]
+    );
+    await client.query(`
+      INSERT INTO expense_group_members (group_id, uuid)
+      SELECT $1, member FROM unnest($2::uuid[]) AS member
+      ON CONFLICT DO NOTHING
+    `, [rows[0].id, [uuid, ...users.map(user => user.uuid)]]);
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Expense group created successfully',
+      data: await findGroup(uuid, rows[0].id)
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error creating expense group:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create expense group'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Rename a group; any member can
+ * Body: name
+ * @route PUT /api/groups/:id
+ */
+export const updateGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a group name'
+      });
+    }
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found or not authorized to update'
+      });
+    }
+
+    await pool.query('UPDATE expense_groups SET name = $1, updated_at = NOW() WHERE id = $2', [String(name).trim(), group.id]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Expense group updated successfully',
+      data: await findGroup(uuid, group.id)
+    });
+  } catch (error) {
+    console.error('Error updating expense group:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update expense group'
+    });
+  }
+};
+
+/**
+ * Delete a group with its expenses and settlements; only its creator can, once everyone is settled up
+ * Transactions booked for settlements stay with their owners
+ * @route DELETE /api/groups/:id
+ */
+export const deleteGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const group = await findGroup(uuid, id);
+    if (!group || group.created_by !== uuid) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found or not authorized to delete'
+      });
+    }
+
+    const { balances } = await expenseGroupService.getGroupBalances(pool, group);
+    if (balances.some(entry => entry.balance !== 0)) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'Settle up before deleting the group'
+      });
+    }
+
+    await pool.query('DELETE FROM expense_groups WHERE id = $1', [group.id]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Expense group deleted successfully',
+      data: group
+    });
+  } catch (error) {
+    console.error('Error deleting expense group:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete expense group'
+    });
+  }
+};
+
+/**
+ * Add a registered user to a group; any member can
+ * Body: email
+ * @route POST /api/groups/:id/members
+ */
+export const addMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide the email of the user to add'
+      });
+    }
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const { users, error } = await findUsersByEmail([email]);
+    if (error) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { rowCount } = await pool.query(
+      'INSERT INTO expense_group_members (group_id, uuid) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [group.id, users[0].uuid]
+    );
+    if (rowCount === 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'That user is already in the group'
+      });
+    }
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Member added successfully',
+      data: await findGroup(uuid, group.id)
+    });
+  } catch (error) {
+    console.error('Error adding group member:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to add group member'
+    });
+  }
+};
+
+/**
+ * Remove a member from a group, or leave it when the member is the user; only the group's creator can
+ * remove others, and only members who are settled up can go
+ * @route DELETE /api/groups/:id/members/:memberUuid
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const { id, memberUuid } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+    if (memberUuid !== uuid && group.created_by !== uuid) {
+      return res.status(StatusCodes.FORBIDDEN).json({
+        success: false,
+        message: "Only the group's creator can remove other members"
+      });
+    }
+
+    const member = group.members.find(entry => entry.uuid === memberUuid);
+    if (!member) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const { balances } = await expenseGroupService.getGroupBalances(pool, group);
+    if (balances.some(entry => entry.uuid === member.uuid && entry.balance !== 0)) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'Members can only leave once they are settled up'
+      });
+    }
+
+    await pool.query('DELETE FROM expense_group_members WHERE group_id = $1 AND uuid = $2', [group.id, member.uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: member.uuid === uuid ? 'You left the group' : 'Member removed successfully',
+      data: member
+    });
+  } catch (error) {
+    console.error('Error removing group member:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to remove group member'
+    });
+  }
+};
+
+/**
+ * Get a group's expenses with how each was split, newest first
+ * @route GET /api/groups/:id/expenses
+ */
+export const getGroupExpenses = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const expenses = await expenseGroupService.getExpenses(pool, group.id);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Group expenses retrieved successfully',
+      count: expenses.length,
+      data: expenses
+    });
+  } catch (error) {
+    console.error('Error retrieving group expenses:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve group expenses'
+    });
+  }
+};
+
+/**
+ * Add an expense to a group and split it between members
+ * Body: title, amount, paidBy (member UUID, defaults to the user), spent_on (default today), method (equal,
+ * percentage, shares or exact; default equal), participants ([{ uuid, value }], defaults to every member
+ * for an equal split). With transactionId one of the user's expenses is split instead: the user paid, and
+ * amount, title and spent_on default to the transaction's, converted into the group's currency
+ * @route POST /api/groups/:id/expenses
+ */
+export const addGroupExpense = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { transactionId, method = 'equal' } = req.body;
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    let { title, amount, spent_on: spentOn } = req.body;
+    let paidBy = req.body.paidBy || uuid;
+    if (transactionId !== undefined) {
+      const { rows: transactions } = await pool.query(`
+        SELECT id, title, created_at::date::text AS day,
+          amount * fx_rate(uuid, currency, $3, created_at::date) AS group_amount
+        FROM transactions
+        WHERE id = $1 AND uuid = $2 AND type = 'Expense' AND deleted_at IS NULL
+      `, [transactionId, uuid, group.currency]);
+      if (transactions.length === 0) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'Expense transaction not found'
+        });
+      }
+      if ((amount === undefined || amount === null) && transactions[0].group_amount === null) {
+        return res.status(StatusCodes.UNPROCESSABLE_ENTITY).json({
+          success: false,
+          message: `No exchange rate into ${group.currency}; provide the amount`
+        });
+      }
+      paidBy = uuid;
+      title = title || transactions[0].title;
+      amount = amount ?? Math.round(parseFloat(transactions[0].group_amount) * 100) / 100;
+      spentOn = spentOn || transactions[0].day;
+    }
+    spentOn = spentOn || today();
+
+    if (!title || !String(title).trim()) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a title'
+      });
+    }
+    if (!isValidDay(spentOn)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'spent_on must be a date in YYYY-MM-DD format'
+      });
+    }
+
+    const memberIds = group.members.map(member => member.uuid);
+    const participants = req.body.participants ?? memberIds.map(member => ({ uuid: member }));
+    const { shares, error } = splitExpense(amount, method, participants);
+    const outsider = [paidBy, ...(shares || []).map(share => share.uuid)].find(member => !memberIds.includes(member));
+    if (error || outsider) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error || 'The payer and everyone in the split must be members of the group'
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(`
+      INSERT INTO group_expenses (group_id, title, amount, paid_by, split_method, spent_on, transaction_id, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [group.id, String(title).trim(), amount, paidBy, method, spentOn, transactionId ?? null, uuid]);
+    await client.query(`
+      INSERT INTO group_expense_shares (expense_id, uuid, value, amount)
+      SELECT $1, member, value, amount FROM unnest($2::uuid[], $3::numeric[], $4::numeric[]) AS s(member, value, amount)
+    `, [rows[0].id, shares.map(share => share.uuid), shares.map(share => share.value), shares.map(share => share.amount)]);
+    await client.query('COMMIT');
+
+    const expenses = await expenseGroupService.getExpenses(pool, group.id);
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Group expense added successfully',
+      data: expenses.find(expense => expense.id === rows[0].id)
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error adding group expense:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to add group expense'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Delete a group expense; whoever added or paid for it can
+ * @route DELETE /api/groups/:id/expenses/:expenseId
+ */
+export const deleteGroupExpense = async (req, res) => {
+  try {
+    const { id, expenseId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const { rows } = await pool.query(`
+      DELETE FROM group_expenses e
+      WHERE e.id = $1 AND e.group_id = $2 AND (e.created_by = $3 OR e.paid_by = $3)
+      RETURNING ${expenseGroupService.EXPENSE_COLUMNS}
+    `, [expenseId, group.id, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Expense not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Group expense deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting group expense:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete group expense'
+    });
+  }
+};
+
+/**
+ * Get a group's settlements, newest first
+ * @route GET /api/groups/:id/settlements
+ */
+export const getGroupSettlements = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const settlements = await expenseGroupService.getSettlements(pool, group.id);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Group settlements retrieved successfully',
+      count: settlements.length,
+      data: settlements
+    });
+  } catch (error) {
+    console.error('Error retrieving group settlements:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve group settlements'
+    });
+  }
+};
+
+/**
+ * Record a payment from the user to another member and book it for both: an expense for the payer and
+ * income for the receiver, in the group's currency and each member's default account
+ * Only the payer records a payment, since it books an expense in their ledger, and never for more than
+ * they owe or the receiver is owed
+ * Body: to (member UUID), amount (defaults to the suggested payment between them), settled_on (default today)
+ * @route POST /api/groups/:id/settlements
+ */
+export const settleUp = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { to, settled_on: settledOn = today() } = req.body;
+    const from = uuid;
+
+    const group = await findGroup(uuid, id);
+    if (!group) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const memberIds = group.members.map(member => member.uuid);
+    if (!memberIds.includes(to) || to === from) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'to must be another member of the group'
+      });
+    }
+    if (req.body.from !== undefined && req.body.from !== uuid) {
+      return res.status(StatusCodes.FORBIDDEN).json({
+        success: false,
+        message: 'Only the member who paid can record a settlement'
+      });
+    }
+    if (!isValidDay(settledOn)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'settled_on must be a date in YYYY-MM-DD format'
+      });
+    }
+
+    // Settlements of one group run one at a time, so the balances and the cap below stay true until COMMIT
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows: locked } = await client.query('SELECT id FROM expense_groups WHERE id = $1 FOR UPDATE', [group.id]);
+    if (locked.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const { balances, suggested } = await expenseGroupService.getGroupBalances(client, group);
+    let { amount } = req.body;
+    if (amount === undefined || amount === null || amount === '') {
+      const payment = suggested.find(entry => entry.from === from && entry.to === to);
+      if (!payment) {
+        await client.query('ROLLBACK');
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: 'No payment between these members is suggested; provide the amount'
+        });
+      }
+      amount = payment.amount;
+    }
+    if (!(Number(amount) > 0)) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'amount must be a positive number'
+      });
+    }
+
+    const names = new Map(group.members.map(member => [member.uuid, member.username || member.email]));
+    const entry = { amount: Math.round(Number(amount) * 100) / 100, currency: group.currency, day: settledOn };
+
+    // A payment past what is owed would only flip the debt around
+    const balanceOf = member => balances.find(balance => balance.uuid === member)?.balance || 0;
+    const payable = Math.min(-balanceOf(from), balanceOf(to));
+    if (entry.amount > payable) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: payable > 0
+          ? `amount can be at most ${payable}, what is left to settle between you`
+          : `You do not owe ${names.get(to)} anything in this group`
+      });
+    }
+
+    const paid = await expenseGroupService.bookSettlementTransaction(client, 'from', {
+      ...entry,
+      uuid: from,
+      title: `Settle-up to ${names.get(to)} (${group.name})`
+    });
+    const received = await expenseGroupService.bookSettlementTransaction(client, 'to', {
+      ...entry,
+      uuid: to,
+      title: `Settle-up from ${names.get(from)} (${group.name})`
+    });
+    for (const transaction of [paid, received]) {
+      await recordRevision(client, {
+        entityType: 'transaction',
+        entityId: transaction.id,
+        uuid: transaction.uuid,
+        action: 'created',
+        actor: actorFromRequest(req)
+      });
+    }
+    const { rows } = await client.query(`
+      INSERT INTO group_settlements AS s (group_id, from_uuid, to_uuid, amount, settled_on, from_transaction_id, to_transaction_id, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${expenseGroupService.SETTLEMENT_COLUMNS}
+    `, [group.id, from, to, entry.amount, settledOn, paid.id, received.id, uuid]);
+    await client.query('COMMIT');
+
+    // The payer's side is an expense, so it can push their budgets over; only the payer hears about it
+    const budgetAlerts = await evaluateBudgetThresholds(from, [paid]);
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Settlement recorded successfully',
+      data: {
+        ...rows[0],
+        amount: parseFloat(rows[0].amount),
+        ...(await expenseGroupService.getGroupBalances(pool, group))
+      },
+      budgetAlerts
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error recording settlement:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to record settlement'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
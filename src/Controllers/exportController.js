@@ -0,0 +1,116 @@
+import { once } from 'events';
+import QueryStream from 'pg-query-stream';
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import { buildTransactionFilters } from '../utils/transactionFilters.js';
+import { createFormatter, EXPORT_FORMATS } from '../utils/exportFormatters.js';
+import { getBaseCurrency, convertedAmountSql, exchangeRateSql } from '../services/currencyService.js';
+import { transactionLinesSql, toLine } from '../services/transactionService.js';
+
+// Rows fetched from the server-side cursor per round trip
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Stream a user's transactions as CSV, OFX or JSON Lines
+ * Split transactions are exported as one row per split line, each carrying the transaction's tags
+ * Query: format, from, to, type, tags (plus the other GET /api/transactions filters)
+ * @route GET /api/transactions/export
+ */
+export const exportTransactions = async (req, res) => {
+  const uuid = req.user.uuid; // From auth middleware
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  const filters = buildTransactionFilters(req.query, uuid);
+  if (filters.error) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: filters.error
+    });
+  }
+
+  const where = filters.conditions.join(' AND ');
+  const baseRef = `$${filters.values.length + 1}`;
+  let client;
+
+  try {
+    // OFX needs the statement period and closing balance (in the base currency) before the first row;
+    // transfers between the user's own accounts leave the overall balance unchanged
+    const currency = await getBaseCurrency(uuid);
+    let meta = { uuid, currency };
+    if (format === 'ofx') {
+      const { rows } = await pool.query(`
+        SELECT
+          MIN(created_at) AS start_date,
+          MAX(created_at) AS end_date,
+          COALESCE(SUM(CASE type
+            WHEN 'Income' THEN ${convertedAmountSql(baseRef)}
+            WHEN 'Expense' THEN -${convertedAmountSql(baseRef)}
+            ELSE 0
+          END), 0) AS balance
+        FROM transactions
+        WHERE ${where}
+      `, [...filters.values, currency]);
+      meta = {
+        ...meta,
+        startDate: rows[0].start_date,
+        endDate: rows[0].end_date,
+        balance: rows[0].balance
+      };
+    }
+
+    const formatter = createFormatter(format, meta);
+
+    client = await pool.connect();
+    // OFX rows in another currency carry the rate to the statement currency
+    const lines = transactionLinesSql();
+    const order = 'ORDER BY created_at ASC, id ASC, split_id ASC';
+    const tags = `ARRAY(
+      SELECT g.name FROM transaction_tags tt JOIN tags g ON g.id = tt.tag_id
+      WHERE tt.transaction_id = transactions.id ORDER BY g.name
+    ) AS tags`;
+    const stream = client.query(new QueryStream(
+      format === 'ofx'
+        ? `SELECT *, ${exchangeRateSql(baseRef)} AS base_rate FROM ${lines} WHERE ${where} ${order}`
+        : `SELECT *, ${tags} FROM ${lines} WHERE ${where} ${order}`,
+      format === 'ofx' ? [...filters.values, currency] : filters.values,
+      { batchSize: EXPORT_BATCH_SIZE }
+    ));
+
+    // Stop reading from Postgres if the client goes away mid-download
+    res.on('close', () => stream.destroy());
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const fileName = `transactions-${new Date().toISOString().split('T')[0]}.${extension}`;
+    res.status(StatusCodes.OK);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    res.write(formatter.header());
+    for await (const row of stream) {
+      if (!res.write(formatter.row(toLine(row)))) {
+        // Wait for the socket to catch up, or give up if it closes meanwhile
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+    res.end(formatter.footer());
+  } catch (error) {
+    console.error('Error exporting transactions:', error);
+    if (!res.headersSent) {
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: 'Failed to export transactions'
+      });
+    }
+    // Headers are gone, so the only way to signal failure is to cut the download short
+    res.destroy(error);
+  } finally {
+    if (client) client.release();
+  }
+};
@@ -1,13 +1,114 @@
 import pool from '../database/db.js';
 import { StatusCodes } from 'http-status-codes';
+import { actorFromRequest, getSnapshot, recordRevision } from '../services/historyService.js';
+import { purgeAtSql, TRASH_RETENTION_DAYS } from '../services/trashService.js';
+import * as goalService from '../services/goalService.js';
+import { getBaseCurrency } from '../services/currencyService.js';
+import { sharedAccessSql } from '../services/householdService.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { GOAL_STATUSES, validateGoalAmounts, checkStatusChange, surplusBands, forecastGoals } from '../utils/goals.js';
+import { today, isValidDay } from '../utils/recurrence.js';
+import { EDITOR_ROLES } from '../utils/households.js';
+
+// Initialize database on module load
+goalService.initDatabase();
+
+// Full months of history the surplus is averaged over unless ?months= says otherwise
+const DEFAULT_FORECAST_MONTHS = 6;
+const MAX_FORECAST_MONTHS = 36;
+
+/**
+ * Read ?weights=12:2,15:1 (goal id: share of the surplus)
+ * @param {string} value - Query value
+ * @returns {Object} { weights } as a Map of goal id to weight (null when not given), or { error }
+ */
+function parseWeights(value) {
+  if (value === undefined || value === '') return { weights: null };
+  const weights = new Map();
+  for (const pair of String(value).split(',')) {
+    const [id, weight] = pair.split(':').map(part => part.trim());
+    if (!/^\d+$/.test(id) || !(Number(weight) >= 0)) {
+      return { error: 'weights must be a comma-separated list of goalId:weight pairs, e.g. 12:2,15:1' };
+    }
+    weights.set(Number(id), Number(weight));
+  }
+  return { weights };
+}
+
+/**
+ * Forecast the user's own active goals from their recent monthly surplus
+ * By default the surplus is shared in proportion to what each goal needs per month to finish on time;
+ * custom weights show how reallocating changes each date, with goals left out of them getting nothing
+ * until the others are reached
+ * @param {string} uuid - User UUID
+ * @param {Object} query - Express req.query with optional months and weights
+ * @returns {Object} { currency, surplus, goals, reallocated, skipped } or { error }
+ */
+async function buildGoalForecast(uuid, query) {
+  const months = query.months !== undefined ? parseInt(query.months, 10) : DEFAULT_FORECAST_MONTHS;
+  if (isNaN(months) || months < 1 || months > MAX_FORECAST_MONTHS) {
+    return { error: `months must be a whole number from 1 to ${MAX_FORECAST_MONTHS}` };
+  }
+  const { weights, error } = parseWeights(query.weights);
+  if (error) return { error };
+  
+  const currency = await getBaseCurrency(uuid);
+  const day = today();
+  const [history, goals] = await Promise.all([
+    goalService.getMonthlySurplus(uuid, months, currency, day),
+    goalService.getGoalsWithProgress(uuid, { statuses: ['active'], baseCurrency: currency, ownOnly: true }, day)
+  ]);
+  const surplus = { ...surplusBands(history), history };
+  
+  // Only active goals with a target and money still to save compete for the surplus
+  const competing = [];
+  const skipped = [];
+  goals.forEach(goal => {
+    if (!goal.progress || goal.progress.remaining === 0) return;
+    if (goal.base_rate === null) {
+      skipped.push({ id: goal.id, name: goal.name, reason: `No exchange rate into ${currency}` });
+      return;
+    }
+    competing.push({
+      id: goal.id,
+      name: goal.name,
+      remaining: goal.progress.remaining * goal.base_rate,
+      deadline: goal.deadline,
+      weight: (goal.progress.requiredMonthly ?? goal.progress.remaining) * goal.base_rate
+    });
+  });
+  
+  const planned = forecastGoals(competing, surplus.bands, day);
+  let reallocated = null;
+  if (weights) {
+    const unknown = [...weights.keys()].filter(id => !competing.some(goal => goal.id === id));
+    if (unknown.length > 0) {
+      return { error: `weights refer to goals that are not active with money left to save: ${unknown.join(', ')}` };
+    }
+    const daysBetween = (from, to) => (from && to ? Math.round((Date.parse(to) - Date.parse(from)) / 86400000) : null);
+    reallocated = forecastGoals(
+      competing.map(goal => ({ ...goal, weight: weights.get(goal.id) ?? 0 })),
+      surplus.bands,
+      day
+    ).map((goal, index) => ({
+      ...goal,
+      expectedChangeDays: daysBetween(planned[index].completion.expected, goal.completion.expected)
+    }));
+  }
+  
+  return { currency, surplus, goals: planned, reallocated, skipped };
+}
 
 /**
  * Create a new financial goal
+ * Body: name, timeLimit, description, is_completed, and optionally target_amount, starting_amount (already
+ * saved, default 0) and currency (defaults to the base currency)
  * @route POST /api/goals
  */
 export const createGoal = async (req, res) => {
+  let client;
   try {
-    const { name, description, timeLimit, is_completed } = req.body;
+    const { name, description, timeLimit, is_completed, target_amount, starting_amount } = req.body;
     const uuid = req.user.uuid; // From auth middleware
     
     // Validate required fields
@@ -18,47 +119,98 @@ export const createGoal = async (req, res) => {
       });
     }
     
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : await getBaseCurrency(uuid);
+    const validationError = validateGoalAmounts({ target_amount, starting_amount })
+      || (!currency ? 'Currency must be a three-letter ISO code such as "INR"' : null);
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
     const query = `
-      INSERT INTO goals (uuid, name, description, timeLimit, is_completed)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO goals (uuid, name, description, timeLimit, is_completed, target_amount, starting_amount, currency, status, status_changed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
       RETURNING *
     `;
     
     // Use default false for is_completed if not provided
     const completedStatus = is_completed !== undefined ? is_completed : false;
+    const status = completedStatus ? 'achieved' : 'active';
     
-    const values = [uuid, name, description, timeLimit, completedStatus];
-    const { rows } = await pool.query(query, values);
+    const values = [uuid, name, description, timeLimit, completedStatus, target_amount ?? null, starting_amount ?? 0, currency, status];
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(query, values);
+    await client.query(`
+      INSERT INTO goal_status_history (uuid, goal_id, from_status, to_status, reason, changed_by)
+      VALUES ($1, $2, NULL, $3, 'created', $1)
+    `, [uuid, rows[0].id, status]);
+    // A goal whose starting amount already covers the target is completed straight away
+    await goalService.completeGoalIfReached(client, rows[0].id, uuid);
+    await recordRevision(client, {
+      entityType: 'goal',
+      entityId: rows[0].id,
+      uuid,
+      action: 'created',
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
     
+    const [data] = await goalService.getGoalsWithProgress(uuid, { id: rows[0].id });
     return res.status(StatusCodes.CREATED).json({
       success: true,
       message: 'Financial goal created successfully',
-      data: rows[0]
+      data
     });
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('Error creating goal:', error);
     return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to create financial goal'
     });
+  } finally {
+    if (client) client.release();
   }
 };
 
 /**
- * Update a financial goal
+ * Update a financial goal; owners and members of a household it is shared with can update it too
+ * Body: any of the fields accepted on create; the goal is completed once the new amounts reach the target
  * @route PUT /api/goals/:id
  */
 export const updateGoal = async (req, res) => {
+  let client;
   try {
     const { id } = req.params;
-    const { name, description, timeLimit, is_completed } = req.body;
+    const { name, description, timeLimit, is_completed, target_amount, starting_amount } = req.body;
     const uuid = req.user.uuid; // From auth middleware
     
-    // Verify goal belongs to user
-    const verifyQuery = 'SELECT * FROM goals WHERE id = $1 AND uuid = $2';
-    const verifyResult = await pool.query(verifyQuery, [id, uuid]);
+    const currency = req.body.currency !== undefined ? normalizeCurrency(req.body.currency) : undefined;
+    const validationError = validateGoalAmounts({ target_amount, starting_amount })
+      || (currency === null ? 'Currency must be a three-letter ISO code such as "INR"' : null);
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    // Verify the user can change the goal, and hold it until the revision is recorded
+    const verifyQuery = `
+      SELECT g.* FROM goals g
+      WHERE g.id = $1 AND ${sharedAccessSql('g', '$2', EDITOR_ROLES)} AND g.deleted_at IS NULL
+      FOR UPDATE
+    `;
+    const verifyResult = await client.query(verifyQuery, [id, uuid]);
     
     if (verifyResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(StatusCodes.NOT_FOUND).json({
         success: false,
         message: 'Goal not found or not authorized to update'
@@ -68,98 +220,245 @@ export const updateGoal = async (req, res) => {
     // Update the goal
     const query = `
       UPDATE goals
-      SET name = $1, description = $2, timeLimit = $3, is_completed = $4
-      WHERE id = $5 AND uuid = $6
-      RETURNING *
+      SET name = $1, description = $2, timeLimit = $3,
+        target_amount = $4, starting_amount = $5, currency = $6
+      WHERE id = $7 AND uuid = $8
+      RETURNING *, timelimit::date::text AS deadline
     `;
     
     const values = [
       name || verifyResult.rows[0].name,
       description !== undefined ? description : verifyResult.rows[0].description,
       timeLimit || verifyResult.rows[0].timelimit,
-      is_completed !== undefined ? is_completed : verifyResult.rows[0].is_completed,
+      target_amount !== undefined ? target_amount : verifyResult.rows[0].target_amount,
+      starting_amount !== undefined && starting_amount !== null ? starting_amount : verifyResult.rows[0].starting_amount,
+      currency || verifyResult.rows[0].currency,
       id,
-      uuid
+      verifyResult.rows[0].uuid
     ];
     
-    const { rows } = await pool.query(query, values);
+    const before = await getSnapshot(client, 'goal', verifyResult.rows[0].id);
+    const { rows } = await client.query(query, values);
     
+    // is_completed from older clients asks for a status change; a missed goal whose timeLimit
+    // moves into the future is open again
+    const goal = rows[0];
+    const day = today();
+    const requestedStatus = is_completed === true ? 'achieved'
+      : is_completed === false && goal.status === 'achieved' ? 'active'
+      : null;
+    if (requestedStatus && requestedStatus !== goal.status) {
+      const statusError = checkStatusChange(goal, requestedStatus, day);
+      if (statusError) {
+        await client.query('ROLLBACK');
+        return res.status(StatusCodes.CONFLICT).json({
+          success: false,
+          message: statusError
+        });
+      }
+      await goalService.setGoalStatus(client, goal, requestedStatus, { reason: 'user', changedBy: uuid });
+    } else if (goal.status === 'missed' && goal.deadline >= day) {
+      await goalService.setGoalStatus(client, goal, 'active', { reason: 'deadline_extended', changedBy: uuid });
+    }
+    
+    // The goal's history stays with its owner whoever in the household changed it
+    await goalService.completeGoalIfReached(client, rows[0].id, goal.uuid);
+    await recordRevision(client, {
+      entityType: 'goal',
+      entityId: rows[0].id,
+      uuid: goal.uuid,
+      action: 'updated',
+      before,
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+    
+    const [data] = await goalService.getGoalsWithProgress(uuid, { id: rows[0].id });
     return res.status(StatusCodes.OK).json({
       success: true,
       message: 'Goal updated successfully',
-      data: rows[0]
+      data
     });
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('Error updating goal:', error);
     return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to update goal'
     });
+  } finally {
+    if (client) client.release();
   }
 };
 
 /**
- * Delete a financial goal
+ * Move a financial goal to the trash; it can be restored until the retention window ends
+ * Only the goal's owner can delete it, which also stops sharing it
  * @route DELETE /api/goals/:id
  */
 export const deleteGoal = async (req, res) => {
+  let client;
   try {
     const { id } = req.params;
     const uuid = req.user.uuid; // From auth middleware
     
-    const query = 'DELETE FROM goals WHERE id = $1 AND uuid = $2 RETURNING *';
-    const { rows } = await pool.query(query, [id, uuid]);
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const query = `
+      UPDATE goals SET deleted_at = NOW(), household_id = NULL
+      WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL
+      RETURNING *, ${purgeAtSql()} AS purge_at
+    `;
+    const { rows } = await client.query(query, [id, uuid]);
     
     if (rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(StatusCodes.NOT_FOUND).json({
         success: false,
         message: 'Goal not found or not authorized to delete'
       });
     }
     
+    await recordRevision(client, {
+      entityType: 'goal',
+      entityId: rows[0].id,
+      uuid,
+      action: 'deleted',
+      before: await getSnapshot(client, 'goal', rows[0].id),
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+    
     return res.status(StatusCodes.OK).json({
       success: true,
-      message: 'Goal deleted successfully',
+      message: `Goal moved to the trash; it can be restored for ${TRASH_RETENTION_DAYS} days`,
       data: rows[0]
     });
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('Error deleting goal:', error);
     return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to delete goal'
     });
+  } finally {
+    if (client) client.release();
   }
 };
 
 /**
- * Get all financial goals for a user
- * @route GET /api/goals
+ * Get the goals in the trash, most recently deleted first
+ * @route GET /api/goals/trash
  */
-export const getGoals = async (req, res) => {
+export const getDeletedGoals = async (req, res) => {
   try {
     const uuid = req.user.uuid; // From auth middleware
-    const currentDate = new Date().toISOString().split('T')[0]; // Get current date in YYYY-MM-DD format
     
-    // First, retrieve all goals
-    const query = 'SELECT * FROM goals WHERE uuid = $1 ORDER BY timeLimit ASC';
+    const query = `
+      SELECT *, ${purgeAtSql()} AS purge_at
+      FROM goals
+      WHERE uuid = $1 AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC, id DESC
+    `;
     const { rows } = await pool.query(query, [uuid]);
     
-    // Check for expired goals and update them if needed
-    for (let i = 0; i < rows.length; i++) {
-      const goal = rows[i];
-      // If the goal's timeLimit has passed and it's not completed, mark it as failed
-      if (goal.timelimit < currentDate && !goal.is_completed) {
-        const updateQuery = `
-          UPDATE goals 
-          SET is_completed = false 
-          WHERE id = $1 AND uuid = $2
-          RETURNING *
-        `;
-        const updateResult = await pool.query(updateQuery, [goal.id, uuid]);
-        rows[i] = updateResult.rows[0]; // Update the row in our results
-      }
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Deleted goals retrieved successfully',
+      count: rows.length,
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving deleted goals:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve deleted goals'
+    });
+  }
+};
+
+/**
+ * Restore a financial goal from the trash
+ * @route POST /api/goals/:id/restore
+ */
+export const restoreGoal = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const query = `
+      UPDATE goals SET deleted_at = NULL
+      WHERE id = $1 AND uuid = $2 AND deleted_at IS NOT NULL
+      RETURNING *
+    `;
+    const { rows } = await client.query(query, [id, uuid]);
+    
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Goal not found in the trash'
+      });
     }
     
+    await recordRevision(client, {
+      entityType: 'goal',
+      entityId: rows[0].id,
+      uuid,
+      action: 'restored',
+      before: await getSnapshot(client, 'goal', rows[0].id),
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Goal restored successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error restoring goal:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to restore goal'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Get all financial goals for a user, including the goals shared with their households
+ * Goals with a target amount include progress: saved, remaining, percent, the monthly contribution
+ * still needed to reach the target by timeLimit, and whether they are on track or behind.
+ * Statuses are kept current by the goal status job, so reading never writes
+ * Query: status (comma-separated statuses, or "all"; default every status but archived)
+ * @route GET /api/goals
+ */
+export const getGoals = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    
+    const requested = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : null;
+    if (requested && !requested.includes('all') && requested.some(status => !GOAL_STATUSES.includes(status))) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `status must be "all" or a comma-separated list of: ${GOAL_STATUSES.join(', ')}`
+      });
+    }
+    const statuses = !requested ? GOAL_STATUSES.filter(status => status !== 'archived')
+      : requested.includes('all') ? null
+      : requested;
+    
+    const rows = await goalService.getGoalsWithProgress(uuid, { statuses });
+    
     return res.status(StatusCodes.OK).json({
       success: true,
       message: 'Goals retrieved successfully',
@@ -173,4 +472,403 @@ export const getGoals = async (req, res) => {
       message: 'Failed to retrieve goals'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the contributions to a goal, newest first, with how much each member has put in
+ * @route GET /api/goals/:id/contributions
+ */
+export const getGoalContributions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    const [goal] = await goalService.getGoalsWithProgress(uuid, { id });
+    if (!goal) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+    
+    const query = `
+      SELECT ${goalService.CONTRIBUTION_COLUMNS}
+      FROM goal_contributions
+      WHERE goal_id = $1
+      ORDER BY contributed_on DESC, id DESC
+    `;
+    const { rows } = await pool.query(query, [goal.id]);
+    const byMember = await goalService.getContributionsByMember(goal.id);
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Goal contributions retrieved successfully',
+      count: rows.length,
+      goal,
+      byMember,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving goal contributions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve goal contributions'
+    });
+  }
+};
+
+/**
+ * Add a contribution to a goal, completing the goal when it reaches its target
+ * The contribution is credited to the user, who can be an owner or member of a household the goal is shared with
+ * Body: amount (negative to take money back out), contributed_on (default today) and note; or
+ * transactionId to count a transaction, with amount defaulting to the transaction converted into the
+ * goal's currency and contributed_on to its date
+ * @route POST /api/goals/:id/contributions
+ */
+export const addGoalContribution = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const { transactionId, note } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    const amountGiven = req.body.amount !== undefined && req.body.amount !== null && req.body.amount !== '';
+    if ((amountGiven && (isNaN(Number(req.body.amount)) || Number(req.body.amount) === 0))
+      || (!amountGiven && transactionId === undefined)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a non-zero amount or a transactionId'
+      });
+    }
+    if (req.body.contributed_on !== undefined && !isValidDay(req.body.contributed_on)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'contributed_on must be a date in YYYY-MM-DD format'
+      });
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    // Hold the goal until the contribution and any completion are recorded
+    const { rows: goals } = await client.query(`
+      SELECT g.* FROM goals g
+      WHERE g.id = $1 AND ${sharedAccessSql('g', '$2', EDITOR_ROLES)} AND g.deleted_at IS NULL
+      FOR UPDATE
+    `, [id, uuid]);
+    if (goals.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Goal not found or not authorized to update'
+      });
+    }
+    const goal = goals[0];
+    
+    let amount = amountGiven ? Number(req.body.amount) : null;
+    let contributedOn = req.body.contributed_on || today();
+    let linkedTransactionId = null;
+    
+    if (transactionId !== undefined) {
+      const { rows: transactions } = await client.query(`
+        SELECT id, created_at::date::text AS day,
+          amount * fx_rate(uuid, currency, COALESCE($3, currency), created_at::date) AS goal_amount
+        FROM transactions
+        WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL
+      `, [transactionId, uuid, goal.currency]);
+      if (transactions.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+      if (amount === null && transactions[0].goal_amount === null) {
+        await client.query('ROLLBACK');
+        return res.status(StatusCodes.UNPROCESSABLE_ENTITY).json({
+          success: false,
+          message: `No exchange rate into ${goal.currency}; provide the amount`
+        });
+      }
+      amount = amount ?? Math.round(parseFloat(transactions[0].goal_amount) * 100) / 100;
+      contributedOn = req.body.contributed_on || transactions[0].day;
+      linkedTransactionId = transactions[0].id;
+    }
+    
+    const query = `
+      INSERT INTO goal_contributions (uuid, goal_id, amount, contributed_on, note, transaction_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${goalService.CONTRIBUTION_COLUMNS}
+    `;
+    const { rows } = await client.query(query, [uuid, goal.id, amount, contributedOn, note || null, linkedTransactionId]);
+    
+    const before = await getSnapshot(client, 'goal', goal.id);
+    if (await goalService.completeGoalIfReached(client, goal.id, goal.uuid)) {
+      await recordRevision(client, {
+        entityType: 'goal',
+        entityId: goal.id,
+        uuid: goal.uuid,
+        action: 'updated',
+        before,
+        actor: actorFromRequest(req)
+      });
+    }
+    await client.query('COMMIT');
+    
+    const [updatedGoal] = await goalService.getGoalsWithProgress(uuid, { id: goal.id });
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Contribution added successfully',
+      goal: updatedGoal,
+      data: rows[0]
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'This transaction already counts towards a goal'
+      });
+    }
+    console.error('Error adding goal contribution:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to add goal contribution'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Remove a contribution from a goal; a goal that was already completed stays completed
+ * Members can remove their own contributions, and the goal's owner can remove anyone's;
+ * either way the user must still be able to edit the goal, so a member demoted to viewer cannot
+ * @route DELETE /api/goals/:id/contributions/:contributionId
+ */
+export const deleteGoalContribution = async (req, res) => {
+  try {
+    const { id, contributionId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    const query = `
+      DELETE FROM goal_contributions c
+      WHERE id = $1 AND goal_id = $2
+        AND EXISTS (
+          SELECT 1 FROM goals g
+          WHERE g.id = c.goal_id AND ${sharedAccessSql('g', '$3', EDITOR_ROLES)} AND g.deleted_at IS NULL
+            AND (c.uuid = $3 OR g.uuid = $3)
+        )
+      RETURNING ${goalService.CONTRIBUTION_COLUMNS}
+    `;
+    const { rows } = await pool.query(query, [contributionId, id, uuid]);
+    
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Contribution not found or not authorized to delete'
+      });
+    }
+    
+    const [goal] = await goalService.getGoalsWithProgress(uuid, { id: rows[0].goal_id });
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Contribution removed successfully',
+      goal,
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error removing goal contribution:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to remove goal contribution'
+    });
+  }
+};
+
+/**
+ * Move a goal to another status: pause or resume it, archive it, reopen it, or mark it achieved by hand
+ * Body: status
+ * @route PUT /api/goals/:id/status
+ */
+export const updateGoalStatus = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const { rows: goals } = await client.query(`
+      SELECT g.*, g.timelimit::date::text AS deadline FROM goals g
+      WHERE g.id = $1 AND ${sharedAccessSql('g', '$2', EDITOR_ROLES)} AND g.deleted_at IS NULL
+      FOR UPDATE
+    `, [id, uuid]);
+    if (goals.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Goal not found or not authorized to update'
+      });
+    }
+    
+    const statusError = checkStatusChange(goals[0], status, today());
+    if (statusError) {
+      await client.query('ROLLBACK');
+      return res.status(GOAL_STATUSES.includes(status) ? StatusCodes.CONFLICT : StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: statusError
+      });
+    }
+    
+    const before = await getSnapshot(client, 'goal', goals[0].id);
+    await goalService.setGoalStatus(client, goals[0], status, { reason: 'user', changedBy: uuid });
+    await recordRevision(client, {
+      entityType: 'goal',
+      entityId: goals[0].id,
+      uuid: goals[0].uuid,
+      action: 'updated',
+      before,
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+    
+    const [data] = await goalService.getGoalsWithProgress(uuid, { id: goals[0].id });
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Goal is now ${status}`,
+      data
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error updating goal status:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update goal status'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Get the status changes of a goal, newest first
+ * @route GET /api/goals/:id/status-history
+ */
+export const getGoalStatusHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    const query = `
+      SELECT h.id, h.from_status, h.to_status, h.reason, h.changed_by, h.created_at
+      FROM goal_status_history h
+      JOIN goals g ON g.id = h.goal_id
+      WHERE h.goal_id = $1 AND ${sharedAccessSql('g', '$2')}
+      ORDER BY h.created_at DESC, h.id DESC
+    `;
+    const { rows } = await pool.query(query, [id, uuid]);
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Goal status history retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving goal status history:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve goal status history'
+    });
+  }
+};
+
+/**
+ * Forecast when each active goal will be reached from the user's recent income and expenses
+ * Query: months (full months of history, default 6), weights (goalId:weight pairs to try another split)
+ * @route GET /api/goals/forecast
+ */
+export const getGoalForecasts = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    
+    const { error, ...data } = await buildGoalForecast(uuid, req.query);
+    if (error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Goal forecasts retrieved successfully',
+      count: data.goals.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error forecasting goals:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to forecast goals'
+    });
+  }
+};
+
+/**
+ * Forecast when one goal will be reached, sharing the surplus with the other active goals
+ * Query: as for GET /api/goals/forecast
+ * @route GET /api/goals/:id/forecast
+ */
+export const getGoalForecast = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    const [goal] = await goalService.getGoalsWithProgress(uuid, { id });
+    if (!goal) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+    
+    const { error, currency, surplus, goals, reallocated, skipped } = await buildGoalForecast(uuid, req.query);
+    if (error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const forecast = goals.find(entry => entry.id === goal.id);
+    if (!forecast) {
+      const reason = skipped.find(entry => entry.id === goal.id)?.reason;
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: reason || 'Only your own active goals with a target amount and money left to save can be forecast'
+      });
+    }
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Goal forecast retrieved successfully',
+      data: {
+        currency,
+        surplus,
+        forecast,
+        reallocated: reallocated ? reallocated.find(entry => entry.id === goal.id) : null,
+        competingGoals: goals.length - 1
+      }
+    });
+  } catch (error) {
+    console.error('Error forecasting goal:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to forecast goal'
+    });
+  }
+};
@@ -0,0 +1,236 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as historyService from '../services/historyService.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+import { evaluateBudgetThresholds } from '../services/budgetService.js';
+import { toTransactionResponse } from '../services/transactionService.js';
+
+// Initialize database on module load
+historyService.initDatabase();
+
+const LABELS = { transaction: 'Transaction', goal: 'Goal' };
+
+/**
+ * Respond with the revisions of one of the user's records (records in the trash included)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} entityType - A HISTORY_ENTITIES key
+ */
+async function sendHistory(req, res, entityType) {
+  const { id } = req.params;
+  const uuid = req.user.uuid; // From auth middleware
+  const { table } = historyService.HISTORY_ENTITIES[entityType];
+
+  const { rows } = await pool.query(`SELECT id, deleted_at FROM ${table} WHERE id = $1 AND uuid = $2`, [id, uuid]);
+  if (rows.length === 0) {
+    return res.status(StatusCodes.NOT_FOUND).json({
+      success: false,
+      message: `${LABELS[entityType]} not found or not authorized`
+    });
+  }
+
+  const revisions = await historyService.getRevisions(pool, entityType, rows[0].id, uuid);
+
+  return res.status(StatusCodes.OK).json({
+    success: true,
+    message: `${LABELS[entityType]} history retrieved successfully`,
+    count: revisions.length,
+    deletedAt: rows[0].deleted_at,
+    data: revisions
+  });
+}
+
+/**
+ * Put one of the user's records back to how it was after a revision, recording the revert
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} entityType - A HISTORY_ENTITIES key
+ * @param {Function} check - Optional (existing, snapshot) => error message for reverts this record cannot take
+ */
+async function revertToRevision(req, res, entityType, check) {
+  const { id, revision } = req.params;
+  const uuid = req.user.uuid; // From auth middleware
+  const { table } = historyService.HISTORY_ENTITIES[entityType];
+  const label = LABELS[entityType];
+
+  if (!/^\d+$/.test(revision)) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'revision must be a revision number'
+    });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(`SELECT * FROM ${table} WHERE id = $1 AND uuid = $2 FOR UPDATE`, [id, uuid]);
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: `${label} not found or not authorized to update`
+      });
+    }
+
+    const existing = rows[0];
+    if (existing.deleted_at) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: `${label} is in the trash; restore it before reverting`
+      });
+    }
+
+    const { rows: revisions } = await client.query(
+      'SELECT * FROM revisions WHERE entity_type = $1 AND entity_id = $2 AND uuid = $3 AND revision = $4',
+      [entityType, existing.id, uuid, revision]
+    );
+    if (revisions.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const snapshot = revisions[0].snapshot;
+    const conflict = check ? check(existing, snapshot) : null;
+    if (conflict) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const before = await historyService.getSnapshot(client, entityType, existing.id);
+    let data = await historyService.applySnapshot(client, entityType, existing.id, snapshot);
+
+    // A category put back by hand is the user's choice, so rules and the LLM leave it alone
+    if (entityType === 'transaction' && data.category !== existing.category) {
+      const { rows: updated } = await client.query(
+        'UPDATE transactions SET category_source = $1 WHERE id = $2 RETURNING *',
+        [data.category ? 'manual' : null, existing.id]
+      );
+      data = updated[0];
+    }
+
+    const stored = await historyService.recordRevision(client, {
+      entityType,
+      entityId: existing.id,
+      uuid,
+      action: 'reverted',
+      before,
+      actor: historyService.actorFromRequest(req),
+      revertedTo: revisions[0].revision
+    });
+
+    await client.query('COMMIT');
+
+    const budgetAlerts = entityType === 'transaction' ? await evaluateBudgetThresholds(uuid, [data]) : undefined;
+
+    const record = entityType === 'transaction' ? toTransactionResponse(data) : data;
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `${label} reverted to revision ${revisions[0].revision}`,
+      data: record,
+      revision: stored,
+      budgetAlerts
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    // e.g. the revision points at an account that has since been deleted
+    if (error.code === '23503') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'This revision refers to something that no longer exists and cannot be restored'
+      });
+    }
+    throw error;
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * A split transaction must keep adding up, so its amount and type cannot be reverted underneath the split
+ * @param {Object} existing - Current transaction row
+ * @param {Object} snapshot - Revision snapshot
+ * @returns {string|null} Error message
+ */
+function checkTransactionRevert(existing, snapshot) {
+  if (existing.is_split
+    && (Number(snapshot.amount) !== Number(existing.amount) || snapshot.type !== existing.type)) {
+    return 'This transaction is split; remove the split before reverting its amount or type';
+  }
+  if (snapshot.type === TRANSFER_TYPE && !snapshot.to_account_id && !snapshot.holding_id) {
+    return 'This revision is a transfer without a receiving account or holding';
+  }
+  return null;
+}
+
+/**
+ * Get the revision history of a transaction, newest first
+ * @route GET /api/transactions/:id/history
+ */
+export const getTransactionHistory = async (req, res) => {
+  try {
+    return await sendHistory(req, res, 'transaction');
+  } catch (error) {
+    console.error('Error retrieving transaction history:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve transaction history'
+    });
+  }
+};
+
+/**
+ * Revert a transaction to how it was after a revision
+ * @route POST /api/transactions/:id/history/:revision/revert
+ */
+export const revertTransaction = async (req, res) => {
+  try {
+    return await revertToRevision(req, res, 'transaction', checkTransactionRevert);
+  } catch (error) {
+    console.error('Error reverting transaction:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to revert transaction'
+    });
+  }
+};
+
+/**
+ * Get the revision history of a financial goal, newest first
+ * @route GET /api/goals/:id/history
+ */
+export const getGoalHistory = async (req, res) => {
+  try {
+    return await sendHistory(req, res, 'goal');
+  } catch (error) {
+    console.error('Error retrieving goal history:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve goal history'
+    });
+  }
+};
+
+/**
+ * Revert a financial goal to how it was after a revision
+ * @route POST /api/goals/:id/history/:revision/revert
+ */
+export const revertGoal = async (req, res) => {
+  try {
+    return await revertToRevision(req, res, 'goal');
+  } catch (error) {
+    console.error('Error reverting goal:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to revert goal'
+    });
+  }
+};
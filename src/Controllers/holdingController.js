@@ -0,0 +1,622 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as holdingService from '../services/holdingService.js';
+import { getAccountsWithBalances } from '../services/accountService.js';
+import { getBaseCurrency } from '../services/currencyService.js';
+import { actorFromRequest, getSnapshot, recordRevision } from '../services/historyService.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { addDays, today, isValidDay } from '../utils/recurrence.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+import { toTransactionResponse } from '../services/transactionService.js';
+
+// Initialize database on module load
+holdingService.initDatabase();
+
+// Granularities accepted by the net-worth history, with the default window for each
+const HISTORY_INTERVALS = { day: 30, week: 182, month: 365 };
+
+// Most periods a single net-worth history request may return
+const MAX_HISTORY_PERIODS = 400;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Validate a valuation
+ * @param {Object} valuation - { value, valued_on }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateValuation({ value, valued_on }) {
+  if (value === undefined || value === null || value === '' || isNaN(Number(value)) || Number(value) < 0) {
+    return 'value must be a number of zero or more (what is owed, for a liability)';
+  }
+  if (!isValidDay(valued_on)) return 'valued_on must be a date in YYYY-MM-DD format';
+  if (valued_on > today()) return 'valued_on cannot be in the future';
+  return null;
+}
+
+/**
+ * Get the user's assets and liabilities with their current values and totals in the base currency
+ * Query: includeArchived=true to list archived holdings too
+ * @route GET /api/holdings
+ */
+export const getHoldings = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const currency = await getBaseCurrency(uuid);
+
+    const data = await holdingService.getHoldingsWithValues(uuid, currency, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+
+    // Holdings without a rate to the base currency are left out of the totals and counted instead
+    const total = kind => data
+      .filter(holding => holding.kind === kind && holding.base_value !== null)
+      .reduce((sum, holding) => sum + holding.base_value, 0);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Holdings retrieved successfully',
+      count: data.length,
+      totals: {
+        currency,
+        assets: round(total('asset')),
+        liabilities: round(total('liability')),
+        unconvertedCount: data.filter(holding => holding.base_value === null).length
+      },
+      data
+    });
+  } catch (error) {
+    console.error('Error retrieving holdings:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve holdings'
+    });
+  }
+};
+
+/**
+ * Get one holding with its valuations and the transfers into and out of it
+ * @route GET /api/holdings/:id
+ */
+export const getHolding = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const currency = await getBaseCurrency(uuid);
+
+    const [holding] = await holdingService.getHoldingsWithValues(uuid, currency, { id });
+    if (!holding) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Holding not found'
+      });
+    }
+
+    const [{ rows: valuations }, { rows: transactions }] = await Promise.all([
+      pool.query(`
+        SELECT id, valued_on::text AS valued_on, value, note, created_at
+        FROM holding_valuations WHERE holding_id = $1
+        ORDER BY valued_on DESC
+      `, [holding.id]),
+      pool.query(`
+        SELECT id, title, amount, currency, holding_flow, account_id, created_at
+        FROM transactions
+        WHERE holding_id = $1 AND uuid = $2 AND deleted_at IS NULL
+        ORDER BY created_at DESC, id DESC
+      `, [holding.id, uuid])
+    ]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Holding retrieved successfully',
+      data: { ...holding, valuations, transactions }
+    });
+  } catch (error) {
+    console.error('Error retrieving holding:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve holding'
+    });
+  }
+};
+
+/**
+ * Create an asset or liability, optionally with its first valuation
+ * Body: name, kind (asset or liability), type (e.g. fixed_deposit, mutual_fund, gold, property, loan),
+ * currency (defaults to the base currency), notes, value and valued_on (defaults to today)
+ * @route POST /api/holdings
+ */
+export const createHolding = async (req, res) => {
+  let client;
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { name, kind, type, notes, value, valued_on = today(), note } = req.body;
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : await getBaseCurrency(uuid);
+
+    const validationError = holdingService.validateHolding({ name, kind, type })
+      || (!currency ? 'Currency must be a three-letter ISO code such as "INR"' : null)
+      || (value !== undefined ? validateValuation({ value, valued_on }) : null);
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(`
+      INSERT INTO holdings (uuid, name, kind, type, currency, notes)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (uuid, name) DO NOTHING
+      RETURNING *
+    `, [uuid, String(name).trim(), kind, type, currency, notes || null]);
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'A holding with this name already exists'
+      });
+    }
+
+    if (value !== undefined) {
+      await client.query(`
+        INSERT INTO holding_valuations (holding_id, uuid, valued_on, value, note)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [rows[0].id, uuid, valued_on, value, note || null]);
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Holding created successfully',
+      data: { ...rows[0], value: value !== undefined ? Number(value) : 0 }
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error creating holding:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create holding'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Update a holding
+ * Body: any of name, type, notes, is_archived; the kind and currency stay fixed because the
+ * valuations are recorded in them
+ * @route PUT /api/holdings/:id
+ */
+export const updateHolding = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows: existingRows } = await pool.query('SELECT * FROM holdings WHERE id = $1 AND uuid = $2', [id, uuid]);
+    const existing = existingRows[0];
+
+    if (!existing) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Holding not found or not authorized to update'
+      });
+    }
+
+    const pick = field => (req.body[field] !== undefined ? req.body[field] : existing[field]);
+    const next = {
+      name: String(pick('name')).trim(),
+      kind: existing.kind,
+      type: pick('type'),
+      notes: pick('notes'),
+      is_archived: pick('is_archived') === true
+    };
+
+    const validationError = holdingService.validateHolding(next);
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { rows } = await pool.query(`
+      UPDATE holdings
+      SET name = $1, type = $2, notes = $3, is_archived = $4, updated_at = NOW()
+      WHERE id = $5 AND uuid = $6
+      RETURNING *
+    `, [next.name, next.type, next.notes || null, next.is_archived, existing.id, uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Holding updated successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'A holding with this name already exists'
+      });
+    }
+    console.error('Error updating holding:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update holding'
+    });
+  }
+};
+
+/**
+ * Delete a holding and its valuations; holdings with transfers should be archived instead
+ * @route DELETE /api/holdings/:id
+ */
+export const deleteHolding = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows: existing } = await pool.query(`
+      SELECT h.id, EXISTS (SELECT 1 FROM transactions WHERE holding_id = h.id) AS in_use
+      FROM holdings h
+      WHERE h.id = $1 AND h.uuid = $2
+    `, [id, uuid]);
+
+    if (existing.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Holding not found or not authorized to delete'
+      });
+    }
+
+    if (existing[0].in_use) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'Holding has transfers (including any in the trash); archive it instead'
+      });
+    }
+
+    const { rows } = await pool.query(
+      'DELETE FROM holdings WHERE id = $1 AND uuid = $2 RETURNING *',
+      [id, uuid]
+    );
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Holding deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    // A transfer was linked to the holding between the check and the delete
+    if (error.code === '23503') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'Holding has transfers (including any in the trash); archive it instead'
+      });
+    }
+    console.error('Error deleting holding:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete holding'
+    });
+  }
+};
+
+/**
+ * Record what a holding was worth (or how much was owed) on a day, replacing any valuation of that day
+ * Transfers on or before the day are taken to be included in the value
+ * Body: value, valued_on (defaults to today), note
+ * @route POST /api/holdings/:id/valuations
+ */
+export const addValuation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { value, valued_on = today(), note } = req.body;
+
+    const validationError = validateValuation({ value, valued_on });
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { rows } = await pool.query(`
+      INSERT INTO holding_valuations (holding_id, uuid, valued_on, value, note)
+      SELECT h.id, h.uuid, $3, $4, $5 FROM holdings h WHERE h.id = $1 AND h.uuid = $2
+      ON CONFLICT (holding_id, valued_on) DO UPDATE SET value = EXCLUDED.value, note = EXCLUDED.note, created_at = NOW()
+      RETURNING id, holding_id, valued_on::text AS valued_on, value, note, created_at
+    `, [id, uuid, valued_on, value, note || null]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Holding not found or not authorized to update'
+      });
+    }
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Valuation recorded successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error recording valuation:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to record valuation'
+    });
+  }
+};
+
+/**
+ * Delete a valuation of a holding
+ * @route DELETE /api/holdings/:id/valuations/:valuationId
+ */
+export const deleteValuation = async (req, res) => {
+  try {
+    const { id, valuationId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(`
+      DELETE FROM holding_valuations
+      WHERE id = $1 AND holding_id = $2 AND uuid = $3
+      RETURNING id, holding_id, valued_on::text AS valued_on, value, note, created_at
+    `, [valuationId, id, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Valuation not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Valuation deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting valuation:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete valuation'
+    });
+  }
+};
+
+/**
+ * Link an expense or income to a holding, turning it into a transfer
+ * An expense becomes money put into the holding (e.g. investing ₹10k in a mutual fund, repaying a loan);
+ * an income becomes money taken out of it (e.g. a maturing FD, a loan being paid out)
+ * Body: transactionId
+ * @route POST /api/holdings/:id/transactions
+ */
+export const linkTransaction = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const { transactionId } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    if (!/^\d+$/.test(String(transactionId ?? ''))) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide transactionId'
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const holding = await holdingService.findOpenHolding(client, uuid, id);
+    if (!holding) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Holding not found or archived'
+      });
+    }
+
+    const { rows: existing } = await client.query(
+      'SELECT * FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL FOR UPDATE',
+      [transactionId, uuid]
+    );
+    if (existing.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized to update'
+      });
+    }
+
+    const transaction = existing[0];
+    const conflict = transaction.type === TRANSFER_TYPE ? 'Only an expense or an income can be linked to a holding'
+      : transaction.is_split ? 'This transaction is split; remove the split before linking it'
+      : null;
+    if (conflict) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const before = await getSnapshot(client, 'transaction', transaction.id);
+    const { rows } = await client.query(`
+      UPDATE transactions
+      SET type = $1, holding_id = $2, holding_flow = $3, to_account_id = NULL, category = NULL, category_source = NULL
+      WHERE id = $4
+      RETURNING *
+    `, [TRANSFER_TYPE, holding.id, transaction.type === 'Expense' ? 'in' : 'out', transaction.id]);
+    await recordRevision(client, {
+      entityType: 'transaction',
+      entityId: transaction.id,
+      uuid,
+      action: 'updated',
+      before,
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+
+    const data = toTransactionResponse(rows[0]);
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Transaction linked to ${holding.name}`,
+      data
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error linking transaction to holding:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to link transaction'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Unlink a transfer from a holding; money put in becomes an expense again and money taken out an income
+ * @route DELETE /api/holdings/:id/transactions/:transactionId
+ */
+export const unlinkTransaction = async (req, res) => {
+  let client;
+  try {
+    const { id, transactionId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const { rows: existing } = await client.query(
+      'SELECT * FROM transactions WHERE id = $1 AND uuid = $2 AND holding_id = $3 AND deleted_at IS NULL FOR UPDATE',
+      [transactionId, uuid, id]
+    );
+    if (existing.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not linked to this holding'
+      });
+    }
+
+    const transaction = existing[0];
+    const before = await getSnapshot(client, 'transaction', transaction.id);
+    const { rows } = await client.query(`
+      UPDATE transactions
+      SET type = $1, holding_id = NULL, holding_flow = NULL
+      WHERE id = $2
+      RETURNING *
+    `, [transaction.holding_flow === 'out' ? 'Income' : 'Expense', transaction.id]);
+    await recordRevision(client, {
+      entityType: 'transaction',
+      entityId: transaction.id,
+      uuid,
+      action: 'updated',
+      before,
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+
+    const data = toTransactionResponse(rows[0]);
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Transaction unlinked from holding',
+      data
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error unlinking transaction from holding:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to unlink transaction'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Get the user's current net worth and its history
+ * Net worth is account balances plus assets minus liabilities, in the base currency
+ * Query: interval (day, week or month; default month), from, to (YYYY-MM-DD; default a window ending today)
+ * @route GET /api/net-worth
+ */
+export const getNetWorth = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { interval = 'month' } = req.query;
+
+    if (!HISTORY_INTERVALS[interval]) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`
+      });
+    }
+
+    const to = req.query.to || today();
+    const from = req.query.from || addDays(to, -HISTORY_INTERVALS[interval]);
+
+    if (!isValidDay(from) || !isValidDay(to) || from > to) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'from and to must be YYYY-MM-DD dates with from on or before to'
+      });
+    }
+
+    const periodDays = { day: 1, week: 7, month: 28 }[interval];
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 / periodDays > MAX_HISTORY_PERIODS) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Range is too long; at most ${MAX_HISTORY_PERIODS} periods can be returned`
+      });
+    }
+
+    const currency = await getBaseCurrency(uuid);
+    const [accounts, holdings, history] = await Promise.all([
+      getAccountsWithBalances(uuid, currency, { includeArchived: true }),
+      holdingService.getHoldingsWithValues(uuid, currency, { includeArchived: true }),
+      holdingService.getNetWorthHistory(uuid, currency, { from, to, interval })
+    ]);
+
+    // Anything without a rate to the base currency is left out and counted instead
+    const sum = items => items
+      .filter(item => item.base !== null)
+      .reduce((total, item) => total + item.base, 0);
+    const accountItems = accounts.map(account => ({ base: account.base_balance }));
+    const assetItems = holdings.filter(holding => holding.kind === 'asset').map(holding => ({ base: holding.base_value }));
+    const liabilityItems = holdings.filter(holding => holding.kind === 'liability').map(holding => ({ base: holding.base_value }));
+
+    const current = {
+      accounts: round(sum(accountItems)),
+      assets: round(sum(assetItems)),
+      liabilities: round(sum(liabilityItems)),
+      unconvertedCount: [...accountItems, ...assetItems, ...liabilityItems].filter(item => item.base === null).length
+    };
+    current.netWorth = round(current.accounts + current.assets - current.liabilities);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Net worth retrieved successfully',
+      currency,
+      interval,
+      current,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error retrieving net worth:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve net worth'
+    });
+  }
+};
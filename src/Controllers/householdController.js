@@ -0,0 +1,707 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as householdService from '../services/householdService.js';
+import { EDITOR_ROLES, SHAREABLE_TYPES, validateHouseholdName, validateRole } from '../utils/households.js';
+
+// Initialize database on module load
+householdService.initDatabase();
+
+const INVITATION_COLUMNS = 'id, household_id, email, invited_uuid, role, status, invited_by, created_at, responded_at';
+
+/**
+ * Find one of the user's households
+ * @param {string} uuid - User UUID
+ * @param {string} id - Household id
+ * @returns {Object|null} Household row from householdService.getHouseholds, with the user's role
+ */
+async function findHousehold(uuid, id) {
+  const [household] = await householdService.getHouseholds(uuid, id);
+  return household || null;
+}
+
+/**
+ * Reply for a household the user is not in, or not allowed to manage
+ * @param {Object} res - Express response
+ * @param {Object|null} household - From findHousehold
+ * @param {string} action - What the user tried, e.g. "invite members"
+ * @returns {Object|null} The sent response, or null when the user is the household's owner
+ */
+function rejectUnlessOwner(res, household, action) {
+  if (!household) {
+    return res.status(StatusCodes.NOT_FOUND).json({
+      success: false,
+      message: 'Household not found'
+    });
+  }
+  if (household.role !== 'owner') {
+    return res.status(StatusCodes.FORBIDDEN).json({
+      success: false,
+      message: `Only owners can ${action}`
+    });
+  }
+  return null;
+}
+
+/**
+ * Get the households the user belongs to with their members
+ * @route GET /api/households
+ */
+export const getHouseholds = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const households = await householdService.getHouseholds(uuid);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Households retrieved successfully',
+      count: households.length,
+      data: households
+    });
+  } catch (error) {
+    console.error('Error retrieving households:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve households'
+    });
+  }
+};
+
+/**
+ * Get one household with its members, what has been shared with it and, for owners, its pending invitations
+ * @route GET /api/households/:id
+ */
+export const getHousehold = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const household = await findHousehold(uuid, id);
+    if (!household) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    const shared = await householdService.getSharedItems(household.id);
+    let invitations;
+    if (household.role === 'owner') {
+      const { rows } = await pool.query(
+        `SELECT ${INVITATION_COLUMNS} FROM household_invitations WHERE household_id = $1 AND status = 'pending' ORDER BY created_at DESC`,
+        [household.id]
+      );
+      invitations = rows;
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Household retrieved successfully',
+      data: { ...household, shared, invitations }
+    });
+  } catch (error) {
+    console.error('Error retrieving household:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve household'
+    });
+  }
+};
+
+/**
+ * Create a household with the user as its owner
+ * Body: name
+ * @route POST /api/households
+ */
+export const createHousehold = async (req, res) => {
+  let client;
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { name } = req.body;
+
+    const nameError = validateHouseholdName(name);
+    if (nameError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: nameError
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'INSERT INTO households (name, created_by) VALUES ($1, $2) RETURNING id',
+      [name.trim(), uuid]
+    );
+    await client.query(
+      "INSERT INTO household_members (household_id, uuid, role) VALUES ($1, $2, 'owner')",
+      [rows[0].id, uuid]
+    );
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Household created successfully',
+      data: await findHousehold(uuid, rows[0].id)
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error creating household:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create household'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Rename a household
+ * Body: name
+ * @route PUT /api/households/:id
+ */
+export const updateHousehold = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const household = await findHousehold(uuid, id);
+    const rejected = rejectUnlessOwner(res, household, 'rename the household');
+    if (rejected) return rejected;
+
+    const nameError = validateHouseholdName(req.body.name);
+    if (nameError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: nameError
+      });
+    }
+
+    await pool.query('UPDATE households SET name = $1, updated_at = NOW() WHERE id = $2', [req.body.name.trim(), household.id]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Household updated successfully',
+      data: await findHousehold(uuid, household.id)
+    });
+  } catch (error) {
+    console.error('Error updating household:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update household'
+    });
+  }
+};
+
+/**
+ * Delete a household; everything shared with it goes back to being private to its owner
+ * @route DELETE /api/households/:id
+ */
+export const deleteHousehold = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const household = await findHousehold(uuid, id);
+    const rejected = rejectUnlessOwner(res, household, 'delete the household');
+    if (rejected) return rejected;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await householdService.unshareItems(client, household.id);
+    await client.query('DELETE FROM households WHERE id = $1', [household.id]);
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Household deleted successfully',
+      data: household
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error deleting household:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete household'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Invite a registered user to a household by email
+ * Body: email, role (owner, member or viewer; default member)
+ * @route POST /api/households/:id/invitations
+ */
+export const inviteMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { email, role = 'member' } = req.body;
+
+    const household = await findHousehold(uuid, id);
+    const rejected = rejectUnlessOwner(res, household, 'invite members');
+    if (rejected) return rejected;
+
+    const validationError = (!email || typeof email !== 'string' ? 'Please provide the email of the user to invite' : null)
+      || validateRole(role);
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { rows: users } = await pool.query(
+      'SELECT uuid, email FROM users WHERE LOWER(email) = LOWER($1)',
+      [email.trim()]
+    );
+    if (users.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'No registered user has that email'
+      });
+    }
+    if (household.members.some(member => member.uuid === users[0].uuid)) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'That user is already a member of this household'
+      });
+    }
+
+    const { rows } = await pool.query(`
+      INSERT INTO household_invitations (household_id, email, invited_uuid, role, invited_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (household_id, invited_uuid) WHERE status = 'pending' DO NOTHING
+      RETURNING ${INVITATION_COLUMNS}
+    `, [household.id, users[0].email, users[0].uuid, role, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'That user already has a pending invitation to this household'
+      });
+    }
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error inviting household member:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to send invitation'
+    });
+  }
+};
+
+/**
+ * Cancel a pending invitation
+ * @route DELETE /api/households/:id/invitations/:invitationId
+ */
+export const cancelInvitation = async (req, res) => {
+  try {
+    const { id, invitationId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const household = await findHousehold(uuid, id);
+    const rejected = rejectUnlessOwner(res, household, 'cancel invitations');
+    if (rejected) return rejected;
+
+    const { rows } = await pool.query(`
+      UPDATE household_invitations SET status = 'cancelled', responded_at = NOW()
+      WHERE id = $1 AND household_id = $2 AND status = 'pending'
+      RETURNING ${INVITATION_COLUMNS}
+    `, [invitationId, household.id]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Invitation cancelled successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error cancelling invitation:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to cancel invitation'
+    });
+  }
+};
+
+/**
+ * Get the household invitations waiting for the user's answer
+ * @route GET /api/households/invitations
+ */
+export const getInvitations = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(`
+      SELECT i.id, i.household_id, h.name AS household_name, i.role, i.invited_by,
+        u.username AS invited_by_name, i.created_at
+      FROM household_invitations i
+      JOIN households h ON h.id = i.household_id
+      LEFT JOIN users u ON u.uuid = i.invited_by
+      WHERE i.invited_uuid = $1 AND i.status = 'pending'
+      ORDER BY i.created_at DESC
+    `, [uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Invitations retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving invitations:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve invitations'
+    });
+  }
+};
+
+/**
+ * Accept an invitation, joining the household with the role it offers
+ * @route POST /api/households/invitations/:invitationId/accept
+ */
+export const acceptInvitation = async (req, res) => {
+  let client;
+  try {
+    const { invitationId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(`
+      UPDATE household_invitations SET status = 'accepted', responded_at = NOW()
+      WHERE id = $1 AND invited_uuid = $2 AND status = 'pending'
+      RETURNING ${INVITATION_COLUMNS}
+    `, [invitationId, uuid]);
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    await client.query(`
+      INSERT INTO household_members (household_id, uuid, role) VALUES ($1, $2, $3)
+      ON CONFLICT (household_id, uuid) DO NOTHING
+    `, [rows[0].household_id, uuid, rows[0].role]);
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: await findHousehold(uuid, rows[0].household_id)
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error accepting invitation:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Decline an invitation
+ * @route POST /api/households/invitations/:invitationId/decline
+ */
+export const declineInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(`
+      UPDATE household_invitations SET status = 'declined', responded_at = NOW()
+      WHERE id = $1 AND invited_uuid = $2 AND status = 'pending'
+      RETURNING ${INVITATION_COLUMNS}
+    `, [invitationId, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Invitation declined',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to decline invitation'
+    });
+  }
+};
+
+/**
+ * Change a member's role; a household always keeps at least one owner
+ * Body: role
+ * @route PUT /api/households/:id/members/:memberUuid
+ */
+export const updateMemberRole = async (req, res) => {
+  let client;
+  try {
+    const { id, memberUuid } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { role } = req.body;
+
+    const household = await findHousehold(uuid, id);
+    const rejected = rejectUnlessOwner(res, household, 'change roles');
+    if (rejected) return rejected;
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: roleError
+      });
+    }
+
+    const member = household.members.find(entry => entry.uuid === memberUuid);
+    if (!member) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE household_members SET role = $1 WHERE household_id = $2 AND uuid = $3',
+      [role, household.id, member.uuid]
+    );
+    const { rows } = await client.query(
+      "SELECT COUNT(*)::int AS owners FROM household_members WHERE household_id = $1 AND role = 'owner'",
+      [household.id]
+    );
+    if (rows[0].owners === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'A household needs at least one owner; make someone else an owner first'
+      });
+    }
+    // Viewers cannot share, so whatever the member shared while they could goes back to being private
+    if (!EDITOR_ROLES.includes(role)) {
+      await householdService.unshareItems(client, household.id, member.uuid);
+    }
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: await findHousehold(uuid, household.id)
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error updating member role:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update member role'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Remove a member from a household, or leave it when the member is the user
+ * What the member shared goes back to being private; a household always keeps at least one owner
+ * @route DELETE /api/households/:id/members/:memberUuid
+ */
+export const removeMember = async (req, res) => {
+  let client;
+  try {
+    const { id, memberUuid } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const household = await findHousehold(uuid, id);
+    if (!household) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+    if (memberUuid !== uuid && household.role !== 'owner') {
+      return res.status(StatusCodes.FORBIDDEN).json({
+        success: false,
+        message: 'Only owners can remove other members'
+      });
+    }
+
+    const member = household.members.find(entry => entry.uuid === memberUuid);
+    if (!member) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+    const owners = household.members.filter(entry => entry.role === 'owner');
+    if (member.role === 'owner' && owners.length === 1) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'The last owner cannot leave; make someone else an owner or delete the household'
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await householdService.unshareItems(client, household.id, member.uuid);
+    await client.query(
+      'DELETE FROM household_members WHERE household_id = $1 AND uuid = $2',
+      [household.id, member.uuid]
+    );
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: member.uuid === uuid ? 'You left the household' : 'Member removed successfully',
+      data: member
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error removing household member:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to remove household member'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Share one of the user's goals, budgets or accounts with a household
+ * Something shared with another household moves to this one. Members see shared accounts; owners and
+ * members can also change shared goals and budgets, and viewers only see them
+ * Body: type (goal, budget or account), itemId
+ * @route POST /api/households/:id/shared
+ */
+export const shareItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { type, itemId } = req.body;
+
+    const household = await findHousehold(uuid, id);
+    if (!household) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+    if (!EDITOR_ROLES.includes(household.role)) {
+      return res.status(StatusCodes.FORBIDDEN).json({
+        success: false,
+        message: 'Viewers cannot share with a household'
+      });
+    }
+    if (!SHAREABLE_TYPES[type] || itemId === undefined) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Please provide itemId and a type of: ${Object.keys(SHAREABLE_TYPES).join(', ')}`
+      });
+    }
+
+    // Only the owner of an item can share it; goals in the trash stay private
+    const { rows } = await pool.query(`
+      UPDATE ${SHAREABLE_TYPES[type]} SET household_id = $1
+      WHERE id = $2 AND uuid = $3${type === 'goal' ? ' AND deleted_at IS NULL' : ''}
+      RETURNING id, household_id
+    `, [household.id, itemId, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: `${type[0].toUpperCase()}${type.slice(1)} not found or not yours to share`
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `${type[0].toUpperCase()}${type.slice(1)} shared with ${household.name}`,
+      data: { type, ...rows[0] }
+    });
+  } catch (error) {
+    console.error('Error sharing with household:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to share with household'
+    });
+  }
+};
+
+/**
+ * Stop sharing a goal, budget or account with a household; its owner or a household owner can do this
+ * @route DELETE /api/households/:id/shared/:type/:itemId
+ */
+export const unshareItem = async (req, res) => {
+  try {
+    const { id, type, itemId } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const household = await findHousehold(uuid, id);
+    if (!household) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+    if (!SHAREABLE_TYPES[type]) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `type must be one of: ${Object.keys(SHAREABLE_TYPES).join(', ')}`
+      });
+    }
+
+    const { rows } = await pool.query(`
+      UPDATE ${SHAREABLE_TYPES[type]} SET household_id = NULL
+      WHERE id = $1 AND household_id = $2 AND (uuid = $3 OR $4)
+      RETURNING id, uuid AS owner
+    `, [itemId, household.id, uuid, household.role === 'owner']);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Shared item not found or not authorized to unshare'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `${type[0].toUpperCase()}${type.slice(1)} is no longer shared with ${household.name}`,
+      data: { type, ...rows[0] }
+    });
+  } catch (error) {
+    console.error('Error unsharing from household:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to stop sharing'
+    });
+  }
+};
@@ -0,0 +1,395 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import { validateTransactions, insertTransactions, findDuplicates } from '../services/transactionService.js';
+import { applyRulesToNewTransactions } from '../services/categoryRules.js';
+import { DUPLICATE_POLICIES, TRANSACTION_SOURCES } from '../utils/duplicates.js';
+import { parseStatement, detectFormat, STATEMENT_FORMATS } from '../utils/statementParsers.js';
+import { loadAccounts, resolveAccount } from '../services/accountService.js';
+import { evaluateBudgetThresholds } from '../services/budgetService.js';
+
+// Database initialization
+const initDatabase = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS import_profiles (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        name TEXT NOT NULL,
+        format TEXT NOT NULL DEFAULT 'csv',
+        mapping JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (uuid, name)
+      );
+    `);
+  } catch (error) {
+    console.error('Import profiles table initialization failed:', error);
+  }
+};
+
+initDatabase();
+
+/**
+ * Parse a mapping that may arrive as a JSON string in a multipart body
+ * @param {Object|string} mapping - Raw mapping
+ * @returns {Object|null} Mapping object, or null if it is not valid JSON
+ */
+function parseMapping(mapping) {
+  if (mapping === undefined || mapping === null || mapping === '') return {};
+  if (typeof mapping === 'object') return mapping;
+  try {
+    const parsed = JSON.parse(mapping);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get all import column-mapping profiles for a user
+ * @route GET /api/transactions/import/profiles
+ */
+export const getImportProfiles = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    const query = 'SELECT * FROM import_profiles WHERE uuid = $1 ORDER BY name ASC';
+    const { rows } = await pool.query(query, [uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Import profiles retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving import profiles:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve import profiles'
+    });
+  }
+};
+
+/**
+ * Create an import column-mapping profile
+ * @route POST /api/transactions/import/profiles
+ */
+export const createImportProfile = async (req, res) => {
+  try {
+    const { name, format = 'csv', mapping } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    if (!name) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a profile name'
+      });
+    }
+
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `format must be one of: ${STATEMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const parsedMapping = parseMapping(mapping);
+    if (!parsedMapping) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'mapping must be a JSON object'
+      });
+    }
+
+    const query = `
+      INSERT INTO import_profiles (uuid, name, format, mapping)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (uuid, name) DO NOTHING
+      RETURNING *
+    `;
+    const { rows } = await pool.query(query, [uuid, name, format, parsedMapping]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'An import profile with this name already exists'
+      });
+    }
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Import profile created successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating import profile:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create import profile'
+    });
+  }
+};
+
+/**
+ * Update an import column-mapping profile
+ * @route PUT /api/transactions/import/profiles/:id
+ */
+export const updateImportProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, format, mapping } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    // Verify profile belongs to user
+    const verifyQuery = 'SELECT * FROM import_profiles WHERE id = $1 AND uuid = $2';
+    const verifyResult = await pool.query(verifyQuery, [id, uuid]);
+
+    if (verifyResult.rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Import profile not found or not authorized to update'
+      });
+    }
+
+    if (format !== undefined && !STATEMENT_FORMATS.includes(format)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `format must be one of: ${STATEMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const parsedMapping = mapping !== undefined ? parseMapping(mapping) : verifyResult.rows[0].mapping;
+    if (!parsedMapping) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'mapping must be a JSON object'
+      });
+    }
+
+    const query = `
+      UPDATE import_profiles
+      SET name = $1, format = $2, mapping = $3, updated_at = NOW()
+      WHERE id = $4 AND uuid = $5
+      RETURNING *
+    `;
+
+    const values = [
+      name || verifyResult.rows[0].name,
+      format || verifyResult.rows[0].format,
+      parsedMapping,
+      id,
+      uuid
+    ];
+
+    const { rows } = await pool.query(query, values);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Import profile updated successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating import profile:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update import profile'
+    });
+  }
+};
+
+/**
+ * Delete an import column-mapping profile
+ * @route DELETE /api/transactions/import/profiles/:id
+ */
+export const deleteImportProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const query = 'DELETE FROM import_profiles WHERE id = $1 AND uuid = $2 RETURNING *';
+    const { rows } = await pool.query(query, [id, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Import profile not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Import profile deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting import profile:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete import profile'
+    });
+  }
+};
+
+/**
+ * Import a CSV, OFX or QIF bank statement
+ * Multipart fields: file, format, profileId or mapping (JSON), dryRun, duplicatePolicy (skip, flag or insert),
+ * accountId (the account the statement belongs to; defaults to the default account)
+ * @route POST /api/transactions/import
+ */
+export const importTransactions = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { profileId } = req.body;
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true || req.query.dryRun === 'true';
+    const duplicatePolicy = req.body.duplicatePolicy || 'skip';
+
+    if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}`
+      });
+    }
+
+    if (!req.file) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please upload a statement file in the "file" field'
+      });
+    }
+
+    const accounts = await loadAccounts(pool, uuid);
+    const account = resolveAccount(accounts, req.body.accountId);
+    if (!account) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'accountId must be one of your open accounts'
+      });
+    }
+
+    // A saved profile supplies the format and mapping unless overridden in the request
+    let profile = null;
+    if (profileId) {
+      const profileResult = await pool.query(
+        'SELECT * FROM import_profiles WHERE id = $1 AND uuid = $2',
+        [profileId, uuid]
+      );
+
+      if (profileResult.rows.length === 0) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'Import profile not found'
+        });
+      }
+      profile = profileResult.rows[0];
+    }
+
+    const format = req.body.format || profile?.format || detectFormat(req.file.originalname);
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `format must be one of: ${STATEMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const requestMapping = parseMapping(req.body.mapping);
+    if (!requestMapping) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'mapping must be a JSON object'
+      });
+    }
+    const mapping = { ...(profile?.mapping || {}), ...requestMapping };
+
+    let entries;
+    try {
+      entries = parseStatement(format, req.file.buffer.toString('utf8'), mapping);
+    } catch (parseError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Could not read statement: ${parseError.message}`
+      });
+    }
+
+    // Rows that failed to parse are reported against their position in the file
+    const invalidTransactions = entries
+      .filter(entry => !entry.transaction)
+      .map(({ index, raw, reason }) => ({ index, transaction: raw, reason }));
+
+    const parsedEntries = entries.filter(entry => entry.transaction);
+    const validation = validateTransactions(parsedEntries.map(entry => entry.transaction));
+    validation.invalidTransactions.forEach(invalid => {
+      invalidTransactions.push({ ...invalid, index: parsedEntries[invalid.index].index });
+    });
+    invalidTransactions.sort((a, b) => a.index - b.index);
+
+    const { validTransactions } = validation;
+
+    // Duplicates are reported against their position in the file as well
+    const fileIndex = new Map(parsedEntries.map(entry => [entry.transaction, entry.index]));
+    const toFileIndex = duplicate => ({ ...duplicate, index: fileIndex.get(duplicate.transaction) });
+
+    if (dryRun) {
+      // Show the categories the user's rules would assign and the rows already imported
+      const [preview, duplicateOf] = await Promise.all([
+        applyRulesToNewTransactions(uuid, validTransactions),
+        findDuplicates(pool, uuid, validTransactions, TRANSACTION_SOURCES.import)
+      ]);
+      const duplicateTransactions = validTransactions
+        .map((transaction, index) => ({ index, transaction, duplicateOf: duplicateOf[index] }))
+        .filter(duplicate => duplicate.duplicateOf !== null)
+        .map(toFileIndex);
+
+      return res.status(StatusCodes.OK).json({
+        success: true,
+        message: `Preview of ${validTransactions.length} importable transactions`,
+        dryRun: true,
+        format,
+        accountId: account.id,
+        validCount: validTransactions.length,
+        failedCount: invalidTransactions.length,
+        duplicateCount: duplicateTransactions.length,
+        transactions: preview,
+        invalidTransactions: invalidTransactions.length > 0 ? invalidTransactions : undefined,
+        duplicateTransactions: duplicateTransactions.length > 0 ? duplicateTransactions : undefined
+      });
+    }
+
+    if (validTransactions.length === 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'No valid transactions to insert',
+        invalidTransactions
+      });
+    }
+
+    const { inserted, duplicates } = await insertTransactions(uuid, validTransactions, {
+      source: TRANSACTION_SOURCES.import,
+      duplicatePolicy,
+      accountId: account.id
+    });
+    const duplicateTransactions = duplicates.map(toFileIndex);
+    const budgetAlerts = await evaluateBudgetThresholds(uuid, inserted);
+
+    // Importing a statement a second time creates nothing
+    return res.status(inserted.length > 0 ? StatusCodes.CREATED : StatusCodes.OK).json({
+      success: true,
+      message: `Successfully imported ${inserted.length} transactions`,
+      format,
+      accountId: account.id,
+      successCount: inserted.length,
+      failedCount: invalidTransactions.length,
+      duplicateCount: duplicateTransactions.length,
+      duplicatePolicy,
+      invalidTransactions: invalidTransactions.length > 0 ? invalidTransactions : undefined,
+      duplicateTransactions: duplicateTransactions.length > 0 ? duplicateTransactions : undefined,
+      budgetAlerts
+    });
+  } catch (error) {
+    console.error('Error importing transactions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to import transactions'
+    });
+  }
+};
@@ -0,0 +1,585 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as loanService from '../services/loanService.js';
+import { loadAccounts, resolveAccount } from '../services/accountService.js';
+import { getBaseCurrency } from '../services/currencyService.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { today, isValidDay } from '../utils/recurrence.js';
+import {
+  PREPAYMENT_MODES,
+  MAX_INSTALLMENTS,
+  calculateEmi,
+  validateLoan,
+  installmentOnOrAfter,
+  simulatePrepayments,
+  comparePayoffStrategies
+} from '../utils/loans.js';
+
+// Initialize database on module load
+loanService.initDatabase();
+
+// Most one-off prepayments a single what-if may contain
+const MAX_PREPAYMENTS = 120;
+
+/**
+ * Check the optional EMI account of a loan
+ * @param {string} uuid - User UUID
+ * @param {*} accountId - Requested account id, or empty for none
+ * @returns {Object} { accountId } or { error }
+ */
+async function resolveLoanAccount(uuid, accountId) {
+  if (accountId === undefined || accountId === null || accountId === '') return { accountId: null };
+  const account = resolveAccount(await loadAccounts(pool, uuid), accountId);
+  return account ? { accountId: account.id } : { error: 'account_id must be one of your open accounts' };
+}
+
+/**
+ * Find one of the user's loans
+ * @param {string} uuid - User UUID
+ * @param {string} id - Loan id
+ * @returns {Object|null} Loan row from loanService.getLoans
+ */
+async function findLoan(uuid, id) {
+  const [loan] = await loanService.getLoans(uuid, await getBaseCurrency(uuid), { id });
+  return loan || null;
+}
+
+/**
+ * Get the user's loans with their outstanding balance and next EMI
+ * @route GET /api/loans
+ */
+export const getLoans = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const currency = await getBaseCurrency(uuid);
+    const loans = await loanService.getLoans(uuid, currency);
+
+    const data = await Promise.all(loans.map(async loan => {
+      const { summary, error } = loanService.describeLoan(loan, await loanService.getLoanPayments(pool, loan.id));
+      return { ...loan, summary: summary || null, error };
+    }));
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Loans retrieved successfully',
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error retrieving loans:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve loans'
+    });
+  }
+};
+
+/**
+ * Get one loan with its amortisation schedule and the payment status of every instalment
+ * @route GET /api/loans/:id
+ */
+export const getLoan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const loan = await findLoan(uuid, id);
+    if (!loan) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const { schedule, summary, error } = loanService.describeLoan(loan, await loanService.getLoanPayments(pool, loan.id));
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Loan retrieved successfully',
+      data: { ...loan, summary: summary || null, error, schedule: schedule || [] }
+    });
+  } catch (error) {
+    console.error('Error retrieving loan:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve loan'
+    });
+  }
+};
+
+/**
+ * Create a loan
+ * Body: name, principal, annual_rate (yearly %), tenure_months, start_date (first EMI date), emi (calculated
+ * from the other terms when left out), lender, currency (defaults to the base currency), account_id and
+ * match_text (narrow down which transactions are matched as EMIs)
+ * @route POST /api/loans
+ */
+export const createLoan = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { name, principal, annual_rate, tenure_months, start_date, lender, match_text } = req.body;
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : await getBaseCurrency(uuid);
+
+    const validationError = validateLoan(req.body)
+      || (!currency ? 'Currency must be a three-letter ISO code such as "INR"' : null);
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { accountId, error: accountError } = await resolveLoanAccount(uuid, req.body.account_id);
+    if (accountError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: accountError
+      });
+    }
+
+    const emi = req.body.emi !== undefined && req.body.emi !== null && req.body.emi !== ''
+      ? Number(req.body.emi)
+      : calculateEmi(Number(principal), annual_rate, Number(tenure_months));
+
+    const { rows } = await pool.query(`
+      INSERT INTO loans (uuid, name, lender, principal, annual_rate, tenure_months, emi, start_date, currency, account_id, match_text)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (uuid, name) DO NOTHING
+      RETURNING ${loanService.LOAN_COLUMNS}
+    `, [
+      uuid, String(name).trim(), lender || null, principal, annual_rate, tenure_months, emi,
+      start_date, currency, accountId, match_text ? String(match_text).trim() : null
+    ]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'A loan with this name already exists'
+      });
+    }
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Loan created successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating loan:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create loan'
+    });
+  }
+};
+
+/**
+ * Update a loan
+ * Body: any of the fields accepted on create; changing the principal, rate or tenure without an emi
+ * recalculates the EMI. Matched payments stay on their instalment numbers
+ * @route PUT /api/loans/:id
+ */
+export const updateLoan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows: existingRows } = await pool.query(
+      `SELECT ${loanService.LOAN_COLUMNS} FROM loans WHERE id = $1 AND uuid = $2`,
+      [id, uuid]
+    );
+    const existing = existingRows[0];
+
+    if (!existing) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Loan not found or not authorized to update'
+      });
+    }
+
+    const pick = field => (req.body[field] !== undefined ? req.body[field] : existing[field]);
+    const next = {
+      name: String(pick('name')).trim(),
+      lender: pick('lender'),
+      principal: pick('principal'),
+      annual_rate: pick('annual_rate'),
+      tenure_months: pick('tenure_months'),
+      start_date: pick('start_date'),
+      currency: req.body.currency !== undefined ? normalizeCurrency(req.body.currency) : existing.currency,
+      match_text: pick('match_text')
+    };
+    const termsChanged = ['principal', 'annual_rate', 'tenure_months']
+      .some(field => req.body[field] !== undefined && Number(req.body[field]) !== Number(existing[field]));
+    const emiGiven = req.body.emi !== undefined && req.body.emi !== null && req.body.emi !== '';
+    next.emi = emiGiven ? Number(req.body.emi)
+      : termsChanged || req.body.emi !== undefined ? calculateEmi(Number(next.principal), next.annual_rate, Number(next.tenure_months))
+      : existing.emi;
+
+    const validationError = validateLoan(next)
+      || (!next.currency ? 'Currency must be a three-letter ISO code such as "INR"' : null);
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    let accountId = existing.account_id;
+    if (req.body.account_id !== undefined) {
+      const resolved = await resolveLoanAccount(uuid, req.body.account_id);
+      if (resolved.error) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+      accountId = resolved.accountId;
+    }
+
+    const { rows } = await pool.query(`
+      UPDATE loans
+      SET name = $1, lender = $2, principal = $3, annual_rate = $4, tenure_months = $5, emi = $6,
+        start_date = $7, currency = $8, account_id = $9, match_text = $10, updated_at = NOW()
+      WHERE id = $11 AND uuid = $12
+      RETURNING ${loanService.LOAN_COLUMNS}
+    `, [
+      next.name, next.lender || null, next.principal, next.annual_rate, next.tenure_months, next.emi,
+      next.start_date, next.currency, accountId, next.match_text ? String(next.match_text).trim() : null,
+      existing.id, uuid
+    ]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Loan updated successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'A loan with this name already exists'
+      });
+    }
+    console.error('Error updating loan:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update loan'
+    });
+  }
+};
+
+/**
+ * Delete a loan and its matched payments; the transactions themselves are kept
+ * @route DELETE /api/loans/:id
+ */
+export const deleteLoan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(
+      `DELETE FROM loans WHERE id = $1 AND uuid = $2 RETURNING ${loanService.LOAN_COLUMNS}`,
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Loan not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Loan deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting loan:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete loan'
+    });
+  }
+};
+
+/**
+ * Match the loan's unpaid instalments with EMI transactions
+ * @route POST /api/loans/:id/match
+ */
+export const matchPayments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const loan = await findLoan(uuid, id);
+    if (!loan) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const data = await loanService.matchLoanPayments(uuid, loan);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `${data.length} EMI payment(s) matched`,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error matching loan payments:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to match loan payments'
+    });
+  }
+};
+
+/**
+ * Record a transaction as the payment of an instalment, replacing any earlier match for it
+ * Body: transactionId, installment
+ * @route POST /api/loans/:id/payments
+ */
+export const addPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { transactionId, installment } = req.body;
+
+    if (!/^\d+$/.test(String(transactionId ?? '')) || !Number.isInteger(Number(installment)) || Number(installment) < 1) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide transactionId and an installment number'
+      });
+    }
+
+    const loan = await findLoan(uuid, id);
+    if (!loan) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const { schedule, error } = loanService.describeLoan(loan, new Map());
+    if (error || Number(installment) > schedule.length) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error || `installment must be between 1 and ${schedule.length}`
+      });
+    }
+
+    const { rows: transactions } = await pool.query(
+      'SELECT id FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL',
+      [transactionId, uuid]
+    );
+    if (transactions.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const { rows } = await pool.query(`
+      INSERT INTO loan_payments (uuid, loan_id, installment, transaction_id, matched_by)
+      VALUES ($1, $2, $3, $4, 'manual')
+      ON CONFLICT (loan_id, installment) DO UPDATE
+      SET transaction_id = EXCLUDED.transaction_id, matched_by = EXCLUDED.matched_by, created_at = NOW()
+      RETURNING *
+    `, [uuid, loan.id, Number(installment), transactions[0].id]);
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'This transaction already pays another instalment'
+      });
+    }
+    console.error('Error recording loan payment:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to record loan payment'
+    });
+  }
+};
+
+/**
+ * Remove the payment matched to an instalment
+ * @route DELETE /api/loans/:id/payments/:installment
+ */
+export const deletePayment = async (req, res) => {
+  try {
+    const { id, installment } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(
+      'DELETE FROM loan_payments WHERE loan_id = $1 AND installment = $2 AND uuid = $3 RETURNING *',
+      [id, installment, uuid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Payment not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Payment removed successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error removing loan payment:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to remove loan payment'
+    });
+  }
+};
+
+/**
+ * What-if: how much interest prepayments would save and when the loan would end
+ * Body: prepayments ([{ amount, date }] or [{ amount, installment }]), extraMonthly (added to every EMI),
+ * mode (reduce_tenure keeps the EMI and ends sooner, the default; reduce_emi keeps the end date)
+ * @route POST /api/loans/:id/simulate
+ */
+export const simulatePrepayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { prepayments = [], extraMonthly = 0, mode = 'reduce_tenure' } = req.body;
+
+    const loan = await findLoan(uuid, id);
+    if (!loan) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    const invalidPrepayment = !Array.isArray(prepayments) || prepayments.length > MAX_PREPAYMENTS
+      || prepayments.some(prepayment => !(Number(prepayment?.amount) > 0)
+        || (prepayment.date !== undefined ? !isValidDay(prepayment.date)
+          : !Number.isInteger(Number(prepayment.installment)) || Number(prepayment.installment) < 1
+            || Number(prepayment.installment) > MAX_INSTALLMENTS));
+    const validationError = invalidPrepayment
+      ? `prepayments must be a list of at most ${MAX_PREPAYMENTS} entries, each with a positive amount and a date or installment`
+      : !(Number(extraMonthly) >= 0) ? 'extraMonthly must be zero or a positive number'
+      : !PREPAYMENT_MODES.includes(mode) ? `mode must be one of: ${PREPAYMENT_MODES.join(', ')}`
+      : prepayments.length === 0 && Number(extraMonthly) === 0 ? 'Please provide prepayments or extraMonthly'
+      : null;
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const result = simulatePrepayments(loan, {
+      prepayments: prepayments.map(prepayment => ({
+        amount: Number(prepayment.amount),
+        installment: prepayment.date !== undefined
+          ? installmentOnOrAfter(loan.start_date, prepayment.date)
+          : Number(prepayment.installment)
+      })),
+      extraMonthly: Number(extraMonthly),
+      mode
+    });
+    if (result.error) {
+      return res.status(StatusCodes.UNPROCESSABLE_ENTITY).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Prepayment simulated successfully',
+      data: { loanId: loan.id, currency: loan.currency, mode, ...result }
+    });
+  } catch (error) {
+    console.error('Error simulating prepayment:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to simulate prepayment'
+    });
+  }
+};
+
+/**
+ * Compare paying off the user's loans with the avalanche and snowball strategies
+ * Balances are what the schedules say is outstanding today, converted into the base currency
+ * Query: extra (spare money per month on top of the EMIs, default 0), ids (comma-separated loan ids; default all)
+ * @route GET /api/loans/strategies
+ */
+export const getPayoffStrategies = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const extra = req.query.extra !== undefined ? Number(req.query.extra) : 0;
+    const ids = req.query.ids ? String(req.query.ids).split(',').map(value => value.trim()) : null;
+
+    if (!(extra >= 0) || (ids && ids.some(value => !/^\d+$/.test(value)))) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'extra must be zero or a positive number and ids a comma-separated list of loan ids'
+      });
+    }
+
+    const currency = await getBaseCurrency(uuid);
+    const loans = await loanService.getLoans(uuid, currency, ids ? { ids: ids.map(Number) } : {});
+    const day = today();
+
+    // Loans without a rate to the base currency, or already paid off, are left out and listed instead
+    const debts = [];
+    const skipped = [];
+    for (const loan of loans) {
+      const { summary, error } = loanService.describeLoan(loan, await loanService.getLoanPayments(pool, loan.id), day);
+      if (error || loan.base_rate === null || !(summary.outstanding > 0) || !summary.nextDue) {
+        skipped.push({ id: loan.id, name: loan.name, reason: error || (loan.base_rate === null ? 'No exchange rate' : 'Paid off') });
+        continue;
+      }
+      debts.push({
+        id: loan.id,
+        name: loan.name,
+        balance: Math.round(summary.outstanding * loan.base_rate * 100) / 100,
+        annual_rate: loan.annual_rate,
+        emi: Math.round(loan.emi * loan.base_rate * 100) / 100,
+        nextDue: summary.nextDue.due_date
+      });
+    }
+
+    if (debts.length === 0) {
+      return res.status(StatusCodes.OK).json({
+        success: true,
+        message: 'No outstanding loans to compare',
+        data: { currency, extra, debts, skipped }
+      });
+    }
+
+    const firstPaymentDay = debts.map(debt => debt.nextDue).sort()[0];
+    const result = comparePayoffStrategies(debts, extra, firstPaymentDay);
+    if (result.error) {
+      return res.status(StatusCodes.UNPROCESSABLE_ENTITY).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Payoff strategies compared successfully',
+      data: { currency, extra, debts, skipped, ...result }
+    });
+  } catch (error) {
+    console.error('Error comparing payoff strategies:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to compare payoff strategies'
+    });
+  }
+};
@@ -0,0 +1,530 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as recurringService from '../services/recurringService.js';
+import { getTaxonomy, resolveCategory } from '../services/categoryService.js';
+import { TRANSACTION_TYPES } from '../utils/transactionFilters.js';
+import { addDays, today, validateSchedule, occurrencesBetween, nextOccurrenceOnOrAfter } from '../utils/recurrence.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { getBaseCurrency } from '../services/currencyService.js';
+
+// Initialize database on module load
+recurringService.initDatabase();
+
+const { SERIES_COLUMNS } = recurringService;
+
+// Longest window the upcoming endpoint will project
+const MAX_UPCOMING_DAYS = 366;
+
+/**
+ * Validate the transaction template of a series and resolve its category
+ * @param {string} uuid - User UUID
+ * @param {Object} template - { title, amount, type, category, currency }
+ * @returns {Object} { error } or { category, currency } with the canonical category name (or null)
+ */
+async function validateTemplate(uuid, { title, amount, type, category, currency }) {
+  if (!title || amount === undefined || amount === null || !type) {
+    return { error: 'Please provide title, amount and type' };
+  }
+  if (!TRANSACTION_TYPES.includes(type)) {
+    return { error: 'Type must be either "Income" or "Expense"' };
+  }
+  if (isNaN(parseFloat(amount))) {
+    return { error: 'Amount must be a number' };
+  }
+  if (currency && !normalizeCurrency(currency)) {
+    return { error: 'Currency must be a three-letter ISO code such as "INR"' };
+  }
+  const code = normalizeCurrency(currency) || await getBaseCurrency(uuid);
+  if (!category) return { category: null, currency: code };
+
+  const taxonomy = await getTaxonomy(uuid);
+  const match = resolveCategory(taxonomy, category, type);
+  if (!match) {
+    return { error: `Unknown ${type.toLowerCase()} category: ${category}` };
+  }
+  return { category: match.name, currency: code };
+}
+
+/**
+ * Load a series owned by the user
+ * @param {string} id - Series id
+ * @param {string} uuid - User UUID
+ * @returns {Object|null} Series row
+ */
+async function findSeries(id, uuid) {
+  const { rows } = await pool.query(
+    `SELECT ${SERIES_COLUMNS} FROM recurring_transactions WHERE id = $1 AND uuid = $2`,
+    [id, uuid]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get all recurring transaction series for a user
+ * @route GET /api/recurring
+ */
+export const getRecurringTransactions = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    const query = `
+      SELECT ${SERIES_COLUMNS}
+      FROM recurring_transactions
+      WHERE uuid = $1
+      ORDER BY is_paused ASC, next_run ASC NULLS LAST, id ASC
+    `;
+    const { rows } = await pool.query(query, [uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Recurring transactions retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving recurring transactions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve recurring transactions'
+    });
+  }
+};
+
+/**
+ * Create a recurring transaction series
+ * Occurrences before today are only posted when backfill is true
+ * @route POST /api/recurring
+ */
+export const createRecurringTransaction = async (req, res) => {
+  try {
+    const { title, description, amount, currency, type, category, frequency, interval = 1, cron_expression, end_date, backfill = false } = req.body;
+    const start_date = req.body.start_date || today();
+    const uuid = req.user.uuid; // From auth middleware
+
+    const templateCheck = await validateTemplate(uuid, { title, amount, type, category, currency });
+    if (templateCheck.error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: templateCheck.error
+      });
+    }
+
+    const schedule = { frequency, interval, cron_expression, start_date, end_date };
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
+    const nextRun = backfill
+      ? nextOccurrenceOnOrAfter(schedule, start_date)
+      : recurringService.firstUpcomingRun(schedule);
+
+    const query = `
+      INSERT INTO recurring_transactions
+        (uuid, title, description, amount, currency, type, category, frequency, interval_count, cron_expression, start_date, end_date, next_run)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING ${SERIES_COLUMNS}
+    `;
+    const values = [
+      uuid,
+      title,
+      description || null,
+      amount,
+      templateCheck.currency,
+      type,
+      templateCheck.category,
+      frequency,
+      frequency === 'cron' ? 1 : Number(interval),
+      frequency === 'cron' ? cron_expression : null,
+      start_date,
+      end_date || null,
+      nextRun
+    ];
+    const { rows } = await pool.query(query, values);
+
+    // Post anything already due instead of waiting for the next scheduler tick
+    if (nextRun && nextRun <= today()) {
+      await recurringService.runRecurringScheduler();
+    }
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Recurring transaction created successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating recurring transaction:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create recurring transaction'
+    });
+  }
+};
+
+/**
+ * Edit a series; schedule changes only affect occurrences from today onwards
+ * @route PUT /api/recurring/:id
+ */
+export const updateRecurringTransaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const existing = await findSeries(id, uuid);
+    if (!existing) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Recurring transaction not found or not authorized to update'
+      });
+    }
+
+    const pick = field => (req.body[field] !== undefined ? req.body[field] : existing[field]);
+    const next = {
+      title: pick('title'),
+      description: pick('description'),
+      amount: pick('amount'),
+      currency: pick('currency'),
+      type: pick('type'),
+      category: pick('category'),
+      frequency: pick('frequency'),
+      interval: pick('interval'),
+      cron_expression: pick('cron_expression'),
+      start_date: pick('start_date'),
+      end_date: pick('end_date')
+    };
+
+    const templateCheck = await validateTemplate(uuid, next);
+    if (templateCheck.error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: templateCheck.error
+      });
+    }
+
+    const scheduleError = validateSchedule(next);
+    if (scheduleError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
+    const scheduleFields = ['frequency', 'interval', 'cron_expression', 'start_date', 'end_date'];
+    const scheduleChanged = scheduleFields.some(field => String(next[field] ?? '') !== String(existing[field] ?? ''));
+    const nextRun = scheduleChanged ? recurringService.firstUpcomingRun(next) : existing.next_run;
+
+    const query = `
+      UPDATE recurring_transactions
+      SET title = $1, description = $2, amount = $3, type = $4, category = $5,
+          frequency = $6, interval_count = $7, cron_expression = $8, start_date = $9, end_date = $10,
+          next_run = $11, currency = $14, updated_at = NOW()
+      WHERE id = $12 AND uuid = $13
+      RETURNING ${SERIES_COLUMNS}
+    `;
+    const values = [
+      next.title,
+      next.description,
+      next.amount,
+      next.type,
+      templateCheck.category,
+      next.frequency,
+      next.frequency === 'cron' ? 1 : Number(next.interval),
+      next.frequency === 'cron' ? next.cron_expression : null,
+      next.start_date,
+      next.end_date || null,
+      nextRun,
+      id,
+      uuid,
+      templateCheck.currency
+    ];
+    const { rows } = await pool.query(query, values);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Recurring transaction updated successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating recurring transaction:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update recurring transaction'
+    });
+  }
+};
+
+/**
+ * Delete a series; transactions it already posted are kept
+ * @route DELETE /api/recurring/:id
+ */
+export const deleteRecurringTransaction = async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `DELETE FROM recurring_transactions WHERE id = $1 AND uuid = $2 RETURNING ${SERIES_COLUMNS}`,
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Recurring transaction not found or not authorized to delete'
+      });
+    }
+
+    await client.query(
+      'UPDATE transactions SET recurring_id = NULL WHERE uuid = $1 AND recurring_id = $2',
+      [uuid, id]
+    );
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Recurring transaction deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error deleting recurring transaction:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete recurring transaction'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Pause a series; nothing is posted until it is resumed
+ * @route POST /api/recurring/:id/pause
+ */
+export const pauseRecurringTransaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(`
+      UPDATE recurring_transactions
+      SET is_paused = TRUE, updated_at = NOW()
+      WHERE id = $1 AND uuid = $2
+      RETURNING ${SERIES_COLUMNS}
+    `, [id, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Recurring transaction not found or not authorized to update'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Recurring transaction paused',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error pausing recurring transaction:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to pause recurring transaction'
+    });
+  }
+};
+
+/**
+ * Resume a paused series; occurrences that fell while it was paused are not posted
+ * @route POST /api/recurring/:id/resume
+ */
+export const resumeRecurringTransaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const existing = await findSeries(id, uuid);
+    if (!existing) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Recurring transaction not found or not authorized to update'
+      });
+    }
+
+    const { rows } = await pool.query(`
+      UPDATE recurring_transactions
+      SET is_paused = FALSE, next_run = $1, updated_at = NOW()
+      WHERE id = $2 AND uuid = $3
+      RETURNING ${SERIES_COLUMNS}
+    `, [recurringService.firstUpcomingRun(existing), id, uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Recurring transaction resumed',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error resuming recurring transaction:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to resume recurring transaction'
+    });
+  }
+};
+
+/**
+ * Skip the next occurrence of a series
+ * @route POST /api/recurring/:id/skip
+ */
+export const skipNextOccurrence = async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows: seriesRows } = await client.query(
+      `SELECT ${SERIES_COLUMNS} FROM recurring_transactions WHERE id = $1 AND uuid = $2`,
+      [id, uuid]
+    );
+
+    if (seriesRows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Recurring transaction not found or not authorized to update'
+      });
+    }
+
+    const series = seriesRows[0];
+    if (!series.next_run) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'This series has no upcoming occurrences'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    // The skipped row claims the date so the scheduler can never post it
+    await client.query(`
+      INSERT INTO recurring_occurrences (recurring_id, occurrence_date, status)
+      VALUES ($1, $2, 'skipped')
+      ON CONFLICT (recurring_id, occurrence_date) DO NOTHING
+    `, [series.id, series.next_run]);
+
+    const { rows } = await client.query(`
+      UPDATE recurring_transactions
+      SET next_run = $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING ${SERIES_COLUMNS}
+    `, [nextOccurrenceOnOrAfter(series, addDays(series.next_run, 1)), series.id]);
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Occurrence on ${series.next_run} skipped`,
+      data: {
+        ...rows[0],
+        skipped: series.next_run
+      }
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error skipping recurring occurrence:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to skip occurrence'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Project the occurrences of all active series over the next N days
+ * Query: days (default 30)
+ * @route GET /api/recurring/upcoming
+ */
+export const getUpcomingOccurrences = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 30;
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_UPCOMING_DAYS) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `days must be an integer between 1 and ${MAX_UPCOMING_DAYS}`
+      });
+    }
+
+    const until = addDays(today(), days);
+    const currency = await getBaseCurrency(uuid);
+
+    // Totals are projected in the base currency at today's rates
+    const [{ rows: seriesRows }, { rows: skippedRows }] = await Promise.all([
+      pool.query(`
+        SELECT ${SERIES_COLUMNS}, amount * fx_rate(uuid, currency, $3, CURRENT_DATE) AS base_amount
+        FROM recurring_transactions
+        WHERE uuid = $1 AND is_paused = FALSE AND next_run IS NOT NULL AND next_run <= $2
+      `, [uuid, until, currency]),
+      pool.query(`
+        SELECT o.recurring_id, o.occurrence_date::text AS occurrence_date
+        FROM recurring_occurrences o
+        JOIN recurring_transactions r ON r.id = o.recurring_id
+        WHERE r.uuid = $1 AND o.status = 'skipped' AND o.occurrence_date >= $2
+      `, [uuid, today()])
+    ]);
+
+    const skipped = new Set(skippedRows.map(row => `${row.recurring_id}:${row.occurrence_date}`));
+    const totals = { income: 0, expense: 0 };
+
+    const data = seriesRows.flatMap(series =>
+      occurrencesBetween(series, series.next_run, until)
+        .filter(date => !skipped.has(`${series.id}:${date}`))
+        .map(date => {
+          if (series.base_amount !== null) {
+            totals[series.type === 'Income' ? 'income' : 'expense'] += parseFloat(series.base_amount);
+          }
+          return {
+            recurring_id: series.id,
+            date,
+            title: series.title,
+            description: series.description,
+            amount: series.amount,
+            currency: series.currency,
+            type: series.type,
+            category: series.category
+          };
+        })
+    ).sort((a, b) => a.date.localeCompare(b.date) || a.recurring_id - b.recurring_id);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Upcoming occurrences for the next ${days} days`,
+      count: data.length,
+      totals: {
+        currency,
+        income: totals.income,
+        expense: totals.expense,
+        net: totals.income - totals.expense
+      },
+      data
+    });
+  } catch (error) {
+    console.error('Error retrieving upcoming occurrences:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve upcoming occurrences'
+    });
+  }
+};
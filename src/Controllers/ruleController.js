@@ -0,0 +1,383 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as ruleService from '../services/categoryRules.js';
+import { getTaxonomy, resolveCategory } from '../services/categoryService.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+
+// Initialize database on module load
+ruleService.initDatabase();
+
+// Matching transactions returned by the preview endpoint
+const PREVIEW_LIMIT = 100;
+
+/**
+ * Validate rule conditions and resolve the category against the user's taxonomy
+ * @param {string} uuid - User UUID
+ * @param {Array} conditions - Rule conditions
+ * @param {string} category - Category label
+ * @returns {Object} { error } or { category } with the canonical category name
+ */
+async function validateRule(uuid, conditions, category) {
+  const conditionError = ruleService.validateConditions(conditions);
+  if (conditionError) return { error: conditionError };
+
+  const taxonomy = await getTaxonomy(uuid);
+  const match = resolveCategory(taxonomy, category);
+  if (!match) {
+    return { error: `category must be one of: ${taxonomy.map(c => c.name).join(', ')}` };
+  }
+
+  return { category: match.name };
+}
+
+/**
+ * Load the transactions a rule could touch when applied to history
+ * Manually categorised transactions, transfers, split transactions and the trash are never changed by a rule
+ * @param {string} uuid - User UUID
+ * @param {boolean} overwrite - Also consider transactions labelled by the LLM or another rule
+ * @returns {Array} Transactions
+ */
+async function loadCandidateTransactions(uuid, overwrite) {
+  const query = `
+    SELECT id, title, description, amount, type, created_at, category, category_source
+    FROM transactions
+    WHERE uuid = $1 AND type <> '${TRANSFER_TYPE}' AND NOT is_split AND deleted_at IS NULL
+      AND ${overwrite ? "category_source IS DISTINCT FROM 'manual'" : 'category IS NULL'}
+    ORDER BY created_at DESC
+  `;
+  const { rows } = await pool.query(query, [uuid]);
+  return rows;
+}
+
+/**
+ * Get all categorisation rules for a user, in evaluation order
+ * @route GET /api/rules
+ */
+export const getRules = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    const query = 'SELECT * FROM category_rules WHERE uuid = $1 ORDER BY priority ASC, id ASC';
+    const { rows } = await pool.query(query, [uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Rules retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving rules:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve rules'
+    });
+  }
+};
+
+/**
+ * Create a categorisation rule; it is appended after existing rules unless a priority is given
+ * @route POST /api/rules
+ */
+export const createRule = async (req, res) => {
+  try {
+    const { name, conditions, category, priority, is_active } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    if (!name) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a rule name'
+      });
+    }
+
+    const validation = await validateRule(uuid, conditions, category);
+    if (validation.error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validation.error
+      });
+    }
+
+    const query = `
+      INSERT INTO category_rules (uuid, name, conditions, category, is_active, priority)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, (
+        SELECT COALESCE(MAX(priority) + 1, 0) FROM category_rules WHERE uuid = $1
+      )))
+      RETURNING *
+    `;
+
+    const values = [
+      uuid,
+      name,
+      JSON.stringify(conditions),
+      validation.category,
+      is_active !== undefined ? is_active : true,
+      priority !== undefined ? priority : null
+    ];
+
+    const { rows } = await pool.query(query, values);
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create rule'
+    });
+  }
+};
+
+/**
+ * Update a categorisation rule
+ * @route PUT /api/rules/:id
+ */
+export const updateRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, conditions, category, priority, is_active } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    // Verify rule belongs to user
+    const verifyQuery = 'SELECT * FROM category_rules WHERE id = $1 AND uuid = $2';
+    const verifyResult = await pool.query(verifyQuery, [id, uuid]);
+
+    if (verifyResult.rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Rule not found or not authorized to update'
+      });
+    }
+
+    const existing = verifyResult.rows[0];
+    const nextConditions = conditions !== undefined ? conditions : existing.conditions;
+    const nextCategory = category !== undefined ? category : existing.category;
+
+    const validation = await validateRule(uuid, nextConditions, nextCategory);
+    if (validation.error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validation.error
+      });
+    }
+
+    const query = `
+      UPDATE category_rules
+      SET name = $1, conditions = $2, category = $3, priority = $4, is_active = $5, updated_at = NOW()
+      WHERE id = $6 AND uuid = $7
+      RETURNING *
+    `;
+
+    const values = [
+      name || existing.name,
+      JSON.stringify(nextConditions),
+      validation.category,
+      priority !== undefined ? priority : existing.priority,
+      is_active !== undefined ? is_active : existing.is_active,
+      id,
+      uuid
+    ];
+
+    const { rows } = await pool.query(query, values);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update rule'
+    });
+  }
+};
+
+/**
+ * Delete a categorisation rule
+ * Labels it already assigned are kept
+ * @route DELETE /api/rules/:id
+ */
+export const deleteRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const query = 'DELETE FROM category_rules WHERE id = $1 AND uuid = $2 RETURNING *';
+    const { rows } = await pool.query(query, [id, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Rule not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Rule deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete rule'
+    });
+  }
+};
+
+/**
+ * Reorder rules; the first id in the list is evaluated first
+ * @route PUT /api/rules/reorder
+ */
+export const reorderRules = async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide an array of rule ids'
+      });
+    }
+
+    const query = `
+      UPDATE category_rules AS r
+      SET priority = o.position - 1, updated_at = NOW()
+      FROM UNNEST($1::int[]) WITH ORDINALITY AS o(id, position)
+      WHERE r.id = o.id AND r.uuid = $2
+      RETURNING r.*
+    `;
+    const { rows } = await pool.query(query, [ids, uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Rules reordered successfully',
+      count: rows.length,
+      data: rows.sort((a, b) => a.priority - b.priority)
+    });
+  } catch (error) {
+    console.error('Error reordering rules:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to reorder rules'
+    });
+  }
+};
+
+/**
+ * Preview which transactions in the user's history a rule would categorise
+ * Body: { ruleId } for a saved rule, or { conditions, category } for a draft; overwrite (optional)
+ * @route POST /api/rules/test
+ */
+export const testRule = async (req, res) => {
+  try {
+    const { ruleId, overwrite = false } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+
+    let rule = { conditions: req.body.conditions, category: req.body.category };
+    if (ruleId) {
+      const { rows } = await pool.query(
+        'SELECT * FROM category_rules WHERE id = $1 AND uuid = $2',
+        [ruleId, uuid]
+      );
+      if (rows.length === 0) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'Rule not found'
+        });
+      }
+      rule = rows[0];
+    }
+
+    const validation = await validateRule(uuid, rule.conditions, rule.category);
+    if (validation.error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validation.error
+      });
+    }
+
+    const { category } = validation;
+    const candidates = await loadCandidateTransactions(uuid, overwrite);
+    const matches = candidates.filter(transaction => ruleService.matchesRule(rule, transaction));
+    const changes = matches.filter(transaction => transaction.category !== category);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Rule matches ${matches.length} transactions`,
+      data: {
+        category,
+        matchCount: matches.length,
+        changeCount: changes.length,
+        transactions: matches.slice(0, PREVIEW_LIMIT)
+      }
+    });
+  } catch (error) {
+    console.error('Error testing rule:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to test rule'
+    });
+  }
+};
+
+/**
+ * Apply a saved rule retroactively to the user's history
+ * Body: overwrite (optional) - also relabel transactions categorised by the LLM or another rule
+ * @route POST /api/rules/:id/apply
+ */
+export const applyRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { overwrite = false } = req.body || {};
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows: ruleRows } = await pool.query(
+      'SELECT * FROM category_rules WHERE id = $1 AND uuid = $2',
+      [id, uuid]
+    );
+
+    if (ruleRows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Rule not found or not authorized to apply'
+      });
+    }
+
+    const rule = ruleRows[0];
+    const candidates = await loadCandidateTransactions(uuid, overwrite);
+    const matchingIds = candidates
+      .filter(transaction => transaction.category !== rule.category && ruleService.matchesRule(rule, transaction))
+      .map(transaction => transaction.id);
+
+    // Re-check the manual guard in SQL in case a label was set since we read the rows
+    const { rowCount } = await pool.query(`
+      UPDATE transactions
+      SET category = $1, category_source = 'rule'
+      WHERE uuid = $2 AND id = ANY($3::bigint[]) AND category_source IS DISTINCT FROM 'manual'
+    `, [rule.category, uuid, matchingIds]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Rule applied to ${rowCount} transactions`,
+      data: {
+        rule,
+        updatedCount: rowCount
+      }
+    });
+  } catch (error) {
+    console.error('Error applying rule:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to apply rule'
+    });
+  }
+};
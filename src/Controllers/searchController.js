@@ -0,0 +1,121 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import { buildTransactionFilters } from '../utils/transactionFilters.js';
+import { SEARCH_CONFIG, getTagsFor } from '../services/tagService.js';
+import { toTransactionResponse } from '../services/transactionService.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Postgres marks matches with control characters that cannot come from the stored text (they are stripped
+// from it first); the text is then HTML-escaped and the markers turned into <mark>, so clients can render
+// highlights as HTML without a title injecting any of its own
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=30, MinWords=10, MaxFragments=2`;
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Turn a ts_headline result into safe HTML with matches wrapped in <mark>
+ * @param {string|null} headline - Headline with MARK_START / MARK_END around matches
+ * @returns {string|null} Escaped HTML
+ */
+function headlineToHtml(headline) {
+  if (headline === null) return null;
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ENTITIES[char])
+    .replaceAll(MARK_START, '<mark>')
+    .replaceAll(MARK_END, '</mark>');
+}
+
+/**
+ * Full-text search over transaction titles, descriptions and tags, best matches first
+ * Query: search (web-search syntax: words, "quoted phrases", -excluded, or),
+ * limit, offset, plus the GET /api/transactions filters (from, to, type, tags, ...)
+ * @route GET /api/transactions/search
+ */
+export const searchTransactions = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const search = String(req.query.search || '').trim();
+
+    if (!search) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a search query'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    if (limit < 1 || offset < 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'limit must be positive and offset must not be negative'
+      });
+    }
+
+    const filters = buildTransactionFilters(req.query, uuid);
+    if (filters.error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: filters.error
+      });
+    }
+
+    const { conditions, values } = filters;
+    values.push(search);
+    const queryRef = `$${values.length}`;
+    conditions.push(`search_vector @@ websearch_to_tsquery('${SEARCH_CONFIG}', ${queryRef})`);
+    values.push(limit, offset);
+
+    // Headlines are expensive, so they are only built for the page being returned
+    const query = `
+      WITH matches AS (
+        SELECT *, ts_rank_cd(search_vector, websearch_to_tsquery('${SEARCH_CONFIG}', ${queryRef})) AS rank,
+          COUNT(*) OVER () AS total
+        FROM transactions
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY rank DESC, created_at DESC, id DESC
+        LIMIT $${values.length - 1} OFFSET $${values.length}
+      )
+      SELECT m.*,
+        ts_headline('${SEARCH_CONFIG}', translate(m.title, '${MARK_START}${MARK_END}', ''), websearch_to_tsquery('${SEARCH_CONFIG}', ${queryRef}), 'HighlightAll=true, StartSel=${MARK_START}, StopSel=${MARK_END}') AS title_highlight,
+        CASE WHEN m.description IS NULL THEN NULL
+          ELSE ts_headline('${SEARCH_CONFIG}', translate(m.description, '${MARK_START}${MARK_END}', ''), websearch_to_tsquery('${SEARCH_CONFIG}', ${queryRef}), '${HEADLINE_OPTIONS}')
+        END AS snippet
+      FROM matches m
+      ORDER BY m.rank DESC, m.created_at DESC, m.id DESC
+    `;
+    const { rows } = await pool.query(query, values);
+
+    const tags = await getTagsFor(pool, rows.map(row => row.id));
+    const total = rows.length > 0 ? Number(rows[0].total) : 0;
+    const data = rows.map(({ total: _total, ...row }) => {
+      const transaction = toTransactionResponse(row);
+      return {
+        ...transaction,
+        rank: Number(transaction.rank),
+        title_highlight: headlineToHtml(transaction.title_highlight),
+        snippet: headlineToHtml(transaction.snippet),
+        tags: tags.get(transaction.id) || []
+      };
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Found ${total} matching transactions`,
+      count: data.length,
+      total,
+      offset,
+      data
+    });
+  } catch (error) {
+    console.error('Error searching transactions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to search transactions'
+    });
+  }
+};
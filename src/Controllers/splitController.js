@@ -0,0 +1,155 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as splitService from '../services/splitService.js';
+import { getTaxonomy } from '../services/categoryService.js';
+import { evaluateBudgetThresholds } from '../services/budgetService.js';
+import { toTransactionResponse } from '../services/transactionService.js';
+
+// Initialize database on module load
+splitService.initDatabase();
+
+/**
+ * Get the split lines of a transaction
+ * @route GET /api/transactions/:id/splits
+ */
+export const getTransactionSplits = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query('SELECT id FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL', [id, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const splits = await splitService.getSplits(pool, [rows[0].id]);
+    const data = splits.get(rows[0].id) || [];
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Transaction splits retrieved successfully',
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error retrieving transaction splits:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve transaction splits'
+    });
+  }
+};
+
+/**
+ * Split a transaction into lines, replacing any existing split
+ * Body: { splits: [{ amount, category, note }] } where the amounts add up to the transaction amount
+ * @route PUT /api/transactions/:id/splits
+ */
+export const updateTransactionSplits = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Lock the parent so a concurrent amount change cannot slip past the sum check
+    const { rows } = await client.query(
+      'SELECT * FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL FOR UPDATE',
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized to update'
+      });
+    }
+
+    const taxonomy = await getTaxonomy(uuid);
+    const { lines, error } = splitService.validateSplits(taxonomy, rows[0], req.body.splits);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const splits = await splitService.replaceSplits(client, uuid, rows[0].id, lines);
+    await client.query('COMMIT');
+
+    const budgetAlerts = await evaluateBudgetThresholds(uuid, rows);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Transaction split successfully',
+      data: { ...toTransactionResponse(rows[0]), is_split: true, splits },
+      budgetAlerts
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error splitting transaction:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to split transaction'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Remove the split lines of a transaction so its own category counts again
+ * @route DELETE /api/transactions/:id/splits
+ */
+export const deleteTransactionSplits = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      'SELECT * FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL FOR UPDATE',
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized to update'
+      });
+    }
+
+    await splitService.replaceSplits(client, uuid, rows[0].id, []);
+    await client.query('COMMIT');
+
+    const budgetAlerts = await evaluateBudgetThresholds(uuid, rows);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Transaction split removed successfully',
+      data: { ...toTransactionResponse(rows[0]), is_split: false, splits: [] },
+      budgetAlerts
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error removing transaction split:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to remove transaction split'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
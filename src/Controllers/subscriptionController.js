@@ -0,0 +1,238 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as subscriptionService from '../services/subscriptionService.js';
+import { TRANSACTION_TYPES } from '../utils/transactionFilters.js';
+
+// Initialize database on module load
+subscriptionService.initDatabase();
+
+const SUBSCRIPTION_COLUMNS = `
+  id, uuid, detection_key, name, type, category, cadence, average_amount,
+  last_charge::text AS last_charge, next_expected::text AS next_expected,
+  annualised_cost, status, created_at, updated_at
+`;
+
+/**
+ * Scan transaction history for recurring charges that have not been reviewed yet
+ * Query: type (Income or Expense), includeDismissed=true to also list dismissed detections
+ * @route GET /api/subscriptions/detect
+ */
+export const detectSubscriptions = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { type, includeDismissed } = req.query;
+
+    if (type && !TRANSACTION_TYPES.includes(type)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Type must be either "Income" or "Expense"'
+      });
+    }
+
+    const [detections, reviewed] = await Promise.all([
+      subscriptionService.scanTransactions(uuid),
+      subscriptionService.getReviewedDetections(uuid)
+    ]);
+
+    const data = detections.filter(detection => {
+      if (type && detection.type !== type) return false;
+      const existing = reviewed.get(detection.key);
+      if (!existing) return true;
+      return existing.status === 'dismissed' && includeDismissed === 'true';
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Found ${data.length} possible subscriptions`,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error detecting subscriptions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to detect subscriptions'
+    });
+  }
+};
+
+/**
+ * Get tracked subscriptions, refreshed with the latest charges from history
+ * @route GET /api/subscriptions
+ */
+export const getSubscriptions = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    const [detections, { rows }] = await Promise.all([
+      subscriptionService.scanTransactions(uuid),
+      pool.query(
+        `SELECT ${SUBSCRIPTION_COLUMNS} FROM subscriptions WHERE uuid = $1 AND status = 'confirmed' ORDER BY annualised_cost DESC`,
+        [uuid]
+      )
+    ]);
+
+    const byKey = new Map(detections.map(detection => [detection.key, detection]));
+
+    // A subscription no longer seen in history keeps the figures it was confirmed with
+    const data = rows.map(subscription => {
+      const detection = byKey.get(subscription.detection_key);
+      if (!detection) return { ...subscription, isActive: false };
+      return {
+        ...subscription,
+        cadence: detection.cadence,
+        average_amount: detection.averageAmount,
+        last_charge: detection.lastCharge,
+        next_expected: detection.nextExpected,
+        annualised_cost: detection.annualisedCost,
+        isActive: detection.isActive
+      };
+    });
+
+    const annualTotal = data
+      .filter(subscription => subscription.type === 'Expense' && subscription.isActive)
+      .reduce((sum, subscription) => sum + parseFloat(subscription.annualised_cost), 0);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Subscriptions retrieved successfully',
+      count: data.length,
+      annualTotal: Math.round(annualTotal * 100) / 100,
+      data
+    });
+  } catch (error) {
+    console.error('Error retrieving subscriptions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve subscriptions'
+    });
+  }
+};
+
+/**
+ * Record a review decision for a detection
+ * @param {Object} req - Express request; body { key, name }
+ * @param {Object} res - Express response
+ * @param {string} status - 'confirmed' or 'dismissed'
+ */
+async function reviewDetection(req, res, status) {
+  const { key, name } = req.body;
+  const uuid = req.user.uuid; // From auth middleware
+
+  if (!key) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'Please provide the detection key'
+    });
+  }
+
+  // Figures come from a fresh scan rather than the request body
+  const detections = await subscriptionService.scanTransactions(uuid);
+  const detection = detections.find(candidate => candidate.key === key);
+
+  if (!detection) {
+    return res.status(StatusCodes.NOT_FOUND).json({
+      success: false,
+      message: 'Detection not found in transaction history'
+    });
+  }
+
+  const query = `
+    INSERT INTO subscriptions
+      (uuid, detection_key, name, type, category, cadence, average_amount, last_charge, next_expected, annualised_cost, status)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (uuid, detection_key) DO UPDATE
+    SET name = EXCLUDED.name, category = EXCLUDED.category, cadence = EXCLUDED.cadence,
+        average_amount = EXCLUDED.average_amount, last_charge = EXCLUDED.last_charge,
+        next_expected = EXCLUDED.next_expected, annualised_cost = EXCLUDED.annualised_cost,
+        status = EXCLUDED.status, updated_at = NOW()
+    RETURNING ${SUBSCRIPTION_COLUMNS}
+  `;
+  const values = [
+    uuid,
+    detection.key,
+    name || detection.title,
+    detection.type,
+    detection.category,
+    detection.cadence,
+    detection.averageAmount,
+    detection.lastCharge,
+    detection.nextExpected,
+    detection.annualisedCost,
+    status
+  ];
+  const { rows } = await pool.query(query, values);
+
+  return res.status(StatusCodes.OK).json({
+    success: true,
+    message: status === 'confirmed' ? 'Subscription confirmed' : 'Detection dismissed',
+    data: rows[0]
+  });
+}
+
+/**
+ * Confirm a detection, turning it into a tracked subscription
+ * @route POST /api/subscriptions/confirm
+ */
+export const confirmSubscription = async (req, res) => {
+  try {
+    return await reviewDetection(req, res, 'confirmed');
+  } catch (error) {
+    console.error('Error confirming subscription:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to confirm subscription'
+    });
+  }
+};
+
+/**
+ * Dismiss a detection so it is no longer suggested
+ * @route POST /api/subscriptions/dismiss
+ */
+export const dismissSubscription = async (req, res) => {
+  try {
+    return await reviewDetection(req, res, 'dismissed');
+  } catch (error) {
+    console.error('Error dismissing subscription:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to dismiss subscription'
+    });
+  }
+};
+
+/**
+ * Stop tracking a subscription, or undo a dismissal; the detection may be suggested again
+ * @route DELETE /api/subscriptions/:id
+ */
+export const deleteSubscription = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(
+      `DELETE FROM subscriptions WHERE id = $1 AND uuid = $2 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Subscription not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Subscription deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting subscription:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete subscription'
+    });
+  }
+};
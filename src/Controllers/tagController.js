@@ -0,0 +1,348 @@
+import pool from '../database/db.js';
+import { StatusCodes } from 'http-status-codes';
+import * as tagService from '../services/tagService.js';
+import { normalizeTag, parseTagList } from '../utils/tags.js';
+
+// Initialize database on module load
+tagService.initDatabase();
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Most transactions one bulk tag request may touch
+const MAX_BULK_TRANSACTIONS = 1000;
+
+/**
+ * Get the user's tags with how many transactions carry each
+ * @route GET /api/tags
+ */
+export const getTags = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(`
+      SELECT g.*, COUNT(tt.transaction_id)::int AS transaction_count
+      FROM tags g
+      LEFT JOIN transaction_tags tt ON tt.tag_id = g.id
+      WHERE g.uuid = $1
+      GROUP BY g.id
+      ORDER BY g.name ASC
+    `, [uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Tags retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving tags:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve tags'
+    });
+  }
+};
+
+/**
+ * Create a tag
+ * Body: name (e.g. "#goa-trip"), color
+ * @route POST /api/tags
+ */
+export const createTag = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const name = normalizeTag(req.body.name);
+    const { color } = req.body;
+
+    if (!name) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'name must be up to 50 letters, digits, "-" or "_", optionally starting with "#"'
+      });
+    }
+
+    if (color && !COLOR_PATTERN.test(color)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'color must be a hex colour such as #00B894'
+      });
+    }
+
+    const { rows } = await pool.query(`
+      INSERT INTO tags (uuid, name, color)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (uuid, name) DO NOTHING
+      RETURNING *
+    `, [uuid, name, color || null]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to create tag'
+    });
+  }
+};
+
+/**
+ * Rename or recolour a tag; tagged transactions follow the new name
+ * @route PUT /api/tags/:id
+ */
+export const updateTag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { color } = req.body;
+    const name = req.body.name !== undefined ? normalizeTag(req.body.name) : undefined;
+
+    if (name === null) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'name must be up to 50 letters, digits, "-" or "_", optionally starting with "#"'
+      });
+    }
+
+    if (color && !COLOR_PATTERN.test(color)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'color must be a hex colour such as #00B894'
+      });
+    }
+
+    const { rows } = await pool.query(`
+      UPDATE tags
+      SET name = COALESCE($1, name),
+          color = CASE WHEN $2::boolean THEN $3 ELSE color END,
+          updated_at = NOW()
+      WHERE id = $4 AND uuid = $5
+      RETURNING *
+    `, [name ?? null, color !== undefined, color || null, id, uuid]);
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Tag not found or not authorized to update'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+    console.error('Error updating tag:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update tag'
+    });
+  }
+};
+
+/**
+ * Delete a tag and remove it from every transaction
+ * @route DELETE /api/tags/:id
+ */
+export const deleteTag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(
+      'DELETE FROM tags WHERE id = $1 AND uuid = $2 RETURNING *',
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Tag not found or not authorized to delete'
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      data: rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to delete tag'
+    });
+  }
+};
+
+/**
+ * Add and/or remove tags on many transactions at once; unknown tags are created
+ * Body: transactionIds, add (tags), remove (tags)
+ * @route POST /api/tags/bulk
+ */
+export const bulkTagTransactions = async (req, res) => {
+  let client;
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { transactionIds } = req.body;
+    const add = parseTagList(req.body.add || []);
+    const remove = parseTagList(req.body.remove || []);
+
+    if (!Array.isArray(transactionIds) || transactionIds.length === 0 || transactionIds.length > MAX_BULK_TRANSACTIONS) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Please provide an array of 1 to ${MAX_BULK_TRANSACTIONS} transactionIds`
+      });
+    }
+
+    const tagError = add.error || remove.error;
+    if (tagError || add.tags.length + remove.tags.length === 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: tagError || 'Please provide tags to add or remove'
+      });
+    }
+
+    const ids = [...new Set(transactionIds.map(Number))];
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Only the user's own transactions are touched; anything else is reported back
+    const { rows: owned } = await client.query(
+      'SELECT id FROM transactions WHERE uuid = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL',
+      [uuid, ids]
+    );
+    const ownedIds = owned.map(row => row.id);
+    const notFoundIds = ids.filter(id => !ownedIds.includes(id));
+
+    let addedCount = 0;
+    let removedCount = 0;
+
+    if (add.tags.length > 0 && ownedIds.length > 0) {
+      const tags = await tagService.ensureTags(client, uuid, add.tags);
+      const { rowCount } = await client.query(`
+        INSERT INTO transaction_tags (transaction_id, tag_id)
+        SELECT t, g FROM UNNEST($1::int[]) AS t CROSS JOIN UNNEST($2::int[]) AS g
+        ON CONFLICT DO NOTHING
+      `, [ownedIds, tags.map(tag => tag.id)]);
+      addedCount = rowCount;
+    }
+
+    if (remove.tags.length > 0 && ownedIds.length > 0) {
+      const { rowCount } = await client.query(`
+        DELETE FROM transaction_tags tt
+        USING tags g
+        WHERE g.id = tt.tag_id AND g.uuid = $1 AND g.name = ANY($2::text[])
+          AND tt.transaction_id = ANY($3::int[])
+      `, [uuid, remove.tags, ownedIds]);
+      removedCount = rowCount;
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Updated tags on ${ownedIds.length} transactions`,
+      data: {
+        transactionCount: ownedIds.length,
+        addedCount,
+        removedCount,
+        notFoundIds: notFoundIds.length > 0 ? notFoundIds : undefined
+      }
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error bulk tagging transactions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update transaction tags'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Replace the tags on one transaction; unknown tags are created
+ * Body: tags (array or "#a #b" string; empty to clear)
+ * @route PUT /api/transactions/:id/tags
+ */
+export const setTransactionTags = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    const { tags: names, error } = parseTagList(req.body.tags || []);
+
+    if (error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      'SELECT id FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL FOR UPDATE',
+      [id, uuid]
+    );
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized to update'
+      });
+    }
+
+    const tags = await tagService.ensureTags(client, uuid, names);
+    const tagIds = tags.map(tag => tag.id);
+
+    await client.query(
+      'DELETE FROM transaction_tags WHERE transaction_id = $1 AND NOT (tag_id = ANY($2::int[]))',
+      [rows[0].id, tagIds]
+    );
+    await client.query(`
+      INSERT INTO transaction_tags (transaction_id, tag_id)
+      SELECT $1, UNNEST($2::int[])
+      ON CONFLICT DO NOTHING
+    `, [rows[0].id, tagIds]);
+
+    await client.query('COMMIT');
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Transaction tags updated successfully',
+      data: { id: rows[0].id, tags: tags.map(tag => tag.name) }
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error updating transaction tags:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update transaction tags'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
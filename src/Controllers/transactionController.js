@@ -1,13 +1,36 @@
 import  pool  from '../database/db.js';
 import { StatusCodes } from 'http-status-codes';
+import {
+  validateTransactions, insertTransactions, toTransactionResponse, initDatabase as initTransactions
+} from '../services/transactionService.js';
+import { buildTransactionFilters, parsePagination, encodeCursor, ENTRY_TYPES, TRANSFER_TYPE } from '../utils/transactionFilters.js';
+import { getTaxonomy, resolveCategory } from '../services/categoryService.js';
+import { applyRulesToNewTransactions } from '../services/categoryRules.js';
+import { DUPLICATE_POLICIES, TRANSACTION_SOURCES, fingerprintTransaction } from '../utils/duplicates.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { getBaseCurrency, convertedAmountSql } from '../services/currencyService.js';
+import { loadAccounts, resolveAccount, checkAccountReferences } from '../services/accountService.js';
+import { validateSplits, replaceSplits, getSplits } from '../services/splitService.js';
+import { getTagsFor } from '../services/tagService.js';
+import { actorFromRequest, getSnapshot, recordRevision } from '../services/historyService.js';
+import { purgeAtSql, TRASH_RETENTION_DAYS } from '../services/trashService.js';
+import { evaluateBudgetThresholds } from '../services/budgetService.js';
+import { findOpenHolding, HOLDING_FLOWS } from '../services/holdingService.js';
+
+// Initialize database on module load
+initTransactions();
 
 /**
  * Create a new transaction
+ * Body: title, description, amount, type (Income, Expense or Transfer), created_at, currency,
+ * account_id (defaults to the default account), to_account_id (the receiving account of a transfer),
+ * holding_id and holding_flow (in or out, default in) for a transfer into or out of an asset or liability
  * @route POST /api/transactions
  */
 export const createTransaction = async (req, res) => {
+  let client;
   try {
-    const { title, description, amount, type, created_at } = req.body;
+    const { title, description, amount, type, created_at, account_id, to_account_id, holding_id, holding_flow = 'in' } = req.body;
     const uuid = req.user.uuid; // Assuming user UUID comes from auth middleware
     
     // Basic validation for required fields
@@ -18,147 +41,617 @@ export const createTransaction = async (req, res) => {
       });
     }
     
+    if (!ENTRY_TYPES.includes(type)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Type must be one of: ${ENTRY_TYPES.join(', ')}`
+      });
+    }
+    
+    let holding = null;
+    if (holding_id !== undefined && holding_id !== null) {
+      holding = type === TRANSFER_TYPE ? await findOpenHolding(pool, uuid, holding_id) : null;
+      const holdingError = type !== TRANSFER_TYPE ? 'holding_id is only allowed on transfers'
+        : !holding ? 'holding_id must be one of your open holdings'
+        : !HOLDING_FLOWS.includes(holding_flow) ? `holding_flow must be one of: ${HOLDING_FLOWS.join(', ')}`
+        : null;
+      if (holdingError) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: holdingError
+        });
+      }
+    }
+    
+    const accounts = await loadAccounts(pool, uuid);
+    const accountError = checkAccountReferences(accounts, { type, account_id, to_account_id, holding_id: holding?.id });
+    if (accountError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: accountError
+      });
+    }
+    const account = resolveAccount(accounts, account_id);
+    const toAccountId = type === TRANSFER_TYPE && !holding ? Number(to_account_id) : null;
+    
+    // Amounts are in the account's currency unless another ISO code is given
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : account.currency;
+    if (!currency) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Currency must be a three-letter ISO code such as "INR"'
+      });
+    }
+    
+    // Label the transaction with the user's rules before it is stored (transfers stay uncategorised)
+    const [{ category, category_source }] = await applyRulesToNewTransactions(uuid, [{ title, description, amount, type }]);
+    
+    const source = TRANSACTION_SOURCES.manual;
+    const fingerprint = fingerprintTransaction({ title, amount, type, created_at }, source);
+    
     let query;
     let values;
     
     // Handle optional created_at date parameter
     if (created_at) {
       query = `
-        INSERT INTO transactions (uuid, title, description, amount, type, created_at)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO transactions (uuid, title, description, amount, currency, type, category, category_source, source, fingerprint, account_id, to_account_id, holding_id, holding_flow, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
         RETURNING *
       `;
-      values = [uuid, title, description, amount, type, created_at];
+      values = [uuid, title, description, amount, currency, type, category, category_source, source, fingerprint, account.id, toAccountId, holding?.id || null, holding ? holding_flow : null, created_at];
     } else {
       query = `
-        INSERT INTO transactions (uuid, title, description, amount, type)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO transactions (uuid, title, description, amount, currency, type, category, category_source, source, fingerprint, account_id, to_account_id, holding_id, holding_flow)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
         RETURNING *
       `;
-      values = [uuid, title, description, amount, type];
+      values = [uuid, title, description, amount, currency, type, category, category_source, source, fingerprint, account.id, toAccountId, holding?.id || null, holding ? holding_flow : null];
     }
     
-    const { rows } = await pool.query(query, values);
-
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const { rows } = await client.query(query, values);
+    await recordRevision(client, {
+      entityType: 'transaction',
+      entityId: rows[0].id,
+      uuid,
+      action: 'created',
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+    
+    const budgetAlerts = await evaluateBudgetThresholds(uuid, rows);
     
     return res.status(StatusCodes.CREATED).json({
       success: true,
       message: 'Transaction created successfully',
-      data: rows[0]
+      data: toTransactionResponse(rows[0]),
+      budgetAlerts
     });
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('Error creating transaction:', error);
     return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to create transaction'
     });
+  } finally {
+    if (client) client.release();
   }
 };
 
 /**
  * Update an existing transaction
+ * Body: any of title, description, amount, type, created_at, currency, account_id, to_account_id,
+ * splits (lines that replace the current split, or null to remove it)
+ * A split transaction keeps adding up: changing its amount or type needs new splits (or null)
  * @route PUT /api/transactions/:id
  */
 export const updateTransaction = async (req, res) => {
+  let client;
   try {
     const { id } = req.params;
-    const { title, description, amount, type, created_at } = req.body;
+    const { title, description, amount, type, created_at, currency, account_id, to_account_id, splits } = req.body;
     const uuid = req.user.uuid; // From auth middleware
     
-    // Verify transaction belongs to user
-    const verifyQuery = 'SELECT * FROM transactions WHERE id = $1 AND uuid = $2';
-    const verifyResult = await pool.query(verifyQuery, [id, uuid]);
+    if (currency !== undefined && !normalizeCurrency(currency)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Currency must be a three-letter ISO code such as "INR"'
+      });
+    }
+    
+    if (type !== undefined && !ENTRY_TYPES.includes(type)) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: `Type must be one of: ${ENTRY_TYPES.join(', ')}`
+      });
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    // Verify transaction belongs to user, and hold it while the splits are checked
+    const verifyQuery = 'SELECT * FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL FOR UPDATE';
+    const verifyResult = await client.query(verifyQuery, [id, uuid]);
     
     if (verifyResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(StatusCodes.NOT_FOUND).json({
         success: false,
         message: 'Transaction not found or not authorized to update'
       });
     }
     
-    // Update the transaction
+    const existing = verifyResult.rows[0];
+    const before = await getSnapshot(client, 'transaction', existing.id);
+    const nextType = type || existing.type;
+    const nextAmount = amount || existing.amount;
+    const rejectUpdate = async message => {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message
+      });
+    };
+    
+    // Account references are only re-checked when they (or the type they depend on) change
+    let accountId = existing.account_id;
+    let toAccountId = nextType === TRANSFER_TYPE ? existing.to_account_id : null;
+    if (account_id !== undefined || to_account_id !== undefined || type !== undefined) {
+      const references = {
+        type: nextType,
+        account_id: account_id !== undefined ? account_id : existing.account_id,
+        to_account_id: to_account_id !== undefined ? to_account_id : toAccountId,
+        holding_id: existing.holding_id
+      };
+      const accounts = await loadAccounts(client, uuid);
+      const accountError = checkAccountReferences(accounts, references);
+      if (accountError) return rejectUpdate(accountError);
+      accountId = resolveAccount(accounts, references.account_id).id;
+      toAccountId = nextType === TRANSFER_TYPE && !existing.holding_id ? Number(references.to_account_id) : null;
+    }
+    
+    // Split lines must keep matching the parent's amount and type
+    let splitLines = null;
+    if (splits !== undefined && splits !== null) {
+      const taxonomy = await getTaxonomy(uuid);
+      const splitCheck = validateSplits(taxonomy, { amount: nextAmount, type: nextType }, splits);
+      if (splitCheck.error) return rejectUpdate(splitCheck.error);
+      splitLines = splitCheck.lines;
+    } else if (splits === undefined && existing.is_split
+      && (Number(nextAmount) !== Number(existing.amount) || nextType !== existing.type)) {
+      return rejectUpdate('This transaction is split; send splits matching the new amount and type, or splits: null to remove them');
+    }
+    
+    // Update the transaction; an automatic label is dropped when the text it was based on changes,
+    // and any label is dropped when it becomes a transfer. A transfer to or from a holding stops being
+    // one when its type changes
     const query = `
       UPDATE transactions
-      SET title = $1, description = $2, amount = $3, type = $4, created_at = $5
+      SET title = $1, description = $2, amount = $3, type = $4, created_at = $5, currency = $8,
+        account_id = $9, to_account_id = $10, fingerprint = $11,
+        holding_id = CASE WHEN $4 = '${TRANSFER_TYPE}' THEN holding_id END,
+        holding_flow = CASE WHEN $4 = '${TRANSFER_TYPE}' THEN holding_flow END,
+        category = CASE
+          WHEN $4 = '${TRANSFER_TYPE}' THEN NULL
+          WHEN category_source IN ('llm', 'rule') AND (title IS DISTINCT FROM $1 OR description IS DISTINCT FROM $2) THEN NULL
+          ELSE category
+        END,
+        category_source = CASE
+          WHEN $4 = '${TRANSFER_TYPE}' THEN NULL
+          WHEN category_source IN ('llm', 'rule') AND (title IS DISTINCT FROM $1 OR description IS DISTINCT FROM $2) THEN NULL
+          ELSE category_source
+        END
       WHERE id = $6 AND uuid = $7
       RETURNING *
     `;
     
+    const nextTitle = title || existing.title;
+    const nextCreatedAt = created_at || existing.created_at;
+    
+    // The fingerprint follows the edited fields so duplicate checks compare against what is stored now;
+    // rows recorded before fingerprints existed have no source and keep none
+    const fingerprint = existing.source
+      ? fingerprintTransaction({ title: nextTitle, amount: nextAmount, type: nextType, created_at: nextCreatedAt }, existing.source)
+      : existing.fingerprint;
+    
     const values = [
-      title || verifyResult.rows[0].title,
-      description !== undefined ? description : verifyResult.rows[0].description,
-      amount || verifyResult.rows[0].amount,
-      type || verifyResult.rows[0].type,
-      created_at || verifyResult.rows[0].created_at,
+      nextTitle,
+      description !== undefined ? description : existing.description,
+      nextAmount,
+      nextType,
+      nextCreatedAt,
       id,
-      uuid
+      uuid,
+      currency !== undefined ? normalizeCurrency(currency) : existing.currency,
+      accountId,
+      toAccountId,
+      fingerprint
     ];
     
-    const { rows } = await pool.query(query, values);
+    const { rows } = await client.query(query, values);
+    
+    let data = toTransactionResponse(rows[0]);
+    if (splits !== undefined) {
+      const storedSplits = await replaceSplits(client, uuid, data.id, splitLines || []);
+      data = { ...data, is_split: storedSplits.length > 0, splits: storedSplits };
+    }
+    
+    await recordRevision(client, {
+      entityType: 'transaction',
+      entityId: data.id,
+      uuid,
+      action: 'updated',
+      before,
+      actor: actorFromRequest(req)
+    });
+    
+    await client.query('COMMIT');
+    
+    const budgetAlerts = await evaluateBudgetThresholds(uuid, [data]);
     
     return res.status(StatusCodes.OK).json({
       success: true,
       message: 'Transaction updated successfully',
-      data: rows[0]
+      data,
+      budgetAlerts
     });
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('Error updating transaction:', error);
     return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to update transaction'
     });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Manually set or clear the category of a transaction
+ * A null category hands the transaction back to the LLM categoriser
+ * @route PATCH /api/transactions/:id/category
+ */
+export const updateTransactionCategory = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const { category } = req.body;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    if (category === undefined) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'Please provide a category (or null to clear it)'
+      });
+    }
+    
+    let name = null;
+    if (category !== null) {
+      const taxonomy = await getTaxonomy(uuid);
+      const match = resolveCategory(taxonomy, category);
+      if (!match) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: `category must be one of: ${taxonomy.map(c => c.name).join(', ')}`
+        });
+      }
+      name = match.name;
+    }
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const verifyResult = await client.query(
+      'SELECT id FROM transactions WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL FOR UPDATE',
+      [id, uuid]
+    );
+    
+    if (verifyResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found or not authorized to update'
+      });
+    }
+    
+    const before = await getSnapshot(client, 'transaction', verifyResult.rows[0].id);
+    const query = `
+      UPDATE transactions
+      SET category = $1, category_source = $2
+      WHERE id = $3 AND uuid = $4
+      RETURNING *
+    `;
+    const { rows } = await client.query(query, [name, name ? 'manual' : null, id, uuid]);
+    await recordRevision(client, {
+      entityType: 'transaction',
+      entityId: rows[0].id,
+      uuid,
+      action: 'updated',
+      before,
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+    
+    const budgetAlerts = await evaluateBudgetThresholds(uuid, rows);
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Transaction category updated successfully',
+      data: toTransactionResponse(rows[0]),
+      budgetAlerts
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error updating transaction category:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to update transaction category'
+    });
+  } finally {
+    if (client) client.release();
   }
 };
 
 /**
- * Delete a transaction
+ * Move a transaction to the trash
+ * It can be restored until the retention window ends; then it is purged with its split lines,
+ * tags and attachments
  * @route DELETE /api/transactions/:id
  */
 export const deleteTransaction = async (req, res) => {
+  let client;
   try {
     const { id } = req.params;
     const uuid = req.user.uuid; // From auth middleware
     
-    const query = 'DELETE FROM transactions WHERE id = $1 AND uuid = $2 RETURNING *';
-    const { rows } = await pool.query(query, [id, uuid]);
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const query = `
+      UPDATE transactions SET deleted_at = NOW()
+      WHERE id = $1 AND uuid = $2 AND deleted_at IS NULL
+      RETURNING *, ${purgeAtSql()} AS purge_at
+    `;
+    const { rows } = await client.query(query, [id, uuid]);
     
     if (rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(StatusCodes.NOT_FOUND).json({
         success: false,
         message: 'Transaction not found or not authorized to delete'
       });
     }
     
+    await recordRevision(client, {
+      entityType: 'transaction',
+      entityId: rows[0].id,
+      uuid,
+      action: 'deleted',
+      before: await getSnapshot(client, 'transaction', rows[0].id),
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+    
     return res.status(StatusCodes.OK).json({
       success: true,
-      message: 'Transaction deleted successfully',
-      data: rows[0]
+      message: `Transaction moved to the trash; it can be restored for ${TRASH_RETENTION_DAYS} days`,
+      data: toTransactionResponse(rows[0])
     });
   } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('Error deleting transaction:', error);
     return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: 'Failed to delete transaction'
     });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Get the transactions in the trash, most recently deleted first
+ * Query: limit (default 50, max 200)
+ * @route GET /api/transactions/trash
+ */
+export const getDeletedTransactions = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+    const { limit, error } = parsePagination({ limit: req.query.limit });
+    
+    if (error) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const query = `
+      SELECT *, ${purgeAtSql()} AS purge_at
+      FROM transactions
+      WHERE uuid = $1 AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC, id DESC
+      LIMIT $2
+    `;
+    const { rows } = await pool.query(query, [uuid, limit]);
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Deleted transactions retrieved successfully',
+      count: rows.length,
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: rows.map(toTransactionResponse)
+    });
+  } catch (error) {
+    console.error('Error retrieving deleted transactions:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve deleted transactions'
+    });
+  }
+};
+
+/**
+ * Restore a transaction from the trash
+ * @route POST /api/transactions/:id/restore
+ */
+export const restoreTransaction = async (req, res) => {
+  let client;
+  try {
+    const { id } = req.params;
+    const uuid = req.user.uuid; // From auth middleware
+    
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const query = `
+      UPDATE transactions SET deleted_at = NULL
+      WHERE id = $1 AND uuid = $2 AND deleted_at IS NOT NULL
+      RETURNING *
+    `;
+    const { rows } = await client.query(query, [id, uuid]);
+    
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: 'Transaction not found in the trash'
+      });
+    }
+    
+    await recordRevision(client, {
+      entityType: 'transaction',
+      entityId: rows[0].id,
+      uuid,
+      action: 'restored',
+      before: await getSnapshot(client, 'transaction', rows[0].id),
+      actor: actorFromRequest(req)
+    });
+    await client.query('COMMIT');
+    
+    const budgetAlerts = await evaluateBudgetThresholds(uuid, rows);
+    
+    const data = toTransactionResponse(rows[0]);
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Transaction restored successfully',
+      data,
+      budgetAlerts
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error restoring transaction:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to restore transaction'
+    });
+  } finally {
+    if (client) client.release();
   }
 };
 
 /**
- * Get all transactions for a user
+ * Get transactions for a user, filtered, sorted and paginated by cursor
+ * Query: from, to, type, minAmount, maxAmount, q, accountId, tags, sortBy, sortOrder, limit, cursor
  * @route GET /api/transactions
  */
 export const getTransactions = async (req, res) => {
   try {
     const uuid = req.user.uuid; // From auth middleware
     
-    const query = 'SELECT * FROM transactions WHERE uuid = $1 ORDER BY created_at DESC';
-    const { rows } = await pool.query(query, [uuid]);
+    const filters = buildTransactionFilters(req.query, uuid);
+    const pagination = filters.error ? {} : parsePagination(req.query);
+    const validationError = filters.error || pagination.error;
+    
+    if (validationError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const { conditions, values } = filters;
+    const { sort, direction, limit, cursor } = pagination;
+    
+    // Totals cover the whole filtered set, not just the current page, in the user's base currency
+    const baseCurrency = await getBaseCurrency(uuid);
+    const baseRef = `$${values.length + 1}`;
+    const totalsQuery = `
+      SELECT
+        COUNT(*)::int AS total,
+        COALESCE(SUM(base_amount) FILTER (WHERE type = 'Income'), 0) AS income,
+        COALESCE(SUM(base_amount) FILTER (WHERE type = 'Expense'), 0) AS expense,
+        COUNT(*) FILTER (WHERE base_amount IS NULL)::int AS unconverted
+      FROM (
+        SELECT type, ${convertedAmountSql(baseRef)} AS base_amount
+        FROM transactions
+        WHERE ${conditions.join(' AND ')}
+      ) converted
+    `;
+    
+    // Keyset pagination on (sort column, id) so pages stay stable while rows are added
+    const pageConditions = [...conditions];
+    const pageValues = [...values];
+    if (cursor) {
+      const comparator = direction === 'desc' ? '<' : '>';
+      pageValues.push(cursor.sortKey, cursor.id);
+      pageConditions.push(
+        `(${sort.column}, id) ${comparator} ($${pageValues.length - 1}::${sort.cast}, $${pageValues.length})`
+      );
+    }
+    pageValues.push(limit + 1);
+    
+    const query = `
+      SELECT *, ${sort.column}::text AS sort_key
+      FROM transactions
+      WHERE ${pageConditions.join(' AND ')}
+      ORDER BY ${sort.column} ${direction}, id ${direction}
+      LIMIT $${pageValues.length}
+    `;
+    
+    const [{ rows }, { rows: totalsRows }] = await Promise.all([
+      pool.query(query, pageValues),
+      pool.query(totalsQuery, [...values, baseCurrency])
+    ]);
+    
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const lastRow = page[page.length - 1];
+    const nextCursor = hasMore ? encodeCursor(sort.column, lastRow.sort_key, lastRow.id) : null;
+    
+    // Split transactions carry their lines; every transaction carries its tags
+    const [splits, tags] = await Promise.all([
+      getSplits(pool, page.filter(transaction => transaction.is_split).map(transaction => transaction.id)),
+      getTagsFor(pool, page.map(transaction => transaction.id))
+    ]);
+    const data = page.map(({ sort_key, ...row }) => {
+      const transaction = toTransactionResponse(row);
+      const tagged = { ...transaction, tags: tags.get(transaction.id) || [] };
+      return transaction.is_split ? { ...tagged, splits: splits.get(transaction.id) || [] } : tagged;
+    });
+    
+    const totals = totalsRows[0];
+    const income = parseFloat(totals.income);
+    const expense = parseFloat(totals.expense);
     
     return res.status(StatusCodes.OK).json({
       success: true,
       message: 'Transactions retrieved successfully',
-      count: rows.length,
-      data: rows
+      count: data.length,
+      total: totals.total,
+      totals: {
+        currency: baseCurrency,
+        income,
+        expense,
+        net: income - expense,
+        unconvertedCount: totals.unconverted
+      },
+      nextCursor,
+      data
     });
   } catch (error) {
     console.error('Error retrieving transactions:', error);
@@ -171,11 +664,12 @@ export const getTransactions = async (req, res) => {
 
 /**
  * Bulk create multiple transactions
+ * Body: transactions (each with optional account_id / to_account_id), duplicatePolicy (skip, flag or insert; default skip)
  * @route POST /api/transactions/bulk
  */
 export const bulkCreateTransactions = async (req, res) => {
     try {
-      const { transactions } = req.body;
+      const { transactions, duplicatePolicy = 'skip' } = req.body;
       const uuid = req.user.uuid; // From auth middleware
       
       // Check if transactions array exists and is not empty
@@ -185,40 +679,17 @@ export const bulkCreateTransactions = async (req, res) => {
           message: 'Please provide an array of transactions'
         });
       }
-      
-      // Validate and prepare transactions for bulk insertion
-      const validTransactions = [];
-      const invalidTransactions = [];
-      
-      transactions.forEach((transaction, index) => {
-        const { title, description, amount, type, created_at } = transaction;
-        
-        // Basic validation
-        if (!title || !amount || !type) {
-          invalidTransactions.push({
-            index,
-            transaction,
-            reason: 'Missing required fields (title, amount, or type)'
-          });
-          return;
-        }
-        
-        // Check type validity
-        if (type !== 'Income' && type !== 'Expense') {
-          invalidTransactions.push({
-            index,
-            transaction,
-            reason: 'Type must be either "Income" or "Expense"'
-          });
-          return;
-        }
-        
-        // Add to valid transactions with user UUID
-        validTransactions.push({
-          ...transaction,
-          uuid
+
+      if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}`
         });
-      });
+      }
+      
+      // Validate and prepare transactions for bulk insertion, including the accounts they reference
+      const accounts = await loadAccounts(pool, uuid);
+      const { validTransactions, invalidTransactions } = validateTransactions(transactions, { accounts });
       
       // If no valid transactions, return error
       if (validTransactions.length === 0) {
@@ -229,56 +700,32 @@ export const bulkCreateTransactions = async (req, res) => {
         });
       }
       
-      // Prepare arrays for bulk insert using unnest
-      const titles = [];
-      const descriptions = [];
-      const amounts = [];
-      const types = [];
-      const createdAts = [];
-      const uuids = [];
-      
-      validTransactions.forEach(transaction => {
-        titles.push(transaction.title);
-        descriptions.push(transaction.description || null);
-        amounts.push(transaction.amount);
-        types.push(transaction.type);
-        createdAts.push(transaction.created_at || null);
-        uuids.push(uuid);
+      // Execute bulk insert; re-sent rows are handled by duplicatePolicy
+      const { inserted, duplicates } = await insertTransactions(uuid, validTransactions, {
+        source: TRANSACTION_SOURCES.bulk,
+        duplicatePolicy
       });
+
+      // Report duplicates against their position in the request, like invalidTransactions
+      const positions = new Map(transactions.map((transaction, index) => [transaction, index]));
+      const duplicateTransactions = duplicates.map(duplicate => ({
+        ...duplicate,
+        index: positions.get(duplicate.transaction)
+      }));
       
-      // Build query based on whether we have created_at values
-      let query;
-      let queryParams;
-      
-      if (createdAts.some(date => date !== null)) {
-        // If any transactions have created_at, include it in the query
-        query = `
-          INSERT INTO transactions (uuid, title, description, amount, type, created_at)
-          SELECT u, t, d, a, ty, c
-          FROM UNNEST($1::uuid[], $2::varchar[], $3::text[], $4::numeric[], $5::varchar[], $6::timestamp[]) AS t(u, t, d, a, ty, c)
-          RETURNING *
-        `;
-        queryParams = [uuids, titles, descriptions, amounts, types, createdAts];
-      } else {
-        // Otherwise, use default timestamp
-        query = `
-          INSERT INTO transactions (uuid, title, description, amount, type)
-          SELECT u, t, d, a, ty
-          FROM UNNEST($1::uuid[], $2::varchar[], $3::text[], $4::numeric[], $5::varchar[]) AS t(u, t, d, a, ty)
-          RETURNING *
-        `;
-        queryParams = [uuids, titles, descriptions, amounts, types];
-      }
-      
-      // Execute bulk insert
-      const { rows } = await pool.query(query, queryParams);
+      const budgetAlerts = await evaluateBudgetThresholds(uuid, inserted);
       
-      return res.status(StatusCodes.CREATED).json({
+      // Re-sending an upload that is already stored creates nothing
+      return res.status(inserted.length > 0 ? StatusCodes.CREATED : StatusCodes.OK).json({
         success: true,
-        message: `Successfully inserted ${rows.length} transactions`,
-        successCount: rows.length,
+        message: `Successfully inserted ${inserted.length} transactions`,
+        successCount: inserted.length,
         failedCount: invalidTransactions.length,
-        invalidTransactions: invalidTransactions.length > 0 ? invalidTransactions : undefined
+        duplicateCount: duplicates.length,
+        duplicatePolicy,
+        invalidTransactions: invalidTransactions.length > 0 ? invalidTransactions : undefined,
+        duplicateTransactions: duplicateTransactions.length > 0 ? duplicateTransactions : undefined,
+        budgetAlerts
       });
     } catch (error) {
       console.error('Error bulk creating transactions:', error);
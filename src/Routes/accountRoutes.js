@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  getAccountBalanceHistory
+} from '../Controllers/accountController.js';
+
+const router = express.Router();
+
+// GET /api/accounts - Get accounts with current balances
+router.get('/', getAccounts);
+
+// POST /api/accounts - Create new account
+router.post('/', createAccount);
+
+// GET /api/accounts/:id - Get one account with its balance
+router.get('/:id', getAccount);
+
+// GET /api/accounts/:id/history - Closing balance per day, week or month
+router.get('/:id/history', getAccountBalanceHistory);
+
+// PUT /api/accounts/:id - Update or archive account by id
+router.put('/:id', updateAccount);
+
+// DELETE /api/accounts/:id - Delete an account without transactions
+router.delete('/:id', deleteAccount);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getAnalyticsSummary,
+  getCashFlow,
+  getComparison,
+  getTopSpending
+} from '../Controllers/analyticsController.js';
+
+const router = express.Router();
+
+// GET /api/analytics/summary - Income, expense, net, savings rate and average daily spend
+router.get('/summary', getAnalyticsSummary);
+
+// GET /api/analytics/cashflow - Income, expense and net per day, week, month or year
+router.get('/cashflow', getCashFlow);
+
+// GET /api/analytics/comparison - Range against the previous one and the same dates last year
+router.get('/comparison', getComparison);
+
+// GET /api/analytics/top - Top merchants and expense categories
+router.get('/top', getTopSpending);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import multer from 'multer';
+import { StatusCodes } from 'http-status-codes';
+import {
+  getAttachments,
+  uploadAttachment,
+  linkDocument,
+  downloadAttachment,
+  deleteAttachment
+} from '../Controllers/attachmentController.js';
+import { MAX_ATTACHMENT_BYTES } from '../services/attachmentService.js';
+
+// Mounted under /api/transactions/:id, so the transaction id comes from the parent route
+const router = express.Router({ mergeParams: true });
+
+// Files are checked in memory before they reach storage, so cap the upload size
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+});
+
+// Report oversized or malformed uploads as client errors instead of a generic failure
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, error => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? StatusCodes.REQUEST_TOO_LONG : StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Attachments can be at most ${Math.floor(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB`
+          : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+// GET /api/transactions/:id/attachments - Get attachments and storage usage
+router.get('/', getAttachments);
+
+// POST /api/transactions/:id/attachments - Upload a receipt or document (multipart "file")
+router.post('/', receiveFile, uploadAttachment);
+
+// POST /api/transactions/:id/attachments/link - Link a document found by the n8n flow
+router.post('/link', linkDocument);
+
+// GET /api/transactions/:id/attachments/:attachmentId - Download an uploaded file
+router.get('/:attachmentId', downloadAttachment);
+
+// DELETE /api/transactions/:id/attachments/:attachmentId - Delete attachment
+router.delete('/:attachmentId', deleteAttachment);
+
+export default router;
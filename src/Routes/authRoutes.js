@@ -7,8 +7,13 @@ const router = express.Router();
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
 
 // Protected routes
 router.get('/profile', auth, authController.getProfile);
+router.post('/logout', auth, authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions/:id', auth, authController.revokeSession);
 
 export default router;
\ No newline at end of file
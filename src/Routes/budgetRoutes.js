@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetEvents
+} from '../Controllers/budgetController.js';
+
+const router = express.Router();
+
+// GET /api/budgets - Get budgets with spend, remaining and projection for the current period
+router.get('/', getBudgets);
+
+// POST /api/budgets - Create new category budget
+router.post('/', createBudget);
+
+// GET /api/budgets/events - Crossed 80% and 100% thresholds, newest first
+router.get('/events', getBudgetEvents);
+
+// PUT /api/budgets/:id - Update budget amount, rollover or start date
+router.put('/:id', updateBudget);
+
+// DELETE /api/budgets/:id - Delete budget by id
+router.delete('/:id', deleteBudget);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} from '../Controllers/categoryController.js';
+
+const router = express.Router();
+
+// GET /api/categories - Get system and user categories as a tree
+router.get('/', getCategories);
+
+// POST /api/categories - Create category or subcategory
+router.post('/', createCategory);
+
+// PUT /api/categories/:id - Update (rename, icon, colour) a user category
+router.put('/:id', updateCategory);
+
+// DELETE /api/categories/:id - Delete a user category
+router.delete('/:id', deleteCategory);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  getBaseCurrency,
+  updateBaseCurrency,
+  getExchangeRates,
+  importExchangeRates,
+  deleteExchangeRate,
+  convertAmount
+} from '../Controllers/currencyController.js';
+
+const router = express.Router();
+
+// Rate files are parsed in memory, so cap the upload size
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// GET /api/currency/base - Get the user's base currency
+router.get('/base', getBaseCurrency);
+
+// PUT /api/currency/base - Change the user's base currency
+router.put('/base', updateBaseCurrency);
+
+// GET /api/currency/rates - List shared and personal exchange rates
+router.get('/rates', getExchangeRates);
+
+// POST /api/currency/rates/import - Load exchange rates from a CSV/JSON file or body
+router.post('/rates/import', upload.single('file'), importExchangeRates);
+
+// DELETE /api/currency/rates/:id - Delete a personal exchange rate
+router.delete('/rates/:id', deleteExchangeRate);
+
+// GET /api/currency/convert - Convert an amount with the stored rates
+router.get('/convert', convertAmount);
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import {
+  getGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addMember,
+  removeMember,
+  getGroupExpenses,
+  addGroupExpense,
+  deleteGroupExpense,
+  getGroupSettlements,
+  settleUp
+} from '../Controllers/expenseGroupController.js';
+
+const router = express.Router();
+
+// GET /api/groups - Get the user's expense groups
+router.get('/', getGroups);
+
+// POST /api/groups - Create an expense group
+router.post('/', createGroup);
+
+// GET /api/groups/:id - Get a group with balances, who owes whom and suggested settle-up payments
+router.get('/:id', getGroup);
+
+// PUT /api/groups/:id - Rename a group
+router.put('/:id', updateGroup);
+
+// DELETE /api/groups/:id - Delete a settled-up group
+router.delete('/:id', deleteGroup);
+
+// POST /api/groups/:id/members - Add a registered user by email
+router.post('/:id/members', addMember);
+
+// DELETE /api/groups/:id/members/:memberUuid - Remove a settled-up member, or leave the group
+router.delete('/:id/members/:memberUuid', removeMember);
+
+// GET /api/groups/:id/expenses - Get the group's expenses and their splits
+router.get('/:id/expenses', getGroupExpenses);
+
+// POST /api/groups/:id/expenses - Split an expense equally, by percentage, by shares or by exact amounts
+router.post('/:id/expenses', addGroupExpense);
+
+// DELETE /api/groups/:id/expenses/:expenseId - Delete a group expense
+router.delete('/:id/expenses/:expenseId', deleteGroupExpense);
+
+// GET /api/groups/:id/settlements - Get the payments recorded between members
+router.get('/:id/settlements', getGroupSettlements);
+
+// POST /api/groups/:id/settlements - Record a payment you made to a member and book it for both of you
+router.post('/:id/settlements', settleUp);
+
+export default router;
@@ -3,8 +3,18 @@ import {
   createGoal,
   updateGoal,
   deleteGoal,
-  getGoals
+  getGoals,
+  getDeletedGoals,
+  restoreGoal,
+  getGoalContributions,
+  addGoalContribution,
+  deleteGoalContribution,
+  updateGoalStatus,
+  getGoalStatusHistory,
+  getGoalForecasts,
+  getGoalForecast
 } from '../Controllers/goalController.js';
+import { getGoalHistory, revertGoal } from '../Controllers/historyController.js';
 import { authenticateUser } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -21,9 +31,42 @@ router.post('/', createGoal);
 // PUT /api/goals/:id - Update goal by id
 router.put('/:id', updateGoal);
 
-// DELETE /api/goals/:id - Delete goal by id
+// DELETE /api/goals/:id - Move goal to the trash
 router.delete('/:id', deleteGoal);
 
+// GET /api/goals/trash - Deleted goals that can still be restored
+router.get('/trash', getDeletedGoals);
+
+// GET /api/goals/forecast - Completion dates of active goals from the recent monthly surplus
+router.get('/forecast', getGoalForecasts);
+
+// GET /api/goals/:id/forecast - Completion dates of one goal with optimistic and pessimistic bands
+router.get('/:id/forecast', getGoalForecast);
+
+// POST /api/goals/:id/restore - Restore goal from the trash
+router.post('/:id/restore', restoreGoal);
+
+// PUT /api/goals/:id/status - Pause, resume, archive, reopen or complete a goal
+router.put('/:id/status', updateGoalStatus);
+
+// GET /api/goals/:id/status-history - Status changes of a goal, newest first
+router.get('/:id/status-history', getGoalStatusHistory);
+
+// GET /api/goals/:id/contributions - Contributions to a goal, newest first
+router.get('/:id/contributions', getGoalContributions);
+
+// POST /api/goals/:id/contributions - Add a manual or transaction-linked contribution
+router.post('/:id/contributions', addGoalContribution);
+
+// DELETE /api/goals/:id/contributions/:contributionId - Remove a contribution
+router.delete('/:id/contributions/:contributionId', deleteGoalContribution);
+
+// GET /api/goals/:id/history - Revisions of a goal, newest first
+router.get('/:id/history', getGoalHistory);
+
+// POST /api/goals/:id/history/:revision/revert - Revert to how it was after a revision
+router.post('/:id/history/:revision/revert', revertGoal);
+
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  getHoldings,
+  getHolding,
+  createHolding,
+  updateHolding,
+  deleteHolding,
+  addValuation,
+  deleteValuation,
+  linkTransaction,
+  unlinkTransaction
+} from '../Controllers/holdingController.js';
+
+const router = express.Router();
+
+// GET /api/holdings - Get assets and liabilities with current values and totals
+router.get('/', getHoldings);
+
+// POST /api/holdings - Create an asset or liability, optionally with its first valuation
+router.post('/', createHolding);
+
+// GET /api/holdings/:id - Get one holding with its valuations and transfers
+router.get('/:id', getHolding);
+
+// PUT /api/holdings/:id - Update or archive holding by id
+router.put('/:id', updateHolding);
+
+// DELETE /api/holdings/:id - Delete a holding without transfers
+router.delete('/:id', deleteHolding);
+
+// POST /api/holdings/:id/valuations - Record the value of a holding on a day
+router.post('/:id/valuations', addValuation);
+
+// DELETE /api/holdings/:id/valuations/:valuationId - Delete a valuation
+router.delete('/:id/valuations/:valuationId', deleteValuation);
+
+// POST /api/holdings/:id/transactions - Turn an expense or income into a transfer to or from the holding
+router.post('/:id/transactions', linkTransaction);
+
+// DELETE /api/holdings/:id/transactions/:transactionId - Turn a holding transfer back into an expense or income
+router.delete('/:id/transactions/:transactionId', unlinkTransaction);
+
+export default router;
@@ -0,0 +1,63 @@
+import express from 'express';
+import {
+  getHouseholds,
+  getHousehold,
+  createHousehold,
+  updateHousehold,
+  deleteHousehold,
+  inviteMember,
+  cancelInvitation,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember,
+  shareItem,
+  unshareItem
+} from '../Controllers/householdController.js';
+
+const router = express.Router();
+
+// GET /api/households - Get the user's households with their members
+router.get('/', getHouseholds);
+
+// POST /api/households - Create a household owned by the user
+router.post('/', createHousehold);
+
+// GET /api/households/invitations - Invitations waiting for the user's answer
+router.get('/invitations', getInvitations);
+
+// POST /api/households/invitations/:invitationId/accept - Join the household
+router.post('/invitations/:invitationId/accept', acceptInvitation);
+
+// POST /api/households/invitations/:invitationId/decline - Turn the invitation down
+router.post('/invitations/:invitationId/decline', declineInvitation);
+
+// GET /api/households/:id - Get a household with its members and shared goals, budgets and accounts
+router.get('/:id', getHousehold);
+
+// PUT /api/households/:id - Rename a household
+router.put('/:id', updateHousehold);
+
+// DELETE /api/households/:id - Delete a household and stop sharing everything with it
+router.delete('/:id', deleteHousehold);
+
+// POST /api/households/:id/invitations - Invite a registered user by email
+router.post('/:id/invitations', inviteMember);
+
+// DELETE /api/households/:id/invitations/:invitationId - Cancel a pending invitation
+router.delete('/:id/invitations/:invitationId', cancelInvitation);
+
+// PUT /api/households/:id/members/:memberUuid - Change a member's role
+router.put('/:id/members/:memberUuid', updateMemberRole);
+
+// DELETE /api/households/:id/members/:memberUuid - Remove a member, or leave the household
+router.delete('/:id/members/:memberUuid', removeMember);
+
+// POST /api/households/:id/shared - Share a goal, budget or account with the household
+router.post('/:id/shared', shareItem);
+
+// DELETE /api/households/:id/shared/:type/:itemId - Stop sharing a goal, budget or account
+router.delete('/:id/shared/:type/:itemId', unshareItem);
+
+export default router;
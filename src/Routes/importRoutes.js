@@ -0,0 +1,34 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  importTransactions,
+  getImportProfiles,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
+} from '../Controllers/importController.js';
+
+const router = express.Router();
+
+// Statements are parsed in memory, so cap the upload size
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// POST /api/transactions/import - Import a CSV/OFX/QIF statement (dryRun=true to preview)
+router.post('/', upload.single('file'), importTransactions);
+
+// GET /api/transactions/import/profiles - Get saved column-mapping profiles
+router.get('/profiles', getImportProfiles);
+
+// POST /api/transactions/import/profiles - Create column-mapping profile
+router.post('/profiles', createImportProfile);
+
+// PUT /api/transactions/import/profiles/:id - Update column-mapping profile
+router.put('/profiles/:id', updateImportProfile);
+
+// DELETE /api/transactions/import/profiles/:id - Delete column-mapping profile
+router.delete('/profiles/:id', deleteImportProfile);
+
+export default router;
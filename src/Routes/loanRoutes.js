@@ -0,0 +1,47 @@
+import express from 'express';
+import {
+  getLoans,
+  getLoan,
+  createLoan,
+  updateLoan,
+  deleteLoan,
+  matchPayments,
+  addPayment,
+  deletePayment,
+  simulatePrepayment,
+  getPayoffStrategies
+} from '../Controllers/loanController.js';
+
+const router = express.Router();
+
+// GET /api/loans - Get loans with outstanding balance and next EMI
+router.get('/', getLoans);
+
+// POST /api/loans - Create new loan
+router.post('/', createLoan);
+
+// GET /api/loans/strategies - Compare avalanche and snowball payoff across loans
+router.get('/strategies', getPayoffStrategies);
+
+// GET /api/loans/:id - Get one loan with its amortisation schedule
+router.get('/:id', getLoan);
+
+// PUT /api/loans/:id - Update loan by id
+router.put('/:id', updateLoan);
+
+// DELETE /api/loans/:id - Delete loan by id
+router.delete('/:id', deleteLoan);
+
+// POST /api/loans/:id/match - Match unpaid instalments with EMI transactions
+router.post('/:id/match', matchPayments);
+
+// POST /api/loans/:id/payments - Record a transaction as an instalment's payment
+router.post('/:id/payments', addPayment);
+
+// DELETE /api/loans/:id/payments/:installment - Remove an instalment's payment
+router.delete('/:id/payments/:installment', deletePayment);
+
+// POST /api/loans/:id/simulate - Interest saved and new end date for prepayments
+router.post('/:id/simulate', simulatePrepayment);
+
+export default router;
@@ -1,9 +1,12 @@
 import express from 'express';
-import { searchDocuments } from '../n8n/n8nController.js';
+import { searchDocuments, getDocuments } from '../n8n/n8nController.js';
 
 const router = express.Router();
 
 // Document search endpoint
 router.post('/search', searchDocuments);
 
+// Documents found for the user, linkable to transactions as attachments
+router.get('/documents', getDocuments);
+
 export default router;
\ No newline at end of file
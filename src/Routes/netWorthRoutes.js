@@ -0,0 +1,9 @@
+import express from 'express';
+import { getNetWorth } from '../Controllers/holdingController.js';
+
+const router = express.Router();
+
+// GET /api/net-worth - Current net worth and its history per day, week or month
+router.get('/', getNetWorth);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  getRecurringTransactions,
+  createRecurringTransaction,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  skipNextOccurrence,
+  getUpcomingOccurrences
+} from '../Controllers/recurringController.js';
+
+const router = express.Router();
+
+// GET /api/recurring - Get all recurring transaction series
+router.get('/', getRecurringTransactions);
+
+// POST /api/recurring - Create new recurring series
+router.post('/', createRecurringTransaction);
+
+// GET /api/recurring/upcoming - Project occurrences over the next N days
+router.get('/upcoming', getUpcomingOccurrences);
+
+// PUT /api/recurring/:id - Edit series by id
+router.put('/:id', updateRecurringTransaction);
+
+// DELETE /api/recurring/:id - Delete series by id
+router.delete('/:id', deleteRecurringTransaction);
+
+// POST /api/recurring/:id/pause - Stop posting occurrences
+router.post('/:id/pause', pauseRecurringTransaction);
+
+// POST /api/recurring/:id/resume - Resume posting from the next occurrence
+router.post('/:id/resume', resumeRecurringTransaction);
+
+// POST /api/recurring/:id/skip - Skip the next occurrence
+router.post('/:id/skip', skipNextOccurrence);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  testRule,
+  applyRule
+} from '../Controllers/ruleController.js';
+
+const router = express.Router();
+
+// GET /api/rules - Get all categorisation rules in evaluation order
+router.get('/', getRules);
+
+// POST /api/rules - Create new rule
+router.post('/', createRule);
+
+// POST /api/rules/test - Preview a saved or draft rule against transaction history
+router.post('/test', testRule);
+
+// PUT /api/rules/reorder - Set evaluation order from a list of rule ids
+router.put('/reorder', reorderRules);
+
+// PUT /api/rules/:id - Update rule by id
+router.put('/:id', updateRule);
+
+// DELETE /api/rules/:id - Delete rule by id
+router.delete('/:id', deleteRule);
+
+// POST /api/rules/:id/apply - Apply rule retroactively to transaction history
+router.post('/:id/apply', applyRule);
+
+export default router;
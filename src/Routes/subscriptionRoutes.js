@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  detectSubscriptions,
+  getSubscriptions,
+  confirmSubscription,
+  dismissSubscription,
+  deleteSubscription
+} from '../Controllers/subscriptionController.js';
+
+const router = express.Router();
+
+// GET /api/subscriptions - Get tracked subscriptions
+router.get('/', getSubscriptions);
+
+// GET /api/subscriptions/detect - Scan transaction history for recurring charges
+router.get('/detect', detectSubscriptions);
+
+// POST /api/subscriptions/confirm - Track a detected subscription
+router.post('/confirm', confirmSubscription);
+
+// POST /api/subscriptions/dismiss - Hide a detection from future scans
+router.post('/dismiss', dismissSubscription);
+
+// DELETE /api/subscriptions/:id - Stop tracking or undo a dismissal
+router.delete('/:id', deleteSubscription);
+
+export default router;
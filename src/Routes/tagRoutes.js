@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  bulkTagTransactions
+} from '../Controllers/tagController.js';
+
+const router = express.Router();
+
+// GET /api/tags - Get tags with how many transactions carry each
+router.get('/', getTags);
+
+// POST /api/tags - Create new tag
+router.post('/', createTag);
+
+// POST /api/tags/bulk - Add or remove tags on many transactions
+router.post('/bulk', bulkTagTransactions);
+
+// PUT /api/tags/:id - Rename or recolour tag by id
+router.put('/:id', updateTag);
+
+// DELETE /api/tags/:id - Delete tag and remove it from transactions
+router.delete('/:id', deleteTag);
+
+export default router;
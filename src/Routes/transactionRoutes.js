@@ -4,9 +4,20 @@ import {
   updateTransaction, 
   deleteTransaction, 
   getTransactions,
-  bulkCreateTransactions 
+  bulkCreateTransactions,
+  updateTransactionCategory,
+  getDeletedTransactions,
+  restoreTransaction
 } from '../Controllers/transactionController.js';
 import { authenticateUser } from '../middleware/auth.js'; // Assuming this middleware exists
+import { exportTransactions } from '../Controllers/exportController.js';
+import { getDuplicateTransactions, resolveDuplicateTransactions } from '../Controllers/duplicateController.js';
+import { getTransactionSplits, updateTransactionSplits, deleteTransactionSplits } from '../Controllers/splitController.js';
+import { setTransactionTags } from '../Controllers/tagController.js';
+import { searchTransactions } from '../Controllers/searchController.js';
+import { getTransactionHistory, revertTransaction } from '../Controllers/historyController.js';
+import importRoutes from './importRoutes.js';
+import attachmentRoutes from './attachmentRoutes.js';
 
 const router = express.Router();
 
@@ -14,19 +25,64 @@ const router = express.Router();
 // This middleware will verify the JWT and set req.user with the user info including uuid
 router.use(authenticateUser);
 
-// GET /api/transactions - Get all user transactions
+// GET /api/transactions - Get user transactions (filters, sorting, cursor pagination)
 router.get('/', getTransactions);
 
+// GET /api/transactions/export - Stream transactions as CSV, OFX or JSON Lines
+router.get('/export', exportTransactions);
+
+// GET /api/transactions/search - Ranked full-text search over titles, descriptions and tags
+router.get('/search', searchTransactions);
+
+// GET /api/transactions/trash - Deleted transactions that can still be restored
+router.get('/trash', getDeletedTransactions);
+
+// GET /api/transactions/duplicates - Find groups of likely duplicate transactions
+router.get('/duplicates', getDuplicateTransactions);
+
+// POST /api/transactions/duplicates/resolve - Merge, delete or ignore a group of duplicates
+router.post('/duplicates/resolve', resolveDuplicateTransactions);
+
 // POST /api/transactions - Create new transaction
 router.post('/', createTransaction);
 
 // PUT /api/transactions/:id - Update transaction by id
 router.put('/:id', updateTransaction);
 
-// DELETE /api/transactions/:id - Delete transaction by id
+// PATCH /api/transactions/:id/category - Manually set or clear the category
+router.patch('/:id/category', updateTransactionCategory);
+
+// GET /api/transactions/:id/splits - Get the split lines of a transaction
+router.get('/:id/splits', getTransactionSplits);
+
+// PUT /api/transactions/:id/splits - Split a transaction across categories
+router.put('/:id/splits', updateTransactionSplits);
+
+// DELETE /api/transactions/:id/splits - Remove the split
+router.delete('/:id/splits', deleteTransactionSplits);
+
+// PUT /api/transactions/:id/tags - Replace the tags on a transaction
+router.put('/:id/tags', setTransactionTags);
+
+// /api/transactions/:id/attachments - Receipts and documents behind a transaction
+router.use('/:id/attachments', attachmentRoutes);
+
+// POST /api/transactions/:id/restore - Restore a transaction from the trash
+router.post('/:id/restore', restoreTransaction);
+
+// GET /api/transactions/:id/history - Revisions of a transaction, newest first
+router.get('/:id/history', getTransactionHistory);
+
+// POST /api/transactions/:id/history/:revision/revert - Revert to how it was after a revision
+router.post('/:id/history/:revision/revert', revertTransaction);
+
+// DELETE /api/transactions/:id - Move transaction to the trash
 router.delete('/:id', deleteTransaction);
 
 // Add this to your transactionRoutes.js file
 router.post('/bulk', bulkCreateTransactions);
 
+// /api/transactions/import - Bank statement import and mapping profiles
+router.use('/import', importRoutes);
+
 export default router;
\ No newline at end of file
@@ -24,7 +24,11 @@ pool.on('error', (err) => {
 
 const query = (text, params) => pool.query(text, params);
 
+// Checkout a dedicated client for multi-statement transactions and streams
+const connect = () => pool.connect();
+
 export default {
     query,
+    connect,
     pool,
 };
\ No newline at end of file
@@ -2,6 +2,10 @@ import { Ollama } from 'ollama';
 import { StatusCodes } from 'http-status-codes';
 import pool from '../database/db.js';
 import { v4 as uuidv4 } from 'uuid'; // Add this import for generating unique session IDs
+import { getTaxonomy, resolveCategory, getCategoryTotals } from '../services/categoryService.js';
+import { loadActiveRules, findRuleCategory } from '../services/categoryRules.js';
+import { formatMoney } from '../utils/currency.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
 
 // Initialize Ollama with timeout configuration
 const ollama = new Ollama({ 
@@ -9,18 +13,23 @@ const ollama = new Ollama({
   timeout: 10000 // Set a 10-second timeout for requests
 });
 
-// Required minimum number of categories
-const MIN_CATEGORIES = 6;
+// Transactions sent to the LLM per prompt; keeps responses short and parseable
+const LLM_BATCH_SIZE = 25;
 
-// Required specific categories (must have at least these)
-const REQUIRED_SPECIFIC_CATEGORIES = [
-    'Personal', 
-    'Home expenses', 
-    'Education', 
-    'Leisure_Entertainment', 
-    'Investments_Assets', 
-    'Miscellaneous'
-  ];
+// Prompts sent per request, so a large backlog cannot hold the request open; the rest waits for the next call
+const MAX_LLM_BATCHES = parseInt(process.env.LLM_MAX_BATCHES, 10) || 4;
+
+/**
+ * Whether an error means Ollama could not be reached at all, rather than a bad response
+ * @param {Error} error - Error from the Ollama client
+ * @returns {boolean} True for timeouts and refused connections
+ */
+function isConnectionError(error) {
+  return error.code === 'UND_ERR_CONNECT_TIMEOUT'
+    || error.cause?.code === 'ECONNREFUSED'
+    || error.name === 'TimeoutError'
+    || String(error.message).includes('fetch failed');
+}
 
 /**
  * Validate and clean JSON response from LLM
@@ -48,17 +57,6 @@ function cleanAndValidateJSON(responseContent) {
       responseContent = jsonMatch[0];
     }
 
-    // Detect and fix invalid expressions in the JSON
-    responseContent = responseContent.replace(/:\s*([\d.]+\s*\+\s*[\d.]+)\s*=\s*[\d.]+/g, (match, expression) => {
-      // Evaluate the expression and replace it with the result
-      try {
-        const result = eval(expression); // Use eval cautiously, only for controlled input
-        return `: ${result}`;
-      } catch {
-        throw new Error(`Invalid expression in JSON: ${expression}`);
-      }
-    });
-
     // Ensure the JSON is valid
     JSON.parse(responseContent); // This will throw an error if invalid
 
@@ -75,13 +73,14 @@ function cleanAndValidateJSON(responseContent) {
  * @param {Function} fn - The async function to retry
  * @param {number} retries - Number of retry attempts
  * @param {number} delay - Delay between retries in milliseconds
+ * @param {Function} shouldRetry - Decides from the error whether another attempt is worth it
  */
-async function retryAsync(fn, retries = 3, delay = 1000) {
+async function retryAsync(fn, retries = 3, delay = 1000, shouldRetry = () => true) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       return await fn();
     } catch (error) {
-      if (attempt === retries) throw error;
+      if (attempt === retries || !shouldRetry(error)) throw error;
       console.warn(`Attempt ${attempt} failed. Retrying in ${delay}ms...`);
       await new Promise(resolve => setTimeout(resolve, delay));
     }
@@ -89,44 +88,55 @@ async function retryAsync(fn, retries = 3, delay = 1000) {
 }
 
 /**
- * Process transactions through LLM to categorize them
+ * List the categories of one kind for a prompt, with subcategories under their parents
+ * @param {Array} taxonomy - Categories from getTaxonomy
+ * @param {string} kind - 'Income' or 'Expense'
+ * @returns {string} Prompt fragment
+ */
+function formatCategoriesForPrompt(taxonomy, kind) {
+  const ofKind = taxonomy.filter(category => category.kind === kind);
+  return ofKind
+    .filter(category => !category.parent_id)
+    .map(parent => {
+      const children = ofKind.filter(category => category.parent_id === parent.id).map(category => category.name);
+      return children.length > 0
+        ? `- ${parent.name} (more specific: ${children.join(', ')})`
+        : `- ${parent.name}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Ask the LLM to label each transaction with one category from the user's taxonomy
  * @param {Array} transactions - Array of transaction objects
- * @returns {Object} Categorized transaction data
+ * @param {Array} taxonomy - Categories from getTaxonomy
+ * @returns {Map} Transaction id -> category; ids the LLM skipped or mislabelled are omitted
  */
-async function processTransactionsWithLLM(transactions) {
-  try {
-    // Format transactions for the prompt with more emphasis on descriptions
-    const transactionText = transactions.map(t => 
-      `ID: ${t.id}, Title: "${t.title}", Description: "${t.description || 'None'}", Amount: ${t.amount}, Type: ${t.type}`
-    ).join('\n');
-    
-    // Enhanced prompt with very explicit instructions and forced categorization
-    const prompt = `
+async function labelTransactionsWithLLM(transactions, taxonomy) {
+  // Format transactions for the prompt with more emphasis on descriptions
+  const transactionText = transactions.map(t => 
+    `ID: ${t.id}, Title: "${t.title}", Description: "${t.description || 'None'}", Amount: ${formatMoney(t.amount, t.currency || undefined)}, Type: ${t.type}`
+  ).join('\n');
+  
+  const prompt = `
 You are a financial categorization AI.
 
-Your job is to analyze the following financial transactions and categorize each into ONE of the following EXACT SIX categories:
+Assign each of the following financial transactions to ONE category, using the EXACT category name.
+Prefer the more specific category when one clearly fits.
 
-1. Personal
-2. Home expenses
-3. Education
-4. Leisure & Entertainment
-5. Investments & Assets
-6. Miscellaneous
+Categories for Expense transactions:
+${formatCategoriesForPrompt(taxonomy, 'Expense')}
 
-You MUST NOT invent or hallucinate any data. Use ONLY the transactions provided. For each category, sum the amounts of all transactions that belong in that category.
+Categories for Income transactions:
+${formatCategoriesForPrompt(taxonomy, 'Income')}
 
-💡 You are NOT responsible for calculating percentages — just return total amounts grouped by category.
+Return one entry per transaction ID. Do NOT add up amounts, do NOT invent IDs and do NOT skip any ID.
 
 Format your response EXACTLY as this JSON:
 
 {
-  "categories": [
-    { "name": "Personal", "amount": <number> },
-    { "name": "Home expenses", "amount": <number> },
-    { "name": "Education", "amount": <number> },
-    { "name": "Leisure & Entertainment", "amount": <number> },
-    { "name": "Investments & Assets", "amount": <number> },
-    { "name": "Miscellaneous", "amount": <number> }
+  "assignments": [
+    { "id": <transaction ID>, "category": "<category name>" }
   ]
 }
 
@@ -134,99 +144,161 @@ Here are the transactions:
 ${transactionText}
 `;
 
-    // Retry the Ollama API call with retry logic
-    const response = await retryAsync(() => ollama.chat({
-      model: 'llama3:latest',
-      messages: [{ role: 'user', content: prompt }],
-      options: {
-        temperature: 0.1,
-        session_id: uuidv4() // Generate a new session ID for every request
-      }
-    }));
+  // Retry the Ollama API call with retry logic; an unreachable Ollama is not retried
+  const response = await retryAsync(() => ollama.chat({
+    model: 'llama3:latest',
+    messages: [{ role: 'user', content: prompt }],
+    options: {
+      temperature: 0.1,
+      session_id: uuidv4() // Generate a new session ID for every request
+    }
+  }), 3, 1000, error => !isConnectionError(error));
 
-    // Sanitize and validate LLM response
-    let responseContent = response.message.content.trim();
-    responseContent = cleanAndValidateJSON(responseContent);
+  // Sanitize and validate LLM response
+  const responseContent = cleanAndValidateJSON(response.message.content.trim());
+  const { assignments } = JSON.parse(responseContent);
 
-    // Parse and validate the response
-    const categorizedData = JSON.parse(responseContent);
-    
-    // Validate that we have categories
-    if (!categorizedData.categories || categorizedData.categories.length === 0) {
-      throw new Error('LLM did not return any categories');
-    }
-    
-    // Verify we have all required categories
-    const returnedCategories = new Set(categorizedData.categories.map(c => c.name));
-    const missingCategories = REQUIRED_SPECIFIC_CATEGORIES.filter(c => !returnedCategories.has(c));
-    
-    if (missingCategories.length > 0) {
-      // Add missing categories with zero values
-      missingCategories.forEach(categoryName => {
-        categorizedData.categories.push({
-          name: categoryName,
-          amount: 0,
-          percentage: 0
-        });
-      });
+  if (!Array.isArray(assignments)) {
+    throw new Error('LLM did not return any assignments');
+  }
+
+  // Only accept labels for ids we actually sent, with a category of the matching kind
+  const batch = new Map(transactions.map(t => [String(t.id), t]));
+  const labels = new Map();
+  assignments.forEach(({ id, category }) => {
+    const transaction = batch.get(String(id));
+    const match = transaction && resolveCategory(taxonomy, category, transaction.type);
+    if (match) {
+      labels.set(String(id), match.name);
     }
-    
-    return categorizedData;
-  } catch (error) {
-    if (error.code === 'UND_ERR_CONNECT_TIMEOUT') {
-      console.error('Connection to Ollama service timed out:', error.message);
-    } else if (error.message.includes('fetch failed')) {
-      console.error('Failed to fetch response from Ollama service:', error.message);
-    } else {
+  });
+
+  return labels;
+}
+
+/**
+ * Store category labels on transactions that are still uncategorised
+ * @param {string} uuid - User UUID
+ * @param {Map} labels - Transaction id -> category
+ * @param {string} source - Who produced the labels ('rule' or 'llm')
+ * @returns {number} Number of transactions updated
+ */
+async function saveLabels(uuid, labels, source) {
+  if (labels.size === 0) return 0;
+
+  // Never overwrite a label that was set in the meantime
+  const { rowCount } = await pool.query(`
+    UPDATE transactions AS t
+    SET category = l.category, category_source = $4
+    FROM UNNEST($1::bigint[], $2::text[]) AS l(id, category)
+    WHERE t.id = l.id AND t.uuid = $3 AND t.category IS NULL
+  `, [[...labels.keys()].map(Number), [...labels.values()], uuid, source]);
+
+  return rowCount;
+}
+
+/**
+ * Categorise a user's uncategorised transactions and persist the labels
+ * Transfers between the user's own accounts are not spending, and split transactions are
+ * categorised line by line, so both are left alone
+ * Rules label everything they match; at most MAX_LLM_BATCHES prompts go to the LLM, and none after Ollama
+ * turns out to be unreachable. Rows the LLM has never tried come first, newest first, then the ones it
+ * failed on longest ago, so rows it keeps skipping cannot hold up the rest of the backlog
+ * @param {string} uuid - User UUID
+ * @returns {Object} { labelled, remaining } where remaining is left uncategorised for the next call
+ */
+export async function categorizePendingTransactions(uuid) {
+  const query = `
+    SELECT id, title, description, amount, currency, type
+    FROM transactions
+    WHERE uuid = $1 AND category IS NULL AND type <> '${TRANSFER_TYPE}' AND NOT is_split AND deleted_at IS NULL
+    ORDER BY llm_attempted_at ASC NULLS FIRST, created_at DESC
+  `;
+  const { rows } = await pool.query(query, [uuid]);
+
+  // The user's own rules win over the LLM, so only rows no rule matches are sent to it
+  const rules = await loadActiveRules(uuid);
+  const ruleLabels = new Map();
+  const pending = [];
+  rows.forEach(row => {
+    const match = findRuleCategory(rules, row);
+    if (match) ruleLabels.set(String(row.id), match.category);
+    else pending.push(row);
+  });
+
+  let labelledCount = await saveLabels(uuid, ruleLabels, 'rule');
+  if (pending.length === 0) return { labelled: labelledCount, remaining: 0 };
+
+  const taxonomy = await getTaxonomy(uuid);
+  const limit = Math.min(pending.length, MAX_LLM_BATCHES * LLM_BATCH_SIZE);
+  let llmLabelled = 0;
+
+  for (let i = 0; i < limit; i += LLM_BATCH_SIZE) {
+    const batch = pending.slice(i, i + LLM_BATCH_SIZE);
+
+    let labels;
+    try {
+      labels = await labelTransactionsWithLLM(batch, taxonomy);
+    } catch (error) {
+      if (isConnectionError(error)) {
+        // Every other batch would wait out the same timeout; leave them all for the next request
+        console.error('Ollama service is unreachable:', error.message);
+        break;
+      }
       console.error('Error processing transactions with LLM:', error.message);
+      // Leave this batch uncategorised; it goes to the back of the queue for the next request
+      labels = new Map();
+    }
+
+    const saved = await saveLabels(uuid, labels, 'llm');
+    llmLabelled += saved;
+    labelledCount += saved;
+
+    const skipped = batch.filter(row => !labels.has(String(row.id))).map(row => row.id);
+    if (skipped.length > 0) {
+      await pool.query(
+        'UPDATE transactions SET llm_attempted_at = NOW() WHERE uuid = $1 AND id = ANY($2::bigint[])',
+        [uuid, skipped]
+      );
     }
-    
-    // Fall back to using our required categories
-    const totalAmount = transactions.reduce((sum, t) => sum + parseFloat(t.amount), 0);
-    
-    return {
-      categories: REQUIRED_SPECIFIC_CATEGORIES.map(name => ({
-        name,
-        amount: name === 'Uncategorized' ? totalAmount : 0,
-        percentage: name === 'Uncategorized' ? 100 : 0
-      }))
-    };
   }
+
+  return { labelled: labelledCount, remaining: pending.length - llmLabelled };
 }
 
 /**
  * Categorize transactions for a user
- * @route GET /api/transactions/categories
+ * Labels uncategorised transactions with the LLM, then totals the stored labels
+ * A large backlog is labelled a few batches per call; stillUncategorized says how many are left
+ * Query: type (Expense by default)
+ * @route GET /api/llm/categorise
  */
 export const categorizeTransactions = async (req, res) => {
   try {
     const uuid = req.user.uuid; // From auth middleware
+    const type = req.query.type || 'Expense';
     
-    // Get all user transactions with type information
-    const query = 'SELECT id, title, description, amount, type FROM transactions WHERE uuid = $1 ';
-    const { rows } = await pool.query(query, [uuid]);
-    
-    if (rows.length === 0) {
-      return res.status(StatusCodes.OK).json({
-        success: true,
-        message: 'No transactions to categorize',
-        data: {
-          categories: REQUIRED_SPECIFIC_CATEGORIES.map(name => ({
-            name,
-            amount: 0,
-            percentage: 0
-          }))
-        }
+    if (type !== 'Income' && type !== 'Expense') {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: 'type must be either "Income" or "Expense"'
       });
     }
-
-    // Process transactions to get categorized data
-    const categorizedData = await processTransactionsWithLLM(rows);
+    
+    const { labelled: newlyCategorized, remaining } = await categorizePendingTransactions(uuid);
+    const { categories, totalAmount, currency } = await getCategoryTotals(uuid, type);
 
     return res.status(StatusCodes.OK).json({
       success: true,
-      message: 'Transactions categorized successfully',
-      data: categorizedData
+      message: totalAmount > 0 ? 'Transactions categorized successfully' : 'No transactions to categorize',
+      data: {
+        type,
+        currency,
+        totalAmount,
+        newlyCategorized,
+        stillUncategorized: remaining,
+        categories
+      }
     });
   } catch (error) {
     console.error('Error categorizing transactions:', error);
@@ -237,4 +309,4 @@ export const categorizeTransactions = async (req, res) => {
   }
 };
 
-export default categorizeTransactions;
\ No newline at end of file
+export default categorizeTransactions;
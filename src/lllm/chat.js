@@ -1,6 +1,11 @@
 import { Ollama } from 'ollama';
 import { StatusCodes } from 'http-status-codes';
 import pool from '../database/db.js';
+import { getCategoryTotals } from '../services/categoryService.js';
+import { getBaseCurrency, exchangeRateSql } from '../services/currencyService.js';
+import { transactionLinesSql } from '../services/transactionService.js';
+import { formatMoney } from '../utils/currency.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
 
 // Initialize Ollama
 const ollama = new Ollama({ host: 'http://localhost:11434' });
@@ -63,15 +68,39 @@ setInterval(cleanupExpiredSessions, 5 * 60 * 1000);
 
 /**
  * Format transactions for chat context
- * @param {Array} transactions - User transactions
+ * Foreign amounts also show their value in the base currency
+ * @param {Array} transactions - User transactions, with base_amount in the base currency
+ * @param {string} currency - User's base currency
  * @returns {string} Formatted transaction text
  */
-function formatTransactionsForContext(transactions) {
+function formatTransactionsForContext(transactions, currency) {
   if (!transactions || transactions.length === 0) return "No transactions available.";
   
-  return transactions.map(t => 
-    `ID: ${t.id}, Title: "${t.title}", Description: "${t.description || 'None'}", Amount: $${t.amount}, Type: ${t.type}, Date: ${new Date(t.created_at).toLocaleDateString()}`
-  ).join('\n');
+  return transactions.map(t => {
+    const converted = t.currency && t.currency !== currency && t.base_amount !== null
+      ? ` (${formatMoney(t.base_amount, currency)})`
+      : '';
+    return `ID: ${t.id}, Title: "${t.title}", Description: "${t.description || 'None'}", Amount: ${formatMoney(t.amount, t.currency || currency)}${converted}, Type: ${t.type}, Category: ${t.category || 'Uncategorized'}, Date: ${new Date(t.created_at).toLocaleDateString()}`;
+  }).join('\n');
+}
+
+/**
+ * Format category totals for chat context
+ * @param {Object} categoryTotals - Expense totals per category from getCategoryTotals
+ * @returns {string} Formatted category text
+ */
+function formatCategoriesForContext(categoryTotals) {
+  const categories = (categoryTotals?.categories || []).filter(category => category.amount > 0);
+  if (categories.length === 0) return "No categorised spending.";
+  const money = amount => formatMoney(amount, categoryTotals.currency);
+  
+  return categories.map(category => {
+    const subcategories = category.subcategories
+      .filter(sub => sub.amount > 0)
+      .map(sub => `${sub.name}: ${money(sub.amount)}`);
+    const detail = subcategories.length > 0 ? ` (${subcategories.join(', ')})` : '';
+    return `${category.name}: ${money(category.amount)} (${category.percentage}%)${detail}`;
+  }).join('\n');
 }
 
 /**
@@ -91,13 +120,20 @@ function formatGoalsForContext(goals) {
  * Create system prompt based on user data
  * @param {Array} transactions - User transactions
  * @param {Object} goals - User financial goals
+ * @param {Object} categoryTotals - Expense totals per category
  * @returns {string} System prompt
  */
-function createSystemPrompt(transactions, goals) {
+function createSystemPrompt(transactions, goals, categoryTotals) {
+  const currency = categoryTotals.currency;
   return `You are a helpful financial assistant who provides guidance based on the user's transaction history and financial goals.
 
+The user's base currency is ${currency}. Report totals and comparisons in ${currency}.
+
 TRANSACTION HISTORY:
-${formatTransactionsForContext(transactions)}
+${formatTransactionsForContext(transactions, currency)}
+
+SPENDING BY CATEGORY:
+${formatCategoriesForContext(categoryTotals)}
 
 FINANCIAL GOALS:
 ${formatGoalsForContext(goals)}
@@ -123,9 +159,16 @@ export const initializeChat = async (req, res) => {
   try {
     const uuid = req.user.uuid; // From auth middleware
     
-    // Get user transactions
-    const transactionQuery = 'SELECT id, title, description, amount, type, created_at FROM transactions WHERE uuid = $1';
-    const { rows: transactions } = await pool.query(transactionQuery, [uuid]);
+    // Get user transactions (split ones as their lines), with amounts converted to the base currency;
+    // transfers are not spending
+    const currency = await getBaseCurrency(uuid);
+    const transactionQuery = `
+      SELECT id, split_id, title, line_description AS description, line_amount AS amount, currency, type,
+        line_category AS category, created_at,
+        transactions.line_amount * ${exchangeRateSql('$2')} AS base_amount
+      FROM ${transactionLinesSql()} WHERE uuid = $1 AND type <> '${TRANSFER_TYPE}'
+    `;
+    const { rows: transactions } = await pool.query(transactionQuery, [uuid, currency]);
     
     // Get user financial goals (assuming a goals table exists)
     // If you don't have a goals table, adjust accordingly
@@ -147,7 +190,8 @@ export const initializeChat = async (req, res) => {
     
     // Add system message to the session
     if (session.messages.length === 0) {
-      const systemPrompt = createSystemPrompt(transactions, goals);
+      const categoryTotals = await getCategoryTotals(uuid, 'Expense');
+      const systemPrompt = createSystemPrompt(transactions, goals, categoryTotals);
       session.messages.push({
         role: 'system',
         content: systemPrompt
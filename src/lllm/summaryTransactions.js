@@ -1,200 +1,72 @@
 import { Ollama } from 'ollama';
 import { StatusCodes } from 'http-status-codes';
 import pool from '../database/db.js';
+import { getCategoryTotals } from '../services/categoryService.js';
+import { getBaseCurrency, exchangeRateSql } from '../services/currencyService.js';
+import { transactionLinesSql } from '../services/transactionService.js';
+import { formatMoney } from '../utils/currency.js';
+import { TRANSFER_TYPE, tagFilterSql } from '../utils/transactionFilters.js';
+import { parseTagList } from '../utils/tags.js';
 
 // Initialize Ollama
 const ollama = new Ollama({ host: 'http://localhost:11434' }); // Default Ollama port
 
-// Required minimum number of categories
-const MIN_CATEGORIES = 6;
-
-// Required specific categories (must have at least these)
-const REQUIRED_SPECIFIC_CATEGORIES = [
-  'Essentials', 
-  'Leisure & Entertainment', 
-  'Savings & Investments', 
-  'Debt & Loans', 
-  'Personal & Shopping', 
-  'Uncategorized'
-];
-
 /**
- * Process transactions through LLM to categorize them
- * @param {Array} transactions - Array of transaction objects
- * @returns {Object} Categorized transaction data
+ * Format category totals for a prompt or fallback insight
+ * @param {Object} categoryTotals - Result of getCategoryTotals
+ * @returns {string} One line per non-empty category
  */
-async function processTransactionsWithLLM(transactions) {
-  try {
-    // Format transactions for the prompt with more emphasis on descriptions
-    const transactionText = transactions.map(t => 
-      `ID: ${t.id}, Title: "${t.title}", Description: "${t.description || 'None'}", Amount: $${t.amount}, Type: ${t.type}`
-    ).join('\n');
-    
-    // Enhanced prompt with very explicit instructions and forced categorization
-    const prompt = `
-You are a financial categorization AI.
-
-Your job is to analyze the following financial transactions and categorize each into ONE of the following EXACT SIX categories:
-
-1. Personal
-2. Home expenses
-3. Education
-4. Leisure & Entertainment
-5. Investments & Assets
-6. Miscellaneous
-
-You MUST NOT invent or hallucinate any data. Use ONLY the transactions provided. For each category, sum the amounts of all transactions that belong in that category.
-DO NOT REPEAT ONE TRANSACTION IN MULTIPLE CATEGORIES.
-💡 You are NOT responsible for calculating percentages — just return total amounts grouped by category.
-
-Format your response EXACTLY as this JSON:
-
-{
-  "categories": [
-    { "name": "Personal", "amount": <number> },
-    { "name": "Home expenses", "amount": <number> },
-    { "name": "Education", "amount": <number> },
-    { "name": "Leisure & Entertainment", "amount": <number> },
-    { "name": "Investments & Assets", "amount": <number> },
-    { "name": "Miscellaneous", "amount": <number> }
-  ]
+function formatCategoryBreakdown(categoryTotals) {
+  return categoryTotals.categories
+    .filter(category => category.amount > 0)
+    .map(category => `- ${category.name}: ${formatMoney(category.amount, categoryTotals.currency)} (${category.percentage}%)`)
+    .join('\n') || '- No categorised spending';
 }
 
-Here are the transactions:
-${transactionText}
-`;
-
-
-
-    // Call local Llama model with lower temperature for more consistent categorization
-    const response = await ollama.chat({
-      model: 'llama3:latest',
-      messages: [{ role: 'user', content: prompt }],
-      options: {
-        temperature: 0.1  // Lower temperature for more consistent results
-      }
-    });
-
-    // Extract response content
-    let responseContent = response.message.content.trim();
-    
-    // Handle various ways the LLM might format the JSON
-    if (responseContent.startsWith('```json')) {
-      responseContent = responseContent.replace(/^```json\n/, '').replace(/\n```$/, '');
-    } else if (responseContent.startsWith('```')) {
-      responseContent = responseContent.replace(/^```\n/, '').replace(/\n```$/, '');
-    }
-
-    // Extract JSON part if there's additional text
-    const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      responseContent = jsonMatch[0];
-    }
-
-    // Parse and validate the response
-    const categorizedData = JSON.parse(responseContent);
-    
-    // Validate that we have categories
-    if (!categorizedData.categories || categorizedData.categories.length === 0) {
-      throw new Error('LLM did not return any categories');
-    }
-    
-    // Verify we have all required categories
-    const returnedCategories = new Set(categorizedData.categories.map(c => c.name));
-    const missingCategories = REQUIRED_SPECIFIC_CATEGORIES.filter(c => !returnedCategories.has(c));
-    
-    if (missingCategories.length > 0) {
-      // Add missing categories with zero values
-      missingCategories.forEach(categoryName => {
-        categorizedData.categories.push({
-          name: categoryName,
-          amount: 0,
-          percentage: 0
-        });
-      });
-    }
-    
-    return categorizedData;
-  } catch (error) {
-    console.error('Error processing transactions with LLM:', error);
-    
-    // Fall back to using our required categories
-    const totalAmount = transactions.reduce((sum, t) => sum + parseFloat(t.amount), 0);
-    
-    return {
-      categories: REQUIRED_SPECIFIC_CATEGORIES.map(name => ({
-        name,
-        amount: name === 'Uncategorized' ? totalAmount : 0,
-        percentage: name === 'Uncategorized' ? 100 : 0
-      }))
-    };
-  }
+/**
+ * Total transactions of one type in the base currency
+ * Rows without an exchange rate (base_amount null) are left out
+ * @param {Array} transactions - Transactions with base_amount
+ * @param {string} type - Income or Expense
+ * @returns {number} Total
+ */
+function sumByType(transactions, type) {
+  return transactions
+    .filter(t => t.type === type && t.base_amount !== null)
+    .reduce((sum, t) => sum + parseFloat(t.base_amount), 0);
 }
 
 /**
- * Categorize transactions for a user
- * @route GET /api/transactions/categories
+ * Format a transaction amount, adding the base-currency value for foreign amounts
+ * @param {Object} t - Transaction with amount, currency and base_amount
+ * @param {string} currency - Base currency
+ * @returns {string} Formatted amount
  */
-export const categorizeTransactions = async (req, res) => {
-  try {
-    const uuid = req.user.uuid; // From auth middleware
-    
-    // Get all user transactions with type information
-    const query = 'SELECT id, title, description, amount, type FROM transactions WHERE uuid = $1';
-    const { rows } = await pool.query(query, [uuid]);
-    
-    if (rows.length === 0) {
-      return res.status(StatusCodes.OK).json({
-        success: true,
-        message: 'No transactions to categorize',
-        data: {
-          categories: REQUIRED_SPECIFIC_CATEGORIES.map(name => ({
-            name,
-            amount: 0,
-            percentage: 0
-          }))
-        }
-      });
-    }
-
-    // Process transactions to get categorized data
-    const categorizedData = await processTransactionsWithLLM(rows);
-
-    return res.status(StatusCodes.OK).json({
-      success: true,
-      message: 'Transactions categorized successfully',
-      data: categorizedData
-    });
-  } catch (error) {
-    console.error('Error categorizing transactions:', error);
-    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      message: 'Failed to categorize transactions'
-    });
-  }
-};
+function formatTransactionAmount(t, currency) {
+  const amount = formatMoney(t.amount, t.currency || currency);
+  if (!t.currency || t.currency === currency || t.base_amount === null) return amount;
+  return `${amount} (${formatMoney(t.base_amount, currency)})`;
+}
 
 /**
  * Process transactions through LLM to generate a summary
- * @param {Array} transactions - Array of transaction objects
+ * @param {Array} transactions - Array of transaction objects, with base_amount in the base currency
+ * @param {Object} categoryTotals - Expense totals per category from getCategoryTotals
+ * @param {string} currency - User's base currency
  * @returns {Object} Summary of transactions
  */
-async function generateTransactionSummary(transactions) {
+async function generateTransactionSummary(transactions, categoryTotals, currency) {
   try {
     // Calculate some basic stats for context
-    const totalIncome = transactions
-      .filter(t => t.type === 'Income')
-      .reduce((sum, t) => sum + parseFloat(t.amount), 0);
+    const totalIncome = sumByType(transactions, 'Income');
     
-    const totalExpenses = transactions
-      .filter(t => t.type === 'Expense')
-      .reduce((sum, t) => sum + parseFloat(t.amount), 0);
+    const totalExpenses = sumByType(transactions, 'Expense');
       
     const netAmount = totalIncome - totalExpenses;
     
     // Format transactions for the prompt
     const transactionText = transactions.map(t => 
-      `ID: ${t.id}, Title: "${t.title}", Description: "${t.description || 'None'}", Amount: $${t.amount}, Type: ${t.type}, Date: ${new Date(t.created_at).toLocaleDateString()}`
+      `ID: ${t.id}, Title: "${t.title}", Description: "${t.description || 'None'}", Amount: ${formatTransactionAmount(t, currency)}, Type: ${t.type}, Category: ${t.category || 'Uncategorized'}, Date: ${new Date(t.created_at).toLocaleDateString()}`
     ).join('\n');
     
     // Create a prompt focused on summary generation
@@ -204,10 +76,13 @@ You are a personal finance assistant. I need a concise yet insightful summary of
 Here are my transactions:
 ${transactionText}
 
-Basic stats:
-- Total Income: $${totalIncome.toFixed(2)}
-- Total Expenses: $${totalExpenses.toFixed(2)}
-- Net Amount: $${netAmount.toFixed(2)}
+Basic stats (all totals in ${currency}):
+- Total Income: ${formatMoney(totalIncome, currency)}
+- Total Expenses: ${formatMoney(totalExpenses, currency)}
+- Net Amount: ${formatMoney(netAmount, currency)}
+
+Spending by category:
+${formatCategoryBreakdown(categoryTotals)}
 
 Please provide a summary that includes:
 1. A brief overview of my spending and earning patterns
@@ -268,9 +143,11 @@ Keep the summary and insights clear, concise, and actionable.
     
     return {
       ...summaryData,
+      currency,
       totalIncome,
       totalExpenses,
-      netAmount
+      netAmount,
+      categories: categoryTotals.categories
     };
   } catch (error) {
     console.error('Error generating transaction summary:', error);
@@ -279,63 +156,72 @@ Keep the summary and insights clear, concise, and actionable.
     return {
       summary: "Summary could not be generated automatically.",
       insights: [
-        "You had a total income of $" + transactions
-          .filter(t => t.type === 'Income')
-          .reduce((sum, t) => sum + parseFloat(t.amount), 0).toFixed(2),
-        "You spent a total of $" + transactions
-          .filter(t => t.type === 'Expense')
-          .reduce((sum, t) => sum + parseFloat(t.amount), 0).toFixed(2)
+        "You had a total income of " + formatMoney(sumByType(transactions, 'Income'), currency),
+        "You spent a total of " + formatMoney(sumByType(transactions, 'Expense'), currency),
+        ...categoryTotals.categories
+          .filter(category => category.amount > 0)
+          .map(category => `${category.name} accounted for ${category.percentage}% of your spending`)
       ],
       recommendations: [
         "Please review your transactions manually for insights."
       ],
       financialHealth: "Not available due to error in processing.",
-      totalIncome: transactions
-        .filter(t => t.type === 'Income')
-        .reduce((sum, t) => sum + parseFloat(t.amount), 0),
-      totalExpenses: transactions
-        .filter(t => t.type === 'Expense')
-        .reduce((sum, t) => sum + parseFloat(t.amount), 0),
-      netAmount: transactions
-        .filter(t => t.type === 'Income')
-        .reduce((sum, t) => sum + parseFloat(t.amount), 0) - 
-        transactions
-        .filter(t => t.type === 'Expense')
-        .reduce((sum, t) => sum + parseFloat(t.amount), 0)
+      currency,
+      totalIncome: sumByType(transactions, 'Income'),
+      totalExpenses: sumByType(transactions, 'Expense'),
+      netAmount: sumByType(transactions, 'Income') - sumByType(transactions, 'Expense'),
+      categories: categoryTotals.categories
     };
   }
 }
 
 /**
  * Generate a summary of user transactions for a specific month
+ * Query: month, year, tags (only transactions carrying all of them)
  * @route GET /api/transactions/summary
  */
 export const summarizeTransactions = async (req, res) => {
   try {
     const uuid = req.user.uuid; // From auth middleware
     
+    const { tags, error: tagError } = parseTagList(req.query.tags || []);
+    if (tagError) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: tagError
+      });
+    }
+    
     // Get month and year from request query or use current month
     const { month, year } = req.query;
     const currentDate = new Date();
     const targetMonth = month ? parseInt(month, 10) - 1 : currentDate.getMonth();
     const targetYear = year ? parseInt(year, 10) : currentDate.getFullYear();
     
-    // Calculate date range for the month
+    // Calculate date range for the month (end is exclusive so the last day is included)
     const startDate = new Date(targetYear, targetMonth, 1);
-    const endDate = new Date(targetYear, targetMonth + 1, 0); // Last day of month
+    const endDate = new Date(targetYear, targetMonth + 1, 1); // First day of next month
     
-    // Get user transactions for the specified month
+    // Get user transactions for the specified month, with split transactions broken into their lines
+    // and amounts converted to the base currency; transfers between the user's own accounts are
+    // neither income nor spending
+    const currency = await getBaseCurrency(uuid);
     const query = `
-      SELECT id, title, description, amount, type, created_at 
-      FROM transactions 
-      WHERE uuid = $1 AND created_at >= $2 AND created_at <= $3
-      ORDER BY created_at ASC
+      SELECT id, split_id, title, line_description AS description, line_amount AS amount, currency, type,
+        line_category AS category, created_at,
+        transactions.line_amount * ${exchangeRateSql('$4')} AS base_amount
+      FROM ${transactionLinesSql()}
+      WHERE uuid = $1 AND created_at >= $2 AND created_at < $3 AND type <> '${TRANSFER_TYPE}'
+        AND ($5::text[] IS NULL OR ${tagFilterSql('$5')})
+      ORDER BY created_at ASC, id ASC, split_id ASC
     `;
     
     const { rows } = await pool.query(query, [
       uuid, 
       startDate.toISOString(), 
-      endDate.toISOString()
+      endDate.toISOString(),
+      currency,
+      tags.length > 0 ? tags : null
     ]);
     
     if (rows.length === 0) {
@@ -347,17 +233,27 @@ export const summarizeTransactions = async (req, res) => {
           insights: [],
           recommendations: ["Consider tracking all your expenses for better financial insights."],
           financialHealth: "Not available due to lack of data.",
+          currency,
           totalIncome: 0,
           totalExpenses: 0,
           netAmount: 0,
+          categories: [],
           month: targetMonth + 1,
-          year: targetYear
+          year: targetYear,
+          tags
         }
       });
     }
 
+    // Category totals come from stored labels, not the LLM
+    const categoryTotals = await getCategoryTotals(uuid, 'Expense', {
+      from: startDate.toISOString(),
+      to: endDate.toISOString(),
+      tags
+    });
+    
     // Generate transaction summary
-    const summaryData = await generateTransactionSummary(rows);
+    const summaryData = await generateTransactionSummary(rows, categoryTotals, currency);
 
     return res.status(StatusCodes.OK).json({
       success: true,
@@ -366,6 +262,7 @@ export const summarizeTransactions = async (req, res) => {
         ...summaryData,
         month: targetMonth + 1,
         year: targetYear,
+        tags,
         transactionCount: rows.length
       }
     });
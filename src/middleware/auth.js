@@ -1,7 +1,8 @@
 import jwt from 'jsonwebtoken';
 import { StatusCodes } from 'http-status-codes';
+import { isSessionActive } from '../services/sessionService.js';
 
-export const authenticateUser = (req, res, next) => {
+export const authenticateUser = async (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -15,12 +16,29 @@ export const authenticateUser = (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens of sessions that logged out or were revoked stop working before they expire
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.uuid))) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
     
     // Add user from payload
     req.user = decoded;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
+
+    // A database outage is not the token's fault; a 401 would make clients log the user out
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: 'Could not verify the session, please try again'
+      });
+    }
+
     res.status(StatusCodes.UNAUTHORIZED).json({ 
       success: false,
       message: 'Token is not valid' 
@@ -30,4 +48,4 @@ export const authenticateUser = (req, res, next) => {
 
 // Keep the default export for backward compatibility
 const auth = authenticateUser;
-export default auth;
\ No newline at end of file
+export default auth;
@@ -17,20 +17,20 @@ export const validateWithLLM = async (source, fileName, content) => {
 };
 
 export const storeResult = async (result) => {
-  const { platform, file_name, summary, confidence, validated, user_id } = result;
+  const { platform, file_name, summary, confidence, validated, user_id, uuid } = result;
   const timestamp = result.timestamp || new Date();
   
   const query = `
     INSERT INTO validated_files 
-    (platform, file_name, summary, confidence, validated, timestamp, user_id)
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    (platform, file_name, summary, confidence, validated, timestamp, user_id, uuid)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     RETURNING *;
   `;
   
   try {
     const { rows } = await pool.query(query, [
       platform, file_name, summary, 
-      confidence, validated, timestamp, user_id
+      confidence, validated, timestamp, user_id, uuid || null
     ]);
     return rows[0];
   } catch (error) {
@@ -171,6 +171,9 @@ export const initDatabase = async () => {
         timestamp TIMESTAMPTZ DEFAULT NOW(),
         user_id TEXT
       );
+
+      -- Account that ran the search, so its documents can be linked to that account's transactions
+      ALTER TABLE validated_files ADD COLUMN IF NOT EXISTS uuid UUID;
     `);
     console.log('Database initialized successfully');
   } catch (error) {
@@ -1,4 +1,5 @@
 import { StatusCodes } from 'http-status-codes';
+import pool from '../database/db.js';
 import * as n8nService from './n8n.js';
 
 // Initialize database on module load
@@ -45,11 +46,12 @@ export const searchDocuments = async (req, res) => {
                   confidence: validation.confidence,
                   validated: validation.valid,
                   timestamp: item.timestamp,
-                  user_id: userId
+                  user_id: userId,
+                  uuid: req.user.uuid
                 };
                 
-                allResults.push(result);
-                return n8nService.storeResult(result);
+                return n8nService.storeResult(result)
+                  .then(stored => allResults.push({ ...result, id: stored.id }));
               })
           );
         }
@@ -87,7 +89,11 @@ export const searchDocuments = async (req, res) => {
       results: {
         totalFound: allResults.length,
         validatedCount: validatedResults.length,
-        sentMessage: resultMessage
+        sentMessage: resultMessage,
+        // ids for POST /api/transactions/:id/attachments/link
+        documents: validatedResults.map(({ id, platform, file_name, summary, confidence }) => ({
+          id, platform, file_name, summary, confidence
+        }))
       }
     });
     
@@ -99,4 +105,37 @@ export const searchDocuments = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the documents the user's searches have found, with the transactions they are linked to
+ * @route GET /api/n8n/documents
+ */
+export const getDocuments = async (req, res) => {
+  try {
+    const uuid = req.user.uuid; // From auth middleware
+
+    const { rows } = await pool.query(`
+      SELECT vf.*,
+        COALESCE(array_agg(a.transaction_id) FILTER (WHERE a.id IS NOT NULL), '{}') AS transaction_ids
+      FROM validated_files vf
+      LEFT JOIN attachments a ON a.validated_file_id = vf.id AND a.uuid = vf.uuid
+      WHERE vf.uuid = $1
+      GROUP BY vf.id
+      ORDER BY vf.timestamp DESC
+    `, [uuid]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Documents retrieved successfully',
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error retrieving documents:', error);
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to retrieve documents'
+    });
+  }
+};
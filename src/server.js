@@ -8,6 +8,24 @@ import goalRoutes from './Routes/goalRoutes.js';
 import llmRoutes from './Routes/llmRoutes.js'; // Assuming you have a separate route for LLM
 import chatRoutes from './Routes/chatRoutes.js'; 
 import n8nRoutes from './Routes/n8nRoutes.js' // Assuming you have a separate route for chat
+import ruleRoutes from './Routes/ruleRoutes.js';
+import categoryRoutes from './Routes/categoryRoutes.js';
+import recurringRoutes from './Routes/recurringRoutes.js';
+import subscriptionRoutes from './Routes/subscriptionRoutes.js';
+import currencyRoutes from './Routes/currencyRoutes.js';
+import accountRoutes from './Routes/accountRoutes.js';
+import tagRoutes from './Routes/tagRoutes.js';
+import budgetRoutes from './Routes/budgetRoutes.js';
+import analyticsRoutes from './Routes/analyticsRoutes.js';
+import holdingRoutes from './Routes/holdingRoutes.js';
+import netWorthRoutes from './Routes/netWorthRoutes.js';
+import loanRoutes from './Routes/loanRoutes.js';
+import householdRoutes from './Routes/householdRoutes.js';
+import expenseGroupRoutes from './Routes/expenseGroupRoutes.js';
+import { startRecurringScheduler } from './services/recurringService.js';
+import { startAttachmentPurger } from './services/attachmentService.js';
+import { startTrashPurger } from './services/trashService.js';
+import { startGoalStatusJob } from './services/goalService.js';
 import { spawn } from 'child_process'; // Import child_process for Python script execution
 
 // Load environment variables
@@ -26,6 +44,20 @@ app.use('/api/transactions', auth,transactionRoutes);
 app.use('/api/llm',auth, llmRoutes); // Assuming you want to use the same route for LLM
 app.use('/api/chat',auth,chatRoutes)
 app.use('/api/n8n', auth, n8nRoutes); // Add n8n routes with auth middleware
+app.use('/api/rules', auth, ruleRoutes);
+app.use('/api/categories', auth, categoryRoutes);
+app.use('/api/recurring', auth, recurringRoutes);
+app.use('/api/subscriptions', auth, subscriptionRoutes);
+app.use('/api/currency', auth, currencyRoutes);
+app.use('/api/accounts', auth, accountRoutes);
+app.use('/api/tags', auth, tagRoutes);
+app.use('/api/budgets', auth, budgetRoutes);
+app.use('/api/analytics', auth, analyticsRoutes);
+app.use('/api/holdings', auth, holdingRoutes);
+app.use('/api/net-worth', auth, netWorthRoutes);
+app.use('/api/loans', auth, loanRoutes);
+app.use('/api/households', auth, householdRoutes);
+app.use('/api/groups', auth, expenseGroupRoutes);
 
 // Route for model prediction
 app.post('/api/predict', (req, res) => {
@@ -76,4 +108,8 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startRecurringScheduler();
+  startAttachmentPurger();
+  startTrashPurger();
+  startGoalStatusJob();
 });
\ No newline at end of file
@@ -0,0 +1,247 @@
+import pool from '../database/db.js';
+import { DEFAULT_CURRENCY } from '../utils/currency.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+import { sharedAccessSql } from './householdService.js';
+
+// Kinds of account a user can hold money in (or owe money on)
+export const ACCOUNT_TYPES = ['bank', 'card', 'cash', 'wallet', 'loan'];
+
+// Name of the account created for transactions recorded before accounts existed
+const DEFAULT_ACCOUNT_NAME = 'Main account';
+
+const createTables = async () => {
+  try {
+    // Balances are signed: money held is positive, money owed on a card or loan is negative
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS accounts (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'bank',
+        currency CHAR(3) NOT NULL,
+        opening_balance NUMERIC NOT NULL DEFAULT 0,
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        is_archived BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (uuid, name)
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS accounts_default_idx ON accounts (uuid) WHERE is_default;
+
+      -- Household members can see the balance of an account shared with the household
+      ALTER TABLE accounts ADD COLUMN IF NOT EXISTS household_id INTEGER;
+
+      -- A transfer leaves account_id and reaches to_account_id
+      ALTER TABLE transactions
+        ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id),
+        ADD COLUMN IF NOT EXISTS to_account_id INTEGER REFERENCES accounts(id);
+      CREATE INDEX IF NOT EXISTS transactions_account_idx ON transactions (account_id);
+      CREATE INDEX IF NOT EXISTS transactions_to_account_idx ON transactions (to_account_id) WHERE to_account_id IS NOT NULL;
+    `);
+  } catch (error) {
+    console.error('Accounts table initialization failed:', error);
+  }
+};
+
+// Shared by every caller, so the tables are only created once
+let initialized = null;
+
+// Database initialization
+// Tables that reference accounts await this before creating their own
+export const initDatabase = () => {
+  initialized ??= createTables();
+  return initialized;
+};
+
+/**
+ * SQL selecting every movement in or out of one account, signed from that account's side
+ * Transactions in the trash do not move money; a transfer out of a holding pays into account_id
+ * Columns: uuid, created_at, currency, amount
+ * @param {string} accountRef - SQL expression holding the account id, e.g. "$1" or "a.id"
+ * @returns {string} SQL subquery
+ */
+export function accountMovementsSql(accountRef) {
+  return `
+    SELECT uuid, created_at, currency,
+      CASE WHEN account_id = ${accountRef} AND type <> 'Income' AND holding_flow IS DISTINCT FROM 'out'
+        THEN -amount ELSE amount END AS amount
+    FROM transactions
+    WHERE (account_id = ${accountRef} OR (type = '${TRANSFER_TYPE}' AND to_account_id = ${accountRef}))
+      AND deleted_at IS NULL
+  `;
+}
+
+/**
+ * SQL columns for an account's current balance in its own currency
+ * Expects the accounts table to be in scope as "a"
+ * @returns {string} SQL select list fragment: balance, unconverted_count
+ */
+function balanceColumnsSql() {
+  return `
+    a.opening_balance + COALESCE((
+      SELECT SUM(m.amount * fx_rate(m.uuid, m.currency, a.currency, m.created_at::date))
+      FROM (${accountMovementsSql('a.id')}) m
+    ), 0) AS balance,
+    (
+      SELECT COUNT(*) FROM (${accountMovementsSql('a.id')}) m
+      WHERE fx_rate(m.uuid, m.currency, a.currency, m.created_at::date) IS NULL
+    )::int AS unconverted_count
+  `;
+}
+
+/**
+ * Make sure the user has a default account and return it
+ * Transactions without an account are moved into it once, when it is created; every insert after that
+ * names its account
+ * @param {Object} db - pool or a connected client
+ * @param {string} uuid - User UUID
+ * @returns {Object} Account row
+ */
+export async function getDefaultAccount(db, uuid) {
+  const { rows: existing } = await db.query('SELECT * FROM accounts WHERE uuid = $1 AND is_default', [uuid]);
+  if (existing.length > 0) return existing[0];
+
+  const { rows: created } = await db.query(`
+    INSERT INTO accounts (uuid, name, type, currency, is_default)
+    SELECT $1, $2, 'bank', COALESCE((SELECT base_currency FROM users WHERE uuid = $1), $3), TRUE
+    WHERE NOT EXISTS (SELECT 1 FROM accounts WHERE uuid = $1 AND is_default)
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `, [uuid, DEFAULT_ACCOUNT_NAME, DEFAULT_CURRENCY]);
+
+  let account = created[0];
+  if (!account) {
+    // A concurrent request created it first
+    const { rows } = await db.query('SELECT * FROM accounts WHERE uuid = $1 AND is_default', [uuid]);
+    if (rows.length > 0) return rows[0];
+
+    // A non-default account already uses the default name, so promote the oldest account instead
+    const { rows: oldest } = await db.query(`
+      UPDATE accounts SET is_default = TRUE
+      WHERE id = (SELECT id FROM accounts WHERE uuid = $1 ORDER BY id ASC LIMIT 1)
+      RETURNING *
+    `, [uuid]);
+    account = oldest[0];
+  }
+
+  await db.query(
+    'UPDATE transactions SET account_id = $1 WHERE uuid = $2 AND account_id IS NULL',
+    [account.id, uuid]
+  );
+  return account;
+}
+
+/**
+ * Load all of a user's accounts, creating the default one if needed
+ * @param {Object} db - pool or a connected client
+ * @param {string} uuid - User UUID
+ * @returns {Map} Account rows keyed by id
+ */
+export async function loadAccounts(db, uuid) {
+  await getDefaultAccount(db, uuid);
+  const { rows } = await db.query('SELECT * FROM accounts WHERE uuid = $1 ORDER BY id ASC', [uuid]);
+  return new Map(rows.map(account => [account.id, account]));
+}
+
+/**
+ * Find the account a transaction should be booked against
+ * @param {Map} accounts - From loadAccounts
+ * @param {*} accountId - Requested account id, or empty for the default account
+ * @returns {Object|null} Account row, or null if the id is not one of the user's open accounts
+ */
+export function resolveAccount(accounts, accountId) {
+  if (accountId === undefined || accountId === null || accountId === '') {
+    return [...accounts.values()].find(account => account.is_default) || null;
+  }
+  const account = accounts.get(Number(accountId));
+  return account && !account.is_archived ? account : null;
+}
+
+/**
+ * Check the account references of one transaction
+ * @param {Map} accounts - From loadAccounts
+ * @param {Object} transaction - Transaction with optional account_id / to_account_id, and the
+ * holding_id of a transfer to or from a holding (checked by the caller)
+ * @returns {string|null} Reason the references are invalid, or null
+ */
+export function checkAccountReferences(accounts, transaction) {
+  const account = resolveAccount(accounts, transaction.account_id);
+  if (!account) return 'account_id must be one of your open accounts';
+
+  if (transaction.type === TRANSFER_TYPE && transaction.holding_id) {
+    if (transaction.to_account_id) return 'A transfer goes to another account or to a holding, not both';
+  } else if (transaction.type === TRANSFER_TYPE) {
+    if (!transaction.to_account_id) return 'Transfers need a to_account_id';
+    const destination = resolveAccount(accounts, transaction.to_account_id);
+    if (!destination) return 'to_account_id must be one of your open accounts';
+    if (destination.id === account.id) return 'A transfer must move money between two different accounts';
+  } else if (transaction.to_account_id) {
+    return 'to_account_id is only allowed on transfers';
+  }
+
+  return null;
+}
+
+/**
+ * Get a user's accounts with their current balances
+ * @param {string} uuid - User UUID
+ * @param {string} baseCurrency - Currency for base_balance, converted at today's rate
+ * @param {Object} options - { id, includeArchived, shared (instead list the accounts other members have
+ *   shared with the user's households) }
+ * @returns {Array} Account rows with balance, base_balance and unconverted_count
+ */
+export async function getAccountsWithBalances(uuid, baseCurrency, options = {}) {
+  await getDefaultAccount(pool, uuid);
+
+  const conditions = [options.shared ? `a.uuid <> $1 AND ${sharedAccessSql('a', '$1')}` : 'a.uuid = $1'];
+  const values = [uuid, baseCurrency];
+  if (options.id !== undefined) {
+    values.push(options.id);
+    conditions.push(`a.id = $${values.length}`);
+  }
+  if (!options.includeArchived && options.id === undefined) {
+    conditions.push('a.is_archived = FALSE');
+  }
+
+  const { rows } = await pool.query(`
+    SELECT balances.*, balance * fx_rate(uuid, currency, $2, CURRENT_DATE) AS base_balance
+    FROM (
+      SELECT a.*, ${balanceColumnsSql()}
+      FROM accounts a
+      WHERE ${conditions.join(' AND ')}
+    ) balances
+    ORDER BY is_default DESC, name ASC
+  `, values);
+
+  return rows.map(account => ({
+    ...account,
+    balance: parseFloat(account.balance),
+    base_balance: account.base_balance === null ? null : parseFloat(account.base_balance)
+  }));
+}
+
+/**
+ * Closing balance of one account for each period in a date range
+ * @param {Object} account - Account row
+ * @param {Object} range - { from, to, interval } with YYYY-MM-DD dates and 'day', 'week' or 'month'
+ * @returns {Array} [{ period, balance }] in the account's currency, where period is the first day
+ */
+export async function getBalanceHistory(account, { from, to, interval }) {
+  const { rows } = await pool.query(`
+    WITH changes AS (
+      SELECT date_trunc($4, m.created_at)::date AS period,
+        SUM(m.amount * fx_rate(m.uuid, m.currency, $5, m.created_at::date)) AS change
+      FROM (${accountMovementsSql('$1')}) m
+      GROUP BY 1
+    ),
+    periods AS (
+      SELECT generate_series(date_trunc($4, $2::date::timestamp), $3::date::timestamp, ('1 ' || $4)::interval)::date AS period
+    )
+    SELECT p.period::text AS period,
+      $6::numeric + COALESCE((SELECT SUM(c.change) FROM changes c WHERE c.period <= p.period), 0) AS balance
+    FROM periods p
+    ORDER BY p.period ASC
+  `, [account.id, from, to, interval, account.currency, account.opening_balance]);
+
+  return rows.map(row => ({ period: row.period, balance: parseFloat(row.balance) }));
+}
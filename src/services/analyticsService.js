@@ -0,0 +1,193 @@
+import pool from '../database/db.js';
+import { convertedAmountSql } from './currencyService.js';
+import { getCategoryTotals } from './categoryService.js';
+import { buildTransactionFilters, TRANSFER_TYPE } from '../utils/transactionFilters.js';
+import { normalizeTitle } from '../utils/merchants.js';
+import { addDays } from '../utils/recurrence.js';
+import { daysInRange, elapsedDays } from '../utils/analytics.js';
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * WHERE conditions for the income and expenses of a date range
+ * Transfers between the user's own accounts are neither income nor spending
+ * @param {string} uuid - User UUID
+ * @param {Object} range - { from, to } inclusive days
+ * @param {Object} filters - Optional { accountId, tags } as accepted by buildTransactionFilters
+ * @param {string} currency - Base currency the amounts are converted into
+ * @returns {Object} { conditions, values, currencyRef }
+ */
+function rangeQuery(uuid, range, filters, currency) {
+  const { conditions, values, error } = buildTransactionFilters({ ...filters, from: range.from, to: range.to }, uuid);
+  if (error) throw new Error(error);
+  conditions.push(`type <> '${TRANSFER_TYPE}'`);
+  values.push(currency);
+  return { conditions, values, currencyRef: `$${values.length}` };
+}
+
+/**
+ * Total income and spending of a date range, with savings rate and average daily spend
+ * Amounts are converted to the base currency at each transaction's date; transactions without a
+ * usable exchange rate are counted but left out of the amounts
+ * @param {string} uuid - User UUID
+ * @param {Object} range - { from, to } inclusive days
+ * @param {Object} filters - Optional { accountId, tags }
+ * @param {string} currency - Base currency
+ * @returns {Object} { from, to, days, income, expense, net, savingsRate, averageDailySpend, transactionCount, unconvertedCount }
+ */
+export async function getPeriodTotals(uuid, range, filters, currency) {
+  const { conditions, values, currencyRef } = rangeQuery(uuid, range, filters, currency);
+  const { rows } = await pool.query(`
+    SELECT
+      COALESCE(SUM(base_amount) FILTER (WHERE type = 'Income'), 0) AS income,
+      COALESCE(SUM(base_amount) FILTER (WHERE type = 'Expense'), 0) AS expense,
+      COUNT(*)::int AS count,
+      COUNT(*) FILTER (WHERE base_amount IS NULL)::int AS unconverted
+    FROM (
+      SELECT type, ${convertedAmountSql(currencyRef)} AS base_amount
+      FROM transactions
+      WHERE ${conditions.join(' AND ')}
+    ) converted
+  `, values);
+
+  const income = parseFloat(rows[0].income);
+  const expense = parseFloat(rows[0].expense);
+  const spendDays = elapsedDays(range);
+
+  return {
+    from: range.from,
+    to: range.to,
+    days: daysInRange(range.from, range.to),
+    income: round(income),
+    expense: round(expense),
+    net: round(income - expense),
+    // Share of income not spent; undefined without income
+    savingsRate: income > 0 ? round(((income - expense) / income) * 100) : null,
+    averageDailySpend: spendDays > 0 ? round(expense / spendDays) : 0,
+    transactionCount: rows[0].count,
+    unconvertedCount: rows[0].unconverted
+  };
+}
+
+/**
+ * Income, expense and net per day, week, month or year of a date range
+ * Every bucket is returned, empty ones at zero, so charts need no gap filling
+ * @param {string} uuid - User UUID
+ * @param {Object} range - { from, to } inclusive days
+ * @param {string} interval - One of ANALYTICS_INTERVALS
+ * @param {Object} filters - Optional { accountId, tags }
+ * @param {string} currency - Base currency
+ * @returns {Array} { period (first day of the bucket), income, expense, net, transactionCount }
+ */
+export async function getCashFlowSeries(uuid, range, interval, filters, currency) {
+  const { conditions, values, currencyRef } = rangeQuery(uuid, range, filters, currency);
+  values.push(range.from, range.to);
+  const fromRef = `$${values.length - 1}`;
+  const toRef = `$${values.length}`;
+
+  const { rows } = await pool.query(`
+    WITH totals AS (
+      SELECT
+        date_trunc('${interval}', created_at) AS bucket,
+        SUM(base_amount) FILTER (WHERE type = 'Income') AS income,
+        SUM(base_amount) FILTER (WHERE type = 'Expense') AS expense,
+        COUNT(*)::int AS count
+      FROM (
+        SELECT type, created_at, ${convertedAmountSql(currencyRef)} AS base_amount
+        FROM transactions
+        WHERE ${conditions.join(' AND ')}
+      ) converted
+      GROUP BY 1
+    )
+    SELECT
+      to_char(buckets.bucket, 'YYYY-MM-DD') AS period,
+      COALESCE(totals.income, 0) AS income,
+      COALESCE(totals.expense, 0) AS expense,
+      COALESCE(totals.count, 0) AS count
+    FROM generate_series(date_trunc('${interval}', ${fromRef}::timestamp), ${toRef}::timestamp, INTERVAL '1 ${interval}') AS buckets(bucket)
+    LEFT JOIN totals ON totals.bucket = buckets.bucket
+    ORDER BY buckets.bucket
+  `, values);
+
+  return rows.map(row => {
+    const income = parseFloat(row.income);
+    const expense = parseFloat(row.expense);
+    return {
+      period: row.period,
+      income: round(income),
+      expense: round(expense),
+      net: round(income - expense),
+      transactionCount: row.count
+    };
+  });
+}
+
+/**
+ * Merchants the most was spent at in a date range
+ * Titles are grouped by their normalised merchant key, so "NETFLIX.COM 12/03" and "Netflix.com" add up
+ * @param {string} uuid - User UUID
+ * @param {Object} range - { from, to } inclusive days
+ * @param {Object} filters - Optional { accountId, tags }
+ * @param {string} currency - Base currency
+ * @param {number} limit - Number of merchants
+ * @returns {Array} { merchant, amount, transactionCount, percentage }
+ */
+export async function getTopMerchants(uuid, range, filters, currency, limit) {
+  const { conditions, values, currencyRef } = rangeQuery(uuid, range, filters, currency);
+  const { rows } = await pool.query(`
+    SELECT title, COALESCE(SUM(base_amount), 0) AS amount, COUNT(*)::int AS count
+    FROM (
+      SELECT title, ${convertedAmountSql(currencyRef)} AS base_amount
+      FROM transactions
+      WHERE ${conditions.join(' AND ')} AND type = 'Expense'
+    ) converted
+    GROUP BY title
+  `, values);
+
+  // The merchant is shown as its most used title
+  const merchants = new Map();
+  let total = 0;
+  rows.forEach(row => {
+    const key = normalizeTitle(row.title) || row.title;
+    const amount = parseFloat(row.amount);
+    const entry = merchants.get(key) || { merchant: row.title, amount: 0, transactionCount: 0, topCount: 0 };
+    if (row.count > entry.topCount) {
+      entry.merchant = row.title;
+      entry.topCount = row.count;
+    }
+    entry.amount += amount;
+    entry.transactionCount += row.count;
+    merchants.set(key, entry);
+    total += amount;
+  });
+
+  return [...merchants.values()]
+    .sort((a, b) => b.amount - a.amount || b.transactionCount - a.transactionCount)
+    .slice(0, limit)
+    .map(({ topCount, ...entry }) => ({
+      ...entry,
+      amount: round(entry.amount),
+      percentage: total > 0 ? round((entry.amount / total) * 100) : 0
+    }));
+}
+
+/**
+ * Top-level expense categories the most was spent on in a date range
+ * @param {string} uuid - User UUID
+ * @param {Object} range - { from, to } inclusive days
+ * @param {Object} filters - Optional { accountId, tags (normalised names) }
+ * @param {number} limit - Number of categories
+ * @returns {Array} Category totals from getCategoryTotals, largest first
+ */
+export async function getTopCategories(uuid, range, filters, limit) {
+  const { categories } = await getCategoryTotals(uuid, 'Expense', {
+    from: range.from,
+    to: addDays(range.to, 1),
+    tags: filters.tags,
+    accountId: filters.accountId
+  });
+  return categories
+    .filter(category => category.amount > 0)
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, limit);
+}
@@ -0,0 +1,123 @@
+import pool from '../database/db.js';
+import { getStorage } from './attachmentStorage.js';
+
+// Largest single upload and the most a user may store across all attachments
+export const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+export const ATTACHMENT_QUOTA_BYTES = parseInt(process.env.ATTACHMENT_QUOTA_BYTES, 10) || 100 * 1024 * 1024;
+
+// How often stored files of deleted attachments are removed, and how many per run
+const PURGE_INTERVAL_MS = parseInt(process.env.ATTACHMENT_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 200;
+
+let purgeRunning = false;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // An attachment is either an uploaded file (storage_key set) or a link to a document
+    // found by the n8n flow (validated_file_id set)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        file_name TEXT NOT NULL,
+        content_type TEXT,
+        size_bytes BIGINT NOT NULL DEFAULT 0,
+        storage_backend TEXT,
+        storage_key TEXT UNIQUE,
+        validated_file_id INTEGER,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (transaction_id, validated_file_id)
+      );
+      CREATE INDEX IF NOT EXISTS attachments_transaction_idx ON attachments (transaction_id);
+      CREATE INDEX IF NOT EXISTS attachments_uuid_idx ON attachments (uuid);
+
+      -- Stored files outlive their rows until the purge removes them, whichever way the row went
+      -- (attachment deleted, or cascaded from its transaction)
+      CREATE TABLE IF NOT EXISTS attachment_deletions (
+        id SERIAL PRIMARY KEY,
+        storage_backend TEXT NOT NULL,
+        storage_key TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE OR REPLACE FUNCTION attachments_queue_deletion() RETURNS trigger LANGUAGE plpgsql AS $$
+      BEGIN
+        INSERT INTO attachment_deletions (storage_backend, storage_key)
+        VALUES (OLD.storage_backend, OLD.storage_key);
+        RETURN NULL;
+      END
+      $$;
+
+      DROP TRIGGER IF EXISTS attachments_queue_deletion ON attachments;
+      CREATE TRIGGER attachments_queue_deletion
+        AFTER DELETE ON attachments
+        FOR EACH ROW WHEN (OLD.storage_key IS NOT NULL)
+        EXECUTE FUNCTION attachments_queue_deletion();
+    `);
+  } catch (error) {
+    console.error('Attachments table initialization failed:', error);
+  }
+};
+
+/**
+ * Bytes a user currently stores in attachments
+ * @param {Object} db - pool or a connected client
+ * @param {string} uuid - User UUID
+ * @returns {number} Used bytes
+ */
+export async function getUsage(db, uuid) {
+  const { rows } = await db.query(
+    'SELECT COALESCE(SUM(size_bytes), 0)::bigint AS used FROM attachments WHERE uuid = $1',
+    [uuid]
+  );
+  return Number(rows[0].used);
+}
+
+/**
+ * Remove stored files whose attachments have been deleted
+ * Failures are left queued and retried on the next run
+ * @returns {number} Files removed
+ */
+export async function purgeDeletedAttachments() {
+  if (purgeRunning) return 0;
+  purgeRunning = true;
+
+  let purged = 0;
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM attachment_deletions ORDER BY id ASC LIMIT $1',
+      [PURGE_BATCH_SIZE]
+    );
+
+    const done = [];
+    for (const row of rows) {
+      try {
+        await getStorage(row.storage_backend).delete(row.storage_key);
+        done.push(row.id);
+      } catch (error) {
+        console.error(`Error removing stored attachment ${row.storage_key}:`, error);
+      }
+    }
+
+    if (done.length > 0) {
+      await pool.query('DELETE FROM attachment_deletions WHERE id = ANY($1::int[])', [done]);
+      purged = done.length;
+    }
+  } catch (error) {
+    console.error('Attachment purge run failed:', error);
+  } finally {
+    purgeRunning = false;
+  }
+
+  return purged;
+}
+
+/**
+ * Start the in-process purge: one run now, then every PURGE_INTERVAL_MS
+ */
+export function startAttachmentPurger() {
+  purgeDeletedAttachments();
+  setInterval(purgeDeletedAttachments, PURGE_INTERVAL_MS);
+}
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+// Pluggable blob storage for attachments. Every backend exposes the same three calls:
+//   put(key, buffer, contentType), get(key) -> Readable or null, delete(key)
+// ATTACHMENT_STORAGE picks the backend for new uploads ("local" or "s3"); each attachment
+// records the backend it was written to, so switching backends keeps old files readable.
+
+export const STORAGE_BACKENDS = ['local', 's3'];
+
+const DEFAULT_BACKEND = STORAGE_BACKENDS.includes(process.env.ATTACHMENT_STORAGE)
+  ? process.env.ATTACHMENT_STORAGE
+  : 'local';
+
+/**
+ * Local disk storage under one root directory
+ * @param {string} root - Directory that holds every stored file
+ * @returns {Object} Storage backend
+ */
+export function createLocalStorage(root) {
+  const base = path.resolve(root);
+
+  // Keys are generated by the server, but never let one escape the root
+  const resolve = key => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+
+    async get(key) {
+      const file = resolve(key);
+      try {
+        await fs.promises.access(file, fs.constants.R_OK);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding required by Signature Version 4 ("/" is kept between key segments)
+const encodeKey = key => key.split('/').map(segment =>
+  encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+).join('/');
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, ...) using path-style requests signed with SigV4
+ * @param {Object} config - { endpoint, region, bucket, accessKeyId, secretAccessKey }
+ * @returns {Object} Storage backend
+ */
+export function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey }) {
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const request = async (method, key, body, headers = {}) => {
+    const url = new URL(`${baseUrl.pathname.replace(/\/$/, '')}/${bucket}/${encodeKey(key)}`, baseUrl);
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const day = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+
+    const signed = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      ...signedHeaders.map(name => `${name}:${signed[name]}`),
+      '',
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, day), region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        ...headers,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+      }
+    });
+  };
+
+  const fail = async (action, key, response) => {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`S3 ${action} ${key} failed with ${response.status}: ${detail.slice(0, 200)}`);
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      const response = await request('PUT', key, buffer, { 'Content-Type': contentType });
+      if (!response.ok) await fail('put', key, response);
+    },
+
+    async get(key) {
+      const response = await request('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail('get', key, response);
+      return Readable.fromWeb(response.body);
+    },
+
+    async delete(key) {
+      const response = await request('DELETE', key);
+      if (!response.ok && response.status !== 404) await fail('delete', key, response);
+    }
+  };
+}
+
+const backends = new Map();
+
+/**
+ * Get a storage backend, configured from the environment on first use
+ * @param {string} name - Backend name; defaults to the one new uploads go to
+ * @returns {Object} Storage backend
+ */
+export function getStorage(name = DEFAULT_BACKEND) {
+  if (!backends.has(name)) {
+    if (name === 'local') {
+      backends.set(name, createLocalStorage(process.env.ATTACHMENTS_DIR || 'uploads/attachments'));
+    } else if (name === 's3') {
+      backends.set(name, createS3Storage({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }));
+    } else {
+      throw new Error(`Unknown attachment storage backend: ${name}`);
+    }
+  }
+  return backends.get(name);
+}
@@ -0,0 +1,275 @@
+import { EventEmitter } from 'events';
+import pool from '../database/db.js';
+import { getTaxonomy, initDatabase as initCategories } from './categoryService.js';
+import { exchangeRateSql } from './currencyService.js';
+import { getMemberUuids, sharedAccessSql } from './householdService.js';
+import { transactionLinesSql } from './transactionService.js';
+import { BUDGET_THRESHOLDS, periodStart, nextPeriodStart, periodLimit, periodStatus, rolloverWindowStart } from '../utils/budgets.js';
+import { today, addDays } from '../utils/recurrence.js';
+import { transactionDay } from '../utils/duplicates.js';
+
+// Threshold crossings are stored in budget_events and also emitted here as 'threshold' for in-process listeners
+export const budgetEvents = new EventEmitter();
+
+// Dates are read back as text so YYYY-MM-DD survives the trip through node-pg unchanged
+export const BUDGET_COLUMNS = `
+  id, uuid, category_id, period, amount, currency, rollover,
+  start_date::text AS start_date, household_id, created_at, updated_at
+`;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // budgets reference categories, which another module creates on load
+    await initCategories();
+
+    // currency is the user's base currency when the budget is created; spend in other currencies
+    // is converted into it. start_date is the first period the budget (and its rollover) covers
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS budgets (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE RESTRICT,
+        period TEXT NOT NULL DEFAULT 'monthly',
+        amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+        currency CHAR(3) NOT NULL,
+        rollover BOOLEAN NOT NULL DEFAULT FALSE,
+        start_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (uuid, category_id, period)
+      );
+
+      -- One event per budget, period and threshold: a period that drops back under and crosses again does not repeat it
+      CREATE TABLE IF NOT EXISTS budget_events (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        budget_id INTEGER NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+        period_start DATE NOT NULL,
+        threshold INTEGER NOT NULL,
+        spent NUMERIC(12, 2) NOT NULL,
+        limit_amount NUMERIC(12, 2) NOT NULL,
+        currency CHAR(3) NOT NULL,
+        transaction_id INTEGER,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (budget_id, period_start, threshold)
+      );
+      CREATE INDEX IF NOT EXISTS budget_events_uuid_idx ON budget_events (uuid, created_at DESC);
+
+      -- A budget shared with a household counts the spend of every member against it
+      ALTER TABLE budgets ADD COLUMN IF NOT EXISTS household_id INTEGER;
+
+      -- Deleting a category must not take its budgets and their history with it; tables created when
+      -- the key still cascaded are switched over once
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM pg_constraint
+          WHERE conname = 'budgets_category_id_fkey' AND conrelid = 'budgets'::regclass AND confdeltype = 'c'
+        ) THEN
+          ALTER TABLE budgets DROP CONSTRAINT budgets_category_id_fkey;
+          ALTER TABLE budgets ADD CONSTRAINT budgets_category_id_fkey
+            FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT;
+        END IF;
+      END $$;
+    `);
+  } catch (error) {
+    console.error('Budgets table initialization failed:', error);
+  }
+};
+
+/**
+ * Names of a category and everything nested under it; spend is matched on stored labels
+ * @param {Array} taxonomy - Categories from getTaxonomy
+ * @param {number} categoryId - Budgeted category
+ * @returns {Array} Category names
+ */
+function categoryNames(taxonomy, categoryId) {
+  const ids = new Set([categoryId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    taxonomy.forEach(category => {
+      if (category.parent_id && ids.has(category.parent_id) && !ids.has(category.id)) {
+        ids.add(category.id);
+        grew = true;
+      }
+    });
+  }
+  return taxonomy.filter(category => ids.has(category.id)).map(category => category.name);
+}
+
+/**
+ * Expense spend against a budget per period, in the budget's currency
+ * Split transactions count through their lines; transfers and income never count. A budget shared with a
+ * household counts every member's expenses in categories with the same names
+ * @param {Object} budget - Budget row
+ * @param {Array} names - Category names from categoryNames
+ * @param {string} from - First period start
+ * @param {string} to - Exclusive end day
+ * @returns {Map} { spent, unconverted } keyed by period start
+ */
+async function getPeriodSpend(budget, names, from, to) {
+  const unit = budget.period === 'weekly' ? 'week' : 'month';
+  const query = `
+    SELECT
+      to_char(date_trunc('${unit}', created_at), 'YYYY-MM-DD') AS period_start,
+      COALESCE(SUM(base_amount), 0) AS spent,
+      COUNT(*) FILTER (WHERE base_amount IS NULL)::int AS unconverted
+    FROM (
+      SELECT created_at, transactions.line_amount * ${exchangeRateSql('$5')} AS base_amount
+      FROM ${transactionLinesSql()}
+      WHERE uuid = ANY($1::uuid[]) AND type = 'Expense' AND line_category = ANY($2)
+        AND created_at >= $3 AND created_at < $4
+    ) converted
+    GROUP BY 1
+  `;
+  const spenders = budget.household_id ? await getMemberUuids(pool, budget.household_id) : [budget.uuid];
+  const { rows } = await pool.query(query, [spenders, names, from, to, budget.currency]);
+  return new Map(rows.map(row => [row.period_start, { spent: parseFloat(row.spent), unconverted: row.unconverted }]));
+}
+
+/**
+ * Categories of everyone who owns one of some budgets
+ * @param {Array} budgets - Budget rows
+ * @returns {Map} Categories from getTaxonomy keyed by owner UUID
+ */
+async function getOwnerTaxonomies(budgets) {
+  const owners = [...new Set(budgets.map(budget => budget.uuid))];
+  const taxonomies = await Promise.all(owners.map(owner => getTaxonomy(owner)));
+  return new Map(owners.map((owner, index) => [owner, taxonomies[index]]));
+}
+
+/**
+ * Work out where budgets stand in the periods containing some days
+ * @param {Array} budgets - Budget rows
+ * @param {Map} taxonomies - Categories of each budget's owner, from getOwnerTaxonomies
+ * @param {Array} days - Date strings; each budget is reported once per distinct period
+ * @param {string} day - Today, for the pace projection
+ * @returns {Array} { budget, category, start, end, limit, carriedOver, spent, unconvertedCount, ...periodStatus }
+ */
+async function computeStatuses(budgets, taxonomies, days, day) {
+  const round = value => Math.round(value * 100) / 100;
+
+  const perBudget = await Promise.all(budgets.map(async budget => {
+    const taxonomy = taxonomies.get(budget.uuid);
+    const byId = new Map(taxonomy.map(category => [category.id, category]));
+    const first = periodStart(budget.period, budget.start_date);
+    const starts = [...new Set(days.map(value => periodStart(budget.period, value)))]
+      .filter(start => start >= first)
+      .sort();
+    if (starts.length === 0) return [];
+
+    // Rollover needs the periods it is folded over; otherwise only the ones asked about
+    const from = budget.rollover ? rolloverWindowStart(budget, starts[0]) : starts[0];
+    const to = nextPeriodStart(budget.period, starts[starts.length - 1]);
+    const names = categoryNames(taxonomy, budget.category_id);
+    const spend = await getPeriodSpend(budget, names, from, to);
+    const spentByPeriod = new Map([...spend].map(([start, entry]) => [start, entry.spent]));
+
+    return starts.map(start => {
+      const end = nextPeriodStart(budget.period, start);
+      const { limit, carriedOver } = periodLimit(budget, start, spentByPeriod);
+      const spent = round(spend.get(start)?.spent || 0);
+      return {
+        budget,
+        category: byId.get(budget.category_id)?.name || null,
+        start,
+        end,
+        limit: round(limit),
+        carriedOver: round(carriedOver),
+        spent,
+        unconvertedCount: spend.get(start)?.unconverted || 0,
+        ...periodStatus({ start, end, limit, spent }, day)
+      };
+    });
+  }));
+
+  return perBudget.flat();
+}
+
+/**
+ * Get where a user's budgets, and the budgets shared with their households, stand in the period containing a day
+ * A budget that only starts after that day is listed with a null current period
+ * @param {string} uuid - User UUID
+ * @param {string} day - Date string (defaults to today)
+ * @param {number} budgetId - Optional single budget
+ * @returns {Array} Budget rows, each with category and current ({ start, end (last day), limit,
+ * carriedOver, spent, remaining, percentUsed, projectedSpend, daysElapsed, daysInPeriod, status, unconvertedCount })
+ */
+export async function getBudgetStatuses(uuid, day = today(), budgetId = null) {
+  const values = [uuid];
+  let query = `SELECT ${BUDGET_COLUMNS} FROM budgets b WHERE ${sharedAccessSql('b', '$1')}`;
+  if (budgetId) {
+    values.push(budgetId);
+    query += ' AND id = $2';
+  }
+  const { rows } = await pool.query(`${query} ORDER BY id`, values);
+  if (rows.length === 0) return [];
+
+  const taxonomies = await getOwnerTaxonomies(rows);
+  const statuses = await computeStatuses(rows, taxonomies, [day], today());
+  const byBudget = new Map(statuses.map(status => [status.budget.id, status]));
+
+  return rows.map(budget => {
+    const status = byBudget.get(budget.id);
+    if (!status) {
+      const category = taxonomies.get(budget.uuid).find(entry => entry.id === budget.category_id);
+      return { ...budget, category: category?.name || null, current: null };
+    }
+    const { budget: _budget, category, end, ...current } = status;
+    return { ...budget, category, current: { ...current, end: addDays(end, -1) } };
+  });
+}
+
+/**
+ * Record and emit the thresholds crossed by transactions that were just created or updated
+ * Budgets shared with the user's households count too; their events are stored under the budget's owner
+ * Runs after the transactions are committed; a failure here is logged and never fails the write
+ * @param {string} uuid - User UUID
+ * @param {Array} transactions - Stored transaction rows
+ * @returns {Array} Newly crossed threshold events
+ */
+export async function evaluateBudgetThresholds(uuid, transactions) {
+  try {
+    const expenses = transactions.filter(transaction => transaction?.type === 'Expense');
+    if (expenses.length === 0) return [];
+
+    const { rows: budgets } = await pool.query(
+      `SELECT ${BUDGET_COLUMNS} FROM budgets b WHERE ${sharedAccessSql('b', '$1')}`,
+      [uuid]
+    );
+    if (budgets.length === 0) return [];
+    const days = expenses.map(transaction => transactionDay(transaction.created_at));
+    const statuses = await computeStatuses(budgets, await getOwnerTaxonomies(budgets), days, today());
+
+    const events = [];
+    for (const status of statuses) {
+      const crossed = BUDGET_THRESHOLDS.filter(threshold => status.percentUsed >= threshold);
+      if (crossed.length === 0) continue;
+
+      // Blame the latest of the transactions that falls in this period
+      const trigger = expenses
+        .filter(transaction => periodStart(status.budget.period, transactionDay(transaction.created_at)) === status.start)
+        .pop();
+
+      const { rows } = await pool.query(`
+        INSERT INTO budget_events (uuid, budget_id, period_start, threshold, spent, limit_amount, currency, transaction_id)
+        SELECT $1, $2, $3, threshold, $5, $6, $7, $8
+        FROM unnest($4::int[]) AS threshold
+        ON CONFLICT (budget_id, period_start, threshold) DO NOTHING
+        RETURNING id, uuid, budget_id, period_start::text AS period_start, threshold, spent, limit_amount, currency, transaction_id, created_at
+      `, [status.budget.uuid, status.budget.id, status.start, crossed, status.spent, status.limit, status.budget.currency, trigger?.id || null]);
+
+      rows.forEach(event => {
+        const payload = { ...event, category: status.category, percent_used: status.percentUsed };
+        budgetEvents.emit('threshold', payload);
+        events.push(payload);
+      });
+    }
+    return events;
+  } catch (error) {
+    console.error('Budget threshold evaluation failed:', error);
+    return [];
+  }
+}
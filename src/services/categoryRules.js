@@ -0,0 +1,206 @@
+import pool from '../database/db.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+
+// Fields a rule condition can look at, and the operators allowed on each
+const TEXT_FIELDS = ['title', 'description'];
+const TEXT_OPERATORS = ['contains', 'equals', 'startsWith', 'endsWith', 'glob'];
+const NUMBER_OPERATORS = ['eq', 'gt', 'gte', 'lt', 'lte'];
+
+// Rules run on every categorisation, so patterns are globs rather than regular expressions: a user regex
+// can backtrack for seconds on a short pattern and block the event loop, a glob is matched in O(n * m)
+const MAX_PATTERN_LENGTH = 200;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS category_rules (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        name TEXT NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 0,
+        conditions JSONB NOT NULL,
+        category TEXT NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS category_rules_uuid_priority_idx ON category_rules (uuid, priority);
+    `);
+  } catch (error) {
+    console.error('Category rules table initialization failed:', error);
+  }
+};
+
+/**
+ * Validate rule conditions
+ * Conditions are ANDed, e.g. [{ field: 'title', operator: 'glob', value: 'swiggy*|zomato*' }]
+ * @param {Array} conditions - Rule conditions
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateConditions(conditions) {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return 'conditions must be a non-empty array';
+  }
+
+  for (const condition of conditions) {
+    const { field, operator, value } = condition || {};
+
+    if (TEXT_FIELDS.includes(field)) {
+      if (!TEXT_OPERATORS.includes(operator)) {
+        return `operator for ${field} must be one of: ${TEXT_OPERATORS.join(', ')}`;
+      }
+      if (typeof value !== 'string' || value === '') {
+        return `value for ${field} must be a non-empty string`;
+      }
+      if (operator === 'glob' && value.length > MAX_PATTERN_LENGTH) {
+        return `patterns must be at most ${MAX_PATTERN_LENGTH} characters`;
+      }
+    } else if (field === 'amount') {
+      if (!NUMBER_OPERATORS.includes(operator)) {
+        return `operator for amount must be one of: ${NUMBER_OPERATORS.join(', ')}`;
+      }
+      if (value === '' || isNaN(Number(value))) {
+        return 'value for amount must be a number';
+      }
+    } else if (field === 'type') {
+      if (operator !== 'equals' || (value !== 'Income' && value !== 'Expense')) {
+        return 'type conditions must use "equals" with "Income" or "Expense"';
+      }
+    } else {
+      return `field must be one of: ${[...TEXT_FIELDS, 'amount', 'type'].join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Match text against a glob: * is any run of characters, ? is one character and | separates alternatives
+ * Works like wildcard matching in a shell, backtracking only to the last *, so it never goes exponential
+ * @param {string} pattern - Lower-cased glob
+ * @param {string} text - Lower-cased text
+ * @returns {boolean} Whether the whole text matches one of the alternatives
+ */
+function matchesGlob(pattern, text) {
+  return pattern.split('|').some(alternative => {
+    let p = 0;
+    let t = 0;
+    let star = -1;
+    let resume = 0;
+    while (t < text.length) {
+      if (p < alternative.length && (alternative[p] === '?' || alternative[p] === text[t])) {
+        p++;
+        t++;
+      } else if (p < alternative.length && alternative[p] === '*') {
+        star = p++;
+        resume = t;
+      } else if (star !== -1) {
+        p = star + 1;
+        t = ++resume;
+      } else {
+        return false;
+      }
+    }
+    while (alternative[p] === '*') p++;
+    return p === alternative.length;
+  });
+}
+
+/**
+ * Check a single condition against a transaction
+ * @param {Object} condition - Rule condition
+ * @param {Object} transaction - Transaction with title, description, amount, type
+ * @returns {boolean} Whether the condition holds
+ */
+function matchesCondition(condition, transaction) {
+  const { field, operator, value } = condition;
+
+  if (field === 'amount') {
+    const amount = Number(transaction.amount);
+    const target = Number(value);
+    switch (operator) {
+      case 'eq': return amount === target;
+      case 'gt': return amount > target;
+      case 'gte': return amount >= target;
+      case 'lt': return amount < target;
+      case 'lte': return amount <= target;
+      default: return false;
+    }
+  }
+
+  if (field === 'type') {
+    return transaction.type === value;
+  }
+
+  // Text comparisons are case-insensitive
+  const haystack = String(transaction[field] ?? '').toLowerCase();
+  const needle = value.toLowerCase();
+  switch (operator) {
+    case 'contains': return haystack.includes(needle);
+    case 'equals': return haystack === needle;
+    case 'startsWith': return haystack.startsWith(needle);
+    case 'endsWith': return haystack.endsWith(needle);
+    case 'glob': return matchesGlob(needle, haystack);
+    default: return false;
+  }
+}
+
+/**
+ * Check whether every condition of a rule holds for a transaction
+ * @param {Object} rule - Rule with conditions
+ * @param {Object} transaction - Transaction
+ * @returns {boolean} Whether the rule matches
+ */
+export function matchesRule(rule, transaction) {
+  return rule.conditions.every(condition => matchesCondition(condition, transaction));
+}
+
+/**
+ * Find the category assigned by the first matching rule
+ * @param {Array} rules - Rules in priority order
+ * @param {Object} transaction - Transaction
+ * @returns {Object|null} { category, ruleId } or null if no rule matches
+ */
+export function findRuleCategory(rules, transaction) {
+  const rule = rules.find(candidate => matchesRule(candidate, transaction));
+  return rule ? { category: rule.category, ruleId: rule.id } : null;
+}
+
+/**
+ * Load a user's active rules in the order they should be evaluated
+ * @param {string} uuid - User UUID
+ * @returns {Array} Rules
+ */
+export async function loadActiveRules(uuid) {
+  const query = `
+    SELECT * FROM category_rules
+    WHERE uuid = $1 AND is_active = TRUE
+    ORDER BY priority ASC, id ASC
+  `;
+  const { rows } = await pool.query(query, [uuid]);
+  return rows;
+}
+
+/**
+ * Label transactions with the user's rules before they are stored
+ * A matching rule wins; otherwise a category the client or importer supplied is kept, as a manual label.
+ * Transfers between the user's own accounts are never categorised
+ * @param {string} uuid - User UUID
+ * @param {Array} transactions - Transactions about to be inserted
+ * @returns {Array} Transactions with category / category_source filled in
+ */
+export async function applyRulesToNewTransactions(uuid, transactions) {
+  const rules = await loadActiveRules(uuid);
+  return transactions.map(transaction => {
+    if (transaction.type === TRANSFER_TYPE) {
+      return { ...transaction, category: null, category_source: null };
+    }
+    const match = findRuleCategory(rules, transaction);
+    if (match) {
+      return { ...transaction, category: match.category, category_source: 'rule' };
+    }
+    const category = transaction.category ?? null;
+    return { ...transaction, category, category_source: category ? transaction.category_source ?? 'manual' : null };
+  });
+}
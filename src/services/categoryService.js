@@ -0,0 +1,238 @@
+import pool from '../database/db.js';
+import { DEFAULT_CATEGORIES, UNCATEGORIZED, categoryKey, matchCategory } from '../utils/categories.js';
+import { getBaseCurrency, exchangeRateSql } from './currencyService.js';
+import { transactionLinesSql } from './transactionService.js';
+import { tagFilterSql } from '../utils/transactionFilters.js';
+
+const createTables = async () => {
+  try {
+    // uuid is NULL for system defaults shared by every user
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id SERIAL PRIMARY KEY,
+        uuid UUID,
+        name TEXT NOT NULL,
+        parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+        kind TEXT NOT NULL DEFAULT 'Expense',
+        icon TEXT,
+        color TEXT,
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS categories_uuid_idx ON categories (uuid);
+    `);
+
+    await pool.query(`
+      INSERT INTO categories (name, kind, icon, color, is_system)
+      SELECT d.name, d.kind, d.icon, d.color, TRUE
+      FROM jsonb_to_recordset($1::jsonb) AS d(name TEXT, kind TEXT, icon TEXT, color TEXT)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM categories c WHERE c.uuid IS NULL AND c.name = d.name
+      )
+    `, [JSON.stringify(DEFAULT_CATEGORIES)]);
+  } catch (error) {
+    console.error('Categories table initialization failed:', error);
+  }
+};
+
+// Shared by every caller, so the tables are only created once
+let initialized = null;
+
+// Database initialization
+// Tables that reference categories await this before creating their own
+export const initDatabase = () => {
+  initialized ??= createTables();
+  return initialized;
+};
+
+/**
+ * Get the system and user-created categories visible to a user
+ * @param {string} uuid - User UUID
+ * @returns {Array} Flat list of category rows
+ */
+export async function getTaxonomy(uuid) {
+  const query = `
+    SELECT * FROM categories
+    WHERE uuid IS NULL OR uuid = $1
+    ORDER BY kind DESC, is_system DESC, name ASC
+  `;
+  const { rows } = await pool.query(query, [uuid]);
+  return rows;
+}
+
+/**
+ * Nest subcategories under their parents
+ * @param {Array} categories - Flat list of category rows
+ * @returns {Array} Top-level categories, each with a subcategories array
+ */
+export function buildCategoryTree(categories) {
+  const byId = new Map(categories.map(category => [category.id, { ...category, subcategories: [] }]));
+  const roots = [];
+
+  byId.forEach(category => {
+    const parent = category.parent_id ? byId.get(category.parent_id) : null;
+    if (parent) parent.subcategories.push(category);
+    else roots.push(category);
+  });
+
+  return roots;
+}
+
+/**
+ * Find the top-level ancestor of a category
+ * @param {Object} category - Category row
+ * @param {Map} byId - Category rows keyed by id
+ * @returns {Object} Top-level category
+ */
+function findRoot(category, byId) {
+  let current = category;
+  while (current.parent_id && byId.has(current.parent_id)) {
+    current = byId.get(current.parent_id);
+  }
+  return current;
+}
+
+/**
+ * Resolve a loosely written label to a category in the user's taxonomy
+ * @param {Array} taxonomy - Categories from getTaxonomy
+ * @param {string} label - Category label
+ * @param {string} kind - Optional 'Income' or 'Expense' restriction
+ * @returns {Object|null} Category row, or null if unknown
+ */
+export function resolveCategory(taxonomy, label, kind) {
+  const candidates = kind ? taxonomy.filter(category => category.kind === kind) : taxonomy;
+  const name = matchCategory(label, candidates.map(category => category.name));
+  return name ? candidates.find(category => category.name === name) : null;
+}
+
+/**
+ * Check whether a new name would clash with a category the user can already see
+ * @param {Array} taxonomy - Categories from getTaxonomy
+ * @param {string} name - Proposed name
+ * @param {number} excludeId - Category being renamed, if any
+ * @returns {boolean} Whether the name is taken
+ */
+export function isCategoryNameTaken(taxonomy, name, excludeId) {
+  const key = categoryKey(name);
+  return taxonomy.some(category => category.id !== excludeId && categoryKey(category.name) === key);
+}
+
+/**
+ * Total a user's stored category labels, rolled up into top-level categories
+ * Split transactions count through their lines, and amounts are converted to the
+ * user's base currency at each transaction's date
+ * @param {string} uuid - User UUID
+ * @param {string} type - Transaction type to total (Income or Expense)
+ * @param {Object} range - Optional { from, to } bounds on created_at (to is exclusive),
+ * tags (normalised names) every counted transaction must carry, and accountId to count one account only
+ * @returns {Object} { categories, totalAmount, currency, unconvertedCount }
+ */
+export async function getCategoryTotals(uuid, type, range = {}) {
+  const currency = await getBaseCurrency(uuid);
+  const conditions = ['uuid = $1', 'type = $2'];
+  const values = [uuid, type, currency];
+  if (range.from) {
+    values.push(range.from);
+    conditions.push(`created_at >= $${values.length}`);
+  }
+  if (range.to) {
+    values.push(range.to);
+    conditions.push(`created_at < $${values.length}`);
+  }
+  if (range.tags?.length > 0) {
+    values.push(range.tags);
+    conditions.push(tagFilterSql(`$${values.length}`));
+  }
+  if (range.accountId) {
+    values.push(range.accountId);
+    conditions.push(`account_id = $${values.length}`);
+  }
+
+  // Transactions without a usable exchange rate are counted but left out of the amounts
+  const query = `
+    SELECT
+      category,
+      COALESCE(SUM(base_amount), 0) AS amount,
+      COUNT(*)::int AS count,
+      COUNT(*) FILTER (WHERE base_amount IS NULL)::int AS unconverted
+    FROM (
+      SELECT line_category AS category, transactions.line_amount * ${exchangeRateSql('$3')} AS base_amount
+      FROM ${transactionLinesSql()}
+      WHERE ${conditions.join(' AND ')}
+    ) converted
+    GROUP BY category
+  `;
+
+  const [{ rows }, taxonomy] = await Promise.all([
+    pool.query(query, values),
+    getTaxonomy(uuid)
+  ]);
+
+  const byId = new Map(taxonomy.map(category => [category.id, category]));
+  const byName = new Map(taxonomy.map(category => [category.name, category]));
+  const round = value => Math.round(value * 100) / 100;
+
+  // Every top-level category of this kind is reported, even at zero
+  const totals = new Map();
+  buildCategoryTree(taxonomy.filter(category => category.kind === type)).forEach(root => {
+    totals.set(root.id, {
+      id: root.id,
+      name: root.name,
+      icon: root.icon,
+      color: root.color,
+      amount: 0,
+      count: 0,
+      subcategories: root.subcategories.map(sub => ({ id: sub.id, name: sub.name, amount: 0, count: 0 }))
+    });
+  });
+
+  let uncategorized = null;
+  let totalAmount = 0;
+  let unconvertedCount = 0;
+
+  rows.forEach(row => {
+    const amount = parseFloat(row.amount);
+    totalAmount += amount;
+    unconvertedCount += row.unconverted;
+
+    // Unknown labels (e.g. a deleted category) are reported as uncategorised
+    const category = row.category ? byName.get(row.category) : null;
+    const root = category ? findRoot(category, byId) : null;
+    const entry = root ? totals.get(root.id) : null;
+
+    if (!entry) {
+      uncategorized = uncategorized || { id: null, name: UNCATEGORIZED, icon: null, color: null, amount: 0, count: 0, subcategories: [] };
+      uncategorized.amount += amount;
+      uncategorized.count += row.count;
+      return;
+    }
+
+    entry.amount += amount;
+    entry.count += row.count;
+    const sub = entry.subcategories.find(candidate => candidate.id === category.id);
+    if (sub) {
+      sub.amount += amount;
+      sub.count += row.count;
+    }
+  });
+
+  const withPercentage = entry => ({
+    ...entry,
+    amount: round(entry.amount),
+    percentage: totalAmount > 0 ? round((entry.amount / totalAmount) * 100) : 0
+  });
+
+  const categories = [...totals.values()];
+  if (uncategorized) categories.push(uncategorized);
+
+  return {
+    categories: categories.map(entry => ({
+      ...withPercentage(entry),
+      subcategories: entry.subcategories.map(withPercentage)
+    })),
+    totalAmount: round(totalAmount),
+    currency,
+    unconvertedCount
+  };
+}
@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import path from 'path';
+import pool from '../database/db.js';
+import { DEFAULT_CURRENCY, parseRatesFile } from '../utils/currency.js';
+
+// Shared rates are loaded from this file on startup when set
+const RATES_FILE = process.env.EXCHANGE_RATES_FILE;
+
+// Stand-in for "shared" in the rate uniqueness index, which cannot compare NULLs
+const SHARED_RATES_KEY = '00000000-0000-0000-0000-000000000000';
+
+const createTables = async () => {
+  try {
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS base_currency CHAR(3) NOT NULL DEFAULT '${DEFAULT_CURRENCY}';
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency CHAR(3);
+
+      -- uuid is NULL for shared rates loaded from a file, or set for a user's own rates
+      -- 1 unit of base_currency is worth rate units of quote_currency
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id SERIAL PRIMARY KEY,
+        uuid UUID,
+        rate_date DATE NOT NULL,
+        base_currency CHAR(3) NOT NULL,
+        quote_currency CHAR(3) NOT NULL,
+        rate NUMERIC NOT NULL CHECK (rate > 0),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS exchange_rates_unique_idx ON exchange_rates
+        (COALESCE(uuid, '${SHARED_RATES_KEY}'::uuid), base_currency, quote_currency, rate_date);
+
+      -- Serves the closest-rate lookups in fx_rate, for a user's own rates and (uuid IS NULL) shared ones
+      CREATE INDEX IF NOT EXISTS exchange_rates_lookup_idx ON exchange_rates
+        (uuid, base_currency, quote_currency, rate_date);
+      DROP VIEW IF EXISTS exchange_rate_pairs;
+
+      -- Rates stored as p_base -> p_quote nearest to p_day: the latest on or before it and the earliest after
+      -- it, of the user's own rates and of the shared ones. Four index lookups, however many rates there are
+      CREATE OR REPLACE FUNCTION fx_nearest_rates(p_uuid UUID, p_base TEXT, p_quote TEXT, p_day DATE)
+      RETURNS TABLE (rate NUMERIC, rate_date DATE, shared BOOLEAN) LANGUAGE sql STABLE AS $$
+        (SELECT r.rate, r.rate_date, FALSE FROM exchange_rates r
+         WHERE r.uuid = p_uuid AND r.base_currency = p_base AND r.quote_currency = p_quote AND r.rate_date <= p_day
+         ORDER BY r.rate_date DESC LIMIT 1)
+        UNION ALL
+        (SELECT r.rate, r.rate_date, FALSE FROM exchange_rates r
+         WHERE r.uuid = p_uuid AND r.base_currency = p_base AND r.quote_currency = p_quote AND r.rate_date > p_day
+         ORDER BY r.rate_date LIMIT 1)
+        UNION ALL
+        (SELECT r.rate, r.rate_date, TRUE FROM exchange_rates r
+         WHERE r.uuid IS NULL AND r.base_currency = p_base AND r.quote_currency = p_quote AND r.rate_date <= p_day
+         ORDER BY r.rate_date DESC LIMIT 1)
+        UNION ALL
+        (SELECT r.rate, r.rate_date, TRUE FROM exchange_rates r
+         WHERE r.uuid IS NULL AND r.base_currency = p_base AND r.quote_currency = p_quote AND r.rate_date > p_day
+         ORDER BY r.rate_date LIMIT 1)
+      $$;
+
+      -- Closest rate converting p_from into p_to on p_day, read in either direction: on or before that day
+      -- first, then the nearest date, then the user's own rate over a shared one
+      CREATE OR REPLACE FUNCTION fx_direct_rate(p_uuid UUID, p_from TEXT, p_to TEXT, p_day DATE)
+      RETURNS TABLE (rate NUMERIC, rate_date DATE) LANGUAGE sql STABLE AS $$
+        SELECT c.rate, c.rate_date FROM (
+          SELECT n.rate, n.rate_date, n.shared FROM fx_nearest_rates(p_uuid, p_from, p_to, p_day) n
+          UNION ALL
+          SELECT 1 / n.rate, n.rate_date, n.shared FROM fx_nearest_rates(p_uuid, p_to, p_from, p_day) n
+        ) c
+        ORDER BY c.rate_date <= p_day DESC, ABS(c.rate_date - p_day), c.shared
+        LIMIT 1
+      $$;
+
+      -- Rate to convert p_from into p_to on p_day: the closest direct rate, falling back to a cross rate
+      -- through a currency both have rates with, preferring the one whose older leg is closest to the day.
+      -- NULL when no rate is known.
+      CREATE OR REPLACE FUNCTION fx_rate(p_uuid UUID, p_from TEXT, p_to TEXT, p_day DATE)
+      RETURNS NUMERIC LANGUAGE sql STABLE AS $$
+        SELECT CASE WHEN p_from IS NULL OR p_from = p_to THEN 1::numeric ELSE COALESCE(
+          (SELECT d.rate FROM fx_direct_rate(p_uuid, p_from, p_to, p_day) d),
+          (SELECT a.rate * b.rate
+           FROM (
+             SELECT r.quote_currency AS currency FROM exchange_rates r
+             WHERE (r.uuid IS NULL OR r.uuid = p_uuid) AND r.base_currency = p_from
+             UNION
+             SELECT r.base_currency FROM exchange_rates r
+             WHERE (r.uuid IS NULL OR r.uuid = p_uuid) AND r.quote_currency = p_from
+           ) via
+           CROSS JOIN LATERAL fx_direct_rate(p_uuid, p_from, via.currency, p_day) a
+           CROSS JOIN LATERAL fx_direct_rate(p_uuid, via.currency, p_to, p_day) b
+           ORDER BY (a.rate_date <= p_day AND b.rate_date <= p_day) DESC,
+             GREATEST(ABS(a.rate_date - p_day), ABS(b.rate_date - p_day)), via.currency
+           LIMIT 1)
+        ) END
+      $$;
+    `);
+
+    // Transactions recorded before currencies existed are in the user's base currency
+    await pool.query(`
+      UPDATE transactions t
+      SET currency = u.base_currency
+      FROM users u
+      WHERE t.currency IS NULL AND u.uuid = t.uuid
+    `);
+
+    if (RATES_FILE) {
+      const { rates, invalidRates } = await loadRatesFromFile(RATES_FILE);
+      console.log(`Loaded ${rates} exchange rates from ${RATES_FILE} (${invalidRates.length} invalid)`);
+    }
+  } catch (error) {
+    console.error('Currency table initialization failed:', error);
+  }
+};
+
+// Shared by every caller, so the tables are only created once
+let initialized = null;
+
+// Database initialization
+// SQL functions that call fx_rate await this before creating their own
+export const initDatabase = () => {
+  initialized ??= createTables();
+  return initialized;
+};
+
+/**
+ * SQL expression for the rate converting a transactions row into a base currency
+ * Expects the transactions table to be in scope unaliased
+ * @param {string} baseRef - Placeholder holding the base currency, e.g. "$2"
+ * @returns {string} SQL expression (NULL when no rate is known)
+ */
+export function exchangeRateSql(baseRef) {
+  return `fx_rate(transactions.uuid, transactions.currency, ${baseRef}, transactions.created_at::date)`;
+}
+
+/**
+ * SQL expression converting a transactions row's amount into a base currency
+ * @param {string} baseRef - Placeholder holding the base currency, e.g. "$2"
+ * @returns {string} SQL expression (NULL when no rate is known)
+ */
+export function convertedAmountSql(baseRef) {
+  return `(transactions.amount * ${exchangeRateSql(baseRef)})`;
+}
+
+/**
+ * Get a user's base currency
+ * @param {string} uuid - User UUID
+ * @returns {string} ISO currency code
+ */
+export async function getBaseCurrency(uuid) {
+  const { rows } = await pool.query('SELECT base_currency FROM users WHERE uuid = $1', [uuid]);
+  return rows[0]?.base_currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Insert or replace exchange rates
+ * @param {string|null} uuid - Owner, or null for shared rates
+ * @param {Array} rates - Normalised rates from parseRatesFile
+ * @returns {number} Number of rates written
+ */
+export async function upsertRates(uuid, rates) {
+  if (rates.length === 0) return 0;
+
+  const { rowCount } = await pool.query(`
+    INSERT INTO exchange_rates (uuid, rate_date, base_currency, quote_currency, rate)
+    SELECT $1::uuid, d, b, q, r
+    FROM UNNEST($2::date[], $3::text[], $4::text[], $5::numeric[]) AS t(d, b, q, r)
+    ON CONFLICT (COALESCE(uuid, '${SHARED_RATES_KEY}'::uuid), base_currency, quote_currency, rate_date)
+    DO UPDATE SET rate = EXCLUDED.rate
+  `, [
+    uuid,
+    rates.map(rate => rate.date),
+    rates.map(rate => rate.base),
+    rates.map(rate => rate.quote),
+    rates.map(rate => rate.rate)
+  ]);
+  return rowCount;
+}
+
+/**
+ * Load shared exchange rates from a CSV or JSON file on disk
+ * @param {string} filePath - Path to the file; the format is taken from its extension
+ * @returns {Object} { rates, invalidRates } with the number of rates written
+ */
+export async function loadRatesFromFile(filePath) {
+  const format = path.extname(filePath).slice(1).toLowerCase() === 'json' ? 'json' : 'csv';
+  const text = await fs.readFile(filePath, 'utf8');
+  const { rates, invalidRates } = parseRatesFile(text, format);
+  return { rates: await upsertRates(null, rates), invalidRates };
+}
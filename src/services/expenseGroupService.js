@@ -0,0 +1,202 @@
+import pool from '../database/db.js';
+import { getDefaultAccount } from './accountService.js';
+import { groupBalances } from '../utils/expenseGroups.js';
+import { TRANSACTION_SOURCES, fingerprintTransaction } from '../utils/duplicates.js';
+
+// How each side of a settlement is booked: the payer's money goes out, the receiver gets back what they fronted
+const SETTLEMENT_ENTRIES = {
+  from: { type: 'Expense', category: 'Miscellaneous' },
+  to: { type: 'Income', category: 'Refunds' }
+};
+
+// Dates are read back as text so YYYY-MM-DD survives the trip through node-pg unchanged
+export const EXPENSE_COLUMNS = `
+  e.id, e.group_id, e.title, e.amount, e.paid_by, e.split_method, e.spent_on::text AS spent_on,
+  e.transaction_id, e.created_by, e.created_at
+`;
+
+export const SETTLEMENT_COLUMNS = `
+  s.id, s.group_id, s.from_uuid, s.to_uuid, s.amount, s.settled_on::text AS settled_on,
+  s.from_transaction_id, s.to_transaction_id, s.created_by, s.created_at
+`;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // Everything in a group is kept in the group's currency. Members are registered users, so a
+    // settlement can be booked on both sides
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS expense_groups (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        currency CHAR(3) NOT NULL,
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS expense_group_members (
+        group_id INTEGER NOT NULL REFERENCES expense_groups(id) ON DELETE CASCADE,
+        uuid UUID NOT NULL,
+        joined_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (group_id, uuid)
+      );
+      CREATE INDEX IF NOT EXISTS expense_group_members_uuid_idx ON expense_group_members (uuid);
+
+      -- transaction_id is the payer's own transaction when the expense was split from one
+      CREATE TABLE IF NOT EXISTS group_expenses (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER NOT NULL REFERENCES expense_groups(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+        paid_by UUID NOT NULL,
+        split_method TEXT NOT NULL,
+        spent_on DATE NOT NULL,
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS group_expenses_group_idx ON group_expenses (group_id, spent_on DESC);
+
+      -- value is the percentage, number of shares or exact amount the split was asked for
+      CREATE TABLE IF NOT EXISTS group_expense_shares (
+        expense_id INTEGER NOT NULL REFERENCES group_expenses(id) ON DELETE CASCADE,
+        uuid UUID NOT NULL,
+        value NUMERIC,
+        amount NUMERIC(14, 2) NOT NULL,
+        PRIMARY KEY (expense_id, uuid)
+      );
+
+      -- A payment from one member to another; the transactions are booked for each of them
+      CREATE TABLE IF NOT EXISTS group_settlements (
+        id SERIAL PRIMARY KEY,
+        group_id INTEGER NOT NULL REFERENCES expense_groups(id) ON DELETE CASCADE,
+        from_uuid UUID NOT NULL,
+        to_uuid UUID NOT NULL,
+        amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+        settled_on DATE NOT NULL,
+        from_transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        to_transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS group_settlements_group_idx ON group_settlements (group_id, settled_on DESC);
+    `);
+  } catch (error) {
+    console.error('Expense groups table initialization failed:', error);
+  }
+};
+
+/**
+ * Get the expense groups a user belongs to with their members
+ * @param {string} uuid - User UUID
+ * @param {number} groupId - Optional single group
+ * @returns {Array} Group rows with members [{ uuid, username, email, joined_at }]
+ */
+export async function getGroups(uuid, groupId = null) {
+  const { rows } = await pool.query(`
+    SELECT g.*,
+      COALESCE((
+        SELECT json_agg(json_build_object('uuid', m.uuid, 'username', u.username, 'email', u.email, 'joined_at', m.joined_at)
+          ORDER BY m.joined_at, u.username)
+        FROM expense_group_members m
+        LEFT JOIN users u ON u.uuid = m.uuid
+        WHERE m.group_id = g.id
+      ), '[]') AS members
+    FROM expense_groups g
+    JOIN expense_group_members me ON me.group_id = g.id AND me.uuid = $1
+    WHERE ($2::int IS NULL OR g.id = $2)
+    ORDER BY g.created_at DESC, g.id DESC
+  `, [uuid, groupId]);
+  return rows;
+}
+
+/**
+ * Get a group's expenses with how each was split, newest first
+ * @param {Object} db - pool or a connected client
+ * @param {number} groupId - Group id
+ * @returns {Array} Expense rows with numeric amount and shares [{ uuid, value, amount }]
+ */
+export async function getExpenses(db, groupId) {
+  const { rows } = await db.query(`
+    SELECT ${EXPENSE_COLUMNS},
+      COALESCE((
+        SELECT json_agg(json_build_object('uuid', sh.uuid, 'value', sh.value, 'amount', sh.amount) ORDER BY sh.amount DESC)
+        FROM group_expense_shares sh
+        WHERE sh.expense_id = e.id
+      ), '[]') AS shares
+    FROM group_expenses e
+    WHERE e.group_id = $1
+    ORDER BY e.spent_on DESC, e.id DESC
+  `, [groupId]);
+  return rows.map(expense => ({
+    ...expense,
+    amount: parseFloat(expense.amount),
+    shares: expense.shares.map(share => ({
+      ...share,
+      value: share.value === null ? null : Number(share.value),
+      amount: Number(share.amount)
+    }))
+  }));
+}
+
+/**
+ * Get a group's settlements, newest first
+ * @param {Object} db - pool or a connected client
+ * @param {number} groupId - Group id
+ * @returns {Array} Settlement rows with numeric amount
+ */
+export async function getSettlements(db, groupId) {
+  const { rows } = await db.query(`
+    SELECT ${SETTLEMENT_COLUMNS}
+    FROM group_settlements s
+    WHERE s.group_id = $1
+    ORDER BY s.settled_on DESC, s.id DESC
+  `, [groupId]);
+  return rows.map(settlement => ({ ...settlement, amount: parseFloat(settlement.amount) }));
+}
+
+/**
+ * Who owes whom in a group, from its expenses and settlements
+ * @param {Object} db - pool or a connected client
+ * @param {Object} group - Group row with members
+ * @returns {Object} { balances, debts, suggested } from groupBalances, each person with their username
+ */
+export async function getGroupBalances(db, group) {
+  const [expenses, settlements] = await Promise.all([getExpenses(db, group.id), getSettlements(db, group.id)]);
+  const { balances, debts, suggested } = groupBalances(group.members.map(member => member.uuid), expenses, settlements);
+
+  const names = new Map(group.members.map(member => [member.uuid, member.username]));
+  const name = uuid => names.get(uuid) || null;
+  const withNames = payment => ({ ...payment, from_name: name(payment.from), to_name: name(payment.to) });
+
+  return {
+    balances: balances.map(entry => ({ ...entry, username: name(entry.uuid) })),
+    debts: debts.map(withNames),
+    suggested: suggested.map(withNames)
+  };
+}
+
+/**
+ * Book one side of a settlement as a transaction in the member's default account
+ * Runs in the caller's database transaction; the caller records the revision
+ * @param {Object} db - Connected client
+ * @param {string} side - 'from' for the member paying, 'to' for the member being paid
+ * @param {Object} entry - { uuid, title, amount, currency, day }
+ * @returns {Object} Stored transaction row
+ */
+export async function bookSettlementTransaction(db, side, { uuid, title, amount, currency, day }) {
+  const { type, category } = SETTLEMENT_ENTRIES[side];
+  const account = await getDefaultAccount(db, uuid);
+  const { rows } = await db.query(`
+    INSERT INTO transactions
+      (uuid, title, amount, currency, type, category, category_source, source, fingerprint, account_id, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, 'manual', $7, $8, $9, $10::date)
+    RETURNING *
+  `, [
+    uuid, title, amount, currency, type, category, TRANSACTION_SOURCES.settlement,
+    fingerprintTransaction({ title, amount, type, created_at: day }, TRANSACTION_SOURCES.settlement),
+    account.id, day
+  ]);
+  return rows[0];
+}
@@ -0,0 +1,264 @@
+import pool from '../database/db.js';
+import { getCashFlowSeries } from './analyticsService.js';
+import { sharedAccessSql } from './householdService.js';
+import { goalProgress } from '../utils/goals.js';
+import { today, addDays, addMonths } from '../utils/recurrence.js';
+
+// How often the in-process job moves goals to achieved or missed
+const STATUS_JOB_INTERVAL_MS = parseInt(process.env.GOAL_STATUS_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+let statusJobRunning = false;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // deleted_at marks goals in the trash. target_amount is optional so goals without money keep
+    // working; what has been saved is starting_amount plus the contributions, in the goal's currency.
+    // status is one of GOAL_STATUSES; is_completed is kept in step with it for older clients.
+    // household_id is set while the goal is shared with a household
+    await pool.query(`
+      ALTER TABLE goals
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS target_amount NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS starting_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS currency CHAR(3),
+        ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active',
+        ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS household_id INTEGER;
+      CREATE INDEX IF NOT EXISTS goals_household_idx ON goals (household_id) WHERE household_id IS NOT NULL;
+
+      -- Goals completed before there were statuses
+      UPDATE goals SET status = 'achieved' WHERE is_completed = TRUE AND status = 'active';
+
+      -- Every status change; changed_by is null when the goal moved on its own (target reached, deadline passed)
+      CREATE TABLE IF NOT EXISTS goal_status_history (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        goal_id INTEGER NOT NULL REFERENCES goals(id) ON DELETE CASCADE,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        changed_by UUID,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS goal_status_history_goal_idx ON goal_status_history (goal_id, created_at DESC);
+
+      -- Money put towards (or taken back from) a goal, entered by hand or taken from a transaction;
+      -- a transaction counts towards one goal at most. uuid is the member who made the contribution
+      CREATE TABLE IF NOT EXISTS goal_contributions (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        goal_id INTEGER NOT NULL REFERENCES goals(id) ON DELETE CASCADE,
+        amount NUMERIC(14, 2) NOT NULL CHECK (amount <> 0),
+        contributed_on DATE NOT NULL,
+        note TEXT,
+        transaction_id INTEGER UNIQUE REFERENCES transactions(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS goal_contributions_goal_idx ON goal_contributions (goal_id, contributed_on);
+    `);
+  } catch (error) {
+    console.error('Goals table migration failed:', error);
+  }
+};
+
+// Dates are read back as text so YYYY-MM-DD survives the trip through node-pg unchanged
+export const CONTRIBUTION_COLUMNS = `
+  id, goal_id, uuid AS contributed_by, amount, contributed_on::text AS contributed_on, note, transaction_id, created_at
+`;
+
+/**
+ * SQL for the total contributed to a goal; contributions whose transaction is in the trash do not count
+ * @param {string} goalRef - SQL expression for the goal id
+ * @returns {string} SQL expression
+ */
+export function contributedSql(goalRef) {
+  return `COALESCE((
+    SELECT SUM(c.amount)
+    FROM goal_contributions c
+    LEFT JOIN transactions t ON t.id = c.transaction_id
+    WHERE c.goal_id = ${goalRef} AND (c.transaction_id IS NULL OR t.deleted_at IS NULL)
+  ), 0)`;
+}
+
+/**
+ * Get a user's goals, and the goals shared with their households, with how much has been contributed and
+ * their progress
+ * @param {string} uuid - User UUID
+ * @param {Object} options - { id, statuses (only goals with one of these statuses), baseCurrency (adds
+ *   base_rate, today's rate from the goal's currency into it), ownOnly (leave out goals shared by others),
+ *   roles (household roles that give access to a shared goal, defaults to every role) }
+ * @param {string} day - Day to measure progress on
+ * @returns {Array} Goal rows with deadline (timeLimit as YYYY-MM-DD), contributed and progress (null for
+ *   goals without a target amount)
+ */
+export async function getGoalsWithProgress(uuid, options = {}, day = today()) {
+  const conditions = [
+    options.ownOnly ? 'g.uuid = $1' : sharedAccessSql('g', '$1', options.roles),
+    'g.deleted_at IS NULL'
+  ];
+  const values = [uuid];
+  if (options.id !== undefined) {
+    values.push(options.id);
+    conditions.push(`g.id = $${values.length}`);
+  }
+  if (options.statuses) {
+    values.push(options.statuses);
+    conditions.push(`g.status = ANY($${values.length}::text[])`);
+  }
+  let rateColumn = '';
+  if (options.baseCurrency) {
+    values.push(options.baseCurrency);
+    rateColumn = `, fx_rate(g.uuid, COALESCE(g.currency, $${values.length}), $${values.length}, CURRENT_DATE) AS base_rate`;
+  }
+
+  const { rows } = await pool.query(`
+    SELECT g.*, ${contributedSql('g.id')} AS contributed${rateColumn},
+      g.created_at::date::text AS start_day, g.timelimit::date::text AS deadline
+    FROM goals g
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY g.timeLimit ASC
+  `, values);
+
+  return rows.map(({ start_day, ...goal }) => {
+    const contributed = parseFloat(goal.contributed);
+    if (goal.base_rate !== undefined) {
+      goal.base_rate = goal.base_rate === null ? null : parseFloat(goal.base_rate);
+    }
+    return {
+      ...goal,
+      contributed,
+      progress: goalProgress({ ...goal, contributed, start_day }, day)
+    };
+  });
+}
+
+/**
+ * How much each member has put towards a goal; contributions whose transaction is in the trash do not count
+ * @param {number} goalId - Goal id
+ * @returns {Array} [{ uuid, username, contributed, count }], largest first
+ */
+export async function getContributionsByMember(goalId) {
+  const { rows } = await pool.query(`
+    SELECT c.uuid, u.username, SUM(c.amount) AS contributed, COUNT(*)::int AS count
+    FROM goal_contributions c
+    LEFT JOIN transactions t ON t.id = c.transaction_id
+    LEFT JOIN users u ON u.uuid = c.uuid
+    WHERE c.goal_id = $1 AND (c.transaction_id IS NULL OR t.deleted_at IS NULL)
+    GROUP BY c.uuid, u.username
+    ORDER BY contributed DESC
+  `, [goalId]);
+  return rows.map(row => ({ ...row, contributed: parseFloat(row.contributed) }));
+}
+
+/**
+ * Income, expenses and surplus of each of the last full months, in the base currency
+ * @param {string} uuid - User UUID
+ * @param {number} months - Number of months before the current one
+ * @param {string} currency - Base currency
+ * @param {string} day - Today
+ * @returns {Array} { period, income, expense, net, transactionCount }, oldest first
+ */
+export async function getMonthlySurplus(uuid, months, currency, day = today()) {
+  const monthStart = `${day.slice(0, 7)}-01`;
+  const range = { from: addMonths(monthStart, -months), to: addDays(monthStart, -1) };
+  return getCashFlowSeries(uuid, range, 'month', { accountId: null, tags: [] }, currency);
+}
+
+/**
+ * Move a goal to another status and log the change
+ * Callers check the transition first (checkStatusChange for changes asked for by the user)
+ * @param {Object} db - pool or a connected client
+ * @param {Object} goal - Current goal row
+ * @param {string} status - New status
+ * @param {Object} change - { reason, changedBy (user UUID, null for automatic changes) }
+ * @returns {Object} Updated goal row
+ */
+export async function setGoalStatus(db, goal, status, { reason, changedBy = null }) {
+  const { rows } = await db.query(`
+    UPDATE goals
+    SET status = $1, status_changed_at = NOW(),
+      is_completed = CASE WHEN $1 = 'achieved' THEN TRUE WHEN $1 = 'archived' THEN is_completed ELSE FALSE END
+    WHERE id = $2
+    RETURNING *
+  `, [status, goal.id]);
+  await db.query(`
+    INSERT INTO goal_status_history (uuid, goal_id, from_status, to_status, reason, changed_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [goal.uuid, goal.id, goal.status, status, reason, changedBy]);
+  return rows[0];
+}
+
+/**
+ * Mark a goal achieved once what has been saved reaches its target
+ * Runs in the caller's database transaction; the caller records the revision
+ * @param {Object} db - pool or a connected client
+ * @param {number} goalId - Goal id
+ * @param {string} uuid - Owner UUID
+ * @returns {Object|null} Updated goal row, or null when this call did not complete it
+ */
+export async function completeGoalIfReached(db, goalId, uuid) {
+  const { rows } = await db.query(`
+    SELECT g.* FROM goals g
+    WHERE g.id = $1 AND g.uuid = $2 AND g.deleted_at IS NULL AND g.status IN ('active', 'missed')
+      AND g.target_amount IS NOT NULL AND g.starting_amount + ${contributedSql('g.id')} >= g.target_amount
+  `, [goalId, uuid]);
+  if (rows.length === 0) return null;
+  return setGoalStatus(db, rows[0], 'achieved', { reason: 'target_reached' });
+}
+
+/**
+ * Move goals on by themselves: active or missed goals whose target is reached become achieved, then
+ * active goals whose timeLimit has passed become missed. Paused and archived goals are left alone
+ * @returns {Object} { achieved, missed } counts
+ */
+export async function evaluateGoalStatuses() {
+  if (statusJobRunning) return {};
+  statusJobRunning = true;
+
+  const counts = {};
+  try {
+    // Joining goals to itself gives the status from before the update for the history
+    const transitions = [
+      {
+        to: 'achieved',
+        reason: 'target_reached',
+        where: `g.status IN ('active', 'missed') AND g.target_amount IS NOT NULL
+          AND g.starting_amount + ${contributedSql('g.id')} >= g.target_amount`
+      },
+      { to: 'missed', reason: 'deadline_passed', where: "g.status = 'active' AND g.timelimit::date < CURRENT_DATE" }
+    ];
+    for (const { to, reason, where } of transitions) {
+      const { rowCount } = await pool.query(`
+        WITH changed AS (
+          UPDATE goals g
+          SET status = $1, status_changed_at = NOW(), is_completed = ($1 = 'achieved')
+          FROM goals previous
+          WHERE previous.id = g.id AND g.deleted_at IS NULL AND ${where}
+          RETURNING g.id, g.uuid, previous.status AS from_status
+        )
+        INSERT INTO goal_status_history (uuid, goal_id, from_status, to_status, reason)
+        SELECT uuid, id, from_status, $1::text, $2::text FROM changed
+      `, [to, reason]);
+      counts[to] = rowCount;
+    }
+
+    if (counts.achieved > 0 || counts.missed > 0) {
+      console.log(`Goal status job marked ${counts.achieved} goals achieved and ${counts.missed} missed`);
+    }
+  } catch (error) {
+    console.error('Goal status job run failed:', error);
+  } finally {
+    statusJobRunning = false;
+  }
+
+  return counts;
+}
+
+/**
+ * Start the in-process goal status job: one run now, then every STATUS_JOB_INTERVAL_MS
+ */
+export function startGoalStatusJob() {
+  evaluateGoalStatuses();
+  setInterval(evaluateGoalStatuses, STATUS_JOB_INTERVAL_MS);
+}
@@ -0,0 +1,135 @@
+import pool from '../database/db.js';
+
+// Records with a revision history, the table each lives in, and the fields whose changes are recorded
+export const HISTORY_ENTITIES = {
+  transaction: {
+    table: 'transactions',
+    fields: ['title', 'description', 'amount', 'currency', 'type', 'category', 'created_at', 'account_id', 'to_account_id', 'holding_id', 'holding_flow']
+  },
+  goal: {
+    table: 'goals',
+    fields: ['name', 'description', 'timelimit', 'is_completed', 'target_amount', 'starting_amount', 'currency']
+  }
+};
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // action is created, updated, deleted, restored or reverted; snapshot holds the tracked fields
+    // after the change and changes holds { field: { from, to } }
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS revisions (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        changes JSONB NOT NULL DEFAULT '{}',
+        snapshot JSONB NOT NULL,
+        reverted_to INTEGER,
+        changed_by UUID,
+        client TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (entity_type, entity_id, revision)
+      );
+    `);
+  } catch (error) {
+    console.error('Revisions table initialization failed:', error);
+  }
+};
+
+/**
+ * Who is making a change and from which client
+ * Clients identify themselves with an X-Client header (e.g. "ios/2.3.1"); the user agent is the fallback
+ * @param {Object} req - Express request after the auth middleware
+ * @returns {Object} { userId, client }
+ */
+export function actorFromRequest(req) {
+  const client = req.get('X-Client') || req.get('User-Agent') || null;
+  return { userId: req.user.uuid, client: client ? client.slice(0, 200) : null };
+}
+
+/**
+ * Read the tracked fields of a record as they are stored
+ * Values come from to_jsonb so timestamps keep their exact database text and can be written back unchanged
+ * @param {Object} db - pool or a connected client
+ * @param {string} entityType - A HISTORY_ENTITIES key
+ * @param {number} id - Record id
+ * @returns {Object|null} Tracked fields, or null if the record does not exist
+ */
+export async function getSnapshot(db, entityType, id) {
+  const { table, fields } = HISTORY_ENTITIES[entityType];
+  const { rows } = await db.query(`SELECT to_jsonb(r) AS row FROM ${table} r WHERE r.id = $1`, [id]);
+  if (rows.length === 0) return null;
+  return Object.fromEntries(fields.map(field => [field, rows[0].row[field] ?? null]));
+}
+
+/**
+ * Record a revision of a record after it has been written
+ * Must run in the same database transaction as the change, with the record locked or just created
+ * @param {Object} db - pool or a connected client
+ * @param {Object} revision - { entityType, entityId, uuid (owner), action, before (snapshot before
+ * the change, null on create), actor (from actorFromRequest), revertedTo }
+ * @returns {Object|null} Stored revision, or null when an update changed no tracked field
+ */
+export async function recordRevision(db, { entityType, entityId, uuid, action, before = null, actor, revertedTo = null }) {
+  const after = await getSnapshot(db, entityType, entityId);
+
+  const changes = {};
+  HISTORY_ENTITIES[entityType].fields.forEach(field => {
+    const from = before ? before[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(after[field])) {
+      changes[field] = { from, to: after[field] };
+    }
+  });
+  if (action === 'updated' && Object.keys(changes).length === 0) return null;
+
+  const { rows } = await db.query(`
+    INSERT INTO revisions (uuid, entity_type, entity_id, revision, action, changes, snapshot, reverted_to, changed_by, client)
+    SELECT $1, $2, $3, COALESCE(MAX(revision), 0) + 1, $4, $5, $6, $7, $8, $9
+    FROM revisions WHERE entity_type = $2 AND entity_id = $3
+    RETURNING *
+  `, [uuid, entityType, entityId, action, changes, after, revertedTo, actor?.userId || null, actor?.client || null]);
+  return rows[0];
+}
+
+/**
+ * Get the revisions of a record, newest first
+ * @param {Object} db - pool or a connected client
+ * @param {string} entityType - A HISTORY_ENTITIES key
+ * @param {number} id - Record id
+ * @param {string} uuid - Owner UUID
+ * @returns {Array} Revisions
+ */
+export async function getRevisions(db, entityType, id, uuid) {
+  const { rows } = await db.query(`
+    SELECT id, revision, action, changes, snapshot, reverted_to, changed_by, client, created_at
+    FROM revisions
+    WHERE entity_type = $1 AND entity_id = $2 AND uuid = $3
+    ORDER BY revision DESC
+  `, [entityType, id, uuid]);
+  return rows;
+}
+
+/**
+ * Write a revision's snapshot back onto its record
+ * jsonb_populate_record casts every value to the column's own type; fields that were not tracked
+ * yet when the revision was taken are left as they are
+ * @param {Object} db - Connected client inside a transaction
+ * @param {string} entityType - A HISTORY_ENTITIES key
+ * @param {number} id - Record id
+ * @param {Object} snapshot - Tracked fields from a revision
+ * @returns {Object} Updated record
+ */
+export async function applySnapshot(db, entityType, id, snapshot) {
+  const { table, fields } = HISTORY_ENTITIES[entityType];
+  const { rows } = await db.query(`
+    UPDATE ${table} t
+    SET ${fields.filter(field => field in snapshot).map(field => `${field} = s.${field}`).join(', ')}
+    FROM jsonb_populate_record(NULL::${table}, $1) s
+    WHERE t.id = $2
+    RETURNING t.*
+  `, [snapshot, id]);
+  return rows[0];
+}
@@ -0,0 +1,208 @@
+import pool from '../database/db.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+import { accountMovementsSql } from './accountService.js';
+import { initDatabase as initCurrency } from './currencyService.js';
+import { initDatabase as initTransactions } from './transactionService.js';
+
+// What a user owns (assets) or owes (liabilities) outside their accounts, and the types of each
+export const HOLDING_KINDS = ['asset', 'liability'];
+export const HOLDING_TYPES = {
+  asset: ['property', 'fixed_deposit', 'mutual_fund', 'stock', 'gold', 'vehicle', 'other'],
+  liability: ['loan', 'mortgage', 'other']
+};
+
+// Direction of a transfer between an account and a holding: "in" moves money from account_id into
+// the holding (investing, repaying a loan), "out" moves it from the holding into account_id
+// (redeeming an FD, a loan being paid out)
+export const HOLDING_FLOWS = ['in', 'out'];
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // holding_value calls fx_rate and reads transactions.deleted_at, and its body is checked when it is
+    // created, so both have to exist first
+    await Promise.all([initCurrency(), initTransactions()]);
+
+    // Valuations are what the holding was worth (or how much was owed) at the end of valued_on,
+    // always as a positive amount in the holding's currency
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS holdings (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        type TEXT NOT NULL,
+        currency CHAR(3) NOT NULL,
+        notes TEXT,
+        is_archived BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (uuid, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS holding_valuations (
+        id SERIAL PRIMARY KEY,
+        holding_id INTEGER NOT NULL REFERENCES holdings(id) ON DELETE CASCADE,
+        uuid UUID NOT NULL,
+        valued_on DATE NOT NULL,
+        value NUMERIC(14, 2) NOT NULL CHECK (value >= 0),
+        note TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (holding_id, valued_on)
+      );
+
+      -- A transfer either reaches another account (to_account_id) or moves money to or from a holding
+      ALTER TABLE transactions
+        ADD COLUMN IF NOT EXISTS holding_id INTEGER REFERENCES holdings(id),
+        ADD COLUMN IF NOT EXISTS holding_flow TEXT;
+      CREATE INDEX IF NOT EXISTS transactions_holding_idx ON transactions (holding_id) WHERE holding_id IS NOT NULL;
+
+      -- Value of a holding at the end of p_day, in its own currency: the latest valuation on or before
+      -- that day, moved by the transfers to or from it since. Money put into an asset adds to its value;
+      -- money put into a liability pays it down
+      CREATE OR REPLACE FUNCTION holding_value(p_holding_id INTEGER, p_day DATE)
+      RETURNS NUMERIC LANGUAGE sql STABLE AS $$
+        WITH h AS (SELECT * FROM holdings WHERE id = p_holding_id),
+        latest AS (
+          SELECT v.value, v.valued_on FROM holding_valuations v
+          WHERE v.holding_id = p_holding_id AND v.valued_on <= p_day
+          ORDER BY v.valued_on DESC LIMIT 1
+        )
+        SELECT COALESCE((SELECT value FROM latest), 0) + COALESCE((
+          SELECT SUM(
+            t.amount * fx_rate(t.uuid, t.currency, h.currency, t.created_at::date)
+            * CASE WHEN t.holding_flow = 'in' THEN 1 ELSE -1 END
+            * CASE WHEN h.kind = 'liability' THEN -1 ELSE 1 END
+          )
+          FROM transactions t, h
+          WHERE t.holding_id = p_holding_id AND t.type = '${TRANSFER_TYPE}' AND t.deleted_at IS NULL
+            AND t.created_at::date <= p_day
+            AND t.created_at::date > COALESCE((SELECT valued_on FROM latest), '-infinity'::date)
+        ), 0)
+      $$;
+    `);
+  } catch (error) {
+    console.error('Holdings table initialization failed:', error);
+  }
+};
+
+/**
+ * Validate the editable fields of a holding
+ * @param {Object} holding - { name, kind, type }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateHolding({ name, kind, type }) {
+  if (!name || !String(name).trim()) return 'Please provide a name';
+  if (!HOLDING_KINDS.includes(kind)) return `kind must be one of: ${HOLDING_KINDS.join(', ')}`;
+  if (!HOLDING_TYPES[kind].includes(type)) {
+    return `type of an ${kind} must be one of: ${HOLDING_TYPES[kind].join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Find one of a user's open holdings
+ * @param {Object} db - pool or a connected client
+ * @param {string} uuid - User UUID
+ * @param {*} holdingId - Requested holding id
+ * @returns {Object|null} Holding row, or null if it is not one of the user's open holdings
+ */
+export async function findOpenHolding(db, uuid, holdingId) {
+  if (!/^\d+$/.test(String(holdingId))) return null;
+  const { rows } = await db.query(
+    'SELECT * FROM holdings WHERE id = $1 AND uuid = $2 AND is_archived = FALSE',
+    [holdingId, uuid]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get a user's holdings with their current values
+ * @param {string} uuid - User UUID
+ * @param {string} baseCurrency - Currency for base_value, converted at today's rate
+ * @param {Object} options - { id, includeArchived }
+ * @returns {Array} Holding rows with value, base_value and last_valued_on
+ */
+export async function getHoldingsWithValues(uuid, baseCurrency, options = {}) {
+  const conditions = ['h.uuid = $1'];
+  const values = [uuid, baseCurrency];
+  if (options.id !== undefined) {
+    values.push(options.id);
+    conditions.push(`h.id = $${values.length}`);
+  }
+  if (!options.includeArchived && options.id === undefined) {
+    conditions.push('h.is_archived = FALSE');
+  }
+
+  const { rows } = await pool.query(`
+    SELECT valued.*, value * fx_rate(uuid, currency, $2, CURRENT_DATE) AS base_value
+    FROM (
+      SELECT h.*, holding_value(h.id, CURRENT_DATE) AS value,
+        (SELECT MAX(v.valued_on)::text FROM holding_valuations v WHERE v.holding_id = h.id) AS last_valued_on
+      FROM holdings h
+      WHERE ${conditions.join(' AND ')}
+    ) valued
+    ORDER BY kind ASC, name ASC
+  `, values);
+
+  return rows.map(holding => ({
+    ...holding,
+    value: parseFloat(holding.value),
+    base_value: holding.base_value === null ? null : parseFloat(holding.base_value)
+  }));
+}
+
+/**
+ * Net worth at the end of each day, week or month in a range
+ * Accounts count at their balance (negative for money owed on cards and loan accounts), assets add
+ * and liabilities subtract; everything is converted at the rate of the closing day
+ * @param {string} uuid - User UUID
+ * @param {string} baseCurrency - Currency of the totals
+ * @param {Object} range - { from, to, interval } with YYYY-MM-DD dates and 'day', 'week' or 'month'
+ * @returns {Array} [{ period (first day), closing_day, accounts, assets, liabilities, net_worth }]
+ */
+export async function getNetWorthHistory(uuid, baseCurrency, { from, to, interval }) {
+  const { rows } = await pool.query(`
+    WITH points AS (
+      SELECT bucket::date AS period,
+        LEAST((bucket + ('1 ' || $4)::interval - INTERVAL '1 day')::date, $3::date) AS closing_day
+      FROM generate_series(date_trunc($4, $2::date::timestamp), $3::date::timestamp, ('1 ' || $4)::interval) AS bucket
+    )
+    SELECT p.period::text AS period, p.closing_day::text AS closing_day,
+      (
+        SELECT COALESCE(SUM((
+          a.opening_balance + COALESCE((
+            SELECT SUM(m.amount * fx_rate(m.uuid, m.currency, a.currency, m.created_at::date))
+            FROM (${accountMovementsSql('a.id')}) m
+            WHERE m.created_at::date <= p.closing_day
+          ), 0)
+        ) * fx_rate(a.uuid, a.currency, $5, p.closing_day)), 0)
+        FROM accounts a WHERE a.uuid = $1
+      ) AS accounts,
+      (
+        SELECT COALESCE(SUM(holding_value(h.id, p.closing_day) * fx_rate(h.uuid, h.currency, $5, p.closing_day)), 0)
+        FROM holdings h WHERE h.uuid = $1 AND h.kind = 'asset'
+      ) AS assets,
+      (
+        SELECT COALESCE(SUM(holding_value(h.id, p.closing_day) * fx_rate(h.uuid, h.currency, $5, p.closing_day)), 0)
+        FROM holdings h WHERE h.uuid = $1 AND h.kind = 'liability'
+      ) AS liabilities
+    FROM points p
+    ORDER BY p.period ASC
+  `, [uuid, from, to, interval, baseCurrency]);
+
+  const round = value => Math.round(value * 100) / 100;
+  return rows.map(row => {
+    const accounts = parseFloat(row.accounts);
+    const assets = parseFloat(row.assets);
+    const liabilities = parseFloat(row.liabilities);
+    return {
+      period: row.period,
+      closing_day: row.closing_day,
+      accounts: round(accounts),
+      assets: round(assets),
+      liabilities: round(liabilities),
+      net_worth: round(accounts + assets - liabilities)
+    };
+  });
+}
@@ -0,0 +1,155 @@
+import pool from '../database/db.js';
+import { HOUSEHOLD_ROLES, SHAREABLE_TYPES } from '../utils/households.js';
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // Goals, budgets and accounts are shared by setting their household_id (added by their own services);
+    // they keep their owner's uuid, and leave the household with that owner
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS households (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS household_members (
+        household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+        uuid UUID NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member',
+        joined_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (household_id, uuid)
+      );
+      CREATE INDEX IF NOT EXISTS household_members_uuid_idx ON household_members (uuid);
+
+      -- Invitations go to registered users by email; a user has at most one pending invitation per household
+      CREATE TABLE IF NOT EXISTS household_invitations (
+        id SERIAL PRIMARY KEY,
+        household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+        email TEXT NOT NULL,
+        invited_uuid UUID NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member',
+        status TEXT NOT NULL DEFAULT 'pending',
+        invited_by UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        responded_at TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS household_invitations_pending_idx
+        ON household_invitations (household_id, invited_uuid) WHERE status = 'pending';
+    `);
+  } catch (error) {
+    console.error('Households table initialization failed:', error);
+  }
+};
+
+/**
+ * SQL condition for rows a user can reach: their own, or shared with a household where they have one of some roles
+ * @param {string} alias - Alias of a table with uuid and household_id columns
+ * @param {string} userRef - SQL expression holding the user's UUID, e.g. "$1"
+ * @param {Array} roles - Household roles that give access (defaults to every role)
+ * @returns {string} SQL condition
+ */
+export function sharedAccessSql(alias, userRef, roles = HOUSEHOLD_ROLES) {
+  return `(${alias}.uuid = ${userRef} OR ${alias}.household_id IN (
+    SELECT m.household_id FROM household_members m
+    WHERE m.uuid = ${userRef} AND m.role IN (${roles.map(role => `'${role}'`).join(', ')})
+  ))`;
+}
+
+/**
+ * Get a user's role in a household
+ * @param {Object} db - pool or a connected client
+ * @param {number} householdId - Household id
+ * @param {string} uuid - User UUID
+ * @returns {string|null} Role, or null when the user is not a member
+ */
+export async function getRole(db, householdId, uuid) {
+  const { rows } = await db.query(
+    'SELECT role FROM household_members WHERE household_id = $1 AND uuid = $2',
+    [householdId, uuid]
+  );
+  return rows.length > 0 ? rows[0].role : null;
+}
+
+/**
+ * UUIDs of everyone in a household
+ * @param {Object} db - pool or a connected client
+ * @param {number} householdId - Household id
+ * @returns {Array} Member UUIDs
+ */
+export async function getMemberUuids(db, householdId) {
+  const { rows } = await db.query('SELECT uuid FROM household_members WHERE household_id = $1', [householdId]);
+  return rows.map(row => row.uuid);
+}
+
+/**
+ * Get the households a user belongs to with their members
+ * @param {string} uuid - User UUID
+ * @param {number} householdId - Optional single household
+ * @returns {Array} Household rows with role (the user's own) and members [{ uuid, username, email, role, joined_at }]
+ */
+export async function getHouseholds(uuid, householdId = null) {
+  const { rows } = await pool.query(`
+    SELECT h.*, me.role,
+      COALESCE((
+        SELECT json_agg(json_build_object(
+          'uuid', m.uuid, 'username', u.username, 'email', u.email, 'role', m.role, 'joined_at', m.joined_at
+        ) ORDER BY m.joined_at, u.username)
+        FROM household_members m
+        LEFT JOIN users u ON u.uuid = m.uuid
+        WHERE m.household_id = h.id
+      ), '[]') AS members
+    FROM households h
+    JOIN household_members me ON me.household_id = h.id AND me.uuid = $1
+    WHERE ($2::int IS NULL OR h.id = $2)
+    ORDER BY h.name ASC, h.id ASC
+  `, [uuid, householdId]);
+  return rows;
+}
+
+/**
+ * Get what has been shared with a household
+ * @param {number} householdId - Household id
+ * @returns {Object} { goals, budgets, accounts }, each entry with its owner's uuid and username
+ */
+export async function getSharedItems(householdId) {
+  const [goals, budgets, accounts] = await Promise.all([
+    pool.query(`
+      SELECT g.id, g.name, g.status, g.target_amount, g.currency, g.timelimit::date::text AS deadline,
+        g.uuid AS owner, u.username AS owner_name
+      FROM goals g LEFT JOIN users u ON u.uuid = g.uuid
+      WHERE g.household_id = $1 AND g.deleted_at IS NULL
+      ORDER BY g.timelimit ASC, g.id ASC
+    `, [householdId]),
+    pool.query(`
+      SELECT b.id, c.name AS category, b.period, b.amount, b.currency, b.uuid AS owner, u.username AS owner_name
+      FROM budgets b LEFT JOIN categories c ON c.id = b.category_id LEFT JOIN users u ON u.uuid = b.uuid
+      WHERE b.household_id = $1
+      ORDER BY c.name ASC, b.id ASC
+    `, [householdId]),
+    pool.query(`
+      SELECT a.id, a.name, a.type, a.currency, a.uuid AS owner, u.username AS owner_name
+      FROM accounts a LEFT JOIN users u ON u.uuid = a.uuid
+      WHERE a.household_id = $1
+      ORDER BY a.name ASC, a.id ASC
+    `, [householdId])
+  ]);
+  return { goals: goals.rows, budgets: budgets.rows, accounts: accounts.rows };
+}
+
+/**
+ * Stop sharing with a household, everything or only what one member owns
+ * @param {Object} db - pool or a connected client
+ * @param {number} householdId - Household id
+ * @param {string} ownerUuid - Only unshare this user's items (null for everyone's)
+ */
+export async function unshareItems(db, householdId, ownerUuid = null) {
+  for (const table of Object.values(SHAREABLE_TYPES)) {
+    await db.query(
+      `UPDATE ${table} SET household_id = NULL WHERE household_id = $1 AND ($2::uuid IS NULL OR uuid = $2)`,
+      [householdId, ownerUuid]
+    );
+  }
+}
@@ -0,0 +1,219 @@
+import pool from '../database/db.js';
+import { initDatabase as initAccounts } from './accountService.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+import { buildSchedule } from '../utils/loans.js';
+import { today, addDays } from '../utils/recurrence.js';
+
+// An EMI payment matches an instalment when it is within this many days of the due date...
+const MATCH_WINDOW_DAYS = 7;
+
+// ...and within this fraction of the instalment amount
+const MATCH_AMOUNT_TOLERANCE = 0.01;
+
+// Dates are read back as text so YYYY-MM-DD survives the trip through node-pg unchanged
+export const LOAN_COLUMNS = `
+  id, uuid, name, lender, principal, annual_rate, tenure_months, emi,
+  start_date::text AS start_date, currency, account_id, match_text, created_at, updated_at
+`;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // loans reference accounts, which another module creates on load
+    await initAccounts();
+
+    // start_date is the due date of the first EMI; later EMIs fall on the same day of each month.
+    // account_id and match_text narrow down which transactions are taken for EMI payments
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS loans (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        name TEXT NOT NULL,
+        lender TEXT,
+        principal NUMERIC(14, 2) NOT NULL CHECK (principal > 0),
+        annual_rate NUMERIC(6, 3) NOT NULL CHECK (annual_rate >= 0),
+        tenure_months INTEGER NOT NULL CHECK (tenure_months > 0),
+        emi NUMERIC(14, 2) NOT NULL CHECK (emi > 0),
+        start_date DATE NOT NULL,
+        currency CHAR(3) NOT NULL,
+        account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+        match_text TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (uuid, name)
+      );
+
+      -- Which transaction paid which instalment; a transaction pays at most one instalment of one loan
+      CREATE TABLE IF NOT EXISTS loan_payments (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        loan_id INTEGER NOT NULL REFERENCES loans(id) ON DELETE CASCADE,
+        installment INTEGER NOT NULL,
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        matched_by TEXT NOT NULL DEFAULT 'auto',
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (loan_id, installment),
+        UNIQUE (transaction_id)
+      );
+    `);
+  } catch (error) {
+    console.error('Loans table initialization failed:', error);
+  }
+};
+
+/**
+ * Get a user's loans with the rate that converts them into the base currency
+ * @param {string} uuid - User UUID
+ * @param {string} baseCurrency - Currency for base_rate, at today's rate
+ * @param {Object} options - { id, ids }
+ * @returns {Array} Loan rows with numeric amounts and base_rate (null when no rate is known)
+ */
+export async function getLoans(uuid, baseCurrency, options = {}) {
+  const conditions = ['uuid = $1'];
+  const values = [uuid, baseCurrency];
+  if (options.id !== undefined) {
+    values.push(options.id);
+    conditions.push(`id = $${values.length}`);
+  }
+  if (options.ids) {
+    values.push(options.ids);
+    conditions.push(`id = ANY($${values.length}::int[])`);
+  }
+
+  const { rows } = await pool.query(`
+    SELECT ${LOAN_COLUMNS}, fx_rate(uuid, currency, $2, CURRENT_DATE) AS base_rate
+    FROM loans
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY start_date ASC, id ASC
+  `, values);
+
+  return rows.map(loan => ({
+    ...loan,
+    principal: parseFloat(loan.principal),
+    annual_rate: parseFloat(loan.annual_rate),
+    emi: parseFloat(loan.emi),
+    base_rate: loan.base_rate === null ? null : parseFloat(loan.base_rate)
+  }));
+}
+
+/**
+ * Get the instalments of a loan that have a payment, ignoring payments whose transaction is in the trash
+ * @param {Object} db - pool or a connected client
+ * @param {number} loanId - Loan id
+ * @returns {Map} { transaction_id, matched_by, paid_on, amount } keyed by instalment number
+ */
+export async function getLoanPayments(db, loanId) {
+  const { rows } = await db.query(`
+    SELECT p.installment, p.transaction_id, p.matched_by, t.created_at::date::text AS paid_on, t.amount
+    FROM loan_payments p
+    JOIN transactions t ON t.id = p.transaction_id AND t.deleted_at IS NULL
+    WHERE p.loan_id = $1
+  `, [loanId]);
+  return new Map(rows.map(({ installment, ...payment }) => [
+    installment,
+    { ...payment, amount: parseFloat(payment.amount) }
+  ]));
+}
+
+/**
+ * Amortisation schedule of a loan with the payment status of each instalment
+ * The outstanding balance follows the schedule, so it assumes every EMI due so far was paid;
+ * instalments without a matched payment are reported as overdue rather than changing it
+ * @param {Object} loan - Loan row
+ * @param {Map} payments - From getLoanPayments
+ * @param {string} day - Day to report the status on
+ * @returns {Object} { schedule, summary } or { error }
+ */
+export function describeLoan(loan, payments, day = today()) {
+  const { entries, summary, error } = buildSchedule(loan);
+  if (error) return { error };
+
+  const schedule = entries.map(entry => {
+    const payment = payments.get(entry.installment);
+    const status = payment ? 'paid' : entry.due_date < day ? 'overdue' : entry.due_date === day ? 'due' : 'upcoming';
+    return { ...entry, status, payment: payment || null };
+  });
+
+  const dueSoFar = schedule.filter(entry => entry.due_date <= day);
+  const next = schedule.find(entry => entry.due_date >= day && entry.status !== 'paid');
+
+  return {
+    schedule,
+    summary: {
+      ...summary,
+      outstanding: dueSoFar.length > 0 ? dueSoFar[dueSoFar.length - 1].closing_balance : loan.principal,
+      paidInstallments: schedule.filter(entry => entry.status === 'paid').length,
+      overdueInstallments: schedule.filter(entry => entry.status === 'overdue').length,
+      remainingInstallments: schedule.length - dueSoFar.length,
+      nextDue: next ? { installment: next.installment, due_date: next.due_date, emi: next.emi } : null
+    }
+  };
+}
+
+/**
+ * Match a loan's unpaid instalments with EMI transactions
+ * Expenses and transfers in the loan's currency count when they are within MATCH_WINDOW_DAYS of the
+ * due date and MATCH_AMOUNT_TOLERANCE of the instalment, from the loan's account and with match_text in
+ * the title when those are set; each instalment takes the closest such transaction by date
+ * @param {string} uuid - User UUID
+ * @param {Object} loan - Loan row
+ * @returns {Array} New payments [{ installment, transaction_id, paid_on, amount }]
+ */
+export async function matchLoanPayments(uuid, loan) {
+  const { entries, error } = buildSchedule(loan);
+  if (error) return [];
+
+  const payments = await getLoanPayments(pool, loan.id);
+  const lastDay = addDays(today(), MATCH_WINDOW_DAYS);
+  const unpaid = entries.filter(entry => !payments.has(entry.installment) && entry.due_date <= lastDay);
+  if (unpaid.length === 0) return [];
+
+  const { rows } = await pool.query(`
+    SELECT t.id, t.amount, t.created_at::date::text AS paid_on
+    FROM transactions t
+    WHERE t.uuid = $1 AND t.deleted_at IS NULL
+      AND t.type IN ('Expense', '${TRANSFER_TYPE}')
+      AND t.currency = $2
+      AND t.created_at::date BETWEEN $3::date AND $4::date
+      AND ($5::int IS NULL OR t.account_id = $5)
+      AND ($6::text IS NULL OR t.title ILIKE '%' || $6 || '%')
+      AND NOT EXISTS (SELECT 1 FROM loan_payments p WHERE p.transaction_id = t.id)
+    ORDER BY t.created_at ASC, t.id ASC
+  `, [
+    uuid,
+    loan.currency,
+    addDays(unpaid[0].due_date, -MATCH_WINDOW_DAYS),
+    addDays(unpaid[unpaid.length - 1].due_date, MATCH_WINDOW_DAYS),
+    loan.account_id,
+    loan.match_text || null
+  ]);
+
+  const candidates = rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+  const used = new Set();
+  const distance = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+  const matched = [];
+
+  for (const entry of unpaid) {
+    const best = candidates
+      .filter(candidate => !used.has(candidate.id)
+        && distance(candidate.paid_on, entry.due_date) <= MATCH_WINDOW_DAYS
+        && Math.abs(candidate.amount - entry.emi) <= entry.emi * MATCH_AMOUNT_TOLERANCE)
+      .sort((a, b) => distance(a.paid_on, entry.due_date) - distance(b.paid_on, entry.due_date))[0];
+    if (!best) continue;
+
+    // An instalment whose payment is in the trash counts as unpaid, so its payment is replaced
+    const { rowCount } = await pool.query(`
+      INSERT INTO loan_payments (uuid, loan_id, installment, transaction_id, matched_by)
+      VALUES ($1, $2, $3, $4, 'auto')
+      ON CONFLICT (loan_id, installment) DO UPDATE
+      SET transaction_id = EXCLUDED.transaction_id, matched_by = EXCLUDED.matched_by, created_at = NOW()
+      WHERE EXISTS (SELECT 1 FROM transactions t WHERE t.id = loan_payments.transaction_id AND t.deleted_at IS NOT NULL)
+    `, [uuid, loan.id, entry.installment, best.id]);
+    used.add(best.id);
+    if (rowCount > 0) {
+      matched.push({ installment: entry.installment, transaction_id: best.id, paid_on: best.paid_on, amount: best.amount });
+    }
+  }
+
+  return matched;
+}
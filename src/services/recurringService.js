@@ -0,0 +1,201 @@
+import pool from '../database/db.js';
+import { loadActiveRules, findRuleCategory } from './categoryRules.js';
+import { addDays, today, nextOccurrenceOnOrAfter } from '../utils/recurrence.js';
+import { fingerprintTransaction, TRANSACTION_SOURCES } from '../utils/duplicates.js';
+import { evaluateBudgetThresholds } from './budgetService.js';
+
+// How often the in-process scheduler looks for due occurrences
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+// Advisory lock key so only one server instance materialises at a time
+const SCHEDULER_LOCK_KEY = 7301;
+
+// Dates are read back as text so YYYY-MM-DD survives the trip through node-pg unchanged
+export const SERIES_COLUMNS = `
+  id, uuid, title, description, amount, currency, type, category, frequency,
+  interval_count AS interval, cron_expression,
+  start_date::text AS start_date, end_date::text AS end_date, next_run::text AS next_run,
+  is_paused, created_at, updated_at
+`;
+
+let schedulerRunning = false;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recurring_transactions (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        amount NUMERIC NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        category TEXT,
+        frequency TEXT NOT NULL,
+        interval_count INTEGER NOT NULL DEFAULT 1,
+        cron_expression TEXT,
+        start_date DATE NOT NULL,
+        end_date DATE,
+        next_run DATE,
+        is_paused BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS recurring_transactions_due_idx
+        ON recurring_transactions (next_run) WHERE is_paused = FALSE;
+
+      CREATE TABLE IF NOT EXISTS recurring_occurrences (
+        id SERIAL PRIMARY KEY,
+        recurring_id INTEGER NOT NULL REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+        occurrence_date DATE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'posted',
+        transaction_id BIGINT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (recurring_id, occurrence_date)
+      );
+
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS recurring_id INTEGER;
+      ALTER TABLE recurring_transactions ADD COLUMN IF NOT EXISTS currency CHAR(3);
+    `);
+  } catch (error) {
+    console.error('Recurring transactions table initialization failed:', error);
+  }
+};
+
+/**
+ * Work out the next occurrence still to be materialised, ignoring anything before today
+ * @param {Object} series - Series definition
+ * @returns {string|null} YYYY-MM-DD, or null if the series has no future occurrences
+ */
+export function firstUpcomingRun(series) {
+  const from = series.start_date > today() ? series.start_date : today();
+  return nextOccurrenceOnOrAfter(series, from);
+}
+
+/**
+ * Insert the transactions for every due occurrence of one series
+ * Each occurrence is claimed in recurring_occurrences first, so a crash or a
+ * second scheduler can never post the same date twice
+ * @param {Object} client - Connected pg client
+ * @param {Object} series - Series row (SERIES_COLUMNS)
+ * @param {string} upTo - Materialise occurrences on or before this date
+ * @returns {number} Number of transactions inserted
+ */
+async function materialiseSeries(client, series, upTo) {
+  const rules = series.category ? [] : await loadActiveRules(series.uuid);
+  const ruleMatch = series.category ? null : findRuleCategory(rules, series);
+  const category = series.category || ruleMatch?.category || null;
+  const categorySource = series.category ? 'manual' : (ruleMatch ? 'rule' : null);
+
+  const posted = [];
+  let next = series.next_run;
+
+  while (next && next <= upTo) {
+    await client.query('BEGIN');
+    try {
+      const { rows: claimed } = await client.query(`
+        INSERT INTO recurring_occurrences (recurring_id, occurrence_date)
+        VALUES ($1, $2)
+        ON CONFLICT (recurring_id, occurrence_date) DO NOTHING
+        RETURNING id
+      `, [series.id, next]);
+
+      // An existing row means the date was already posted or explicitly skipped
+      if (claimed.length > 0) {
+        const { rows: inserted } = await client.query(`
+          INSERT INTO transactions
+            (uuid, title, description, amount, type, category, category_source, recurring_id, source, fingerprint, created_at, currency, account_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11::date,
+            COALESCE($12, (SELECT base_currency FROM users WHERE uuid = $1)),
+            (SELECT id FROM accounts WHERE uuid = $1 AND is_default))
+          RETURNING id, type, created_at
+        `, [
+          series.uuid, series.title, series.description, series.amount, series.type,
+          category, categorySource, series.id, TRANSACTION_SOURCES.recurring,
+          fingerprintTransaction({ ...series, created_at: next }, TRANSACTION_SOURCES.recurring), next,
+          series.currency
+        ]);
+
+        await client.query(
+          'UPDATE recurring_occurrences SET transaction_id = $1 WHERE id = $2',
+          [inserted[0].id, claimed[0].id]
+        );
+        posted.push(inserted[0]);
+      }
+
+      const following = nextOccurrenceOnOrAfter(series, addDays(next, 1));
+      await client.query(
+        'UPDATE recurring_transactions SET next_run = $1 WHERE id = $2',
+        [following, series.id]
+      );
+
+      await client.query('COMMIT');
+      next = following;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  await evaluateBudgetThresholds(series.uuid, posted);
+  return posted.length;
+}
+
+/**
+ * Materialise all due occurrences across every user
+ * @returns {number} Number of transactions inserted
+ */
+export async function runRecurringScheduler() {
+  if (schedulerRunning) return 0;
+  schedulerRunning = true;
+
+  let client;
+  let locked = false;
+  let posted = 0;
+
+  try {
+    client = await pool.connect();
+    const { rows: lockRows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [SCHEDULER_LOCK_KEY]);
+    locked = lockRows[0].locked;
+    if (!locked) return 0;
+
+    const upTo = today();
+    const { rows: dueSeries } = await client.query(`
+      SELECT ${SERIES_COLUMNS}
+      FROM recurring_transactions
+      WHERE is_paused = FALSE AND next_run IS NOT NULL AND next_run <= $1
+    `, [upTo]);
+
+    for (const series of dueSeries) {
+      try {
+        posted += await materialiseSeries(client, series, upTo);
+      } catch (error) {
+        // One broken series should not hold up everyone else's
+        console.error(`Error materialising recurring transaction ${series.id}:`, error);
+      }
+    }
+
+    if (posted > 0) {
+      console.log(`Recurring scheduler posted ${posted} transactions`);
+    }
+  } catch (error) {
+    console.error('Recurring scheduler run failed:', error);
+  } finally {
+    if (client) {
+      if (locked) await client.query('SELECT pg_advisory_unlock($1)', [SCHEDULER_LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+    schedulerRunning = false;
+  }
+
+  return posted;
+}
+
+/**
+ * Start the in-process scheduler: one run now, then every SCHEDULER_INTERVAL_MS
+ */
+export function startRecurringScheduler() {
+  runRecurringScheduler();
+  setInterval(runRecurringScheduler, SCHEDULER_INTERVAL_MS);
+}
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../database/db.js';
+
+// Access tokens are short-lived JWTs; clients keep going by trading their refresh token for a new pair
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+
+// A session ends after this many days without a refresh
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Ended sessions are kept this long for the sessions list, then deleted
+const ENDED_SESSION_RETENTION_DAYS = 30;
+
+// Rotated refresh tokens are kept this long to catch a copied token being replayed, then deleted;
+// an older one coming back is simply not valid
+const REUSE_DETECTION_DAYS = 7;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // One session per login on a device. Refresh tokens are stored as SHA-256 hashes and rotate on every
+    // use; a rotated token that comes back means it was copied, so its whole session is revoked
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY,
+        uuid UUID NOT NULL,
+        user_agent TEXT,
+        client TEXT,
+        ip TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason TEXT
+      );
+      CREATE INDEX IF NOT EXISTS sessions_uuid_idx ON sessions (uuid, last_used_at DESC);
+
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        rotated_at TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS refresh_tokens_session_idx ON refresh_tokens (session_id);
+    `);
+  } catch (error) {
+    console.error('Sessions table initialization failed:', error);
+  }
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Delete the refresh tokens of sessions that have ended; they can never be traded in again
+ * @param {Object} db - pool or a connected client
+ * @param {Array} sessionIds - Session ids
+ */
+async function deleteRefreshTokens(db, sessionIds) {
+  if (sessionIds.length === 0) return;
+  await db.query('DELETE FROM refresh_tokens WHERE session_id = ANY($1::uuid[])', [sessionIds]);
+}
+
+/**
+ * Where a login or refresh comes from
+ * Clients identify themselves with an X-Client header (e.g. "ios/2.3.1") like for revisions
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, client, ip }
+ */
+export function deviceFromRequest(req) {
+  const clip = value => (value ? String(value).slice(0, 200) : null);
+  return { userAgent: clip(req.get('User-Agent')), client: clip(req.get('X-Client')), ip: req.ip || null };
+}
+
+/**
+ * Sign an access token and mint a refresh token for a session
+ * @param {Object} db - pool or a connected client
+ * @param {string} uuid - User UUID
+ * @param {string} sessionId - Session id
+ * @returns {Object} { token, refreshToken, expiresIn } where expiresIn is the access token's lifetime in seconds
+ */
+async function issueTokens(db, uuid, sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await db.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)',
+    [sessionId, hashToken(refreshToken)]
+  );
+  const token = jwt.sign({ uuid, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+/**
+ * Start a session for a user who has just registered or logged in
+ * @param {string} uuid - User UUID
+ * @param {Object} device - From deviceFromRequest
+ * @returns {Object} { token, refreshToken, expiresIn, sessionId }
+ */
+export async function createSession(uuid, { userAgent, client, ip }) {
+  const sessionId = uuidv4();
+  let db;
+  try {
+    db = await pool.connect();
+    await db.query('BEGIN');
+    await db.query(`
+      DELETE FROM sessions
+      WHERE uuid = $1 AND COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '${ENDED_SESSION_RETENTION_DAYS} days'
+    `, [uuid]);
+    await db.query(`
+      DELETE FROM refresh_tokens r
+      USING sessions s
+      WHERE s.id = r.session_id AND s.uuid = $1 AND s.expires_at < NOW()
+    `, [uuid]);
+    await db.query(`
+      INSERT INTO sessions (id, uuid, user_agent, client, ip, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '${REFRESH_TOKEN_DAYS} days')
+    `, [sessionId, uuid, userAgent, client, ip]);
+    const tokens = await issueTokens(db, uuid, sessionId);
+    await db.query('COMMIT');
+    return { ...tokens, sessionId };
+  } catch (error) {
+    await db?.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (db) db.release();
+  }
+}
+
+/**
+ * Trade a refresh token for a new access token and refresh token
+ * The old refresh token stops working. Presenting one that was already rotated revokes the session,
+ * since either the client or whoever copied the token is replaying it
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} device - From deviceFromRequest
+ * @returns {Object} { token, refreshToken, expiresIn, sessionId } or { error, reused }
+ */
+export async function rotateRefreshToken(refreshToken, { userAgent, client, ip }) {
+  let db;
+  try {
+    db = await pool.connect();
+    await db.query('BEGIN');
+
+    // Lock the token so two refreshes racing with it cannot both succeed
+    const { rows } = await db.query(`
+      SELECT r.id, r.rotated_at, s.id AS session_id, s.uuid, s.revoked_at, s.expires_at < NOW() AS expired
+      FROM refresh_tokens r
+      JOIN sessions s ON s.id = r.session_id
+      WHERE r.token_hash = $1
+      FOR UPDATE OF r, s
+    `, [hashToken(String(refreshToken))]);
+    const found = rows[0];
+
+    if (!found || found.revoked_at || found.expired) {
+      await db.query('ROLLBACK');
+      return { error: 'Refresh token is not valid', reused: false };
+    }
+    if (found.rotated_at) {
+      await db.query(
+        "UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reused' WHERE id = $1",
+        [found.session_id]
+      );
+      await deleteRefreshTokens(db, [found.session_id]);
+      await db.query('COMMIT');
+      console.warn(`Refresh token reused; session ${found.session_id} revoked`);
+      return { error: 'Refresh token was already used; the session has been signed out', reused: true };
+    }
+
+    await db.query('UPDATE refresh_tokens SET rotated_at = NOW() WHERE id = $1', [found.id]);
+    await db.query(`
+      DELETE FROM refresh_tokens
+      WHERE session_id = $1 AND rotated_at < NOW() - INTERVAL '${REUSE_DETECTION_DAYS} days'
+    `, [found.session_id]);
+    await db.query(`
+      UPDATE sessions
+      SET last_used_at = NOW(), expires_at = NOW() + INTERVAL '${REFRESH_TOKEN_DAYS} days',
+        user_agent = COALESCE($2, user_agent), client = COALESCE($3, client), ip = COALESCE($4, ip)
+      WHERE id = $1
+    `, [found.session_id, userAgent, client, ip]);
+    const tokens = await issueTokens(db, found.uuid, found.session_id);
+    await db.query('COMMIT');
+    return { ...tokens, sessionId: found.session_id };
+  } catch (error) {
+    await db?.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (db) db.release();
+  }
+}
+
+/**
+ * Whether the session behind an access token is still signed in
+ * @param {string} sessionId - sid claim of the access token
+ * @param {string} uuid - uuid claim of the access token
+ * @returns {boolean} True unless the session was revoked, has expired or does not exist
+ */
+export async function isSessionActive(sessionId, uuid) {
+  const { rows } = await pool.query(
+    'SELECT 1 FROM sessions WHERE id = $1 AND uuid = $2 AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId, uuid]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Get a user's signed-in sessions, most recently used first
+ * @param {string} uuid - User UUID
+ * @returns {Array} Session rows with device metadata
+ */
+export async function getActiveSessions(uuid) {
+  const { rows } = await pool.query(`
+    SELECT id, user_agent, client, ip, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE uuid = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [uuid]);
+  return rows;
+}
+
+/**
+ * Sign sessions out; their access tokens stop working straight away and their refresh tokens with them
+ * @param {string} uuid - User UUID
+ * @param {Object} options - { sessionId (only this session, otherwise all of them), reason }
+ * @returns {Array} Ids of the sessions revoked
+ */
+export async function revokeSessions(uuid, { sessionId = null, reason = 'logout' } = {}) {
+  let db;
+  try {
+    db = await pool.connect();
+    await db.query('BEGIN');
+    const { rows } = await db.query(`
+      UPDATE sessions SET revoked_at = NOW(), revoked_reason = $3
+      WHERE uuid = $1 AND ($2::uuid IS NULL OR id = $2) AND revoked_at IS NULL
+      RETURNING id
+    `, [uuid, sessionId, reason]);
+    const revoked = rows.map(row => row.id);
+    await deleteRefreshTokens(db, revoked);
+    await db.query('COMMIT');
+    return revoked;
+  } catch (error) {
+    await db?.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (db) db.release();
+  }
+}
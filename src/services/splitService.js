@@ -0,0 +1,131 @@
+import pool from '../database/db.js';
+import { resolveCategory } from './categoryService.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+
+// Most lines one transaction can be split into
+const MAX_SPLIT_LINES = 50;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // is_split marks parents whose category totals come from their lines instead
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transaction_splits (
+        id SERIAL PRIMARY KEY,
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        uuid UUID NOT NULL,
+        position INTEGER NOT NULL,
+        amount NUMERIC NOT NULL CHECK (amount > 0),
+        category TEXT,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS transaction_splits_transaction_idx ON transaction_splits (transaction_id);
+
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS is_split BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+  } catch (error) {
+    console.error('Transaction splits table initialization failed:', error);
+  }
+};
+
+/**
+ * Validate split lines against the transaction they divide
+ * @param {Array} taxonomy - Categories from getTaxonomy
+ * @param {Object} transaction - { amount, type } of the parent
+ * @param {Array} splits - [{ amount, category, note }]
+ * @returns {Object} { error } or { lines } with canonical category names
+ */
+export function validateSplits(taxonomy, transaction, splits) {
+  if (!Array.isArray(splits) || splits.length < 2) {
+    return { error: 'splits must be an array of at least two lines' };
+  }
+  if (splits.length > MAX_SPLIT_LINES) {
+    return { error: `A transaction can be split into at most ${MAX_SPLIT_LINES} lines` };
+  }
+  if (transaction.type === TRANSFER_TYPE) {
+    return { error: 'Transfers cannot be split' };
+  }
+
+  const lines = [];
+  for (const [index, split] of splits.entries()) {
+    const amount = Number(split?.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { error: `Line ${index + 1}: amount must be a positive number` };
+    }
+
+    let category = null;
+    if (split.category) {
+      const match = resolveCategory(taxonomy, split.category, transaction.type);
+      if (!match) {
+        return { error: `Line ${index + 1}: unknown ${transaction.type.toLowerCase()} category: ${split.category}` };
+      }
+      category = match.name;
+    }
+
+    lines.push({ amount, category, note: split.note ? String(split.note) : null });
+  }
+
+  // Compared in cents so float rounding cannot reject a correct split
+  const toCents = value => Math.round(Number(value) * 100);
+  const total = lines.reduce((sum, line) => sum + toCents(line.amount), 0);
+  if (total !== toCents(transaction.amount)) {
+    return { error: `Split lines add up to ${(total / 100).toFixed(2)} but the transaction amount is ${Number(transaction.amount).toFixed(2)}` };
+  }
+
+  return { lines };
+}
+
+/**
+ * Replace the split lines of a transaction; an empty list removes the split
+ * Must run inside the caller's database transaction
+ * @param {Object} client - Connected pg client
+ * @param {string} uuid - User UUID
+ * @param {number} transactionId - Parent transaction id
+ * @param {Array} lines - Validated lines from validateSplits
+ * @returns {Array} Stored split rows
+ */
+export async function replaceSplits(client, uuid, transactionId, lines) {
+  await client.query('DELETE FROM transaction_splits WHERE transaction_id = $1 AND uuid = $2', [transactionId, uuid]);
+  await client.query(
+    'UPDATE transactions SET is_split = $1 WHERE id = $2 AND uuid = $3',
+    [lines.length > 0, transactionId, uuid]
+  );
+  if (lines.length === 0) return [];
+
+  const { rows } = await client.query(`
+    INSERT INTO transaction_splits (transaction_id, uuid, position, amount, category, note)
+    SELECT $1, $2, p, a, c, n
+    FROM UNNEST($3::int[], $4::numeric[], $5::text[], $6::text[]) AS t(p, a, c, n)
+    RETURNING *
+  `, [
+    transactionId,
+    uuid,
+    lines.map((line, index) => index + 1),
+    lines.map(line => line.amount),
+    lines.map(line => line.category),
+    lines.map(line => line.note)
+  ]);
+  return rows.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Load the split lines of several transactions
+ * @param {Object} db - pool or a connected client
+ * @param {Array} transactionIds - Parent transaction ids
+ * @returns {Map} Lines in order, keyed by transaction id
+ */
+export async function getSplits(db, transactionIds) {
+  const splits = new Map();
+  if (transactionIds.length === 0) return splits;
+
+  const { rows } = await db.query(
+    'SELECT * FROM transaction_splits WHERE transaction_id = ANY($1::int[]) ORDER BY transaction_id, position',
+    [transactionIds]
+  );
+  rows.forEach(row => {
+    if (!splits.has(row.transaction_id)) splits.set(row.transaction_id, []);
+    splits.get(row.transaction_id).push(row);
+  });
+  return splits;
+}
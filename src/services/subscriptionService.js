@@ -0,0 +1,73 @@
+import pool from '../database/db.js';
+import { detectSubscriptions } from '../utils/subscriptionDetection.js';
+import { today } from '../utils/recurrence.js';
+import { getBaseCurrency, convertedAmountSql } from './currencyService.js';
+import { TRANSFER_TYPE } from '../utils/transactionFilters.js';
+
+// How far back detection looks; long enough to see two yearly renewals
+const DETECTION_LOOKBACK_MONTHS = 25;
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    // status is 'confirmed' for tracked subscriptions or 'dismissed' for rejected detections
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        detection_key TEXT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        category TEXT,
+        cadence TEXT NOT NULL,
+        average_amount NUMERIC NOT NULL,
+        last_charge DATE,
+        next_expected DATE,
+        annualised_cost NUMERIC NOT NULL,
+        status TEXT NOT NULL DEFAULT 'confirmed',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (uuid, detection_key)
+      );
+    `);
+  } catch (error) {
+    console.error('Subscriptions table initialization failed:', error);
+  }
+};
+
+/**
+ * Scan a user's transaction history for recurring charges
+ * Transactions posted by a manual recurring series are left out, since those are tracked already,
+ * and so are transfers between the user's own accounts.
+ * Amounts are compared in the base currency, falling back to the stored amount without a rate
+ * @param {string} uuid - User UUID
+ * @returns {Array} Detections from detectSubscriptions, with the currency they are reported in
+ */
+export async function scanTransactions(uuid) {
+  const currency = await getBaseCurrency(uuid);
+  const query = `
+    SELECT id, title, COALESCE(${convertedAmountSql('$3')}, amount) AS amount, type, created_at, category
+    FROM transactions
+    WHERE uuid = $1
+      AND deleted_at IS NULL
+      AND recurring_id IS NULL
+      AND type <> '${TRANSFER_TYPE}'
+      AND created_at >= NOW() - make_interval(months => $2)
+    ORDER BY created_at ASC
+  `;
+  const { rows } = await pool.query(query, [uuid, DETECTION_LOOKBACK_MONTHS, currency]);
+  return detectSubscriptions(rows, today()).map(detection => ({ ...detection, currency }));
+}
+
+/**
+ * Get the confirmed and dismissed detections of a user, keyed by detection key
+ * @param {string} uuid - User UUID
+ * @returns {Map} Subscription rows by detection_key
+ */
+export async function getReviewedDetections(uuid) {
+  const { rows } = await pool.query(
+    'SELECT * FROM subscriptions WHERE uuid = $1',
+    [uuid]
+  );
+  return new Map(rows.map(row => [row.detection_key, row]));
+}
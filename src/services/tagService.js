@@ -0,0 +1,143 @@
+import pool from '../database/db.js';
+
+// Text search configuration used for both the stored vectors and the queries against them
+export const SEARCH_CONFIG = 'english';
+
+// Database initialization
+export const initDatabase = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        uuid UUID NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (uuid, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS transaction_tags (
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (transaction_id, tag_id)
+      );
+      CREATE INDEX IF NOT EXISTS transaction_tags_tag_idx ON transaction_tags (tag_id);
+
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS search_vector tsvector;
+      CREATE INDEX IF NOT EXISTS transactions_search_idx ON transactions USING GIN (search_vector);
+
+      -- Title and tags weigh more than the description when ranking
+      CREATE OR REPLACE FUNCTION transaction_search_vector(p_id INTEGER, p_title TEXT, p_description TEXT)
+      RETURNS tsvector LANGUAGE sql STABLE AS $$
+        SELECT setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(p_title, '')), 'A')
+          || setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE((
+               SELECT string_agg(g.name, ' ')
+               FROM transaction_tags tt JOIN tags g ON g.id = tt.tag_id
+               WHERE tt.transaction_id = p_id
+             ), '')), 'A')
+          || setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(p_description, '')), 'B')
+      $$;
+
+      -- Keep search_vector current when the text, the tags on a transaction or a tag's name change
+      CREATE OR REPLACE FUNCTION transactions_search_refresh() RETURNS trigger LANGUAGE plpgsql AS $$
+      BEGIN
+        NEW.search_vector := transaction_search_vector(NEW.id, NEW.title, NEW.description);
+        RETURN NEW;
+      END
+      $$;
+
+      CREATE OR REPLACE FUNCTION transaction_tags_search_refresh() RETURNS trigger LANGUAGE plpgsql AS $$
+      DECLARE
+        target INTEGER;
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          target := OLD.transaction_id;
+        ELSE
+          target := NEW.transaction_id;
+        END IF;
+        UPDATE transactions SET search_vector = transaction_search_vector(id, title, description) WHERE id = target;
+        RETURN NULL;
+      END
+      $$;
+
+      CREATE OR REPLACE FUNCTION tags_search_refresh() RETURNS trigger LANGUAGE plpgsql AS $$
+      BEGIN
+        UPDATE transactions SET search_vector = transaction_search_vector(id, title, description)
+        WHERE id IN (SELECT transaction_id FROM transaction_tags WHERE tag_id = NEW.id);
+        RETURN NULL;
+      END
+      $$;
+
+      DROP TRIGGER IF EXISTS transactions_search_refresh ON transactions;
+      CREATE TRIGGER transactions_search_refresh
+        BEFORE INSERT OR UPDATE OF title, description ON transactions
+        FOR EACH ROW EXECUTE FUNCTION transactions_search_refresh();
+
+      DROP TRIGGER IF EXISTS transaction_tags_search_refresh ON transaction_tags;
+      CREATE TRIGGER transaction_tags_search_refresh
+        AFTER INSERT OR DELETE ON transaction_tags
+        FOR EACH ROW EXECUTE FUNCTION transaction_tags_search_refresh();
+
+      DROP TRIGGER IF EXISTS tags_search_refresh ON tags;
+      CREATE TRIGGER tags_search_refresh
+        AFTER UPDATE OF name ON tags
+        FOR EACH ROW EXECUTE FUNCTION tags_search_refresh();
+    `);
+
+    // Transactions recorded before search existed
+    await pool.query(`
+      UPDATE transactions SET search_vector = transaction_search_vector(id, title, description)
+      WHERE search_vector IS NULL
+    `);
+  } catch (error) {
+    console.error('Tags table initialization failed:', error);
+  }
+};
+
+/**
+ * Look up tags by name, creating the ones the user does not have yet
+ * @param {Object} db - pool or a connected client
+ * @param {string} uuid - User UUID
+ * @param {Array} names - Normalised tag names
+ * @returns {Array} Tag rows
+ */
+export async function ensureTags(db, uuid, names) {
+  if (names.length === 0) return [];
+
+  await db.query(`
+    INSERT INTO tags (uuid, name)
+    SELECT $1, UNNEST($2::text[])
+    ON CONFLICT (uuid, name) DO NOTHING
+  `, [uuid, names]);
+
+  const { rows } = await db.query(
+    'SELECT * FROM tags WHERE uuid = $1 AND name = ANY($2::text[]) ORDER BY name ASC',
+    [uuid, names]
+  );
+  return rows;
+}
+
+/**
+ * Load the tag names on several transactions
+ * @param {Object} db - pool or a connected client
+ * @param {Array} transactionIds - Transaction ids
+ * @returns {Map} Sorted tag names keyed by transaction id
+ */
+export async function getTagsFor(db, transactionIds) {
+  const tags = new Map();
+  if (transactionIds.length === 0) return tags;
+
+  const { rows } = await db.query(`
+    SELECT tt.transaction_id, g.name
+    FROM transaction_tags tt JOIN tags g ON g.id = tt.tag_id
+    WHERE tt.transaction_id = ANY($1::int[])
+    ORDER BY g.name ASC
+  `, [transactionIds]);
+  rows.forEach(row => {
+    if (!tags.has(row.transaction_id)) tags.set(row.transaction_id, []);
+    tags.get(row.transaction_id).push(row.name);
+  });
+  return tags;
+}
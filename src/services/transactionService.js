@@ -0,0 +1,286 @@
+import pool from '../database/db.js';
+import { ENTRY_TYPES } from '../utils/transactionFilters.js';
+import { applyRulesToNewTransactions } from './categoryRules.js';
+import { fingerprintTransaction, TRANSACTION_SOURCES } from '../utils/duplicates.js';
+import { normalizeCurrency } from '../utils/currency.js';
+import { loadAccounts, resolveAccount, checkAccountReferences } from './accountService.js';
+
+const createTables = async () => {
+  try {
+    // category_source records who set the label: 'rule', 'llm' or 'manual'; llm_attempted_at is when the
+    // LLM last failed to label the row, so rows it keeps skipping go to the back of the queue
+    // fingerprint identifies re-sent rows; is_duplicate marks rows inserted under the 'flag' policy;
+    // deleted_at marks rows in the trash
+    await pool.query(`
+      ALTER TABLE transactions
+        ADD COLUMN IF NOT EXISTS category TEXT,
+        ADD COLUMN IF NOT EXISTS category_source TEXT,
+        ADD COLUMN IF NOT EXISTS llm_attempted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS source TEXT,
+        ADD COLUMN IF NOT EXISTS fingerprint TEXT,
+        ADD COLUMN IF NOT EXISTS is_duplicate BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS duplicate_of INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS duplicate_ignored BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS transactions_uuid_category_idx ON transactions (uuid, category);
+      CREATE INDEX IF NOT EXISTS transactions_uuid_fingerprint_idx ON transactions (uuid, fingerprint);
+      CREATE INDEX IF NOT EXISTS transactions_trash_idx ON transactions (uuid, deleted_at) WHERE deleted_at IS NOT NULL;
+    `);
+  } catch (error) {
+    console.error('Transactions table migration failed:', error);
+  }
+};
+
+// Shared by every caller, so the migration only runs once
+let initialized = null;
+
+// Database initialization
+// SQL functions that read these columns await this before creating their own
+export const initDatabase = () => {
+  initialized ??= createTables();
+  return initialized;
+};
+
+/**
+ * SQL source with one row per category line: the lines of a split transaction in place
+ * of the transaction itself, and every other transaction as it is.
+ * Rows carry all transaction columns plus split_id, line_amount, line_category and line_description;
+ * transactions in the trash are left out.
+ * Aliased as "transactions" so the currency helpers and unqualified filters still apply
+ * @returns {string} SQL FROM item
+ */
+export function transactionLinesSql() {
+  return `(
+    SELECT t.*, s.id AS split_id,
+      COALESCE(s.amount, t.amount) AS line_amount,
+      CASE WHEN s.id IS NULL THEN t.category ELSE s.category END AS line_category,
+      COALESCE(s.note, t.description) AS line_description
+    FROM transactions t
+    LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+    WHERE t.deleted_at IS NULL
+  ) AS transactions`;
+}
+
+/**
+ * Shape a transactions row for a response; every handler that returns transactions goes through this
+ * @param {Object} row - transactions row, possibly with extra computed columns
+ * @returns {Object} Row without the internal search_vector column
+ */
+export function toTransactionResponse({ search_vector, ...row }) {
+  return row;
+}
+
+/**
+ * Turn a row from transactionLinesSql into a plain transaction-shaped line
+ * @param {Object} row - Row with line_* columns
+ * @returns {Object} Row whose amount, category and description are the line's
+ */
+export function toLine({ line_amount, line_category, line_description, ...row }) {
+  return toTransactionResponse({ ...row, amount: line_amount, category: line_category, description: line_description });
+}
+
+/**
+ * Split incoming transactions into valid and invalid ones
+ * @param {Array} transactions - Raw transaction objects
+ * @param {Object} options - { accounts } from loadAccounts to also check account_id / to_account_id
+ * @returns {Object} { validTransactions, invalidTransactions }
+ */
+export function validateTransactions(transactions, options = {}) {
+  const { accounts } = options;
+
+  const validTransactions = [];
+  const invalidTransactions = [];
+
+  transactions.forEach((transaction, index) => {
+    const { title, amount, type, created_at } = transaction;
+
+    // Basic validation
+    if (!title || !amount || !type) {
+      invalidTransactions.push({
+        index,
+        transaction,
+        reason: 'Missing required fields (title, amount, or type)'
+      });
+      return;
+    }
+
+    // Check type validity
+    if (!ENTRY_TYPES.includes(type)) {
+      invalidTransactions.push({
+        index,
+        transaction,
+        reason: `Type must be one of: ${ENTRY_TYPES.join(', ')}`
+      });
+      return;
+    }
+
+    if (isNaN(Number(amount))) {
+      invalidTransactions.push({
+        index,
+        transaction,
+        reason: 'Amount must be a number'
+      });
+      return;
+    }
+
+    if (transaction.currency && !normalizeCurrency(transaction.currency)) {
+      invalidTransactions.push({
+        index,
+        transaction,
+        reason: 'Currency must be a three-letter ISO code'
+      });
+      return;
+    }
+
+    if (created_at && isNaN(Date.parse(created_at))) {
+      invalidTransactions.push({
+        index,
+        transaction,
+        reason: 'created_at must be a valid date'
+      });
+      return;
+    }
+
+    const accountError = accounts ? checkAccountReferences(accounts, transaction) : null;
+    if (accountError) {
+      invalidTransactions.push({
+        index,
+        transaction,
+        reason: accountError
+      });
+      return;
+    }
+
+    validTransactions.push(transaction);
+  });
+
+  return { validTransactions, invalidTransactions };
+}
+
+/**
+ * Match incoming transactions against the fingerprints the user already has stored
+ * A batch may legitimately hold identical rows (two coffees on one day), so the
+ * n-th copy in a batch only counts as a duplicate when n copies are already stored
+ * @param {Object} db - pool or a connected client
+ * @param {string} uuid - User UUID
+ * @param {Array} transactions - Validated transaction objects
+ * @param {string} source - One of TRANSACTION_SOURCES
+ * @returns {Array} Per transaction, the id of the stored row it duplicates, or null
+ */
+export async function findDuplicates(db, uuid, transactions, source) {
+  const fingerprints = transactions.map(transaction => fingerprintTransaction(transaction, source));
+
+  const { rows } = await db.query(`
+    SELECT id, fingerprint FROM transactions
+    WHERE uuid = $1 AND fingerprint = ANY($2::text[]) AND deleted_at IS NULL
+    ORDER BY id ASC
+  `, [uuid, [...new Set(fingerprints)]]);
+
+  const stored = new Map();
+  rows.forEach(row => {
+    if (!stored.has(row.fingerprint)) stored.set(row.fingerprint, []);
+    stored.get(row.fingerprint).push(row.id);
+  });
+
+  const seen = new Map();
+  return fingerprints.map(fingerprint => {
+    const copy = seen.get(fingerprint) || 0;
+    seen.set(fingerprint, copy + 1);
+    return stored.get(fingerprint)?.[copy] ?? null;
+  });
+}
+
+/**
+ * Insert already-validated transactions for a user in a single statement
+ * The user's categorisation rules are applied on the way in, and rows matching a
+ * stored fingerprint are skipped, flagged or inserted according to duplicatePolicy.
+ * Rows without an account_id are booked against options.accountId, or the default account
+ * @param {string} uuid - User UUID
+ * @param {Array} transactions - Validated transaction objects
+ * @param {Object} options - { source, duplicatePolicy, accountId }
+ * @returns {Object} { inserted, duplicates } where duplicates are { index, transaction, duplicateOf }
+ */
+export async function insertTransactions(uuid, transactions, options = {}) {
+  const { source = TRANSACTION_SOURCES.bulk, duplicatePolicy = 'skip', accountId } = options;
+  const [categorised, accounts] = await Promise.all([
+    applyRulesToNewTransactions(uuid, transactions),
+    loadAccounts(pool, uuid)
+  ]);
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Serialise inserts per user so two copies of one upload cannot both pass the duplicate check
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [uuid]);
+
+    const duplicateOf = await findDuplicates(client, uuid, categorised, source);
+    const duplicates = [];
+
+    // Prepare arrays for bulk insert using unnest
+    const titles = [];
+    const descriptions = [];
+    const amounts = [];
+    const currencies = [];
+    const accountIds = [];
+    const toAccountIds = [];
+    const types = [];
+    const createdAts = [];
+    const categories = [];
+    const categorySources = [];
+    const fingerprints = [];
+    const duplicateIds = [];
+    const uuids = [];
+
+    categorised.forEach((transaction, index) => {
+      if (duplicateOf[index] !== null) {
+        duplicates.push({ index, transaction: transactions[index], duplicateOf: duplicateOf[index] });
+        if (duplicatePolicy === 'skip') return;
+      }
+
+      // Amounts are in the account's currency unless the row names another
+      const account = resolveAccount(accounts, transaction.account_id ?? accountId);
+
+      titles.push(transaction.title);
+      descriptions.push(transaction.description || null);
+      amounts.push(transaction.amount);
+      currencies.push(normalizeCurrency(transaction.currency) || account.currency);
+      accountIds.push(account.id);
+      toAccountIds.push(transaction.to_account_id ? Number(transaction.to_account_id) : null);
+      types.push(transaction.type);
+      createdAts.push(transaction.created_at || null);
+      categories.push(transaction.category);
+      categorySources.push(transaction.category_source);
+      fingerprints.push(fingerprintTransaction(transaction, source));
+      duplicateIds.push(duplicatePolicy === 'flag' ? duplicateOf[index] : null);
+      uuids.push(uuid);
+    });
+
+    // Rows without created_at fall back to the current timestamp
+    const query = `
+      INSERT INTO transactions
+        (uuid, title, description, amount, type, created_at, category, category_source, source, fingerprint, is_duplicate, duplicate_of,
+         currency, account_id, to_account_id)
+      SELECT u, t, d, a, ty, COALESCE(c, NOW()), cat, src, $9, fp, dup IS NOT NULL, dup, cur, acc, dest
+      FROM UNNEST(
+        $1::uuid[], $2::varchar[], $3::text[], $4::numeric[], $5::varchar[], $6::timestamp[], $7::text[], $8::text[],
+        $10::text[], $11::int[], $12::text[], $13::int[], $14::int[]
+      ) AS t(u, t, d, a, ty, c, cat, src, fp, dup, cur, acc, dest)
+      RETURNING *
+    `;
+
+    const { rows } = await client.query(query, [
+      uuids, titles, descriptions, amounts, types, createdAts, categories, categorySources,
+      source, fingerprints, duplicateIds, currencies, accountIds, toAccountIds
+    ]);
+
+    await client.query('COMMIT');
+    return { inserted: rows.map(toTransactionResponse), duplicates };
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (client) client.release();
+  }
+}
@@ -0,0 +1,71 @@
+import pool from '../database/db.js';
+import { HISTORY_ENTITIES } from './historyService.js';
+import { purgeDeletedAttachments } from './attachmentService.js';
+
+// Deleted transactions and goals stay restorable for this many days
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often expired trash is purged
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+
+let purgeRunning = false;
+
+/**
+ * SQL expression for when a deleted row will be purged
+ * @param {string} column - deleted_at column reference
+ * @returns {string} Timestamp expression
+ */
+export function purgeAtSql(column = 'deleted_at') {
+  return `(${column} + INTERVAL '${TRASH_RETENTION_DAYS} days')`;
+}
+
+/**
+ * Permanently delete trashed transactions and goals past the retention window, with their history
+ * Split lines, tags and attachments go with their transaction
+ * @returns {Object} Purged counts by entity type
+ */
+export async function purgeExpiredTrash() {
+  if (purgeRunning) return {};
+  purgeRunning = true;
+
+  const purged = {};
+  let client;
+  try {
+    client = await pool.connect();
+    for (const [entityType, { table }] of Object.entries(HISTORY_ENTITIES)) {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`
+        DELETE FROM ${table}
+        WHERE deleted_at IS NOT NULL AND ${purgeAtSql()} < NOW()
+        RETURNING id
+      `);
+      await client.query(
+        'DELETE FROM revisions WHERE entity_type = $1 AND entity_id = ANY($2::int[])',
+        [entityType, rows.map(row => row.id)]
+      );
+      await client.query('COMMIT');
+      purged[entityType] = rows.length;
+    }
+
+    if (purged.transaction > 0 || purged.goal > 0) {
+      console.log(`Trash purge removed ${purged.transaction} transactions and ${purged.goal} goals`);
+    }
+    if (purged.transaction > 0) await purgeDeletedAttachments();
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Trash purge run failed:', error);
+  } finally {
+    if (client) client.release();
+    purgeRunning = false;
+  }
+
+  return purged;
+}
+
+/**
+ * Start the in-process purge: one run now, then every PURGE_INTERVAL_MS
+ */
+export function startTrashPurger() {
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, PURGE_INTERVAL_MS);
+}
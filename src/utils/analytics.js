@@ -0,0 +1,101 @@
+// Date ranges and comparisons for the cash-flow analytics; days are YYYY-MM-DD strings like in recurrence.js
+
+import { addDays, today, isValidDay } from './recurrence.js';
+
+// Buckets a cash-flow series can be grouped into (Postgres date_trunc units; weeks start on Monday)
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month', 'year'];
+
+// Most buckets one series may return, so a day-by-day series cannot span decades
+export const MAX_SERIES_BUCKETS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of days in an inclusive range
+ * @param {string} from - First day
+ * @param {string} to - Last day
+ * @returns {number} Days
+ */
+export function daysInRange(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+/**
+ * Read an inclusive date range from query parameters, defaulting to the current month so far
+ * @param {Object} query - Express req.query with optional from and to
+ * @returns {Object} { from, to } or { error }
+ */
+export function resolveRange({ from, to }) {
+  const end = to || today();
+  const start = from || `${end.slice(0, 7)}-01`;
+  if (!isValidDay(start)) return { error: 'from must be a date in YYYY-MM-DD format' };
+  if (!isValidDay(end)) return { error: 'to must be a date in YYYY-MM-DD format' };
+  if (end < start) return { error: 'to must not be before from' };
+  return { from: start, to: end };
+}
+
+/**
+ * Move a day by whole months, clamping to the end of shorter months
+ * @param {string} day - Date string
+ * @param {number} months - Months to move (may be negative)
+ * @param {boolean} toMonthEnd - Land on the last day of the target month
+ * @returns {string} Date string
+ */
+function shiftMonths(day, months, toMonthEnd = false) {
+  const [year, month, date] = day.split('-').map(Number);
+  // Day 0 of the following month is the last day of the target month
+  const monthEnd = new Date(Date.UTC(year, month + months, 0));
+  if (!toMonthEnd) monthEnd.setUTCDate(Math.min(date, monthEnd.getUTCDate()));
+  return monthEnd.toISOString().split('T')[0];
+}
+
+/**
+ * The period a range is compared with by default
+ * A range starting on the 1st is compared month for month (October 1-18 with September 1-18,
+ * all of February with all of January); any other range with the same number of days just before it
+ * @param {Object} range - { from, to }
+ * @returns {Object} { from, to }
+ */
+export function previousRange({ from, to }) {
+  if (from.endsWith('-01')) {
+    const months = (Number(to.slice(0, 4)) - Number(from.slice(0, 4))) * 12
+      + Number(to.slice(5, 7)) - Number(from.slice(5, 7)) + 1;
+    const isMonthEnd = addDays(to, 1).endsWith('-01');
+    return { from: shiftMonths(from, -months), to: shiftMonths(to, -months, isMonthEnd) };
+  }
+  return { from: addDays(from, -daysInRange(from, to)), to: addDays(from, -1) };
+}
+
+/**
+ * The same dates one year earlier; 29 February becomes the 28th
+ * @param {Object} range - { from, to }
+ * @returns {Object} { from, to }
+ */
+export function lastYearRange({ from, to }) {
+  return { from: shiftMonths(from, -12), to: shiftMonths(to, -12) };
+}
+
+/**
+ * Number of days of a range that have already happened, for per-day averages
+ * @param {Object} range - { from, to }
+ * @returns {number} Days, 0 when the range is entirely in the future
+ */
+export function elapsedDays({ from, to }) {
+  const now = today();
+  if (from > now) return 0;
+  return daysInRange(from, to < now ? to : now);
+}
+
+/**
+ * Difference between a value and the one it is compared with
+ * @param {number} current - Value for the period
+ * @param {number} previous - Value for the period compared against
+ * @returns {Object} { amount, percent } where percent is null when the earlier value is zero
+ */
+export function changeBetween(current, previous) {
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    amount: round(current - previous),
+    percent: previous !== 0 ? round(((current - previous) / Math.abs(previous)) * 100) : null
+  };
+}
@@ -0,0 +1,48 @@
+// Receipt and document uploads: which files are accepted and how they are named
+
+// Content types users may attach, with the extension used when none is supplied
+export const ALLOWED_CONTENT_TYPES = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic'
+};
+
+/**
+ * Detect a file's content type from its leading bytes
+ * The type claimed by the client is not trusted, so only formats recognised here are accepted
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} One of the ALLOWED_CONTENT_TYPES keys, or null
+ */
+export function detectContentType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  // ISO media container: "ftyp" box followed by a HEIF brand
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp'
+    && ['heic', 'heix', 'hevc', 'mif1', 'msf1'].includes(buffer.subarray(8, 12).toString('latin1'))) {
+    return 'image/heic';
+  }
+  return null;
+}
+
+/**
+ * Make an uploaded file name safe to store and to echo back in Content-Disposition
+ * @param {string} name - Original file name from the client
+ * @param {string} contentType - Detected content type, used for a fallback name
+ * @returns {string} File name of at most 200 printable characters without path separators
+ */
+export function sanitizeFileName(name, contentType) {
+  const cleaned = String(name || '')
+    .split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .slice(0, 200);
+  return cleaned || `attachment.${ALLOWED_CONTENT_TYPES[contentType] || 'bin'}`;
+}
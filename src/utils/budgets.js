@@ -0,0 +1,135 @@
+// Budget periods, rollover and pace projection; days are YYYY-MM-DD strings like in recurrence.js
+
+import { addDays, isValidDay } from './recurrence.js';
+
+// A monthly budget runs from the 1st; a weekly one from Monday
+export const BUDGET_PERIODS = ['monthly', 'weekly'];
+
+// Share of the limit at which a threshold event fires
+export const BUDGET_THRESHOLDS = [80, 100];
+
+// Rollover is folded over at most this many periods before the one being computed; anything older
+// starts from no carry
+const MAX_ROLLOVER_PERIODS = 120;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the fields of a budget
+ * @param {Object} budget - { period, amount, rollover, start_date }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateBudget({ period, amount, rollover, start_date }) {
+  if (!BUDGET_PERIODS.includes(period)) {
+    return `period must be one of: ${BUDGET_PERIODS.join(', ')}`;
+  }
+  if (!(Number(amount) > 0)) {
+    return 'amount must be a positive number';
+  }
+  if (typeof rollover !== 'boolean') {
+    return 'rollover must be true or false';
+  }
+  if (!isValidDay(start_date)) {
+    return 'start_date must be a date in YYYY-MM-DD format';
+  }
+  return null;
+}
+
+/**
+ * First day of the period containing a day
+ * @param {string} period - One of BUDGET_PERIODS
+ * @param {string} day - Date string
+ * @returns {string} Date string
+ */
+export function periodStart(period, day) {
+  if (period === 'monthly') return `${day.slice(0, 7)}-01`;
+  // getUTCDay: 0 = Sunday, so Monday is 1 and Sunday goes back 6 days
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+/**
+ * First day of the period after the one starting on a day
+ * @param {string} period - One of BUDGET_PERIODS
+ * @param {string} start - Period start from periodStart
+ * @returns {string} Date string
+ */
+export function nextPeriodStart(period, start) {
+  if (period === 'weekly') return addDays(start, 7);
+  const date = new Date(`${start}T00:00:00Z`);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString().split('T')[0];
+}
+
+/**
+ * First period a rollover limit is folded from: the budget's first period, or MAX_ROLLOVER_PERIODS
+ * before the one being computed when the budget is older than that
+ * @param {Object} budget - { period, start_date }
+ * @param {string} start - Start of the period to compute
+ * @returns {string} Period start
+ */
+export function rolloverWindowStart(budget, start) {
+  const first = periodStart(budget.period, budget.start_date);
+  let windowStart;
+  if (budget.period === 'weekly') {
+    windowStart = addDays(start, -7 * MAX_ROLLOVER_PERIODS);
+  } else {
+    const date = new Date(`${start}T00:00:00Z`);
+    windowStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - MAX_ROLLOVER_PERIODS, 1))
+      .toISOString().split('T')[0];
+  }
+  return windowStart > first ? windowStart : first;
+}
+
+/**
+ * Number of days from one day up to (not including) another
+ * @param {string} from - Date string
+ * @param {string} to - Date string
+ * @returns {number} Days
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Work out the limit of one period, carrying unspent amounts forward when rollover is on
+ * Overspending is not carried: a period that went over starts the next one from the plain amount
+ * @param {Object} budget - { amount, period, rollover, start_date }
+ * @param {string} start - Start of the period to compute
+ * @param {Map} spentByPeriod - Spend keyed by period start, for the periods from rolloverWindowStart on
+ * @returns {Object} { limit, carriedOver }
+ */
+export function periodLimit(budget, start, spentByPeriod) {
+  const amount = Number(budget.amount);
+  if (!budget.rollover) return { limit: amount, carriedOver: 0 };
+
+  let carry = 0;
+  let cursor = rolloverWindowStart(budget, start);
+  while (cursor < start) {
+    carry = Math.max(0, amount + carry - (spentByPeriod.get(cursor) || 0));
+    cursor = nextPeriodStart(budget.period, cursor);
+  }
+  return { limit: amount + carry, carriedOver: carry };
+}
+
+/**
+ * Summarise a budget period: what is left, how much is used and where the current pace ends up
+ * @param {Object} period - { start, end (exclusive), limit, spent }
+ * @param {string} day - Today
+ * @returns {Object} { remaining, percentUsed, projectedSpend, daysElapsed, daysInPeriod, status }
+ */
+export function periodStatus({ start, end, limit, spent }, day) {
+  const round = value => Math.round(value * 100) / 100;
+  const daysInPeriod = daysBetween(start, end);
+  // Today counts as elapsed; a finished period is fully elapsed and a future one not at all
+  const daysElapsed = Math.min(daysInPeriod, Math.max(0, daysBetween(start, day) + 1));
+  const percentUsed = limit > 0 ? (spent / limit) * 100 : 0;
+
+  return {
+    remaining: round(limit - spent),
+    percentUsed: round(percentUsed),
+    projectedSpend: round(daysElapsed > 0 ? (spent / daysElapsed) * daysInPeriod : spent),
+    daysElapsed,
+    daysInPeriod,
+    status: percentUsed >= 100 ? 'over' : percentUsed >= BUDGET_THRESHOLDS[0] ? 'warning' : 'ok'
+  };
+}
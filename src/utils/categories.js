@@ -0,0 +1,39 @@
+// System default categories, seeded into the categories table for every user to share
+export const DEFAULT_CATEGORIES = [
+  { name: 'Personal', kind: 'Expense', icon: 'person', color: '#6C5CE7' },
+  { name: 'Home expenses', kind: 'Expense', icon: 'home', color: '#00B894' },
+  { name: 'Education', kind: 'Expense', icon: 'school', color: '#0984E3' },
+  { name: 'Leisure & Entertainment', kind: 'Expense', icon: 'movie', color: '#E17055' },
+  { name: 'Investments & Assets', kind: 'Expense', icon: 'trending_up', color: '#FDCB6E' },
+  { name: 'Miscellaneous', kind: 'Expense', icon: 'category', color: '#B2BEC3' },
+  { name: 'Salary', kind: 'Income', icon: 'payments', color: '#00CEC9' },
+  { name: 'Business income', kind: 'Income', icon: 'store', color: '#55EFC4' },
+  { name: 'Interest & Dividends', kind: 'Income', icon: 'savings', color: '#81ECEC' },
+  { name: 'Refunds', kind: 'Income', icon: 'undo', color: '#74B9FF' },
+  { name: 'Other income', kind: 'Income', icon: 'add_circle', color: '#A29BFE' }
+];
+
+// Label reported for transactions that have not been categorised yet
+export const UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Reduce a category label to a comparison key
+ * ("Leisure_Entertainment", "leisure and entertainment" and "Leisure & Entertainment" share a key)
+ * @param {string} label - Category label
+ * @returns {string} Comparison key
+ */
+export function categoryKey(label) {
+  return String(label).toLowerCase().replace(/\band\b/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Match a label loosely against a list of category names
+ * @param {string} label - Category label from a user or the LLM
+ * @param {Array} names - Canonical category names
+ * @returns {string|null} Canonical category name, or null if unknown
+ */
+export function matchCategory(label, names) {
+  if (typeof label !== 'string' || label.trim() === '') return null;
+  const key = categoryKey(label);
+  return names.find(name => categoryKey(name) === key) || null;
+}
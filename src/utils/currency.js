@@ -0,0 +1,96 @@
+import { parse as parseCsvText } from 'csv-parse/sync';
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rate file formats accepted by the loader
+export const RATE_FILE_FORMATS = ['csv', 'json'];
+
+/**
+ * Normalise an ISO 4217 currency code
+ * @param {string} value - Code such as "usd" or "INR"
+ * @returns {string|null} Upper-case code, or null if it is not three letters
+ */
+export function normalizeCurrency(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toUpperCase();
+  return CURRENCY_PATTERN.test(code) ? code : null;
+}
+
+// Currency assumed for users who have not chosen a base currency
+export const DEFAULT_CURRENCY = normalizeCurrency(process.env.DEFAULT_CURRENCY) || 'INR';
+
+/**
+ * Format an amount with its currency for prompts and insights, e.g. "₹1,250.00"
+ * @param {number|string} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const value = Number(amount) || 0;
+  try {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(value);
+  } catch {
+    return `${currency} ${value.toFixed(2)}`;
+  }
+}
+
+/**
+ * Validate one exchange rate record
+ * @param {Object} record - { date, base, quote, rate }; from/to are accepted for base/quote
+ * @returns {Object} { rate } normalised, or { reason }
+ */
+function normalizeRate(record) {
+  const date = String(record.date ?? '').trim();
+  const base = normalizeCurrency(record.base ?? record.from);
+  const quote = normalizeCurrency(record.quote ?? record.to);
+  const rate = Number(record.rate);
+
+  if (!DATE_PATTERN.test(date) || isNaN(Date.parse(date))) return { reason: 'date must be in YYYY-MM-DD format' };
+  if (!base || !quote) return { reason: 'base and quote must be three-letter currency codes' };
+  if (base === quote) return { reason: 'base and quote must differ' };
+  if (!Number.isFinite(rate) || rate <= 0) return { reason: 'rate must be a positive number' };
+
+  return { rate: { date, base, quote, rate } };
+}
+
+/**
+ * Flatten the JSON shapes we accept into individual rate records
+ * Either an array of { date, base, quote, rate }, or reference-rate objects
+ * like { date, base: "EUR", rates: { INR: 90.1, USD: 1.08 } } (alone or in an array)
+ * @param {*} data - Parsed JSON
+ * @returns {Array} Rate records
+ */
+function flattenJsonRates(data) {
+  const items = Array.isArray(data) ? data : [data];
+  return items.flatMap(item => {
+    if (item && typeof item.rates === 'object' && item.rates !== null) {
+      return Object.entries(item.rates).map(([quote, rate]) => ({ date: item.date, base: item.base, quote, rate }));
+    }
+    return [item || {}];
+  });
+}
+
+/**
+ * Parse an exchange rate file
+ * CSV needs a header row with date, base (or from), quote (or to) and rate columns;
+ * a rate means 1 unit of base is worth `rate` units of quote
+ * @param {string} text - File contents
+ * @param {string} format - One of RATE_FILE_FORMATS
+ * @returns {Object} { rates, invalidRates } where invalid entries are { index, record, reason }
+ */
+export function parseRatesFile(text, format) {
+  const records = format === 'json'
+    ? flattenJsonRates(JSON.parse(text))
+    : parseCsvText(text, { columns: header => header.map(name => name.trim().toLowerCase()), skip_empty_lines: true, trim: true, bom: true });
+
+  const rates = [];
+  const invalidRates = [];
+  records.forEach((record, index) => {
+    const { rate, reason } = normalizeRate(record);
+    if (rate) rates.push(rate);
+    else invalidRates.push({ index, record, reason });
+  });
+
+  return { rates, invalidRates };
+}
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { normalizeTitle } from './merchants.js';
+import { formatDay, today } from './recurrence.js';
+
+// What to do with an incoming transaction that matches one already stored
+export const DUPLICATE_POLICIES = ['skip', 'flag', 'insert'];
+
+// Where a transaction came from; part of the fingerprint
+export const TRANSACTION_SOURCES = {
+  manual: 'manual',
+  bulk: 'bulk',
+  import: 'import',
+  recurring: 'recurring',
+  settlement: 'settlement'
+};
+
+/**
+ * Calendar day a transaction will be stored under
+ * created_at is a timestamp without time zone, so Postgres keeps the written
+ * date of an ISO string and node-pg hands Dates back in local time
+ * @param {Date|string} createdAt - created_at as sent or as read from the database
+ * @returns {string} YYYY-MM-DD
+ */
+export function transactionDay(createdAt) {
+  if (!createdAt) return today();
+  if (typeof createdAt === 'string' && /^\d{4}-\d{2}-\d{2}/.test(createdAt)) {
+    return createdAt.slice(0, 10);
+  }
+  const date = new Date(createdAt);
+  return formatDay(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())));
+}
+
+/**
+ * Key shared by transactions that look the same regardless of where they came from
+ * @param {Object} transaction - { title, amount, type, created_at }
+ * @returns {string} Match key
+ */
+export function duplicateMatchKey(transaction) {
+  return [
+    transactionDay(transaction.created_at),
+    Number(transaction.amount).toFixed(2),
+    transaction.type,
+    normalizeTitle(transaction.title)
+  ].join('|');
+}
+
+/**
+ * Fingerprint a transaction by date, amount, type, normalised title and source
+ * @param {Object} transaction - { title, amount, type, created_at }
+ * @param {string} source - One of TRANSACTION_SOURCES
+ * @returns {string} Hex digest
+ */
+export function fingerprintTransaction(transaction, source) {
+  return crypto
+    .createHash('sha256')
+    .update(`${duplicateMatchKey(transaction)}|${source}`)
+    .digest('hex');
+}
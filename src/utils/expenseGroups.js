@@ -0,0 +1,169 @@
+// Splitting shared expenses between the members of a group and settling up; amounts are worked in cents
+// so every split adds up to the expense exactly
+
+// equal divides evenly; percentage and shares divide by each member's value; exact takes the values as amounts
+export const SPLIT_METHODS = ['equal', 'percentage', 'shares', 'exact'];
+
+const toCents = value => Math.round(Number(value) * 100);
+const fromCents = cents => cents / 100;
+
+/**
+ * Divide cents in proportion to weights, giving the leftover cents to the largest remainders
+ * @param {number} cents - Total in cents
+ * @param {Array} weights - Non-negative weights, one per participant
+ * @returns {Array} Cents per participant, adding up to the total
+ */
+function allocate(cents, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (cents * weight) / total);
+  const parts = exact.map(Math.floor);
+  let left = cents - parts.reduce((sum, part) => sum + part, 0);
+
+  // Ties go to the participant listed first, so the same split always comes out the same
+  const order = exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of order) {
+    if (left <= 0) break;
+    parts[index]++;
+    left--;
+  }
+  return parts;
+}
+
+/**
+ * Split an expense between participants
+ * @param {number} amount - Expense amount
+ * @param {string} method - One of SPLIT_METHODS
+ * @param {Array} participants - [{ uuid, value }] where value is a percentage, a number of shares or an
+ *   amount, depending on the method (ignored for equal)
+ * @returns {Object} { shares: [{ uuid, value, amount }] } or { error }
+ */
+export function splitExpense(amount, method, participants) {
+  const cents = toCents(amount);
+  if (!(cents > 0)) return { error: 'amount must be a positive number' };
+  if (!SPLIT_METHODS.includes(method)) return { error: `split method must be one of: ${SPLIT_METHODS.join(', ')}` };
+  if (!Array.isArray(participants) || participants.length === 0) {
+    return { error: 'Please provide at least one participant' };
+  }
+  if (new Set(participants.map(participant => participant.uuid)).size !== participants.length) {
+    return { error: 'Each member can only appear once in a split' };
+  }
+
+  const values = participants.map(participant => (method === 'equal' ? 1 : Number(participant.value)));
+  if (values.some(value => !Number.isFinite(value) || value < 0)) {
+    return { error: `Each participant needs a ${method === 'exact' ? 'amount' : method === 'shares' ? 'number of shares' : 'percentage'} of zero or more` };
+  }
+
+  let parts;
+  if (method === 'exact') {
+    parts = values.map(toCents);
+    const total = parts.reduce((sum, part) => sum + part, 0);
+    if (total !== cents) {
+      return { error: `Exact amounts add up to ${fromCents(total)}, not ${fromCents(cents)}` };
+    }
+  } else {
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (method === 'percentage' && Math.abs(total - 100) > 0.01) {
+      return { error: `Percentages add up to ${total}, not 100` };
+    }
+    if (!(total > 0)) return { error: 'At least one participant needs a share' };
+    parts = allocate(cents, values);
+  }
+
+  return {
+    shares: participants.map((participant, index) => ({
+      uuid: participant.uuid,
+      value: method === 'equal' ? null : values[index],
+      amount: fromCents(parts[index])
+    }))
+  };
+}
+
+/**
+ * Net balance of each member: what they paid and received back, less their shares and what they paid back
+ * @param {Array} expenses - [{ paid_by, shares: [{ uuid, amount }] }]
+ * @param {Array} settlements - [{ from_uuid, to_uuid, amount }]
+ * @returns {Map} Balance in cents keyed by member UUID; positive means the member is owed money
+ */
+function netCents(expenses, settlements) {
+  const balances = new Map();
+  const add = (uuid, cents) => balances.set(uuid, (balances.get(uuid) || 0) + cents);
+
+  expenses.forEach(expense => {
+    expense.shares.forEach(share => {
+      add(expense.paid_by, toCents(share.amount));
+      add(share.uuid, -toCents(share.amount));
+    });
+  });
+  settlements.forEach(settlement => {
+    add(settlement.from_uuid, toCents(settlement.amount));
+    add(settlement.to_uuid, -toCents(settlement.amount));
+  });
+  return balances;
+}
+
+/**
+ * Who owes whom in a group: each member's net balance, the debts between each pair of members, and the
+ * fewest payments that settle everyone up
+ * Pairwise debts follow who paid for whom; the suggested payments ignore that and only square the net
+ * balances, pairing equal debts and credits first and then the largest with the largest, which takes at
+ * most one payment fewer than the number of members with a balance
+ * @param {Array} members - Member UUIDs
+ * @param {Array} expenses - [{ paid_by, shares: [{ uuid, amount }] }]
+ * @param {Array} settlements - [{ from_uuid, to_uuid, amount }]
+ * @returns {Object} { balances: [{ uuid, balance }], debts: [{ from, to, amount }], suggested: [{ from, to, amount }] }
+ */
+export function groupBalances(members, expenses, settlements) {
+  const net = netCents(expenses, settlements);
+
+  // Debts between two members cancel out, so each pair owes one way at most
+  const pairs = new Map();
+  const owe = (from, to, cents) => {
+    if (from === to || cents === 0) return;
+    const [a, b] = from < to ? [from, to] : [to, from];
+    const key = `${a}|${b}`;
+    pairs.set(key, (pairs.get(key) || 0) + (from === a ? cents : -cents));
+  };
+  expenses.forEach(expense => {
+    expense.shares.forEach(share => owe(share.uuid, expense.paid_by, toCents(share.amount)));
+  });
+  settlements.forEach(settlement => owe(settlement.from_uuid, settlement.to_uuid, -toCents(settlement.amount)));
+
+  const debts = [...pairs]
+    .filter(([, cents]) => cents !== 0)
+    .map(([key, cents]) => {
+      const [a, b] = key.split('|');
+      return cents > 0 ? { from: a, to: b, amount: fromCents(cents) } : { from: b, to: a, amount: fromCents(-cents) };
+    })
+    .sort((x, y) => y.amount - x.amount);
+
+  // Someone who left the group is only listed while they still owe or are owed something
+  const uuids = [...new Set([...members, ...[...net.keys()].filter(uuid => net.get(uuid) !== 0)])];
+  const debtors = uuids.filter(uuid => (net.get(uuid) || 0) < 0).map(uuid => ({ uuid, cents: -net.get(uuid) }));
+  const creditors = uuids.filter(uuid => (net.get(uuid) || 0) > 0).map(uuid => ({ uuid, cents: net.get(uuid) }));
+  const suggested = [];
+  const pay = (debtor, creditor, cents) => {
+    suggested.push({ from: debtor.uuid, to: creditor.uuid, amount: fromCents(cents) });
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+  };
+
+  // A debt that exactly matches a credit is settled in one payment that clears both
+  debtors.forEach(debtor => {
+    const creditor = creditors.find(entry => entry.cents > 0 && entry.cents === debtor.cents);
+    if (creditor) pay(debtor, creditor, debtor.cents);
+  });
+  for (;;) {
+    const debtor = debtors.filter(entry => entry.cents > 0).sort((a, b) => b.cents - a.cents)[0];
+    const creditor = creditors.filter(entry => entry.cents > 0).sort((a, b) => b.cents - a.cents)[0];
+    if (!debtor || !creditor) break;
+    pay(debtor, creditor, Math.min(debtor.cents, creditor.cents));
+  }
+
+  return {
+    balances: uuids.map(uuid => ({ uuid, balance: fromCents(net.get(uuid) || 0) })),
+    debts,
+    suggested
+  };
+}
@@ -0,0 +1,149 @@
+// Row formatters for the streaming transaction export
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ofx: { contentType: 'application/x-ofx; charset=utf-8', extension: 'ofx' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+const CSV_COLUMNS = ['id', 'split_id', 'date', 'title', 'description', 'amount', 'currency', 'type', 'category', 'account_id', 'to_account_id', 'tags'];
+
+// OFX transaction types; a transfer is exported as money leaving its source account
+const OFX_TRNTYPES = { Income: 'CREDIT', Expense: 'DEBIT', Transfer: 'XFER' };
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Format a timestamp returned by pg as local "YYYY-MM-DD HH:MM:SS"
+ * (pg parses timestamp-without-time-zone columns as local time)
+ * @param {Date} date - Timestamp
+ * @returns {string} Formatted timestamp
+ */
+function formatLocalTimestamp(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+/**
+ * Format a timestamp as an OFX datetime (YYYYMMDDHHMMSS)
+ * @param {Date} date - Timestamp
+ * @returns {string} OFX datetime
+ */
+function formatOfxDate(date) {
+  return formatLocalTimestamp(date).replace(/[-: ]/g, '');
+}
+
+/**
+ * Quote a CSV cell, neutralising values a spreadsheet would run as a formula
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Escape text for inclusion in an OFX (XML) element
+ * @param {string} value - Raw text
+ * @param {number} maxLength - Maximum length allowed by the OFX spec
+ * @returns {string} Escaped text
+ */
+function escapeXml(value, maxLength) {
+  return String(value ?? '')
+    .slice(0, maxLength)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Build the formatter for an export format
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @param {Object} meta - { uuid, currency, startDate, endDate, balance } used by OFX
+ * @returns {Object} { header, row, footer } producing strings
+ */
+export function createFormatter(format, meta = {}) {
+  if (format === 'csv') {
+    return {
+      header: () => `${CSV_COLUMNS.join(',')}\r\n`,
+      row: t => [
+        t.id,
+        t.split_id,
+        formatLocalTimestamp(t.created_at),
+        t.title,
+        t.description,
+        t.amount,
+        t.currency,
+        t.type,
+        t.category,
+        t.account_id,
+        t.to_account_id,
+        (t.tags || []).join(' ')
+      ].map(escapeCsv).join(',') + '\r\n',
+      footer: () => ''
+    };
+  }
+
+  if (format === 'jsonl') {
+    return {
+      header: () => '',
+      row: t => `${JSON.stringify(t)}\n`,
+      footer: () => ''
+    };
+  }
+
+  if (format === 'ofx') {
+    const now = formatOfxDate(new Date());
+    const status = '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>';
+
+    return {
+      header: () => [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+        '<OFX>',
+        `<SIGNONMSGSRSV1><SONRS>${status}<DTSERVER>${now}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+        '<BANKMSGSRSV1><STMTTRNRS><TRNUID>1</TRNUID>',
+        status,
+        `<STMTRS><CURDEF>${meta.currency}</CURDEF>`,
+        `<BANKACCTFROM><BANKID>INFLOW</BANKID><ACCTID>${meta.uuid}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+        '<BANKTRANLIST>',
+        `<DTSTART>${meta.startDate ? formatOfxDate(meta.startDate) : now}</DTSTART>`,
+        `<DTEND>${meta.endDate ? formatOfxDate(meta.endDate) : now}</DTEND>`,
+        ''
+      ].join('\n'),
+      row: t => {
+        const signedAmount = t.type === 'Income' ? Math.abs(t.amount) : -Math.abs(t.amount);
+        return [
+          '<STMTTRN>',
+          `<TRNTYPE>${OFX_TRNTYPES[t.type] || 'OTHER'}</TRNTYPE>`,
+          `<DTPOSTED>${formatOfxDate(t.created_at)}</DTPOSTED>`,
+          `<TRNAMT>${signedAmount.toFixed(2)}</TRNAMT>`,
+          `<FITID>${t.split_id ? `${t.id}-${t.split_id}` : t.id}</FITID>`,
+          `<NAME>${escapeXml(t.title, 32)}</NAME>`,
+          t.description ? `<MEMO>${escapeXml(t.description, 255)}</MEMO>` : '',
+          t.currency && t.currency !== meta.currency && t.base_rate
+            ? `<CURRENCY><CURRATE>${Number(t.base_rate)}</CURRATE><CURSYM>${t.currency}</CURSYM></CURRENCY>`
+            : '',
+          '</STMTTRN>'
+        ].filter(Boolean).join('\n') + '\n';
+      },
+      footer: () => [
+        '</BANKTRANLIST>',
+        `<LEDGERBAL><BALAMT>${Number(meta.balance || 0).toFixed(2)}</BALAMT><DTASOF>${now}</DTASOF></LEDGERBAL>`,
+        '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+        '</OFX>',
+        ''
+      ].join('\n')
+    };
+  }
+
+  throw new Error(`Unsupported export format: ${format}`);
+}
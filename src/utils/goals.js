@@ -0,0 +1,199 @@
+// Savings goal progress, pace, lifecycle and forecasts; days are YYYY-MM-DD strings like in recurrence.js
+
+import { addDays } from './recurrence.js';
+
+// Lifecycle of a goal: the background job moves active goals to achieved when their target is reached and
+// to missed once timeLimit has passed; users pause, resume, archive and reopen them
+export const GOAL_STATUSES = ['active', 'achieved', 'missed', 'paused', 'archived'];
+
+// Statuses a user may move a goal to from each status
+const USER_TRANSITIONS = {
+  active: ['paused', 'achieved', 'archived'],
+  paused: ['active', 'archived'],
+  missed: ['active', 'archived'],
+  achieved: ['active', 'archived'],
+  archived: ['active']
+};
+
+// Forecast bands: the average monthly surplus plus and minus one standard deviation
+export const FORECAST_BANDS = ['optimistic', 'expected', 'pessimistic'];
+
+// Longest forecast (50 years), so a tiny surplus cannot push a completion date out indefinitely
+const MAX_FORECAST_MONTHS = 600;
+
+// Average month length, for turning the days left before a deadline into months
+const AVERAGE_MONTH_DAYS = 30.44;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Validate the money fields of a goal
+ * @param {Object} goal - { target_amount, starting_amount }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateGoalAmounts({ target_amount, starting_amount }) {
+  if (target_amount !== undefined && target_amount !== null && !(Number(target_amount) > 0)) {
+    return 'target_amount must be a positive number';
+  }
+  if (starting_amount !== undefined && starting_amount !== null && !(Number(starting_amount) >= 0)) {
+    return 'starting_amount must be zero or a positive number';
+  }
+  return null;
+}
+
+/**
+ * Progress of a goal towards its target amount
+ * The goal is on track when what has been saved is at least what steady saving from the start day to the
+ * deadline would have reached by now
+ * @param {Object} goal - { target_amount, starting_amount, contributed, start_day, deadline } with
+ *   start_day and deadline as YYYY-MM-DD
+ * @param {string} day - Today
+ * @returns {Object|null} { saved, target, remaining, percent, monthsLeft, requiredMonthly, expectedByNow,
+ *   status } where status is completed, on_track or behind; null when the goal has no target amount
+ */
+export function goalProgress(goal, day) {
+  if (goal.target_amount === null || goal.target_amount === undefined) return null;
+
+  const target = Number(goal.target_amount);
+  const starting = Number(goal.starting_amount) || 0;
+  const saved = round(starting + Number(goal.contributed || 0));
+  const remaining = round(Math.max(0, target - saved));
+
+  const totalDays = Math.max(1, daysBetween(goal.start_day, goal.deadline));
+  const elapsed = Math.min(1, Math.max(0, daysBetween(goal.start_day, day) / totalDays));
+  const expectedByNow = round(starting + (target - starting) * elapsed);
+
+  // After the deadline there is no month left to spread the rest over
+  const daysLeft = daysBetween(day, goal.deadline);
+  const monthsLeft = daysLeft >= 0 ? round(daysLeft / AVERAGE_MONTH_DAYS) : 0;
+  const requiredMonthly = remaining === 0 ? 0 : daysLeft >= 0 ? round(remaining / Math.max(1, monthsLeft)) : null;
+
+  return {
+    saved,
+    target,
+    remaining,
+    percent: round(Math.min(100, (saved / target) * 100)),
+    monthsLeft,
+    requiredMonthly,
+    expectedByNow,
+    status: remaining === 0 ? 'completed' : saved >= expectedByNow ? 'on_track' : 'behind'
+  };
+}
+
+/**
+ * Check a status change requested by a user
+ * @param {Object} goal - { status, deadline } with deadline as YYYY-MM-DD
+ * @param {string} to - Requested status
+ * @param {string} day - Today
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function checkStatusChange(goal, to, day) {
+  if (!GOAL_STATUSES.includes(to)) return `status must be one of: ${GOAL_STATUSES.join(', ')}`;
+  if (goal.status === to) return `Goal is already ${to}`;
+  if (!USER_TRANSITIONS[goal.status].includes(to)) {
+    return `A goal that is ${goal.status} can only be moved to: ${USER_TRANSITIONS[goal.status].join(', ')}`;
+  }
+  if (to === 'active' && goal.deadline < day) {
+    return 'timeLimit has passed; move it into the future to reopen the goal';
+  }
+  return null;
+}
+
+/**
+ * Average and spread of the monthly surplus (income minus expenses)
+ * Months before the first one with any income or expense are left out, so the empty past of a new
+ * user does not drag the average down
+ * @param {Array} series - Monthly { period, income, expense, net }, oldest first
+ * @returns {Object} { months, average, deviation, bands } with a monthly amount for each FORECAST_BANDS entry
+ */
+export function surplusBands(series) {
+  const first = series.findIndex(month => month.income !== 0 || month.expense !== 0);
+  const nets = first === -1 ? [] : series.slice(first).map(month => month.net);
+
+  const average = nets.length > 0 ? nets.reduce((sum, net) => sum + net, 0) / nets.length : 0;
+  const deviation = nets.length > 1
+    ? Math.sqrt(nets.reduce((sum, net) => sum + (net - average) ** 2, 0) / (nets.length - 1))
+    : 0;
+
+  return {
+    months: nets.length,
+    average: round(average),
+    deviation: round(deviation),
+    bands: {
+      optimistic: round(average + deviation),
+      expected: round(average),
+      pessimistic: round(average - deviation)
+    }
+  };
+}
+
+/**
+ * Months until each goal is reached when a monthly amount is shared between them
+ * The amount is split across the unfinished goals by weight; when one is reached its share goes to the rest
+ * @param {Array} goals - [{ id, remaining, weight }]
+ * @param {number} monthly - Amount saved per month
+ * @returns {Map} Months (fractional) keyed by goal id; null when the goal is not reached within MAX_FORECAST_MONTHS
+ */
+function monthsToComplete(goals, monthly) {
+  const months = new Map(goals.map(goal => [goal.id, goal.remaining > 0 ? null : 0]));
+  if (!(monthly > 0)) return months;
+
+  let open = goals.filter(goal => goal.remaining > 0).map(goal => ({ ...goal, left: goal.remaining }));
+  let elapsed = 0;
+  while (open.length > 0) {
+    // Goals without weight only start receiving money once the weighted ones are done
+    const totalWeight = open.reduce((sum, goal) => sum + goal.weight, 0);
+    const rates = open.map(goal => monthly * (totalWeight > 0 ? goal.weight / totalWeight : 1 / open.length));
+    const step = Math.min(...open.map((goal, index) => (rates[index] > 0 ? goal.left / rates[index] : Infinity)));
+
+    elapsed += step;
+    if (elapsed > MAX_FORECAST_MONTHS) break;
+    open.forEach((goal, index) => {
+      goal.left -= rates[index] * step;
+      if (goal.left <= 0.005) months.set(goal.id, elapsed);
+    });
+    open = open.filter(goal => goal.left > 0.005);
+  }
+  return months;
+}
+
+/**
+ * Forecast when competing goals are reached from the user's monthly surplus
+ * @param {Array} goals - [{ id, name, remaining, deadline, weight }] with remaining in the surplus currency
+ * @param {Object} bands - Monthly surplus for each FORECAST_BANDS entry, from surplusBands
+ * @param {string} day - Today
+ * @returns {Array} [{ id, name, remaining, deadline, share, completion, meetsDeadline, atRisk, dedicated }] where
+ *   completion holds a date per band (null when never reached), atRisk is true when even the optimistic
+ *   band misses timeLimit, and dedicated is the expected date if the whole surplus went to that goal alone
+ */
+export function forecastGoals(goals, bands, day) {
+  const toDate = months => (months === null ? null : addDays(day, Math.ceil(months * AVERAGE_MONTH_DAYS)));
+  const byBand = Object.fromEntries(FORECAST_BANDS.map(band => [band, monthsToComplete(goals, bands[band])]));
+  const totalWeight = goals.reduce((sum, goal) => sum + goal.weight, 0);
+
+  return goals.map(goal => {
+    const completion = Object.fromEntries(FORECAST_BANDS.map(band => [band, toDate(byBand[band].get(goal.id))]));
+    const meetsDeadline = Object.fromEntries(FORECAST_BANDS.map(band => [
+      band,
+      completion[band] !== null && completion[band] <= goal.deadline
+    ]));
+
+    return {
+      id: goal.id,
+      name: goal.name,
+      remaining: round(goal.remaining),
+      deadline: goal.deadline,
+      share: totalWeight > 0 ? round(goal.weight / totalWeight) : round(1 / goals.length),
+      completion,
+      meetsDeadline,
+      atRisk: !meetsDeadline.optimistic,
+      dedicated: toDate(monthsToComplete([goal], bands.expected).get(goal.id))
+    };
+  });
+}
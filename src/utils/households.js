@@ -0,0 +1,37 @@
+// Households let couples and flatmates share goals, budgets and accounts
+
+// Owners manage the household and its members; members change what is shared; viewers only look
+export const HOUSEHOLD_ROLES = ['owner', 'member', 'viewer'];
+
+// Roles allowed to change a shared goal or budget, or to share their own with the household
+export const EDITOR_ROLES = ['owner', 'member'];
+
+// What can be shared with a household, and the table each lives in
+export const SHAREABLE_TYPES = {
+  goal: 'goals',
+  budget: 'budgets',
+  account: 'accounts'
+};
+
+// An invitation waits as pending until the invited user accepts or declines it, or the owner cancels it
+export const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'cancelled'];
+
+/**
+ * Validate a household name
+ * @param {string} name - Household name
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateHouseholdName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'Please provide a household name';
+  if (name.trim().length > 100) return 'name must be at most 100 characters';
+  return null;
+}
+
+/**
+ * Validate a role given to a member or an invitation
+ * @param {string} role - Requested role
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRole(role) {
+  return HOUSEHOLD_ROLES.includes(role) ? null : `role must be one of: ${HOUSEHOLD_ROLES.join(', ')}`;
+}
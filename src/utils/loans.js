@@ -0,0 +1,255 @@
+// Loan amortisation, prepayment what-ifs and payoff strategies; days are YYYY-MM-DD strings like in recurrence.js
+// Rates are yearly percentages charged monthly on the outstanding balance, as for Indian EMIs
+
+import { addMonths, isValidDay } from './recurrence.js';
+
+// After a prepayment the loan either ends sooner on the same EMI, or keeps its end date on a smaller EMI
+export const PREPAYMENT_MODES = ['reduce_tenure', 'reduce_emi'];
+
+// Avalanche puts spare money on the highest rate first; snowball on the smallest balance first
+export const PAYOFF_STRATEGIES = ['avalanche', 'snowball'];
+
+// Longest schedule generated (50 years), so an EMI that barely covers the interest cannot spin forever
+export const MAX_INSTALLMENTS = 600;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * EMI that pays off a loan in equal monthly instalments
+ * @param {number} principal - Amount borrowed
+ * @param {number} annualRate - Yearly interest rate in percent
+ * @param {number} months - Number of instalments
+ * @returns {number} Monthly instalment, rounded up to the paisa so the last one is never larger
+ */
+export function calculateEmi(principal, annualRate, months) {
+  const rate = Number(annualRate) / 1200;
+  if (rate === 0) return Math.ceil((principal / months) * 100) / 100;
+  const growth = Math.pow(1 + rate, months);
+  return Math.ceil(((principal * rate * growth) / (growth - 1)) * 100) / 100;
+}
+
+/**
+ * Validate the terms of a loan
+ * @param {Object} loan - { name, principal, annual_rate, tenure_months, emi, start_date }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLoan({ name, principal, annual_rate, tenure_months, emi, start_date }) {
+  if (!name || !String(name).trim()) return 'Please provide a name';
+  if (!(Number(principal) > 0)) return 'principal must be a positive number';
+  if (annual_rate === undefined || annual_rate === null || annual_rate === ''
+    || !(Number(annual_rate) >= 0 && Number(annual_rate) < 100)) {
+    return 'annual_rate must be a yearly percentage from 0 to under 100';
+  }
+  if (!Number.isInteger(Number(tenure_months)) || Number(tenure_months) < 1 || Number(tenure_months) > MAX_INSTALLMENTS) {
+    return `tenure_months must be a whole number of months from 1 to ${MAX_INSTALLMENTS}`;
+  }
+  if (!isValidDay(start_date)) return 'start_date (the first EMI date) must be a date in YYYY-MM-DD format';
+  if (emi !== undefined && emi !== null && emi !== '') {
+    const firstInterest = round(Number(principal) * Number(annual_rate) / 1200);
+    if (!(Number(emi) > firstInterest)) {
+      return `emi must be more than the first month's interest of ${firstInterest}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Instalment number a prepayment on a day is made alongside: the first EMI due on or after it
+ * @param {string} startDate - First EMI date
+ * @param {string} day - Date of the prepayment
+ * @returns {number} Instalment number, at least 1
+ */
+export function installmentOnOrAfter(startDate, day) {
+  if (day <= startDate) return 1;
+  const months = (Number(day.slice(0, 4)) - Number(startDate.slice(0, 4))) * 12
+    + Number(day.slice(5, 7)) - Number(startDate.slice(5, 7));
+  return addMonths(startDate, months) >= day ? months + 1 : months + 2;
+}
+
+/**
+ * Month-by-month amortisation schedule of a loan
+ * Prepayments are paid straight after the EMI of their instalment and come off the principal
+ * @param {Object} loan - { principal, annual_rate, emi, start_date }
+ * @param {Object} options - { prepayments: [{ installment, amount }], extraMonthly, mode, installments }
+ *   where extraMonthly is added to every EMI and installments is the original length, which
+ *   reduce_emi keeps by recalculating the EMI after each prepayment
+ * @returns {Object} { entries, summary } or { error }
+ */
+export function buildSchedule(loan, options = {}) {
+  const { prepayments = [], extraMonthly = 0, mode = 'reduce_tenure', installments } = options;
+  const extra = new Map();
+  prepayments.forEach(({ installment, amount }) => {
+    extra.set(installment, (extra.get(installment) || 0) + Number(amount));
+  });
+
+  let emi = Number(loan.emi);
+  let balance = Number(loan.principal);
+  let totalInterest = 0;
+  const entries = [];
+
+  for (let installment = 1; balance > 0 && installment <= MAX_INSTALLMENTS; installment++) {
+    const openingBalance = balance;
+    const interest = round(balance * Number(loan.annual_rate) / 1200);
+    const payment = Math.min(emi, round(balance + interest));
+    if (payment <= interest && payment < round(balance + interest)) {
+      return { error: 'The EMI does not cover the monthly interest, so the loan is never paid off' };
+    }
+    balance = round(balance + interest - payment);
+
+    const prepayment = Math.min(round((extra.get(installment) || 0) + Number(extraMonthly)), balance);
+    balance = round(balance - prepayment);
+    totalInterest += interest;
+
+    entries.push({
+      installment,
+      due_date: addMonths(loan.start_date, installment - 1),
+      opening_balance: openingBalance,
+      emi: payment,
+      interest,
+      principal: round(payment - interest),
+      prepayment,
+      closing_balance: balance
+    });
+
+    if (mode === 'reduce_emi' && prepayment > 0 && balance > 0 && installments > installment) {
+      emi = calculateEmi(balance, loan.annual_rate, installments - installment);
+    }
+  }
+
+  if (balance > 0) {
+    return { error: `The loan is not paid off within ${MAX_INSTALLMENTS} instalments` };
+  }
+
+  const last = entries[entries.length - 1];
+  return {
+    entries,
+    summary: {
+      installments: entries.length,
+      totalInterest: round(totalInterest),
+      totalPaid: round(Number(loan.principal) + totalInterest),
+      endDate: last ? last.due_date : null
+    }
+  };
+}
+
+/**
+ * Compare a loan's schedule with and without prepayments
+ * @param {Object} loan - { principal, annual_rate, emi, start_date }
+ * @param {Object} plan - { prepayments: [{ installment, amount }], extraMonthly, mode }
+ * @returns {Object} { baseline, withPrepayments, interestSaved, installmentsSaved, schedule } or { error }
+ */
+export function simulatePrepayments(loan, plan) {
+  const baseline = buildSchedule(loan);
+  if (baseline.error) return { error: baseline.error };
+
+  const simulated = buildSchedule(loan, { ...plan, installments: baseline.summary.installments });
+  if (simulated.error) return { error: simulated.error };
+
+  return {
+    baseline: baseline.summary,
+    withPrepayments: {
+      ...simulated.summary,
+      // Under reduce_emi the EMI after the last prepayment is what the borrower pays from then on
+      finalEmi: simulated.entries.length > 1 ? simulated.entries[simulated.entries.length - 2].emi : Number(loan.emi)
+    },
+    interestSaved: round(baseline.summary.totalInterest - simulated.summary.totalInterest),
+    installmentsSaved: baseline.summary.installments - simulated.summary.installments,
+    schedule: simulated.entries
+  };
+}
+
+/**
+ * Pay several debts down month by month
+ * Every debt gets its EMI; with a priority order the EMIs of paid-off debts and the extra payment go to
+ * the first open debt in that order, without one each debt just runs on its own EMI
+ * @param {Array} debts - [{ id, name, balance, annual_rate, emi }]
+ * @param {number} extraPayment - Spare money added each month on top of the EMIs
+ * @param {Function|null} priority - Comparator ordering the debts, or null for EMIs only
+ * @param {string} firstPaymentDay - Date of the first monthly payment
+ * @returns {Object} { months, totalInterest, debtFreeDate, payoffOrder } or { error }
+ */
+function simulatePayoff(debts, extraPayment, priority, firstPaymentDay) {
+  const state = debts.map(debt => ({ ...debt, balance: Number(debt.balance), interestPaid: 0, paidOffMonth: null }));
+  const budget = state.reduce((sum, debt) => sum + Number(debt.emi), 0) + Number(extraPayment);
+  const ordered = priority ? [...state].sort(priority) : [];
+
+  let month = 0;
+  while (state.some(debt => debt.balance > 0)) {
+    month++;
+    if (month > MAX_INSTALLMENTS) {
+      return { error: `The debts are not paid off within ${MAX_INSTALLMENTS} months` };
+    }
+
+    const open = state.filter(debt => debt.balance > 0);
+    let available = budget;
+    open.forEach(debt => {
+      const interest = round(debt.balance * Number(debt.annual_rate) / 1200);
+      debt.interestPaid += interest;
+      const payment = Math.min(Number(debt.emi), round(debt.balance + interest));
+      debt.balance = round(debt.balance + interest - payment);
+      available -= payment;
+    });
+
+    for (const debt of ordered) {
+      if (available <= 0) break;
+      if (debt.balance <= 0) continue;
+      const payment = Math.min(round(available), debt.balance);
+      debt.balance = round(debt.balance - payment);
+      available -= payment;
+    }
+
+    open.forEach(debt => {
+      if (debt.balance <= 0) debt.paidOffMonth = month;
+    });
+  }
+
+  return {
+    months: month,
+    totalInterest: round(state.reduce((sum, debt) => sum + debt.interestPaid, 0)),
+    debtFreeDate: month > 0 ? addMonths(firstPaymentDay, month - 1) : null,
+    payoffOrder: [...state]
+      .sort((a, b) => a.paidOffMonth - b.paidOffMonth)
+      .map(debt => ({
+        id: debt.id,
+        name: debt.name,
+        months: debt.paidOffMonth,
+        paidOffOn: addMonths(firstPaymentDay, debt.paidOffMonth - 1),
+        interest: round(debt.interestPaid)
+      }))
+  };
+}
+
+/**
+ * Compare the avalanche and snowball strategies for paying off several debts with EMIs only
+ * @param {Array} debts - [{ id, name, balance, annual_rate, emi }] with balances still owed
+ * @param {number} extraPayment - Spare money put towards the debts each month
+ * @param {string} firstPaymentDay - Date of the first monthly payment
+ * @returns {Object} { minimum, avalanche, snowball, recommended } or { error }
+ */
+export function comparePayoffStrategies(debts, extraPayment, firstPaymentDay) {
+  const minimum = simulatePayoff(debts, 0, null, firstPaymentDay);
+  if (minimum.error) return { error: minimum.error };
+
+  const byRate = (a, b) => Number(b.annual_rate) - Number(a.annual_rate) || a.balance - b.balance;
+  const byBalance = (a, b) => a.balance - b.balance || Number(b.annual_rate) - Number(a.annual_rate);
+  const strategies = {
+    avalanche: simulatePayoff(debts, extraPayment, byRate, firstPaymentDay),
+    snowball: simulatePayoff(debts, extraPayment, byBalance, firstPaymentDay)
+  };
+
+  const result = { minimum };
+  PAYOFF_STRATEGIES.forEach(name => {
+    const outcome = strategies[name];
+    result[name] = {
+      ...outcome,
+      interestSaved: round(minimum.totalInterest - outcome.totalInterest),
+      monthsSaved: minimum.months - outcome.months
+    };
+  });
+
+  // Least interest wins; snowball only when it costs no more, for the quicker early payoffs
+  result.recommended = strategies.snowball.totalInterest <= strategies.avalanche.totalInterest
+    ? 'snowball'
+    : 'avalanche';
+  return result;
+}
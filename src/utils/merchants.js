@@ -0,0 +1,21 @@
+// Words banks and card processors add around the merchant name
+const NOISE_WORDS = new Set([
+  'pos', 'ach', 'upi', 'imps', 'neft', 'debit', 'credit', 'card', 'purchase', 'payment',
+  'autopay', 'recurring', 'online', 'txn', 'ref', 'inc', 'ltd', 'llc', 'pvt', 'www', 'com'
+]);
+
+/**
+ * Reduce a transaction title to a stable merchant key
+ * Reference numbers, dates and processor noise are removed, so
+ * "NETFLIX.COM 12/03 #4411" and "Netflix.com" normalise to the same value
+ * @param {string} title - Transaction title
+ * @returns {string} Normalised title (may be empty)
+ */
+export function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !NOISE_WORDS.has(word) && !/\d/.test(word))
+    .join(' ');
+}
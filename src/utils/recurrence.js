@@ -0,0 +1,189 @@
+import { CronExpressionParser } from 'cron-parser';
+
+// Supported recurrence frequencies; "cron" uses cron_expression instead of interval
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly', 'cron'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on occurrences generated in one call, so a bad schedule cannot spin forever
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date
+ * @param {string} value - Date string
+ * @returns {Date} UTC midnight of that day
+ */
+function parseDay(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+/**
+ * Format a Date as YYYY-MM-DD using its UTC calendar day
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+export function formatDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Check a YYYY-MM-DD date string
+ * @param {string} day - Candidate date
+ * @returns {boolean} Whether it is a real calendar day
+ */
+export function isValidDay(day) {
+  if (typeof day !== 'string' || !DATE_PATTERN.test(day)) return false;
+  // Date rolls impossible days over (2026-02-30 becomes March 2nd), so compare the round trip
+  const date = parseDay(day);
+  return !isNaN(date) && formatDay(date) === day;
+}
+
+/**
+ * Today's date in the server's local time zone, as YYYY-MM-DD
+ * @returns {string} Date string
+ */
+export function today() {
+  const now = new Date();
+  return formatDay(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} day - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string
+ */
+export function addDays(day, days) {
+  return formatDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+}
+
+/**
+ * Add months to a date, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date - UTC date
+ * @param {number} months - Months to add
+ * @returns {Date} UTC date
+ */
+function addMonthsClamped(date, months) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+}
+
+/**
+ * Add months to a YYYY-MM-DD date, clamping to the end of shorter months
+ * @param {string} day - Date string
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} Date string
+ */
+export function addMonths(day, months) {
+  return formatDay(addMonthsClamped(parseDay(day), months));
+}
+
+/**
+ * Validate the schedule fields of a recurring series
+ * @param {Object} schedule - { frequency, interval, cron_expression, start_date, end_date }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSchedule({ frequency, interval = 1, cron_expression, start_date, end_date }) {
+  if (!FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (!start_date || !DATE_PATTERN.test(start_date) || isNaN(parseDay(start_date))) {
+    return 'start_date must be a date in YYYY-MM-DD format';
+  }
+  if (end_date && (!DATE_PATTERN.test(end_date) || isNaN(parseDay(end_date)))) {
+    return 'end_date must be a date in YYYY-MM-DD format';
+  }
+  if (end_date && end_date < start_date) {
+    return 'end_date must not be before start_date';
+  }
+  if (frequency === 'cron') {
+    if (!cron_expression) return 'cron_expression is required when frequency is "cron"';
+    try {
+      CronExpressionParser.parse(cron_expression, { tz: 'UTC' });
+    } catch {
+      return `invalid cron_expression: ${cron_expression}`;
+    }
+  } else if (!Number.isInteger(Number(interval)) || Number(interval) < 1) {
+    return 'interval must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * List the occurrence dates of a series within [from, to]
+ * @param {Object} series - Series with frequency, interval, cron_expression, start_date, end_date
+ * @param {string} from - First day to include (YYYY-MM-DD)
+ * @param {string} to - Last day to include (YYYY-MM-DD)
+ * @param {number} limit - Maximum number of dates to return
+ * @returns {Array} Occurrence dates as YYYY-MM-DD, ascending
+ */
+export function occurrencesBetween(series, from, to, limit = MAX_OCCURRENCES) {
+  const maxDates = Math.min(limit, MAX_OCCURRENCES);
+  const { frequency, cron_expression, start_date, end_date } = series;
+  const interval = Number(series.interval) || 1;
+
+  const lower = from > start_date ? from : start_date;
+  const upper = end_date && end_date < to ? end_date : to;
+  if (lower > upper) return [];
+
+  const dates = [];
+
+  if (frequency === 'cron') {
+    // Occurrences are whole days, so several cron hits on the same day collapse into one
+    const iterator = CronExpressionParser.parse(cron_expression, {
+      currentDate: new Date(parseDay(lower).getTime() - 1),
+      endDate: new Date(parseDay(upper).getTime() + DAY_MS - 1),
+      tz: 'UTC'
+    });
+    while (iterator.hasNext() && dates.length < maxDates) {
+      const day = formatDay(iterator.next().toDate());
+      dates.push(day);
+      // Jump to the end of this day so minute-level expressions do not iterate every hit
+      iterator.reset(new Date(parseDay(day).getTime() + DAY_MS - 1));
+    }
+    return dates;
+  }
+
+  const start = parseDay(start_date);
+  let nth;
+  if (frequency === 'daily' || frequency === 'weekly') {
+    const stepDays = interval * (frequency === 'weekly' ? 7 : 1);
+    const daysFromStart = Math.round((parseDay(lower) - start) / DAY_MS);
+    const first = Math.max(0, Math.ceil(daysFromStart / stepDays));
+    nth = k => formatDay(new Date(start.getTime() + (first + k) * stepDays * DAY_MS));
+  } else {
+    const stepMonths = interval * (frequency === 'yearly' ? 12 : 1);
+    const lowerDate = parseDay(lower);
+    const monthsFromStart = (lowerDate.getUTCFullYear() - start.getUTCFullYear()) * 12
+      + (lowerDate.getUTCMonth() - start.getUTCMonth());
+    // Start one step early; clamping can pull an occurrence back before `lower`
+    const first = Math.max(0, Math.floor(monthsFromStart / stepMonths) - 1);
+    nth = k => formatDay(addMonthsClamped(start, (first + k) * stepMonths));
+  }
+
+  for (let k = 0; dates.length < maxDates; k++) {
+    const day = nth(k);
+    if (day > upper) break;
+    if (day >= lower) dates.push(day);
+  }
+
+  return dates;
+}
+
+/**
+ * Find the first occurrence of a series on or after a date
+ * @param {Object} series - Series definition
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string|null} Occurrence date, or null if the series has ended
+ */
+export function nextOccurrenceOnOrAfter(series, day) {
+  // Look ahead two full periods; four years covers cron expressions pinned to Feb 29
+  const interval = Number(series.interval) || 1;
+  const periodDays = { daily: 1, weekly: 7, monthly: 31, yearly: 366 }[series.frequency] || 366;
+  const horizonDays = Math.max(4 * 366, 2 * interval * periodDays);
+  const [next] = occurrencesBetween(series, day, addDays(day, horizonDays), 1);
+  return next || null;
+}
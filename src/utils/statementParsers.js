@@ -0,0 +1,365 @@
+import { parse as parseCsvText } from 'csv-parse/sync';
+
+// Statement formats accepted by the import endpoint
+export const STATEMENT_FORMATS = ['csv', 'ofx', 'qif'];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Regex fragments for each supported date format token, longest tokens first
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MMM: '([A-Za-z]{3})',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})'
+};
+
+/**
+ * Parse a date string using a simple format such as DD/MM/YYYY or MMM D, YYYY
+ * Without a format, ISO dates are read as written and anything else falls back to native parsing
+ * @param {string} value - Raw date string
+ * @param {string} format - Date format made of YYYY, YY, MMM, MM, M, DD, D tokens
+ * @returns {string|null} Date as YYYY-MM-DD, or null if it cannot be parsed
+ */
+export function parseDate(value, format) {
+  if (!value) return null;
+  const input = String(value).trim();
+
+  if (!format) {
+    // Only the date part counts; a time or zone after it must not move the day
+    if (/^\d{4}-\d{2}-\d{2}/.test(input)) return parseDate(input.slice(0, 10), 'YYYY-MM-DD');
+
+    // Native parsing reads strings like "01/02/2024" as local midnight, so the day is read back in local time
+    const timestamp = Date.parse(input);
+    if (isNaN(timestamp)) return null;
+    const date = new Date(timestamp);
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())).toISOString().split('T')[0];
+  }
+
+  const tokenOrder = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|YY|MMM|MM|M|DD|D/g, token => {
+      tokenOrder.push(token);
+      return DATE_TOKENS[token];
+    });
+
+  const match = input.match(new RegExp(`^${pattern}$`));
+  if (!match) return null;
+
+  let year;
+  let month;
+  let day;
+  tokenOrder.forEach((token, i) => {
+    const part = match[i + 1];
+    if (token === 'YYYY') year = parseInt(part, 10);
+    else if (token === 'YY') year = 2000 + parseInt(part, 10);
+    else if (token === 'MMM') month = MONTH_NAMES.indexOf(part.toLowerCase()) + 1;
+    else if (token === 'MM' || token === 'M') month = parseInt(part, 10);
+    else day = parseInt(part, 10);
+  });
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!year || !month || !day || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse an amount as printed on a statement, e.g. "₹1,234.50", "(200.00)" or "1.234,50"
+ * @param {string|number} value - Raw amount
+ * @param {string} decimalSeparator - "." (default) or ","
+ * @returns {number|null} Signed amount, or null if empty / not a number
+ */
+export function parseAmount(value, decimalSeparator = '.') {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (text === '') return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text) || /\bdr\.?$/i.test(text);
+
+  if (decimalSeparator === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  text = text.replace(/[^\d.]/g, '');
+  if (text === '') return null;
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Turn a signed amount into our positive amount + Income/Expense type
+ * @param {number} signedAmount - Negative for money out, positive for money in
+ * @returns {Object} { amount, type }
+ */
+function toAmountAndType(signedAmount) {
+  return {
+    amount: Math.abs(signedAmount),
+    type: signedAmount < 0 ? 'Expense' : 'Income'
+  };
+}
+
+/**
+ * Read a column from a CSV record by header name or zero-based index
+ * @param {Object|Array} record - Parsed CSV record
+ * @param {string|number} column - Header name or index
+ * @returns {string|undefined} Cell value
+ */
+function readColumn(record, column) {
+  if (column === undefined || column === null || column === '') return undefined;
+  if (Array.isArray(record)) return record[Number(column)];
+  return record[column];
+}
+
+/**
+ * Map CSV records onto transactions using a column mapping
+ * @param {string} text - CSV file contents
+ * @param {Object} mapping - Column mapping profile
+ * @returns {Array} Entries of { index, raw, transaction } or { index, raw, reason }
+ */
+function parseCsvStatement(text, mapping) {
+  const {
+    delimiter = ',',
+    hasHeader = true,
+    skipRows = 0,
+    dateColumn,
+    dateFormat,
+    amountMode = 'signed',
+    amountColumn,
+    debitColumn,
+    creditColumn,
+    invertSign = false,
+    decimalSeparator = '.',
+    titleColumn,
+    descriptionColumns = [],
+    currencyColumn,
+    currency
+  } = mapping;
+
+  if (dateColumn === undefined || titleColumn === undefined) {
+    throw new Error('CSV mapping requires dateColumn and titleColumn');
+  }
+  if (amountMode === 'signed' && amountColumn === undefined) {
+    throw new Error('CSV mapping requires amountColumn when amountMode is "signed"');
+  }
+  if (amountMode === 'debitCredit' && (debitColumn === undefined || creditColumn === undefined)) {
+    throw new Error('CSV mapping requires debitColumn and creditColumn when amountMode is "debitCredit"');
+  }
+
+  const records = parseCsvText(text, {
+    delimiter,
+    columns: hasHeader,
+    from_line: skipRows + 1,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+    bom: true
+  });
+
+  return records.map((record, index) => {
+    const created_at = parseDate(readColumn(record, dateColumn), dateFormat);
+    if (!created_at) {
+      return { index, raw: record, reason: `Could not parse date "${readColumn(record, dateColumn) ?? ''}"` };
+    }
+
+    let signedAmount;
+    if (amountMode === 'debitCredit') {
+      const debit = parseAmount(readColumn(record, debitColumn), decimalSeparator);
+      const credit = parseAmount(readColumn(record, creditColumn), decimalSeparator);
+      if (!debit && !credit) {
+        return { index, raw: record, reason: 'Row has neither a debit nor a credit amount' };
+      }
+      signedAmount = (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+    } else {
+      signedAmount = parseAmount(readColumn(record, amountColumn), decimalSeparator);
+      if (signedAmount === null) {
+        return { index, raw: record, reason: `Could not parse amount "${readColumn(record, amountColumn) ?? ''}"` };
+      }
+      if (invertSign) signedAmount = -signedAmount;
+    }
+
+    const description = descriptionColumns
+      .map(column => readColumn(record, column))
+      .filter(Boolean)
+      .join(' | ');
+
+    return {
+      index,
+      raw: record,
+      transaction: {
+        title: readColumn(record, titleColumn),
+        description: description || null,
+        ...toAmountAndType(signedAmount),
+        currency: readColumn(record, currencyColumn) || currency,
+        created_at
+      }
+    };
+  });
+}
+
+// Values escape markup characters the same way in SGML and XML OFX, e.g. "AMAZON &amp; CO"
+const OFX_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode the character entities in an OFX value, in one pass so "&amp;lt;" stays "&lt;"
+ * @param {string} value - Raw element value
+ * @returns {string} Decoded value
+ */
+function decodeOfxEntities(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return OFX_ENTITIES[name.toLowerCase()];
+  });
+}
+
+/**
+ * Read a single OFX element value from an SGML or XML block
+ * @param {string} block - OFX text
+ * @param {string} tag - Element name
+ * @returns {string|undefined} Element value
+ */
+function readOfxTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeOfxEntities(match[1].trim()) : undefined;
+}
+
+/**
+ * Extract transactions from an OFX (SGML 1.x or XML 2.x) statement
+ * @param {string} text - OFX file contents
+ * @returns {Array} Entries of { index, raw, transaction } or { index, raw, reason }
+ */
+function parseOfxStatement(text) {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  const statementCurrency = readOfxTag(text, 'CURDEF');
+
+  return blocks.map((block, index) => {
+    const raw = {
+      trnType: readOfxTag(block, 'TRNTYPE'),
+      datePosted: readOfxTag(block, 'DTPOSTED'),
+      amount: readOfxTag(block, 'TRNAMT'),
+      fitId: readOfxTag(block, 'FITID'),
+      name: readOfxTag(block, 'NAME'),
+      memo: readOfxTag(block, 'MEMO'),
+      // A CURRENCY aggregate means TRNAMT is in that currency rather than CURDEF
+      currency: /<CURRENCY>/i.test(block) ? readOfxTag(block, 'CURSYM') : statementCurrency
+    };
+
+    const created_at = raw.datePosted ? parseDate(raw.datePosted.slice(0, 8), 'YYYYMMDD') : null;
+    if (!created_at) {
+      return { index, raw, reason: `Could not parse DTPOSTED "${raw.datePosted ?? ''}"` };
+    }
+
+    const signedAmount = parseAmount(raw.amount);
+    if (signedAmount === null) {
+      return { index, raw, reason: `Could not parse TRNAMT "${raw.amount ?? ''}"` };
+    }
+
+    return {
+      index,
+      raw,
+      transaction: {
+        title: raw.name || raw.memo,
+        description: raw.name && raw.memo ? raw.memo : null,
+        ...toAmountAndType(signedAmount),
+        currency: raw.currency,
+        created_at
+      }
+    };
+  });
+}
+
+/**
+ * Extract transactions from a QIF statement
+ * @param {string} text - QIF file contents
+ * @param {Object} mapping - Optional mapping; only dateFormat, decimalSeparator and currency apply
+ * @returns {Array} Entries of { index, raw, transaction } or { index, raw, reason }
+ */
+function parseQifStatement(text, mapping) {
+  const { dateFormat = 'M/D/YYYY', decimalSeparator = '.', currency } = mapping;
+  const records = [];
+  let current = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('!') || line.trim() === '') return;
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      if (Object.keys(current).length > 0) records.push(current);
+      current = {};
+    } else if (code === 'D') current.date = value;
+    else if (code === 'T' || code === 'U') current.amount = value;
+    else if (code === 'P') current.payee = value;
+    else if (code === 'M') current.memo = value;
+    else if (code === 'L') current.category = value;
+    else if (code === 'N') current.number = value;
+  });
+  if (Object.keys(current).length > 0) records.push(current);
+
+  return records.map((raw, index) => {
+    // Quicken writes years after 2000 as M/D'YY
+    const normalisedDate = raw.date ? raw.date.replace(/'\s*/, '/') : raw.date;
+    const created_at = parseDate(normalisedDate, dateFormat)
+      || parseDate(normalisedDate, dateFormat.replace('YYYY', 'YY'));
+    if (!created_at) {
+      return { index, raw, reason: `Could not parse date "${raw.date ?? ''}"` };
+    }
+
+    const signedAmount = parseAmount(raw.amount, decimalSeparator);
+    if (signedAmount === null) {
+      return { index, raw, reason: `Could not parse amount "${raw.amount ?? ''}"` };
+    }
+
+    return {
+      index,
+      raw,
+      transaction: {
+        title: raw.payee || raw.memo,
+        description: raw.payee && raw.memo ? raw.memo : null,
+        ...toAmountAndType(signedAmount),
+        currency,
+        created_at
+      }
+    };
+  });
+}
+
+/**
+ * Parse a bank statement into candidate transactions
+ * @param {string} format - One of STATEMENT_FORMATS
+ * @param {string} text - File contents
+ * @param {Object} mapping - Column mapping profile (required for CSV)
+ * @returns {Array} Entries of { index, raw, transaction } or { index, raw, reason }
+ */
+export function parseStatement(format, text, mapping = {}) {
+  switch (format) {
+    case 'csv':
+      return parseCsvStatement(text, mapping);
+    case 'ofx':
+      return parseOfxStatement(text);
+    case 'qif':
+      return parseQifStatement(text, mapping);
+    default:
+      throw new Error(`Unsupported statement format: ${format}`);
+  }
+}
+
+/**
+ * Guess the statement format from a file name
+ * @param {string} fileName - Uploaded file name
+ * @returns {string|undefined} Format, if the extension is recognised
+ */
+export function detectFormat(fileName = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'qfx') return 'ofx';
+  return STATEMENT_FORMATS.includes(extension) ? extension : undefined;
+}
@@ -0,0 +1,175 @@
+import { addDays, formatDay, nextOccurrenceOnOrAfter } from './recurrence.js';
+import { normalizeTitle } from './merchants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recognised cadences: typical gap in days, accepted deviation, and the
+// matching recurrence rule used to project the next charge
+export const CADENCES = {
+  weekly: { days: 7, tolerance: 2, perYear: 52, frequency: 'weekly', interval: 1 },
+  biweekly: { days: 14, tolerance: 3, perYear: 26, frequency: 'weekly', interval: 2 },
+  monthly: { days: 30.44, tolerance: 5, perYear: 12, frequency: 'monthly', interval: 1 },
+  quarterly: { days: 91.31, tolerance: 12, perYear: 4, frequency: 'monthly', interval: 3 },
+  yearly: { days: 365.25, tolerance: 20, perYear: 1, frequency: 'yearly', interval: 1 }
+};
+
+// Charges within this fraction of the cluster's smallest amount count as the same plan
+const AMOUNT_TOLERANCE = 0.25;
+
+// Share of gaps that must match the cadence
+const MIN_REGULARITY = 0.7;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Calendar day of a transaction timestamp, in server local time
+ * @param {Date|string} value - created_at
+ * @returns {string} YYYY-MM-DD
+ */
+function toDay(value) {
+  const date = new Date(value);
+  return formatDay(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())));
+}
+
+function daysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / DAY_MS);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Split a merchant's charges into groups of similar amounts (e.g. two plans from one provider)
+ * @param {Array} charges - Charges with a numeric amount
+ * @returns {Array} Arrays of charges
+ */
+function clusterByAmount(charges) {
+  const clusters = [];
+  [...charges].sort((a, b) => a.amount - b.amount).forEach(charge => {
+    const current = clusters[clusters.length - 1];
+    if (current && charge.amount <= current[0].amount * (1 + AMOUNT_TOLERANCE)) {
+      current.push(charge);
+    } else {
+      clusters.push([charge]);
+    }
+  });
+  return clusters;
+}
+
+/**
+ * Match the gaps between charges to a known cadence
+ * @param {Array} gaps - Days between consecutive charges
+ * @returns {Object|null} { cadence, regularity }
+ */
+function classifyCadence(gaps) {
+  const typical = median(gaps);
+  const match = Object.entries(CADENCES).find(([, cadence]) => Math.abs(typical - cadence.days) <= cadence.tolerance);
+  if (!match) return null;
+
+  const [name, cadence] = match;
+  const regular = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance).length;
+  return { cadence: name, regularity: regular / gaps.length };
+}
+
+/**
+ * Build the stable key a detection is confirmed or dismissed under
+ * @param {string} type - Income or Expense
+ * @param {string} merchant - Normalised title
+ * @param {number} amount - Typical amount, only used when one merchant has several plans
+ * @returns {string} Detection key
+ */
+function detectionKey(type, merchant, amount) {
+  const base = `${type.toLowerCase()}|${merchant}`;
+  return amount === undefined ? base : `${base}|${Math.round(amount)}`;
+}
+
+/**
+ * Find recurring charges in a user's transaction history
+ * Charges are grouped by type and normalised title, split into similar amounts,
+ * and kept when the gaps between them follow a weekly to yearly cadence
+ * @param {Array} transactions - Rows with id, title, amount, type, created_at, category
+ * @param {string} asOf - Reference day (YYYY-MM-DD) for the isActive flag
+ * @returns {Array} Detections, most expensive per year first
+ */
+export function detectSubscriptions(transactions, asOf) {
+  const byMerchant = new Map();
+  transactions.forEach(transaction => {
+    const merchant = normalizeTitle(transaction.title);
+    if (!merchant) return;
+    const groupKey = `${transaction.type}|${merchant}`;
+    if (!byMerchant.has(groupKey)) byMerchant.set(groupKey, { merchant, type: transaction.type, charges: [] });
+    byMerchant.get(groupKey).charges.push({
+      id: transaction.id,
+      title: transaction.title,
+      amount: Math.abs(parseFloat(transaction.amount)),
+      day: toDay(transaction.created_at),
+      category: transaction.category
+    });
+  });
+
+  const detections = [];
+
+  byMerchant.forEach(({ merchant, type, charges }) => {
+    const clusters = clusterByAmount(charges);
+
+    clusters.forEach(cluster => {
+      // Several charges on one day (e.g. a retry) count once
+      const byDay = new Map();
+      cluster.forEach(charge => byDay.set(charge.day, charge));
+      const series = [...byDay.values()].sort((a, b) => a.day.localeCompare(b.day));
+      if (series.length < 2) return;
+
+      const gaps = series.slice(1).map((charge, i) => daysBetween(series[i].day, charge.day));
+      const match = classifyCadence(gaps);
+      if (!match || match.regularity < MIN_REGULARITY) return;
+
+      // Yearly plans rarely have more than a couple of charges on record
+      if (match.cadence !== 'yearly' && series.length < 3) return;
+
+      const cadence = CADENCES[match.cadence];
+      const amounts = series.map(charge => charge.amount);
+      const averageAmount = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+      const spread = Math.max(...amounts) - Math.min(...amounts);
+      const last = series[series.length - 1];
+
+      const nextExpected = nextOccurrenceOnOrAfter(
+        { frequency: cadence.frequency, interval: cadence.interval, start_date: last.day },
+        addDays(last.day, 1)
+      );
+
+      const categoryCounts = new Map();
+      series.forEach(charge => {
+        if (charge.category) categoryCounts.set(charge.category, (categoryCounts.get(charge.category) || 0) + 1);
+      });
+      const [category] = [...categoryCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [null];
+
+      // More charges, tighter gaps and steadier amounts all raise confidence
+      const amountStability = averageAmount > 0 ? Math.max(0, 1 - spread / averageAmount) : 0;
+      const confidence = match.regularity * (0.5 + 0.5 * amountStability) * Math.min(1, series.length / 4);
+
+      detections.push({
+        key: detectionKey(type, merchant, clusters.length > 1 ? median(amounts) : undefined),
+        merchant,
+        title: last.title,
+        type,
+        category,
+        cadence: match.cadence,
+        occurrences: series.length,
+        averageAmount: round(averageAmount),
+        lastAmount: round(last.amount),
+        firstCharge: series[0].day,
+        lastCharge: last.day,
+        nextExpected,
+        annualisedCost: round(averageAmount * cadence.perYear),
+        isActive: daysBetween(nextExpected, asOf) <= cadence.tolerance,
+        confidence: round(confidence),
+        transactionIds: series.map(charge => charge.id)
+      });
+    });
+  });
+
+  return detections.sort((a, b) => b.annualisedCost - a.annualisedCost);
+}
@@ -0,0 +1,31 @@
+// Tags are stored lower-case without the leading "#": "#Goa-Trip" is saved as "goa-trip"
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/**
+ * Normalise a free-form tag
+ * @param {string} value - Tag such as "#Goa-Trip" or "reimbursable"
+ * @returns {string|null} Normalised tag, or null if it is not a valid tag
+ */
+export function normalizeTag(value) {
+  if (typeof value !== 'string') return null;
+  const tag = value.trim().replace(/^#/, '').toLowerCase();
+  return TAG_PATTERN.test(tag) ? tag : null;
+}
+
+/**
+ * Parse a list of tags from an array or a comma/space separated string ("#a, #b")
+ * @param {Array|string} value - Raw tags
+ * @returns {Object} { tags } de-duplicated and normalised, or { error } naming the first invalid tag
+ */
+export function parseTagList(value) {
+  const raw = Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/).filter(Boolean);
+  const tags = [];
+  for (const item of raw) {
+    const tag = normalizeTag(item);
+    if (!tag) {
+      return { error: `Invalid tag "${item}": use up to 50 letters, digits, "-" or "_"` };
+    }
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  return { tags };
+}
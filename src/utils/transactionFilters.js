@@ -0,0 +1,193 @@
+// Shared query-string parsing for endpoints that list or aggregate transactions
+
+import { parseTagList } from './tags.js';
+
+const TRANSACTION_TYPES = ['Income', 'Expense'];
+
+// Moves money between two of the user's accounts; never counted as income or spend
+const TRANSFER_TYPE = 'Transfer';
+const ENTRY_TYPES = [...TRANSACTION_TYPES, TRANSFER_TYPE];
+
+// Sortable columns, keyed by the value accepted in ?sortBy=
+const SORT_FIELDS = {
+  date: { column: 'created_at', cast: 'timestamp' },
+  created_at: { column: 'created_at', cast: 'timestamp' },
+  amount: { column: 'amount', cast: 'numeric' },
+  title: { column: 'title', cast: 'text' }
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Find a parameter that was given more than once; Express hands those over as arrays
+ * @param {Object} query - Express req.query
+ * @param {Array} names - Parameters that take a single value
+ * @returns {string|null} Error message, or null when each is a plain string or absent
+ */
+function checkSingleValues(query, names) {
+  const repeated = names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  return repeated ? `${repeated} must be given once` : null;
+}
+
+/**
+ * Build WHERE conditions for a user's transactions from request query parameters
+ * Supported parameters: from, to, type, minAmount, maxAmount, q, accountId, tags (all must be present)
+ * @param {Object} query - Express req.query
+ * @param {string} uuid - User UUID
+ * @returns {Object} { conditions, values, error }
+ */
+export function buildTransactionFilters(query, uuid) {
+  const singleError = checkSingleValues(query, ['from', 'to', 'type', 'minAmount', 'maxAmount', 'q', 'accountId']);
+  if (singleError) return { error: singleError };
+
+  const { from, to, type, minAmount, maxAmount, q, accountId, tags } = query;
+  // Transactions in the trash are never listed, exported or totalled
+  const conditions = ['uuid = $1', 'deleted_at IS NULL'];
+  const values = [uuid];
+
+  const addCondition = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (from) {
+    if (isNaN(Date.parse(from))) return { error: 'from must be a valid date' };
+    addCondition('created_at >= ?', from);
+  }
+
+  if (to) {
+    if (isNaN(Date.parse(to))) return { error: 'to must be a valid date' };
+    // A bare date means "up to the end of that day"
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      addCondition("created_at < (?::date + INTERVAL '1 day')", to);
+    } else {
+      addCondition('created_at <= ?', to);
+    }
+  }
+
+  if (type) {
+    if (!ENTRY_TYPES.includes(type)) {
+      return { error: `type must be one of: ${ENTRY_TYPES.join(', ')}` };
+    }
+    addCondition('type = ?', type);
+  }
+
+  if (minAmount !== undefined && minAmount !== '') {
+    if (isNaN(Number(minAmount))) return { error: 'minAmount must be a number' };
+    addCondition('amount >= ?', minAmount);
+  }
+
+  if (maxAmount !== undefined && maxAmount !== '') {
+    if (isNaN(Number(maxAmount))) return { error: 'maxAmount must be a number' };
+    addCondition('amount <= ?', maxAmount);
+  }
+
+  if (q) {
+    values.push(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(title ILIKE $${values.length} OR description ILIKE $${values.length})`);
+  }
+
+  // Transfers show up in both the account they leave and the one they reach
+  if (accountId) {
+    if (!/^\d+$/.test(accountId)) return { error: 'accountId must be an account id' };
+    values.push(accountId);
+    conditions.push(`(account_id = $${values.length} OR to_account_id = $${values.length})`);
+  }
+
+  if (tags) {
+    const parsed = parseTagList(tags);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.tags.length > 0) {
+      values.push(parsed.tags);
+      conditions.push(tagFilterSql(`$${values.length}`));
+    }
+  }
+
+  return { conditions, values };
+}
+
+/**
+ * SQL condition matching transactions that carry every one of a list of tags
+ * Expects the user UUID in $1
+ * @param {string} tagsRef - Placeholder holding the normalised tag names (text[])
+ * @returns {string} Condition on transactions.id
+ */
+export function tagFilterSql(tagsRef) {
+  return `id IN (
+    SELECT tt.transaction_id FROM transaction_tags tt JOIN tags g ON g.id = tt.tag_id
+    WHERE g.uuid = $1 AND g.name = ANY(${tagsRef}::text[])
+    GROUP BY tt.transaction_id
+    HAVING COUNT(*) = cardinality(${tagsRef}::text[])
+  )`;
+}
+
+/**
+ * Parse sort and pagination parameters
+ * Supported parameters: sortBy, sortOrder, limit, cursor
+ * @param {Object} query - Express req.query
+ * @returns {Object} { sort, direction, limit, cursor, error }
+ */
+export function parsePagination(query) {
+  const singleError = checkSingleValues(query, ['sortBy', 'sortOrder', 'limit', 'cursor']);
+  if (singleError) return { error: singleError };
+
+  const { sortBy = 'date', sortOrder = 'desc', limit, cursor } = query;
+
+  const sort = SORT_FIELDS[sortBy];
+  if (!sort) {
+    return { error: `sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+
+  const direction = String(sortOrder).toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') {
+    return { error: 'sortOrder must be either "asc" or "desc"' };
+  }
+
+  let pageSize = DEFAULT_LIMIT;
+  if (limit !== undefined) {
+    pageSize = parseInt(limit, 10);
+    if (isNaN(pageSize) || pageSize < 1) return { error: 'limit must be a positive integer' };
+    pageSize = Math.min(pageSize, MAX_LIMIT);
+  }
+
+  let decodedCursor = null;
+  if (cursor) {
+    decodedCursor = decodeCursor(cursor);
+    if (!decodedCursor) return { error: 'cursor is invalid' };
+    // The sort key only compares against the column it was read from
+    if (decodedCursor.sortColumn !== sort.column) {
+      return { error: 'cursor belongs to a different sortBy; start again without it' };
+    }
+  }
+
+  return { sort, direction, limit: pageSize, cursor: decodedCursor };
+}
+
+/**
+ * Encode the sort column, sort key and id of the last row on a page into an opaque cursor
+ * @param {string} sortColumn - Column the page was sorted on, from parsePagination's sort
+ * @param {string} sortKey - Sort column value rendered as text by Postgres
+ * @param {number} id - Transaction id
+ * @returns {string} Cursor string
+ */
+export function encodeCursor(sortColumn, sortKey, id) {
+  return Buffer.from(JSON.stringify([sortColumn, sortKey, id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {Object|null} { sortColumn, sortKey, id } or null if malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [sortColumn, sortKey, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof sortColumn !== 'string' || sortKey === undefined || !Number.isInteger(id)) return null;
+    return { sortColumn, sortKey, id };
+  } catch {
+    return null;
+  }
+}
+
+export { TRANSACTION_TYPES, TRANSFER_TYPE, ENTRY_TYPES };
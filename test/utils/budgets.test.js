@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { periodStart, nextPeriodStart, periodLimit, rolloverWindowStart } from '../../src/utils/budgets.js';
+
+describe('periodStart', () => {
+  it('starts months on the 1st and weeks on Monday', () => {
+    assert.equal(periodStart('monthly', '2024-02-29'), '2024-02-01');
+    assert.equal(periodStart('weekly', '2024-06-09'), '2024-06-03');
+    assert.equal(nextPeriodStart('monthly', '2024-12-01'), '2025-01-01');
+  });
+});
+
+describe('periodLimit', () => {
+  const budget = { amount: 100, period: 'monthly', rollover: true, start_date: '2024-01-15' };
+
+  it('carries unspent amounts forward but not overspending', () => {
+    const spent = new Map([['2024-01-01', 40], ['2024-02-01', 300]]);
+
+    assert.deepEqual(periodLimit(budget, '2024-02-01', spent), { limit: 160, carriedOver: 60 });
+    assert.deepEqual(periodLimit(budget, '2024-03-01', spent), { limit: 100, carriedOver: 0 });
+  });
+
+  it('uses the plain amount without rollover', () => {
+    assert.deepEqual(periodLimit({ ...budget, rollover: false }, '2024-03-01', new Map()), { limit: 100, carriedOver: 0 });
+  });
+
+  it('folds the periods just before the one asked about for an old budget', () => {
+    const weekly = { amount: 10, period: 'weekly', rollover: true, start_date: '2020-01-06' };
+    const start = '2024-06-03';
+    const windowStart = rolloverWindowStart(weekly, start);
+
+    assert.equal(windowStart, '2022-02-14');
+    // Everything was spent in the week before, so nothing carries into this one
+    assert.deepEqual(periodLimit(weekly, start, new Map([['2024-05-27', 1200]])), { limit: 10, carriedOver: 0 });
+  });
+
+  it('starts the window at the first period of a young budget', () => {
+    assert.equal(rolloverWindowStart(budget, '2024-06-01'), '2024-01-01');
+  });
+});
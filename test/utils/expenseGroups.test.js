@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitExpense, groupBalances } from '../../src/utils/expenseGroups.js';
+
+const amounts = ({ shares }) => shares.map(share => share.amount);
+const total = values => Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100;
+
+describe('splitExpense', () => {
+  it('splits equally, giving leftover cents to the first participants', () => {
+    const result = splitExpense(100, 'equal', [{ uuid: 'a' }, { uuid: 'b' }, { uuid: 'c' }]);
+
+    assert.deepEqual(amounts(result), [33.34, 33.33, 33.33]);
+    assert.deepEqual(result.shares.map(share => share.value), [null, null, null]);
+  });
+
+  it('splits by shares and percentages, always adding up to the amount', () => {
+    const byShares = splitExpense(10, 'shares', [{ uuid: 'a', value: 1 }, { uuid: 'b', value: 2 }]);
+    assert.deepEqual(amounts(byShares), [3.33, 6.67]);
+
+    const byPercentage = splitExpense(99.99, 'percentage', [
+      { uuid: 'a', value: 33.3 },
+      { uuid: 'b', value: 33.3 },
+      { uuid: 'c', value: 33.4 }
+    ]);
+    assert.equal(total(amounts(byPercentage)), 99.99);
+  });
+
+  it('takes exact amounts as they are when they add up', () => {
+    const result = splitExpense(50, 'exact', [{ uuid: 'a', value: 20.5 }, { uuid: 'b', value: 29.5 }]);
+    assert.deepEqual(amounts(result), [20.5, 29.5]);
+  });
+
+  it('lets a participant have no share', () => {
+    const result = splitExpense(10, 'shares', [{ uuid: 'a', value: 0 }, { uuid: 'b', value: 1 }]);
+    assert.deepEqual(amounts(result), [0, 10]);
+  });
+
+  it('rejects splits that cannot be made', () => {
+    assert.match(splitExpense(0, 'equal', [{ uuid: 'a' }]).error, /positive/);
+    assert.match(splitExpense(10, 'thirds', [{ uuid: 'a' }]).error, /split method/);
+    assert.match(splitExpense(10, 'equal', []).error, /at least one participant/);
+    assert.match(splitExpense(10, 'equal', [{ uuid: 'a' }, { uuid: 'a' }]).error, /only appear once/);
+    assert.match(splitExpense(10, 'percentage', [{ uuid: 'a', value: 50 }, { uuid: 'b', value: 40 }]).error, /add up to 90/);
+    assert.match(splitExpense(10, 'exact', [{ uuid: 'a', value: 4 }, { uuid: 'b', value: 5 }]).error, /add up to 9, not 10/);
+    assert.match(splitExpense(10, 'shares', [{ uuid: 'a', value: -1 }]).error, /number of shares/);
+    assert.match(splitExpense(10, 'shares', [{ uuid: 'a', value: 0 }]).error, /needs a share/);
+  });
+});
+
+describe('groupBalances', () => {
+  // a pays 90 split three ways, b pays 20 for c, then c pays a back 10
+  const expenses = [
+    { paid_by: 'a', shares: [{ uuid: 'a', amount: 30 }, { uuid: 'b', amount: 30 }, { uuid: 'c', amount: 30 }] },
+    { paid_by: 'b', shares: [{ uuid: 'c', amount: 20 }] }
+  ];
+  const settlements = [{ from_uuid: 'c', to_uuid: 'a', amount: 10 }];
+  const result = groupBalances(['a', 'b', 'c'], expenses, settlements);
+
+  it('nets what each member paid against their shares and settlements', () => {
+    assert.deepEqual(result.balances, [
+      { uuid: 'a', balance: 50 },
+      { uuid: 'b', balance: -10 },
+      { uuid: 'c', balance: -40 }
+    ]);
+    assert.equal(total(result.balances.map(entry => entry.balance)), 0);
+  });
+
+  it('keeps pairwise debts to who paid for whom', () => {
+    assert.deepEqual(result.debts, [
+      { from: 'b', to: 'a', amount: 30 },
+      { from: 'c', to: 'a', amount: 20 },
+      { from: 'c', to: 'b', amount: 20 }
+    ]);
+  });
+
+  it('suggests fewer payments that still settle everyone', () => {
+    assert.deepEqual(result.suggested, [
+      { from: 'c', to: 'a', amount: 40 },
+      { from: 'b', to: 'a', amount: 10 }
+    ]);
+
+    const settled = groupBalances(['a', 'b', 'c'], expenses, [
+      ...settlements,
+      ...result.suggested.map(payment => ({ from_uuid: payment.from, to_uuid: payment.to, amount: payment.amount }))
+    ]);
+    assert.deepEqual(settled.balances.map(entry => entry.balance), [0, 0, 0]);
+    assert.deepEqual(settled.suggested, []);
+  });
+
+  it('pairs a debt with an equal credit before splitting larger ones', () => {
+    const { suggested } = groupBalances(['a', 'b', 'c', 'd'], [
+      { paid_by: 'a', shares: [{ uuid: 'c', amount: 70 }] },
+      { paid_by: 'b', shares: [{ uuid: 'd', amount: 30 }] }
+    ], []);
+
+    assert.deepEqual(suggested, [
+      { from: 'c', to: 'a', amount: 70 },
+      { from: 'd', to: 'b', amount: 30 }
+    ]);
+  });
+
+  it('still lists a member who left while they owe something', () => {
+    const { balances } = groupBalances(['a'], [{ paid_by: 'a', shares: [{ uuid: 'gone', amount: 5 }] }], []);
+    assert.deepEqual(balances, [{ uuid: 'a', balance: 5 }, { uuid: 'gone', balance: -5 }]);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateEmi,
+  validateLoan,
+  installmentOnOrAfter,
+  buildSchedule,
+  simulatePrepayments,
+  comparePayoffStrategies,
+  MAX_INSTALLMENTS
+} from '../../src/utils/loans.js';
+
+const round = value => Math.round(value * 100) / 100;
+
+const loan = { principal: 100000, annual_rate: 12, emi: calculateEmi(100000, 12, 12), start_date: '2024-01-31' };
+
+describe('calculateEmi', () => {
+  it('matches the standard EMI formula, rounded up to the paisa', () => {
+    assert.equal(calculateEmi(100000, 12, 12), 8884.88);
+  });
+
+  it('divides evenly when there is no interest', () => {
+    assert.equal(calculateEmi(1000, 0, 3), 333.34);
+  });
+});
+
+describe('validateLoan', () => {
+  const terms = { name: 'Home', principal: 100000, annual_rate: 8.5, tenure_months: 240, start_date: '2024-01-05' };
+
+  it('accepts sensible terms', () => {
+    assert.equal(validateLoan(terms), null);
+    assert.equal(validateLoan({ ...terms, annual_rate: 0 }), null);
+  });
+
+  it('rejects bad terms', () => {
+    assert.match(validateLoan({ ...terms, name: ' ' }), /name/);
+    assert.match(validateLoan({ ...terms, principal: 0 }), /principal/);
+    assert.match(validateLoan({ ...terms, annual_rate: '' }), /annual_rate/);
+    assert.match(validateLoan({ ...terms, tenure_months: MAX_INSTALLMENTS + 1 }), /tenure_months/);
+    assert.match(validateLoan({ ...terms, start_date: '05/01/2024' }), /start_date/);
+  });
+
+  it('rejects an EMI that does not cover the first month of interest', () => {
+    assert.match(validateLoan({ ...terms, principal: 1000, annual_rate: 12, emi: 10 }), /first month's interest of 10/);
+  });
+});
+
+describe('installmentOnOrAfter', () => {
+  it('finds the first EMI due on or after a day', () => {
+    assert.equal(installmentOnOrAfter('2024-01-15', '2024-01-10'), 1);
+    assert.equal(installmentOnOrAfter('2024-01-15', '2024-03-15'), 3);
+    assert.equal(installmentOnOrAfter('2024-01-15', '2024-03-16'), 4);
+  });
+});
+
+describe('buildSchedule', () => {
+  it('pays the loan off over its tenure', () => {
+    const { entries, summary } = buildSchedule(loan);
+
+    assert.equal(summary.installments, 12);
+    assert.equal(entries.at(-1).closing_balance, 0);
+    assert.equal(round(entries.reduce((sum, entry) => sum + entry.principal, 0)), loan.principal);
+    assert.equal(summary.totalPaid, round(loan.principal + summary.totalInterest));
+    assert.equal(entries[0].interest, 1000);
+  });
+
+  it('keeps EMIs on the same day of the month, clamped to short months', () => {
+    const { entries, summary } = buildSchedule(loan);
+
+    assert.deepEqual(entries.slice(0, 3).map(entry => entry.due_date), ['2024-01-31', '2024-02-29', '2024-03-31']);
+    assert.equal(summary.endDate, '2024-12-31');
+  });
+
+  it('never charges more than what is left in the last instalment', () => {
+    const { entries } = buildSchedule(loan);
+    assert.ok(entries.at(-1).emi <= loan.emi);
+  });
+
+  it('reports an EMI that never pays the loan off', () => {
+    const { error } = buildSchedule({ principal: 1000, annual_rate: 24, emi: 20, start_date: '2024-01-01' });
+    assert.match(error, /does not cover the monthly interest/);
+  });
+});
+
+describe('simulatePrepayments', () => {
+  const plan = { prepayments: [{ installment: 3, amount: 20000 }] };
+
+  it('ends the loan sooner when reducing the tenure', () => {
+    const result = simulatePrepayments(loan, { ...plan, mode: 'reduce_tenure' });
+
+    assert.equal(result.baseline.installments, 12);
+    assert.equal(result.withPrepayments.installments, 10);
+    assert.equal(result.installmentsSaved, 2);
+    assert.equal(result.withPrepayments.finalEmi, loan.emi);
+    assert.equal(result.interestSaved, round(result.baseline.totalInterest - result.withPrepayments.totalInterest));
+    assert.ok(result.interestSaved > 0);
+  });
+
+  it('keeps the end date on a smaller EMI when reducing the EMI', () => {
+    const result = simulatePrepayments(loan, { ...plan, mode: 'reduce_emi' });
+
+    assert.equal(result.withPrepayments.installments, 12);
+    assert.equal(result.installmentsSaved, 0);
+    assert.ok(result.withPrepayments.finalEmi < loan.emi);
+    assert.ok(result.interestSaved > 0);
+  });
+
+  it('takes the prepayment off the principal right after its EMI', () => {
+    const { schedule } = simulatePrepayments(loan, plan);
+    assert.equal(schedule[2].prepayment, 20000);
+    assert.equal(schedule[3].opening_balance, schedule[2].closing_balance);
+  });
+});
+
+describe('comparePayoffStrategies', () => {
+  const debts = [
+    { id: 1, name: 'Card', balance: 50000, annual_rate: 36, emi: 3000 },
+    { id: 2, name: 'Car', balance: 20000, annual_rate: 9, emi: 1000 }
+  ];
+  const result = comparePayoffStrategies(debts, 2000, '2024-02-01');
+
+  it('clears the highest rate first with avalanche and the smallest balance first with snowball', () => {
+    assert.deepEqual(result.avalanche.payoffOrder.map(debt => debt.id), [1, 2]);
+    assert.deepEqual(result.snowball.payoffOrder.map(debt => debt.id), [2, 1]);
+  });
+
+  it('saves interest and months over paying EMIs only', () => {
+    for (const strategy of ['avalanche', 'snowball']) {
+      assert.ok(result[strategy].interestSaved > 0);
+      assert.ok(result[strategy].monthsSaved > 0);
+      assert.equal(result[strategy].interestSaved, round(result.minimum.totalInterest - result[strategy].totalInterest));
+    }
+  });
+
+  it('recommends the cheaper strategy', () => {
+    assert.ok(result.avalanche.totalInterest < result.snowball.totalInterest);
+    assert.equal(result.recommended, 'avalanche');
+  });
+
+  it('dates the payoffs from the first payment', () => {
+    assert.equal(result.minimum.debtFreeDate, '2026-01-01');
+    assert.equal(result.minimum.months, 24);
+  });
+
+  it('reports debts that are never paid off', () => {
+    const { error } = comparePayoffStrategies([{ id: 1, name: 'Card', balance: 10000, annual_rate: 36, emi: 300 }], 0, '2024-02-01');
+    assert.match(error, /not paid off/);
+  });
+});
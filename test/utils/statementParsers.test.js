@@ -0,0 +1,195 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, parseAmount, parseStatement, detectFormat } from '../../src/utils/statementParsers.js';
+
+describe('parseDate', () => {
+  it('reads the supported format tokens', () => {
+    assert.equal(parseDate('05/01/2024', 'DD/MM/YYYY'), '2024-01-05');
+    assert.equal(parseDate('1/5/24', 'M/D/YY'), '2024-01-05');
+    assert.equal(parseDate('Jan 5, 2024', 'MMM D, YYYY'), '2024-01-05');
+    assert.equal(parseDate('20240105', 'YYYYMMDD'), '2024-01-05');
+  });
+
+  it('rejects dates that do not exist or do not fit the format', () => {
+    assert.equal(parseDate('31/02/2024', 'DD/MM/YYYY'), null);
+    assert.equal(parseDate('2024-01-05', 'DD/MM/YYYY'), null);
+    assert.equal(parseDate('', 'DD/MM/YYYY'), null);
+  });
+
+  it('falls back to native parsing without a format', () => {
+    assert.equal(parseDate('2024-01-05'), '2024-01-05');
+    assert.equal(parseDate('2024-01-05T23:30:00-05:00'), '2024-01-05');
+    assert.equal(parseDate('not a date'), null);
+  });
+
+  it('keeps the written day whatever the server time zone', () => {
+    const timeZone = process.env.TZ;
+    try {
+      for (const zone of ['Asia/Kolkata', 'America/Los_Angeles', 'UTC']) {
+        process.env.TZ = zone;
+        assert.equal(parseDate('01/02/2024'), '2024-01-02', zone);
+        assert.equal(parseDate('Jan 5, 2024'), '2024-01-05', zone);
+        assert.equal(parseDate('2024-01-05'), '2024-01-05', zone);
+      }
+    } finally {
+      if (timeZone === undefined) delete process.env.TZ;
+      else process.env.TZ = timeZone;
+    }
+  });
+});
+
+describe('parseAmount', () => {
+  it('strips currency symbols and thousands separators', () => {
+    assert.equal(parseAmount('₹1,234.50'), 1234.5);
+    assert.equal(parseAmount(42), 42);
+  });
+
+  it('reads the usual ways of writing money out', () => {
+    assert.equal(parseAmount('-12.50'), -12.5);
+    assert.equal(parseAmount('(200.00)'), -200);
+    assert.equal(parseAmount('75.00-'), -75);
+    assert.equal(parseAmount('10.00 Dr'), -10);
+  });
+
+  it('supports a comma as the decimal separator', () => {
+    assert.equal(parseAmount('1.234,50', ','), 1234.5);
+  });
+
+  it('returns null when there is no number', () => {
+    assert.equal(parseAmount(''), null);
+    assert.equal(parseAmount(null), null);
+    assert.equal(parseAmount('n/a'), null);
+  });
+});
+
+describe('parseStatement csv', () => {
+  const csv = [
+    'Date,Narration,Ref,Amount',
+    '05/01/2024,Coffee,R1,-3.20',
+    '06/01/2024,Salary,R2,1500',
+    'garbage,Bad row,R3,1'
+  ].join('\n');
+
+  it('maps columns onto transactions and reports rows it cannot read', () => {
+    const entries = parseStatement('csv', csv, {
+      dateColumn: 'Date',
+      dateFormat: 'DD/MM/YYYY',
+      amountColumn: 'Amount',
+      titleColumn: 'Narration',
+      descriptionColumns: ['Ref'],
+      currency: 'EUR'
+    });
+
+    assert.equal(entries.length, 3);
+    assert.deepEqual(entries[0].transaction, {
+      title: 'Coffee',
+      description: 'R1',
+      amount: 3.2,
+      type: 'Expense',
+      currency: 'EUR',
+      created_at: '2024-01-05'
+    });
+    assert.equal(entries[1].transaction.type, 'Income');
+    assert.match(entries[2].reason, /Could not parse date/);
+  });
+
+  it('combines debit and credit columns', () => {
+    const entries = parseStatement('csv', 'D;T;Dr;Cr\n2024-01-05;Rent;900,00;\n2024-01-06;Refund;;12,50', {
+      delimiter: ';',
+      dateColumn: 'D',
+      titleColumn: 'T',
+      amountMode: 'debitCredit',
+      debitColumn: 'Dr',
+      creditColumn: 'Cr',
+      decimalSeparator: ','
+    });
+
+    assert.deepEqual(entries.map(entry => [entry.transaction.amount, entry.transaction.type]), [
+      [900, 'Expense'],
+      [12.5, 'Income']
+    ]);
+  });
+
+  it('reads columns by index when there is no header', () => {
+    const entries = parseStatement('csv', '2024-01-05,Taxi,20', {
+      hasHeader: false,
+      dateColumn: 0,
+      titleColumn: 1,
+      amountColumn: 2,
+      invertSign: true
+    });
+
+    assert.equal(entries[0].transaction.type, 'Expense');
+  });
+
+  it('requires the columns it cannot do without', () => {
+    assert.throws(() => parseStatement('csv', csv, { titleColumn: 'Narration' }), /dateColumn/);
+    assert.throws(() => parseStatement('csv', csv, { dateColumn: 'Date', titleColumn: 'Narration' }), /amountColumn/);
+  });
+});
+
+describe('parseStatement ofx', () => {
+  const ofx = `
+    <OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD
+    <BANKTRANLIST>
+    <STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240105120000<TRNAMT>-12.50<FITID>1<NAME>AMAZON &amp; CO<MEMO>Order &lt;42&gt;</STMTTRN>
+    <STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240106<TRNAMT>100.00<FITID>2<NAME>Refund<CURRENCY><CURSYM>EUR</CURRENCY></STMTTRN>
+    <STMTTRN><TRNTYPE>DEBIT<DTPOSTED>bad<TRNAMT>-1<FITID>3<NAME>Broken</STMTTRN>
+    </BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>
+  `;
+
+  it('reads transactions with the statement or their own currency', () => {
+    const [first, second, third] = parseStatement('ofx', ofx);
+
+    assert.deepEqual(first.transaction, {
+      title: 'AMAZON & CO',
+      description: 'Order <42>',
+      amount: 12.5,
+      type: 'Expense',
+      currency: 'USD',
+      created_at: '2024-01-05'
+    });
+    assert.equal(second.transaction.currency, 'EUR');
+    assert.match(third.reason, /DTPOSTED/);
+  });
+
+  it('decodes entities once', () => {
+    const [entry] = parseStatement('ofx', '<STMTTRN><DTPOSTED>20240105<TRNAMT>1<NAME>&amp;lt; &#39;A&#x27;</STMTTRN>');
+    assert.equal(entry.transaction.title, "&lt; 'A'");
+  });
+});
+
+describe('parseStatement qif', () => {
+  it('reads records and Quicken-style years', () => {
+    const qif = ['!Type:Bank', "D1/5'24", 'T-3.20', 'PCoffee', 'MFlat white', '^', 'D01/06/2024', 'T1,500.00', 'PSalary', '^'].join('\n');
+    const entries = parseStatement('qif', qif, { currency: 'GBP' });
+
+    assert.deepEqual(entries[0].transaction, {
+      title: 'Coffee',
+      description: 'Flat white',
+      amount: 3.2,
+      type: 'Expense',
+      currency: 'GBP',
+      created_at: '2024-01-05'
+    });
+    assert.equal(entries[1].transaction.amount, 1500);
+    assert.equal(entries[1].transaction.created_at, '2024-01-06');
+  });
+
+  it('reports records without a usable amount', () => {
+    const [entry] = parseStatement('qif', 'D1/5/2024\nPNo amount\n^');
+    assert.match(entry.reason, /amount/);
+  });
+});
+
+describe('detectFormat', () => {
+  it('recognises statement extensions', () => {
+    assert.equal(detectFormat('statement.CSV'), 'csv');
+    assert.equal(detectFormat('export.qfx'), 'ofx');
+    assert.equal(detectFormat('notes.txt'), undefined);
+  });
+
+  it('rejects unknown formats when parsing', () => {
+    assert.throws(() => parseStatement('xls', ''), /Unsupported statement format/);
+  });
+});